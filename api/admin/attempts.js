@@ -0,0 +1,11 @@
+import { route } from "../../server/http.js";
+import { listAttempts, requireAdmin } from "../../server/admin.js";
+
+/* GET /api/admin/attempts → { attempts: [...] }  (rejected sign-ups, newest first)
+   Needs Authorization: Bearer <ADMIN_TOKEN>. */
+export default route({
+  async GET(req) {
+    requireAdmin(req);
+    return [200, { attempts: await listAttempts() }];
+  },
+});
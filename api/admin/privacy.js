@@ -0,0 +1,17 @@
+import { query, route } from "../../server/http.js";
+import { requireAdmin } from "../../server/admin.js";
+import { closeDataRequest, listDataRequests } from "../../server/privacy.js";
+
+/* GET   /api/admin/privacy          → { requests: [...] }  (newest first)
+   PATCH /api/admin/privacy?id=<id>  → { request }  (marked done)
+   Both need Authorization: Bearer <ADMIN_TOKEN>. */
+export default route({
+  async GET(req) {
+    requireAdmin(req);
+    return [200, { requests: await listDataRequests() }];
+  },
+  async PATCH(req) {
+    requireAdmin(req);
+    return [200, { request: await closeDataRequest(query(req).id) }];
+  },
+});
@@ -0,0 +1,13 @@
+import { route } from "../../server/http.js";
+import { requireAdminOrCron } from "../../server/admin.js";
+import { purgeExpired } from "../../server/privacy.js";
+
+/* GET|POST /api/admin/purge → { purged: { signups, attempts, requests } }
+   Deletes what's past its retention period. Vercel Cron calls it daily
+   (vercel.json) with Authorization: Bearer <CRON_SECRET>; ADMIN_TOKEN works too. */
+async function purge(req) {
+  requireAdminOrCron(req);
+  return [200, { purged: await purgeExpired() }];
+}
+
+export default route({ GET: purge, POST: purge });
@@ -0,0 +1,21 @@
+import { query, readJson, route } from "../../server/http.js";
+import { eraseSubmission, listSubmissions, requireAdmin, reviewSubmission } from "../../server/admin.js";
+
+/* GET    /api/admin/submissions          → { submissions: [...] }
+   PATCH  /api/admin/submissions?id=<id>  { followUp?, notes? } → { submission }
+   DELETE /api/admin/submissions?id=<id>  → { id, erased: true }
+   All need Authorization: Bearer <ADMIN_TOKEN>. */
+export default route({
+  async GET(req) {
+    requireAdmin(req);
+    return [200, { submissions: await listSubmissions() }];
+  },
+  async PATCH(req) {
+    requireAdmin(req);
+    return [200, { submission: await reviewSubmission(query(req).id, await readJson(req)) }];
+  },
+  async DELETE(req) {
+    requireAdmin(req);
+    return [200, await eraseSubmission(query(req).id)];
+  },
+});
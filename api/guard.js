@@ -0,0 +1,9 @@
+import { route } from "../server/http.js";
+import { issueFormToken } from "../server/guard.js";
+
+/* GET /api/guard → { token }  (sent back as guard.token with the sign-up) */
+export default route({
+  async GET() {
+    return [200, { token: issueFormToken() }];
+  },
+});
@@ -0,0 +1,10 @@
+import { clientIp, readJson, route } from "../server/http.js";
+import { submitDataRequest } from "../server/privacy.js";
+
+/* POST /api/privacy  { kind, fullName, phone, email?, details?, guard } → 201 { id, receivedAt }
+   kind: "export" | "correct" | "delete". guard as for /api/signups. */
+export default route({
+  async POST(req) {
+    return [201, await submitDataRequest(await readJson(req), { client: { ip: clientIp(req) } })];
+  },
+});
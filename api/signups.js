@@ -0,0 +1,26 @@
+import { bearerToken, clientIp, query, readJson, route } from "../server/http.js";
+import { cancelOwnSignup, eraseOwnSignup, getOwnSignup, submitSignup, updateOwnSignup } from "../server/signups.js";
+
+/* POST   /api/signups  { categoryId, values, locale?, guard } → 201 { id, status, submittedAt, editToken, confirmations }
+          (guard: { token, website, challenge? }; see server/guard.js)
+   GET    /api/signups?id=<id>                 → { signup }
+   PATCH  /api/signups?id=<id>  { values }     → { signup }
+   DELETE /api/signups?id=<id>                 → { signup }  (status "cancelled")
+   DELETE /api/signups?id=<id>&erase=1         → { id, erased: true }  (record removed)
+   GET/PATCH/DELETE need Authorization: Bearer <editToken> from the POST. */
+export default route({
+  async POST(req) {
+    return [201, await submitSignup(await readJson(req), { client: { ip: clientIp(req) } })];
+  },
+  async GET(req) {
+    return [200, { signup: await getOwnSignup(query(req).id, bearerToken(req)) }];
+  },
+  async PATCH(req) {
+    return [200, { signup: await updateOwnSignup(query(req).id, bearerToken(req), await readJson(req)) }];
+  },
+  async DELETE(req) {
+    const { id, erase } = query(req);
+    if (erase === "1") return [200, await eraseOwnSignup(id, bearerToken(req))];
+    return [200, { signup: await cancelOwnSignup(id, bearerToken(req)) }];
+  },
+});
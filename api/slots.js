@@ -0,0 +1,11 @@
+import { HttpError, query, route } from "../server/http.js";
+import { slotCounts } from "../server/signups.js";
+
+/* GET /api/slots?category=<id> → { counts: { [slotId]: { taken, waitlist } } } */
+export default route({
+  async GET(req) {
+    const { category } = query(req);
+    if (!category) throw new HttpError(400, "Missing ?category=");
+    return [200, { counts: await slotCounts(category) }];
+  },
+});
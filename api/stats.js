@@ -0,0 +1,9 @@
+import { route } from "../server/http.js";
+import { signupStats } from "../server/signups.js";
+
+/* GET /api/stats → { signupsThisWeek, total } */
+export default route({
+  async GET() {
+    return [200, await signupStats()];
+  },
+});
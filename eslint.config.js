@@ -23,7 +23,27 @@ export default defineConfig([
       },
     },
     rules: {
-      'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
+      // `motion` is only referenced as <motion.div> etc., which core no-unused-vars can't see
+      'no-unused-vars': ['error', { varsIgnorePattern: '^([A-Z_]|motion$)' }],
+    },
+  },
+  {
+    files: ['api/**/*.js', 'server/**/*.js', 'scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    // Gallery stories default-export a list of { name, render }
+    files: ['**/*.stories.jsx'],
+    rules: {
+      'react-refresh/only-export-components': 'off',
+    },
+  },
+  {
+    files: ['src/sw.js'],
+    languageOptions: {
+      globals: { ...globals.serviceworker, __SW_PRECACHE__: 'readonly' },
     },
   },
 ])
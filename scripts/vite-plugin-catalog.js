@@ -0,0 +1,95 @@
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { validateCatalog } from "../src/catalog/schema.js";
+import { validateEvents } from "../src/events/schema.js";
+import { validateHousegroups } from "../src/housegroups/schema.js";
+import { SITE_URL, siteUrlFrom } from "../src/site.js";
+
+/* ================= Build-time catalog validation + sitemap ================= */
+const CATALOG_PATH = fileURLToPath(new URL("../src/catalog/catalog.json", import.meta.url));
+const EVENTS_PATH = fileURLToPath(new URL("../src/events/events.json", import.meta.url));
+const HOUSEGROUPS_PATH = fileURLToPath(new URL("../src/housegroups/housegroups.json", import.meta.url));
+
+async function load() {
+  const raw = await readFile(CATALOG_PATH, "utf8");
+  let data;
+  try { data = JSON.parse(raw); }
+  catch (e) { return { data: null, errors: [`catalog.json is not valid JSON: ${e.message}`] }; }
+  return { data, errors: validateCatalog(data) };
+}
+
+// events.json and housegroups.json refer to catalog ids, so they're
+// checked against the catalog
+async function checkAgainst(catalog, path, name, validate) {
+  let data;
+  try { data = JSON.parse(await readFile(path, "utf8")); }
+  catch (e) { return [`${name} is not valid JSON: ${e.message}`]; }
+  return validate(data, catalog).map((e) => `${name} ${e}`);
+}
+
+async function check() {
+  const { data, errors } = await load();
+  if (!data) return errors;
+  return [
+    ...errors,
+    ...await checkAgainst(data, EVENTS_PATH, "events.json", validateEvents),
+    ...await checkAgainst(data, HOUSEGROUPS_PATH, "housegroups.json", validateHousegroups),
+  ];
+}
+
+const escapeXml = (s) => s.replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[c]);
+
+// One <url> per route; detail paths match signupPath() in src/router.js
+export function buildSitemap(catalog, siteUrl = SITE_URL) {
+  const urls = [
+    { loc: `${siteUrl}/`, changefreq: "weekly", priority: "1.0" },
+    { loc: `${siteUrl}/events`, changefreq: "weekly", priority: "0.8" },
+    { loc: `${siteUrl}/housegroups`, changefreq: "weekly", priority: "0.8" },
+    ...catalog.categories.map((c) => ({ loc: `${siteUrl}/signup/${c.id}`, changefreq: "weekly", priority: "0.8" })),
+    { loc: `${siteUrl}/privacy`, changefreq: "yearly", priority: "0.3" },
+  ];
+  const body = urls.map((u) => [
+    "  <url>",
+    `    <loc>${escapeXml(u.loc)}</loc>`,
+    `    <changefreq>${u.changefreq}</changefreq>`,
+    `    <priority>${u.priority}</priority>`,
+    "  </url>",
+  ].join("\n")).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${body}\n</urlset>\n`;
+}
+
+const report = (errors) => `Sign-up catalog (src/catalog/catalog.json, src/events/events.json or src/housegroups/housegroups.json) is invalid:\n  - ${errors.join("\n  - ")}`;
+
+export default function catalogPlugin({ siteUrl = siteUrlFrom(process.env) } = {}) {
+  return {
+    name: "pbc-catalog",
+    async buildStart() {
+      this.addWatchFile(CATALOG_PATH);
+      this.addWatchFile(EVENTS_PATH);
+      this.addWatchFile(HOUSEGROUPS_PATH);
+      const errors = await check();
+      if (errors.length) this.error(report(errors));
+    },
+    async generateBundle() {
+      const { data } = await load();
+      this.emitFile({ type: "asset", fileName: "sitemap.xml", source: buildSitemap(data, siteUrl) });
+    },
+    configureServer(server) {
+      server.middlewares.use("/sitemap.xml", async (_req, res, next) => {
+        const { data, errors } = await load();
+        if (errors.length) return next();
+        res.setHeader("Content-Type", "application/xml");
+        res.end(buildSitemap(data, siteUrl));
+      });
+    },
+    // Dev server: surface schema errors in the overlay as soon as the file is saved
+    async handleHotUpdate({ file, server }) {
+      if (![CATALOG_PATH, EVENTS_PATH, HOUSEGROUPS_PATH].includes(file)) return;
+      const errors = await check();
+      if (errors.length) {
+        server.ws.send({ type: "error", err: { message: report(errors), stack: "", plugin: "pbc-catalog" } });
+        return [];
+      }
+    },
+  };
+}
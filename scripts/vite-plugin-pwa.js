@@ -0,0 +1,27 @@
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+/* ================= Service worker build ================= */
+// Emits dist/sw.js from src/sw.js with a precache list of everything the
+// build produced plus the public files the app shell needs offline.
+
+const SW_SOURCE = fileURLToPath(new URL("../src/sw.js", import.meta.url));
+const PUBLIC_SHELL = ["/index.html", "/offline.html", "/manifest.webmanifest", "/logo.png", "/icon-192.png", "/icon-512.png"];
+
+export default function pwaPlugin() {
+  return {
+    name: "pbc-pwa",
+    apply: "build",
+    async generateBundle(_options, bundle) {
+      const emitted = Object.keys(bundle)
+        .filter((f) => /\.(js|css|woff2?|svg|png)$/.test(f) && !f.endsWith(".map"))
+        .map((f) => `/${f}`);
+      const precache = [...new Set([...PUBLIC_SHELL, ...emitted])].sort();
+      const version = Date.now().toString(36);
+      const source = (await readFile(SW_SOURCE, "utf8"))
+        .replace('"__SW_VERSION__"', JSON.stringify(version))
+        .replace("__SW_PRECACHE__", JSON.stringify(precache, null, 2));
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
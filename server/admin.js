@@ -0,0 +1,72 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import { HttpError, bearerToken } from "./http.js";
+import { getAttemptLog, getStorage } from "./storage/index.js";
+import { NOTES_MAX, followUpOf, isFollowUp } from "../src/admin/followUp.js";
+
+/* ================= Admin access + submission review ================= */
+// Leaders sign in with the shared ADMIN_TOKEN, sent as a Bearer token.
+
+const digest = (s) => createHash("sha256").update(String(s)).digest();
+
+// Compare digests so the check takes the same time whatever was sent
+const matches = (given, token) => !!given && !!token && timingSafeEqual(digest(given), digest(token));
+
+export function requireAdmin(req, { token = process.env.ADMIN_TOKEN } = {}) {
+  if (!token) throw new HttpError(503, "Admin access isn't configured (set ADMIN_TOKEN).");
+  if (!matches(bearerToken(req), token)) throw new HttpError(401, "That access code isn't right.");
+}
+
+// Vercel Cron sends "Authorization: Bearer <CRON_SECRET>"; leaders can run
+// the same jobs with ADMIN_TOKEN
+export function requireAdminOrCron(req, { cronSecret = process.env.CRON_SECRET, ...options } = {}) {
+  if (!matches(bearerToken(req), cronSecret)) requireAdmin(req, options);
+}
+
+// Leaders see everything except the registrant's edit-token hash
+function forLeaders(stored) {
+  const { editTokenHash: _omit, ...record } = stored;
+  return { ...record, followUp: followUpOf(record), notes: record.notes || "" };
+}
+
+export async function listSubmissions({ storage = getStorage() } = {}) {
+  const records = await storage.list();
+  return records
+    .map(forLeaders)
+    .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+}
+
+// Acting on a deletion request: the record is gone for good
+export async function eraseSubmission(id, { storage = getStorage() } = {}) {
+  if (!id) throw new HttpError(400, "Missing ?id=");
+  if (!(await storage.remove(id))) throw new HttpError(404, "That submission no longer exists.");
+  return { id, erased: true };
+}
+
+export async function reviewSubmission(id, body, { storage = getStorage(), now = Date.now() } = {}) {
+  if (!id) throw new HttpError(400, "Missing ?id=");
+  if (body == null || typeof body !== "object") throw new HttpError(400, "Expected { followUp?, notes? }.");
+  const patch = {};
+  if (body.followUp !== undefined) {
+    if (!isFollowUp(body.followUp)) throw new HttpError(422, "Unknown follow-up status.", { followUp: "Choose new, contacted or placed." });
+    patch.followUp = body.followUp;
+  }
+  if (body.notes !== undefined) {
+    if (typeof body.notes !== "string" || body.notes.length > NOTES_MAX) {
+      throw new HttpError(422, "Notes are too long.", { notes: `Keep notes under ${NOTES_MAX} characters.` });
+    }
+    patch.notes = body.notes;
+  }
+  patch.reviewedAt = new Date(now).toISOString();
+  const record = await storage.update(id, patch);
+  if (!record) throw new HttpError(404, "That submission no longer exists.");
+  return forLeaders(record);
+}
+
+// Sign-ups server/guard.js turned away, for spotting abuse (and anyone
+// caught by mistake)
+export async function listAttempts({ attempts = getAttemptLog() } = {}) {
+  const records = await attempts.list();
+  return records
+    .filter((a) => a.outcome === "rejected")
+    .sort((a, b) => b.at.localeCompare(a.at));
+}
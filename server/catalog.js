@@ -0,0 +1,19 @@
+import catalog from "../src/catalog/catalog.json" with { type: "json" };
+import housegroups from "../src/housegroups/housegroups.json" with { type: "json" };
+import { resolveCategories } from "../src/catalog/resolve.js";
+
+/* ================= Catalog for the API ================= */
+// Same catalog.json and resolution as the app, so server-side validation
+// can't drift from the form the visitor filled in.
+
+export { isOpen, retentionDays } from "../src/catalog/resolve.js";
+
+export const CATEGORIES = resolveCategories(catalog, { housegroups });
+
+export const PRIVACY = catalog.privacy;
+
+export const campusName = (id) => catalog.campuses.find((c) => c.id === id)?.name ?? id;
+
+export function getCategory(id) {
+  return CATEGORIES.find((c) => c.id === id) ?? null;
+}
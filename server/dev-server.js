@@ -0,0 +1,49 @@
+import { createServer } from "node:http";
+import adminAttempts from "../api/admin/attempts.js";
+import adminPrivacy from "../api/admin/privacy.js";
+import adminPurge from "../api/admin/purge.js";
+import adminSubmissions from "../api/admin/submissions.js";
+import guard from "../api/guard.js";
+import privacy from "../api/privacy.js";
+import signups from "../api/signups.js";
+import slots from "../api/slots.js";
+import stats from "../api/stats.js";
+import { sendJson } from "./http.js";
+import { getNotifier } from "./notify/index.js";
+import { getStorage } from "./storage/index.js";
+
+/* ================= Local API server ================= */
+// Serves the api/ handlers without Vercel or any network access:
+//   npm run dev:api   (then `npm run dev`; Vite proxies /api here)
+// Storage defaults to .data/signups.json; SIGNUP_STORAGE=memory for a
+// clean slate on every start. /admin signs in with ADMIN_TOKEN ("dev" if
+// unset; this server only listens on localhost). Confirmation emails and
+// SMS are written to .data/outbox/ unless NOTIFY_EMAIL/NOTIFY_SMS say
+// otherwise (see server/notify/).
+
+const ROUTES = {
+  "/api/signups": signups,
+  "/api/guard": guard,
+  "/api/privacy": privacy,
+  "/api/slots": slots,
+  "/api/stats": stats,
+  "/api/admin/submissions": adminSubmissions,
+  "/api/admin/attempts": adminAttempts,
+  "/api/admin/privacy": adminPrivacy,
+  "/api/admin/purge": adminPurge,
+};
+const PORT = Number(process.env.PORT) || 8787;
+process.env.ADMIN_TOKEN ||= "dev";
+
+const server = createServer((req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  const handler = ROUTES[pathname.replace(/\/$/, "")];
+  if (!handler) return sendJson(res, 404, { error: `No API route for ${pathname}` });
+  handler(req, res);
+});
+
+server.listen(PORT, "localhost", () => {
+  const { email, sms } = getNotifier();
+  console.log(`Sign-ups API on http://localhost:${PORT}/api (storage: ${getStorage().name})`);
+  console.log(`Notifications: email ${email?.name ?? "off"}, SMS ${sms?.name ?? "off"}`);
+});
@@ -0,0 +1,207 @@
+import { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+import { HttpError } from "./http.js";
+import { kenyanMobile } from "./notify/sms.js";
+import { getAttemptLog } from "./storage/index.js";
+import { normalizePhone } from "../src/forms/validation.js";
+
+/* ================= Abuse protection for public sign-ups ================= */
+// Everything runs here, with no third-party service (the CSP would block
+// one anyway):
+//   - a honeypot: `guard.website` is a field people never see, so anything
+//     in it is a bot;
+//   - a signed form token from GET /api/guard, fetched when the form opens.
+//     One younger than MIN_FILL_MS, older than TOKEN_TTL_MS, forged,
+//     already used or missing earns a 428 with a proof-of-work challenge
+//     instead, which the app solves in the background and resends. Tokens
+//     and solved challenges are good for one submission each, and are only
+//     used up once the answers pass validation, so fixing a typo after a
+//     422 doesn't cost a challenge;
+//   - rate limits per client IP and per phone number;
+//   - duplicates: the same answers again from the same phone, while the
+//     earlier ones still stand (a confirmed or waitlisted sign-up, or a data
+//     request that's still open).
+// Rejections, challenges included, are written to the attempt log
+// (server/storage) for /admin, with the IP and phone only as keyed hashes.
+// Accepted sign-ups are logged too, so the rate limits can count them.
+
+export const MIN_FILL_MS = 3000;
+export const TOKEN_TTL_MS = 24 * 3600_000;
+export const CHALLENGE_TTL_MS = 10 * 60_000;
+export const CHALLENGE_DIFFICULTY = 16; // leading zero bits; ~65k hashes
+export const LIMITS = {
+  ip: { max: 20, windowMs: 10 * 60_000 },
+  phone: { max: 5, windowMs: 3600_000 },
+};
+
+// Tokens only need to survive until they're used. Without GUARD_SECRET (or
+// ADMIN_TOKEN) each instance makes its own, and a token from another
+// instance just means solving a challenge.
+let fallbackSecret = null;
+const secretOf = (secret) => secret || process.env.GUARD_SECRET || process.env.ADMIN_TOKEN ||
+  (fallbackSecret ??= randomBytes(32).toString("hex"));
+
+const mac = (secret, text) => createHmac("sha256", secretOf(secret)).update(text).digest("base64url");
+
+function sign(kind, parts, secret) {
+  const body = parts.join(".");
+  return `${body}.${mac(secret, `${kind}:${body}`)}`;
+}
+
+// "a.b.sig" → ["a", "b"] when the signature is right, else null
+function unsign(kind, token, secret) {
+  if (typeof token !== "string" || token.length > 200) return null;
+  const parts = token.split(".");
+  const sig = Buffer.from(parts.pop());
+  const expected = Buffer.from(mac(secret, `${kind}:${parts.join(".")}`));
+  return parts.length && sig.length === expected.length && timingSafeEqual(sig, expected) ? parts : null;
+}
+
+const nonce = () => randomBytes(9).toString("base64url");
+
+export function issueFormToken({ now = Date.now(), secret } = {}) {
+  return sign("form", [now.toString(36), nonce()], secret);
+}
+
+export function issueChallenge({ now = Date.now(), difficulty = CHALLENGE_DIFFICULTY, secret } = {}) {
+  return { token: sign("challenge", [now.toString(36), String(difficulty), nonce()], secret), difficulty };
+}
+
+// Number of leading zero bits in a digest
+function zeroBits(digest) {
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) { bits += 8; continue; }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+// Solved when sha256("<token>:<answer>") starts with `difficulty` zero bits
+// (src/storage/challenge.js is the browser's half). Returns the token's
+// parts, or null.
+function solved(proof, { now, secret }) {
+  const parts = unsign("challenge", proof?.token, secret);
+  if (!parts) return null;
+  const [issued, difficulty] = [parseInt(parts[0], 36), Number(parts[1])];
+  if (!(now - issued < CHALLENGE_TTL_MS)) return null;
+  const digest = createHash("sha256").update(`${proof.token}:${proof.answer}`).digest();
+  return zeroBits(digest) >= difficulty ? parts : null;
+}
+
+// A token that was issued long enough ago for a person to fill the form in
+function humanPaced(token, { now, secret }) {
+  const parts = unsign("form", token, secret);
+  if (!parts) return null;
+  const age = now - parseInt(parts[0], 36);
+  return age >= MIN_FILL_MS && age < TOKEN_TTL_MS ? parts : null;
+}
+
+// A token's or challenge's one-time nonce, and when it would expire anyway
+function ticket(kind, parts, ttlMs) {
+  if (!parts) return null;
+  return { nonce: `${kind}:${parts[parts.length - 1]}`, expiresAt: new Date(parseInt(parts[0], 36) + ttlMs).toISOString() };
+}
+
+async function unused(log, ticket) {
+  return ticket && !(await log.list()).some((a) => a.nonce === ticket.nonce) ? ticket : null;
+}
+
+// Uses up a ticket: false if its nonce has been seen since it was checked.
+// The nonce is kept in the attempt log until it would have expired anyway
+// (purgeExpired() in server/privacy.js then drops it).
+async function spend(log, ticket, now) {
+  if (!await unused(log, ticket)) return false;
+  await log.insert({ id: randomUUID(), at: new Date(now).toISOString(), ...ticket });
+  return true;
+}
+
+const challengeFor = (now, secret) =>
+  new HttpError(428, "Please confirm you're not a robot.", { challenge: issueChallenge({ now, secret }) });
+
+const keyed = (kind, value, secret) => mac(secret, `${kind}:${value}`).slice(0, 16);
+const phoneKey = (phone) => kenyanMobile(phone) ?? normalizePhone(phone);
+// Sign-up statuses (server/signups.js) and data request statuses
+// (server/privacy.js) whose answers still stand
+const STANDING = new Set(["confirmed", "waitlisted", "open"]);
+// 0712… and +254712… are the same phone
+const answersKey = (values) => JSON.stringify({ ...values, phone: phoneKey(values.phone) });
+
+async function reject(log, attempt, reason, error) {
+  await log.insert({ ...attempt, outcome: "rejected", reason });
+  throw error;
+}
+
+const tooMany = (message, retryAfter) => new HttpError(429, message, undefined, { "Retry-After": String(retryAfter) });
+
+// Recent log entries for one key, oldest first
+async function recent(log, key, value, windowMs, now) {
+  return (await log.list())
+    .filter((a) => a[key] === value && now - Date.parse(a.at) < windowMs)
+    .sort((a, b) => a.at.localeCompare(b.at));
+}
+
+function limited({ max, windowMs }, hits, now) {
+  if (hits.length < max) return null;
+  return Math.max(1, Math.ceil((Date.parse(hits[hits.length - max].at) + windowMs - now) / 1000));
+}
+
+// Checks that don't need the answers: honeypot, IP rate, token or challenge.
+// Returns the attempt to pass on to screenAnswers(), which spends the token
+// once the answers are known to be valid.
+export async function screenRequest(body, client, { attempts = getAttemptLog(), now = Date.now(), secret } = {}) {
+  const guard = body.guard && typeof body.guard === "object" ? body.guard : {};
+  const values = body.values;
+  const attempt = {
+    id: randomUUID(),
+    at: new Date(now).toISOString(),
+    categoryId: body.categoryId,
+    ip: keyed("ip", client.ip, secret),
+    name: String(values.fullName ?? "").trim().slice(0, 80),
+    phoneHint: normalizePhone(values.phone).slice(-3),
+  };
+
+  if (guard.website) await reject(attempts, attempt, "honeypot", new HttpError(400, "We couldn't accept this sign-up."));
+
+  const retryAfter = limited(LIMITS.ip, await recent(attempts, "ip", attempt.ip, LIMITS.ip.windowMs, now), now);
+  if (retryAfter) {
+    await reject(attempts, attempt, "ip-rate",
+      tooMany("Too many sign-ups from this connection. Please try again in a few minutes.", retryAfter));
+  }
+
+  const pass = await unused(attempts, ticket("form", humanPaced(guard.token, { now, secret }), TOKEN_TTL_MS))
+    ?? await unused(attempts, ticket("challenge", solved(guard.challenge, { now, secret }), CHALLENGE_TTL_MS));
+  // Logged like any rejection, so challenges count towards the IP limit
+  if (!pass) await reject(attempts, attempt, "challenge", challengeFor(now, secret));
+  return { ...attempt, pass };
+}
+
+// Checks on the validated answers: uses up the token, then phone rate and
+// duplicates
+export async function screenAnswers(category, values, attempt, { attempts = getAttemptLog(), storage, now = Date.now(), secret } = {}) {
+  const { pass, ...screened } = attempt;
+  // Another request may have used the same token since screenRequest()
+  if (!await spend(attempts, pass, now)) await reject(attempts, screened, "challenge", challengeFor(now, secret));
+  if (!values.phone) return screened;
+  const phone = keyed("phone", phoneKey(values.phone), secret);
+  const withPhone = { ...screened, phone };
+
+  const retryAfter = limited(LIMITS.phone, await recent(attempts, "phone", phone, LIMITS.phone.windowMs, now), now);
+  if (retryAfter) {
+    await reject(attempts, withPhone, "phone-rate",
+      tooMany("Too many sign-ups with this phone number. Please try again later.", retryAfter));
+  }
+
+  const same = answersKey(values);
+  const records = await storage.list({ categoryId: category.id });
+  const duplicate = records.some((r) => STANDING.has(r.status) && answersKey(r.values || {}) === same);
+  if (duplicate) {
+    await reject(attempts, withPhone, "duplicate",
+      new HttpError(409, "We already have these answers from you. Check “My sign-ups” to change a sign-up."));
+  }
+  return withPhone;
+}
+
+export async function logAccepted(attempt, { attempts = getAttemptLog() } = {}) {
+  const { name: _name, phoneHint: _hint, ...counted } = attempt;
+  await attempts.insert({ ...counted, outcome: "accepted" });
+}
@@ -0,0 +1,120 @@
+import { createHash } from "node:crypto";
+import { describe, expect, it } from "vitest";
+import { listAttempts } from "./admin.js";
+import { LIMITS, MIN_FILL_MS, issueFormToken } from "./guard.js";
+import { setNotifier } from "./notify/index.js";
+import { submitSignup } from "./signups.js";
+import { createMemoryStorage } from "./storage/index.js";
+
+setNotifier({ email: null, sms: null });
+
+const NOW = Date.parse("2026-10-18T09:00:00+03:00");
+const client = { ip: "203.0.113.7" };
+
+function setup() {
+  const storage = createMemoryStorage();
+  const attempts = createMemoryStorage();
+  // A fresh form token for each submission, as the app fetches one per form
+  const submit = (values, { at = NOW, guard = { token: issueFormToken({ now: at - 60_000 }) }, from = client } = {}) =>
+    submitSignup({ categoryId: "community-groups", values, guard }, { storage, attempts, client: from, now: at });
+  return { storage, attempts, submit };
+}
+
+const person = (area, phone = "0712 345 678") => ({ fullName: "Achieng Odhiambo", phone, campus: "northgate", area, consentContact: true });
+
+// What src/storage/challenge.js does in the browser
+function solve({ token, difficulty }) {
+  for (let answer = 0; ; answer++) {
+    const hex = createHash("sha256").update(`${token}:${answer}`).digest("hex");
+    if (parseInt(hex.slice(0, 8), 16) >>> (32 - difficulty) === 0) return { token, answer: String(answer) };
+  }
+}
+
+describe("abuse protection", () => {
+  it("turns away a filled honeypot and shows it to leaders without the IP", async () => {
+    const { storage, attempts, submit } = setup();
+    await expect(submit(person("Kileleshwa"), { guard: { token: issueFormToken({ now: NOW - 60_000 }), website: "http://spam.example" } }))
+      .rejects.toMatchObject({ status: 400 });
+    expect(await storage.list()).toEqual([]);
+
+    const [blocked] = await listAttempts({ attempts });
+    expect(blocked).toMatchObject({ reason: "honeypot", categoryId: "community-groups", name: "Achieng Odhiambo", phoneHint: "678" });
+    expect(JSON.stringify(blocked)).not.toContain(client.ip);
+  });
+
+  it("sets a proof-of-work challenge for a missing or too-quick token, and accepts it solved", async () => {
+    const { storage, submit } = setup();
+    const quick = issueFormToken({ now: NOW - MIN_FILL_MS + 1000 });
+    const error = await submit(person("Kileleshwa"), { guard: { token: quick } }).catch((e) => e);
+    expect(error).toMatchObject({ status: 428, details: { challenge: { token: expect.any(String), difficulty: 16 } } });
+    await expect(submit(person("Kileleshwa"), { guard: {} })).rejects.toMatchObject({ status: 428 });
+    await expect(submit(person("Kileleshwa"), { guard: { token: "forged.token.sig" } })).rejects.toMatchObject({ status: 428 });
+    await expect(submit(person("Kileleshwa"), { guard: { challenge: { token: error.details.challenge.token, answer: "nope" } } }))
+      .rejects.toMatchObject({ status: 428 });
+
+    const challenge = solve(error.details.challenge);
+    expect(await submit(person("Kileleshwa"), { guard: { challenge } })).toMatchObject({ status: "confirmed" });
+    expect(await storage.list()).toHaveLength(1);
+  });
+
+  it("takes each form token and solved challenge once", async () => {
+    const { storage, submit } = setup();
+    const token = issueFormToken({ now: NOW - 60_000 });
+    expect(await submit(person("Kileleshwa"), { guard: { token } })).toMatchObject({ status: "confirmed" });
+    const replayed = await submit(person("Lavington"), { guard: { token } }).catch((e) => e);
+    expect(replayed).toMatchObject({ status: 428 });
+
+    const challenge = solve(replayed.details.challenge);
+    expect(await submit(person("Lavington"), { guard: { challenge } })).toMatchObject({ status: "confirmed" });
+    await expect(submit(person("Westlands"), { guard: { challenge } })).rejects.toMatchObject({ status: 428 });
+    expect(await storage.list()).toHaveLength(2);
+  });
+
+  it("keeps the token for a resend after a 422", async () => {
+    const { storage, submit } = setup();
+    const token = issueFormToken({ now: NOW - 60_000 });
+    await expect(submit(person("Kileleshwa", "0712 345"), { guard: { token } })).rejects.toMatchObject({ status: 422 });
+    expect(await submit(person("Kileleshwa"), { guard: { token } })).toMatchObject({ status: "confirmed" });
+    expect(await storage.list()).toHaveLength(1);
+  });
+
+  it("logs each challenge for leaders and counts it towards the connection's limit", async () => {
+    const { attempts, submit } = setup();
+    for (let i = 0; i < LIMITS.ip.max; i++) await expect(submit(person("Kileleshwa"), { guard: {} })).rejects.toMatchObject({ status: 428 });
+    await expect(submit(person("Kileleshwa"), { guard: {} })).rejects.toMatchObject({ status: 429 });
+
+    const reasons = (await listAttempts({ attempts })).map((a) => a.reason);
+    expect(reasons.filter((r) => r === "challenge")).toHaveLength(LIMITS.ip.max);
+    expect(reasons).toContain("ip-rate");
+  });
+
+  it("refuses the same answers twice from one phone, but not after a cancellation", async () => {
+    const { storage, attempts, submit } = setup();
+    await submit(person("Kileleshwa"));
+    await expect(submit(person("Kileleshwa", "+254 712 345 678"))).rejects.toMatchObject({ status: 409 });
+    // A leader's follow-up doesn't settle a sign-up
+    const [first] = await storage.list();
+    await storage.update(first.id, { followUp: "placed" });
+    await expect(submit(person("Kileleshwa"))).rejects.toMatchObject({ status: 409 });
+    expect(await submit(person("Lavington"))).toMatchObject({ status: "confirmed" });
+    expect((await listAttempts({ attempts })).map((a) => a.reason)).toEqual(["duplicate", "duplicate"]);
+
+    await storage.update(first.id, { status: "cancelled" });
+    expect(await submit(person("Kileleshwa"))).toMatchObject({ status: "confirmed" });
+  });
+
+  it("rate-limits each phone number and each connection, with Retry-After", async () => {
+    const { submit } = setup();
+    for (let i = 0; i < LIMITS.phone.max; i++) await submit(person(`Estate ${i}`));
+    const error = await submit(person("One more")).catch((e) => e);
+    expect(error).toMatchObject({ status: 429, headers: { "Retry-After": "3600" } });
+    // An hour later the phone is welcome again
+    expect(await submit(person("One more"), { at: NOW + LIMITS.phone.windowMs })).toMatchObject({ status: "confirmed" });
+
+    const other = setup();
+    for (let i = 0; i < LIMITS.ip.max; i++) await other.submit(person("Parklands", `07120000${String(i).padStart(2, "0")}`));
+    await expect(other.submit(person("Parklands", "0799 999 999"))).rejects.toMatchObject({ status: 429 });
+    expect(await other.submit(person("Parklands", "0799 999 999"), { from: { ip: "198.51.100.1" } }))
+      .toMatchObject({ status: "confirmed" });
+  });
+});
@@ -0,0 +1,79 @@
+/* ================= Minimal HTTP helpers ================= */
+// Handlers are written against plain Node req/res so the same module runs
+// as a Vercel function (api/*.js) and under server/dev-server.js.
+
+const MAX_BODY = 64 * 1024;
+
+export class HttpError extends Error {
+  constructor(status, message, details, headers) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+    this.headers = headers; // e.g. { "Retry-After": "60" }
+  }
+}
+
+export function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  res.end(JSON.stringify(body));
+}
+
+export function query(req) {
+  return Object.fromEntries(new URL(req.url, "http://localhost").searchParams);
+}
+
+// The caller's address. Vercel sets X-Forwarded-For itself; the local
+// server only listens on localhost, so there's nobody to spoof it.
+export function clientIp(req) {
+  return (req.headers["x-forwarded-for"] || "").split(",")[0].trim() || req.socket?.remoteAddress || "unknown";
+}
+
+// "Authorization: Bearer <token>" → token, or "" when absent
+export function bearerToken(req) {
+  return (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+}
+
+// Vercel has already parsed JSON bodies into req.body; node:http hasn't
+export async function readJson(req) {
+  if (req.body !== undefined) {
+    if (typeof req.body !== "string") return req.body;
+    return parse(req.body);
+  }
+  let raw = "";
+  for await (const chunk of req) {
+    raw += chunk;
+    if (raw.length > MAX_BODY) throw new HttpError(413, "Request body is too large.");
+  }
+  return parse(raw);
+}
+
+function parse(raw) {
+  try { return JSON.parse(raw); }
+  catch (e) { void e; throw new HttpError(400, "Request body must be JSON."); }
+}
+
+// route({ GET, POST }) → (req, res) handler with JSON errors and a 405 for
+// anything else
+export function route(methods) {
+  return async (req, res) => {
+    const handle = methods[req.method];
+    if (!handle) {
+      res.setHeader("Allow", Object.keys(methods).join(", "));
+      return sendJson(res, 405, { error: `${req.method} is not allowed here.` });
+    }
+    try {
+      const [status, body] = await handle(req, res);
+      sendJson(res, status, body);
+    } catch (e) {
+      if (e instanceof HttpError) {
+        for (const [name, value] of Object.entries(e.headers || {})) res.setHeader(name, value);
+        return sendJson(res, e.status, { error: e.message, details: e.details });
+      }
+      console.error(e);
+      sendJson(res, 500, { error: "Something went wrong on our side. Please try again." });
+    }
+  };
+}
@@ -0,0 +1,19 @@
+import { createSmtpSink } from "./notify/smtp-sink.js";
+
+/* ================= Local mail sink ================= */
+// An SMTP server that keeps every message instead of delivering it:
+//   npm run dev:mail
+//   NOTIFY_EMAIL=smtp SMTP_HOST=localhost SMTP_PORT=2525 npm run dev:api
+// Messages land in .data/mail/ as .eml files.
+
+const PORT = Number(process.env.MAIL_SINK_PORT) || 2525;
+const DIR = process.env.MAIL_SINK_DIR || ".data/mail";
+
+const sink = createSmtpSink({
+  dir: DIR,
+  onMessage: ({ to, file }) => console.log(`Mail for ${to.join(", ")} → ${file}`),
+});
+
+sink.listen(PORT, "localhost", () => {
+  console.log(`Mail sink on smtp://localhost:${PORT} (saving to ${DIR})`);
+});
@@ -0,0 +1,38 @@
+import { mkdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { formatEmail } from "./message.js";
+
+/* ================= File outbox ================= */
+// Local development: instead of sending anything, each email is written to
+// .data/outbox/ as an .eml file (open it in any mail client) and each SMS
+// as a .txt file. .data/ is git-ignored.
+
+const stamp = (now) => now.toISOString().replace(/[:.]/g, "-");
+let counter = 0;
+
+async function save(dir, ext, contents, now = new Date()) {
+  await mkdir(dir, { recursive: true });
+  counter = (counter + 1) % 1000;
+  const file = join(dir, `${stamp(now)}-${String(counter).padStart(3, "0")}.${ext}`);
+  await writeFile(file, contents);
+  return file;
+}
+
+export function createFileMailer({ dir = ".data/outbox", from } = {}) {
+  return {
+    name: `file (${dir})`,
+    async send(message) {
+      const { id, raw } = formatEmail({ from, ...message });
+      return { id, file: await save(dir, "eml", raw) };
+    },
+  };
+}
+
+export function createFileSms({ dir = ".data/outbox" } = {}) {
+  return {
+    name: `file (${dir})`,
+    async send({ to, text }) {
+      return { file: await save(dir, "sms.txt", `To: ${to}\n\n${text}\n`) };
+    },
+  };
+}
@@ -0,0 +1,157 @@
+import { campusName } from "../catalog.js";
+import { activeFields, displayValue } from "../../src/forms/validation.js";
+import { SITE_URL, siteUrlFrom } from "../../src/site.js";
+import { createFileMailer, createFileSms } from "./file.js";
+import { createMemoryChannel } from "./memory.js";
+import { createSmtpMailer } from "./smtp.js";
+import { createAfricasTalkingSms, kenyanMobile } from "./sms.js";
+import { localizedNames, templatesFor } from "./templates.js";
+
+/* ================= Sign-up notifications ================= */
+// Once a sign-up is stored, the registrant gets a confirmation by email
+// (and by SMS when they gave a Kenyan mobile) and the category's contacts
+// get an alert. A channel is any object with send(message) → Promise:
+//   email: { to, subject, text, replyTo? }
+//   sms:   { to, text }
+// NOTIFY_EMAIL (file | smtp | memory | off) and NOTIFY_SMS (file |
+// africastalking | memory | off) pick them. By default SMTP_HOST or
+// AT_API_KEY switch on the real providers; otherwise messages go to the
+// .data/outbox/ files locally and nowhere on Vercel.
+
+export { createFileMailer, createFileSms, createMemoryChannel, createSmtpMailer, createAfricasTalkingSms, kenyanMobile };
+
+const DEFAULT_FROM = "Parklands Baptist Church <no-reply@parklandsbaptist.org>";
+
+let channels = null;
+
+function emailFromEnv(env) {
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+  const kind = env.NOTIFY_EMAIL || (env.SMTP_HOST ? "smtp" : env.VERCEL ? "off" : "file");
+  if (kind === "off") return null;
+  if (kind === "memory") return createMemoryChannel();
+  if (kind === "file") return createFileMailer({ dir: env.NOTIFY_OUTBOX_DIR, from });
+  if (kind === "smtp") {
+    if (!env.SMTP_HOST) throw new Error("NOTIFY_EMAIL=smtp needs SMTP_HOST.");
+    const secure = env.SMTP_SECURE === "true";
+    return createSmtpMailer({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT ? Number(env.SMTP_PORT) : undefined,
+      secure,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from,
+    });
+  }
+  throw new Error(`Unknown NOTIFY_EMAIL "${kind}" (expected file, smtp, memory or off).`);
+}
+
+function smsFromEnv(env) {
+  const kind = env.NOTIFY_SMS || (env.AT_API_KEY ? "africastalking" : env.VERCEL ? "off" : "file");
+  if (kind === "off") return null;
+  if (kind === "memory") return createMemoryChannel();
+  if (kind === "file") return createFileSms({ dir: env.NOTIFY_OUTBOX_DIR });
+  if (kind === "africastalking") {
+    if (!env.AT_USERNAME || !env.AT_API_KEY) throw new Error("NOTIFY_SMS=africastalking needs AT_USERNAME and AT_API_KEY.");
+    return createAfricasTalkingSms({ username: env.AT_USERNAME, apiKey: env.AT_API_KEY, senderId: env.AT_SENDER_ID });
+  }
+  throw new Error(`Unknown NOTIFY_SMS "${kind}" (expected file, africastalking, memory or off).`);
+}
+
+// { email, sms }; either may be null (switched off)
+export function getNotifier() {
+  return (channels ??= { email: emailFromEnv(process.env), sms: smsFromEnv(process.env) });
+}
+
+export function setNotifier(next) {
+  channels = next;
+}
+
+/* ================= Messages ================= */
+const LEADER_FIELDS = ["fullName", "phone", "email"];
+const firstValue = (fields, values, type) => fields.filter((f) => f.type === type).map((f) => values[f.name]).find(Boolean);
+
+function contactsFor(category, campus) {
+  return category.campusOverrides?.[campus]?.contacts ?? category.contacts ?? [];
+}
+
+function describeContact(contact) {
+  if (!contact) return "reception@parklandsbaptist.org";
+  const via = [contact.email, contact.phone].filter(Boolean).join(", ");
+  return `${contact.role} (${via})`;
+}
+
+// Everything that would be sent for `record`, without sending it
+export function buildNotifications(category, record, { locale = "en", siteUrl = SITE_URL } = {}) {
+  const { values } = record;
+  const fields = activeFields(category.form.fields, category.form.steps, values);
+  const contacts = contactsFor(category, values.campus);
+  const reference = record.id.slice(0, 8).toUpperCase();
+  const name = String(values.fullName ?? "").trim().split(/\s+/)[0];
+  const waitlisted = record.status === "waitlisted";
+
+  // Registrant, in their language
+  const t = templatesFor(category.id, locale);
+  const names = localizedNames(category, locale);
+  const slot = record.slot && category.slots?.find((s) => s.id === record.slot);
+  const params = {
+    name,
+    title: names.title,
+    slotLine: slot ? t(waitlisted ? "slotLine.waitlist" : "slotLine", { slot: names.slotLabel(slot) }) : "",
+    contact: describeContact(contacts[0]),
+    reference,
+    link: `${siteUrl}/signup/${category.id}`,
+  };
+  const kind = waitlisted ? "waitlisted" : "confirmed";
+  const email = firstValue(fields, values, "email");
+  const phone = fields.filter((f) => f.type === "phone").map((f) => kenyanMobile(values[f.name])).find(Boolean);
+
+  // Leaders, in English: who, how to reach them and when. The other answers
+  // (children's medical notes, who may collect them…) stay in /admin rather
+  // than being copied into inboxes.
+  const en = templatesFor(category.id, "en");
+  const summary = fields
+    .filter((f) => LEADER_FIELDS.includes(f.name) || f.type === "slot")
+    .map((f) => `${f.label}: ${displayValue(f, values[f.name])}`).join("\n");
+  const leaderEmails = [...new Set(contacts.map((c) => c.email).filter(Boolean))];
+
+  return {
+    email: email ? { to: email, subject: t(`email.${kind}.subject`, params), text: t(`email.${kind}.text`, params), replyTo: contacts.find((c) => c.email)?.email } : null,
+    sms: phone ? { to: phone, text: t(`sms.${kind}`, params) } : null,
+    leader: leaderEmails.length ? {
+      to: leaderEmails,
+      subject: en("leader.subject", { title: category.title, status: record.status, name: String(values.fullName ?? "").trim() }),
+      text: en("leader.text", {
+        title: category.title,
+        status: record.status,
+        campus: values.campus ? campusName(values.campus) : "—",
+        reference,
+        summary,
+        adminLink: `${siteUrl}/admin`,
+      }),
+      replyTo: email || undefined,
+    } : null,
+  };
+}
+
+// Sends what buildNotifications() produced. A failed or switched-off
+// channel never fails the sign-up: each message reports "sent", "skipped"
+// or "failed" (failures are logged). `to` has the registrant's addresses.
+export async function sendSignupNotifications(category, record, { notifier = getNotifier(), locale, siteUrl = siteUrlFrom(process.env) } = {}) {
+  const messages = buildNotifications(category, record, { locale, siteUrl });
+  const deliver = async (channel, message, label) => {
+    if (!channel || !message) return "skipped";
+    try {
+      await channel.send(message);
+      return "sent";
+    } catch (e) {
+      console.error(`Couldn't send the ${label} for sign-up ${record.id}:`, e.message);
+      return "failed";
+    }
+  };
+  const [email, sms, leader] = await Promise.all([
+    deliver(notifier.email, messages.email, "confirmation email"),
+    deliver(notifier.sms, messages.sms, "confirmation SMS"),
+    deliver(notifier.email, messages.leader, "leader alert"),
+  ]);
+  return { email, sms, leader, to: { email: messages.email?.to ?? null, sms: messages.sms?.to ?? null } };
+}
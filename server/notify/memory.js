@@ -0,0 +1,15 @@
+/* ================= In-memory channel ================= */
+// For tests (and NOTIFY_EMAIL/NOTIFY_SMS=memory): nothing leaves the
+// process; messages pile up in `sent`.
+
+export function createMemoryChannel() {
+  const sent = [];
+  return {
+    name: "memory",
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { id: String(sent.length) };
+    },
+  };
+}
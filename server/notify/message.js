@@ -0,0 +1,44 @@
+import { randomUUID } from "node:crypto";
+
+/* ================= Email formatting ================= */
+// Plain-text RFC 5322 messages, shared by the SMTP client, the file outbox
+// and the local SMTP sink. Bodies are UTF-8 sent as 8bit; header text
+// outside ASCII is RFC 2047 encoded.
+
+const ASCII_RE = /^[\x20-\x7e]*$/;
+
+export function encodeHeader(value) {
+  return ASCII_RE.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+// "Name <a@b.c>" or "a@b.c" → "a@b.c"
+export function addressOf(mailbox) {
+  const m = /<([^>]+)>\s*$/.exec(mailbox);
+  return (m ? m[1] : mailbox).trim();
+}
+
+function mailboxHeader(mailbox) {
+  const m = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(mailbox);
+  if (!m || !m[1]) return addressOf(mailbox);
+  const name = m[1].replace(/^"|"$/g, "");
+  return `${ASCII_RE.test(name) ? `"${name.replace(/["\\]/g, "\\$&")}"` : encodeHeader(name)} <${m[2]}>`;
+}
+
+// { from, to, subject, text, replyTo? } → { id, raw }
+export function formatEmail({ from, to, subject, text, replyTo }, { now = new Date() } = {}) {
+  const recipients = [].concat(to);
+  const id = `<${randomUUID()}@${addressOf(from).split("@")[1] || "localhost"}>`;
+  const headers = [
+    `From: ${mailboxHeader(from)}`,
+    `To: ${recipients.map(mailboxHeader).join(", ")}`,
+    ...(replyTo ? [`Reply-To: ${mailboxHeader(replyTo)}`] : []),
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${now.toUTCString().replace("GMT", "+0000")}`,
+    `Message-ID: ${id}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+  ];
+  const body = text.replace(/\r?\n/g, "\r\n");
+  return { id, raw: `${headers.join("\r\n")}\r\n\r\n${body}\r\n` };
+}
@@ -0,0 +1,145 @@
+import { mkdtemp, readFile, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { getCategory } from "../catalog.js";
+import { submitSignup } from "../signups.js";
+import { createMemoryStorage } from "../storage/index.js";
+import {
+  buildNotifications, createAfricasTalkingSms, createFileMailer, createFileSms, createMemoryChannel, createSmtpMailer,
+  kenyanMobile,
+} from "./index.js";
+import { createSmtpSink } from "./smtp-sink.js";
+
+const YOUTH = {
+  categoryId: "youth-ministry",
+  values: {
+    fullName: "Amani Otieno", phone: "0712 345 678", email: "amani@example.com", campus: "northgate", consentContact: true,
+    slot: { slot: "saturday-youth", waitlist: false },
+    youth: [{ name: "Amani Otieno", dob: `${new Date().getFullYear() - 15}-01-01`, allergies: "Peanuts", medical: "Carries an asthma inhaler" }], consent: true, medicalConsent: true,
+  },
+};
+
+const memoryNotifier = () => ({ email: createMemoryChannel(), sms: createMemoryChannel() });
+
+describe("kenyanMobile", () => {
+  it.each([
+    ["0712 345 678", "+254712345678"],
+    ["254 110 123456", "+254110123456"],
+    ["+254-712-345-678", "+254712345678"],
+    ["+44 20 7946 0958", null],
+    ["020 123 4567", null],
+  ])("%s → %s", (input, expected) => {
+    expect(kenyanMobile(input)).toBe(expected);
+  });
+});
+
+describe("sign-up notifications", () => {
+  it("confirms by email and SMS and alerts the campus's contacts", async () => {
+    const notifier = memoryNotifier();
+    const result = await submitSignup(YOUTH, { storage: createMemoryStorage(), notifier });
+
+    expect(result.confirmations).toEqual({ email: "amani@example.com", sms: "+254712345678" });
+    const [confirmation, alert] = notifier.email.sent;
+    expect(confirmation).toMatchObject({ to: "amani@example.com", subject: "You're signed up: Youth Ministry" });
+    expect(confirmation.text).toContain("Hi Amani,");
+    expect(confirmation.text).toContain("Time: Saturday youth (2:00 pm)");
+    expect(confirmation.text).toContain(`Reference: ${result.id.slice(0, 8).toUpperCase()}`);
+
+    expect(alert.to).toEqual(["reception@parklandsbaptist.org"]);
+    expect(alert.replyTo).toBe("amani@example.com");
+    expect(alert.text).toContain("Campus: Northgate");
+    expect(alert.text).toContain("Preferred session: Saturday youth (2:00 pm)");
+    expect(alert.text).toContain("Phone number: 0712 345 678");
+    // Medical and safeguarding answers stay in /admin
+    expect(alert.text).not.toMatch(/Peanuts|asthma|Medical notes/);
+    expect(alert.text).toContain("/admin");
+
+    expect(notifier.sms.sent).toEqual([{ to: "+254712345678", text: expect.stringContaining("you're signed up for Youth Ministry") }]);
+  });
+
+  it("writes to the registrant in Kiswahili and to leaders in English", async () => {
+    const notifier = memoryNotifier();
+    await submitSignup({ ...YOUTH, locale: "sw" }, { storage: createMemoryStorage(), notifier });
+    const [confirmation, alert] = notifier.email.sent;
+    expect(confirmation.subject).toBe("Umejiandikisha: Huduma ya Vijana");
+    expect(confirmation.text).toContain("Habari Amani,");
+    expect(alert.subject).toBe("New sign-up: Youth Ministry (confirmed) — Amani Otieno");
+  });
+
+  it("uses a category's own template and says so when waitlisted", () => {
+    const category = getCategory("childrens-ministry");
+    const base = { id: "abcdef12-0000", slot: null, values: { fullName: "Wanjiru", email: "w@example.com" } };
+    expect(buildNotifications(category, { ...base, status: "confirmed" }).email.text).toContain("children's check-in desk");
+    const waitlisted = buildNotifications(getCategory("youth-ministry"), { ...base, status: "waitlisted", slot: "sunday-youth" });
+    expect(waitlisted.email.subject).toBe("You're on the waitlist: Youth Ministry");
+    expect(waitlisted.email.text).toContain("Waitlisted for: Sunday youth class (10:30 am)");
+    expect(waitlisted.sms).toBeNull();
+  });
+
+  it("skips SMS for non-Kenyan numbers and never fails the sign-up", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const notifier = { email: { send: () => Promise.reject(new Error("relay down")) }, sms: createMemoryChannel() };
+    const result = await submitSignup(
+      { ...YOUTH, values: { ...YOUTH.values, phone: "+44 20 7946 0958" } },
+      { storage: createMemoryStorage(), notifier }
+    );
+    expect(result.status).toBe("confirmed");
+    expect(result.confirmations).toEqual({ email: null, sms: null });
+    expect(notifier.sms.sent).toEqual([]);
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe("channels", () => {
+  let dir;
+  afterEach(async () => { if (dir) await rm(dir, { recursive: true, force: true }); dir = null; });
+
+  it("writes .eml and SMS files to the outbox", async () => {
+    dir = await mkdtemp(join(tmpdir(), "pbc-outbox-"));
+    await createFileMailer({ dir, from: "PBC <no-reply@example.org>" }).send({ to: "a@example.com", subject: "Karibu — welcome", text: "Hello\nthere" });
+    await createFileSms({ dir }).send({ to: "+254712345678", text: "Hi" });
+    const files = (await readdir(dir)).sort();
+    expect(files.map((f) => f.replace(/^.*-\d{3}\./, ""))).toEqual(["eml", "sms.txt"]);
+    const eml = await readFile(join(dir, files[0]), "utf8");
+    expect(eml).toContain("To: a@example.com\r\n");
+    expect(eml).toContain(`Subject: =?UTF-8?B?${Buffer.from("Karibu — welcome").toString("base64")}?=`);
+    expect(eml).toMatch(/\r\n\r\nHello\r\nthere\r\n$/);
+  });
+
+  it("delivers over SMTP to the local sink", async () => {
+    const received = [];
+    const sink = createSmtpSink({ dir: null, onMessage: (m) => received.push(m) });
+    await new Promise((resolve) => sink.listen(0, "127.0.0.1", resolve));
+    try {
+      const mailer = createSmtpMailer({
+        host: "127.0.0.1", port: sink.address().port, user: "dev", pass: "dev", from: "PBC <no-reply@example.org>",
+      });
+      await mailer.send({ to: ["a@example.com", "Leader <b@example.com>"], subject: "Test", text: "Line one\n.leading dot" });
+      expect(received).toHaveLength(1);
+      expect(received[0].from).toBe("no-reply@example.org");
+      expect(received[0].to).toEqual(["a@example.com", "b@example.com"]);
+      expect(received[0].raw).toContain('From: "PBC" <no-reply@example.org>');
+      expect(received[0].raw).toContain("\r\n\r\nLine one\r\n.leading dot\r\n");
+    } finally {
+      await new Promise((resolve) => sink.close(resolve));
+    }
+  });
+
+  it("posts to Africa's Talking and reports rejected numbers", async () => {
+    const fetch = vi.fn(async () => new Response(JSON.stringify({
+      SMSMessageData: { Recipients: [{ statusCode: 101, status: "Success", messageId: "ATXid_1" }] },
+    }), { status: 201 }));
+    const sms = createAfricasTalkingSms({ username: "sandbox", apiKey: "key", senderId: "PBC", fetch });
+    expect(await sms.send({ to: "+254712345678", text: "Hi" })).toEqual({ id: "ATXid_1" });
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe("https://api.sandbox.africastalking.com/version1/messaging");
+    expect(init.headers.apiKey).toBe("key");
+    expect(Object.fromEntries(new URLSearchParams(init.body))).toEqual({ username: "sandbox", to: "+254712345678", message: "Hi", from: "PBC" });
+
+    fetch.mockResolvedValueOnce(new Response(JSON.stringify({
+      SMSMessageData: { Recipients: [{ statusCode: 403, status: "InvalidPhoneNumber" }] },
+    }), { status: 201 }));
+    await expect(sms.send({ to: "+254700000000", text: "Hi" })).rejects.toThrow("InvalidPhoneNumber");
+  });
+});
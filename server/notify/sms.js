@@ -0,0 +1,50 @@
+import { normalizePhone } from "../../src/forms/validation.js";
+
+/* ================= SMS ================= */
+// SMS only goes to Kenyan mobiles. Forms accept 07xx/01xx, 2547xx and
+// +2547xx; providers want E.164.
+
+const KE_MOBILE_RE = /^(?:\+?254|0)([17]\d{8})$/;
+
+// "0712 345 678" → "+254712345678"; anything else → null
+export function kenyanMobile(value) {
+  const m = KE_MOBILE_RE.exec(normalizePhone(value));
+  return m ? `+254${m[1]}` : null;
+}
+
+export class SmsError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "SmsError";
+    this.status = status;
+  }
+}
+
+// Africa's Talking bulk SMS (the usual gateway in Kenya). username
+// "sandbox" talks to their simulator. Per-recipient status codes 100–102
+// mean processed, sent or queued; anything else (invalid number, low
+// balance…) is a failure.
+const AT_ACCEPTED = new Set([100, 101, 102]);
+
+export function createAfricasTalkingSms({ username, apiKey, senderId, fetch = globalThis.fetch }) {
+  const host = username === "sandbox" ? "api.sandbox.africastalking.com" : "api.africastalking.com";
+  return {
+    name: `africastalking (${username})`,
+    async send({ to, text }) {
+      const form = new URLSearchParams({ username, to, message: text });
+      if (senderId) form.set("from", senderId);
+      const res = await fetch(`https://${host}/version1/messaging`, {
+        method: "POST",
+        headers: { apiKey, Accept: "application/json", "Content-Type": "application/x-www-form-urlencoded" },
+        body: form.toString(),
+      });
+      const body = await res.json().catch(() => null);
+      if (!res.ok) throw new SmsError(`Africa's Talking answered ${res.status}.`, res.status);
+      const recipient = body?.SMSMessageData?.Recipients?.[0];
+      if (!AT_ACCEPTED.has(recipient?.statusCode)) {
+        throw new SmsError(`SMS to ${to} was rejected: ${recipient?.status ?? body?.SMSMessageData?.Message ?? "no recipient"}.`);
+      }
+      return { id: recipient.messageId };
+    },
+  };
+}
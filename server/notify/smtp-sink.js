@@ -0,0 +1,71 @@
+import { createServer } from "node:net";
+import { mkdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+/* ================= Local SMTP sink ================= */
+// Accepts any message from anyone and delivers nothing: each one is saved
+// as an .eml file in `dir` and passed to onMessage. Enough SMTP for our own
+// client and for most mail libraries (EHLO, AUTH accepted blindly, DATA).
+// Never expose it beyond localhost.
+
+export function createSmtpSink({ dir = ".data/mail", onMessage } = {}) {
+  let count = 0;
+
+  async function deliver(envelope, raw) {
+    count += 1;
+    const file = dir ? join(dir, `${new Date().toISOString().replace(/[:.]/g, "-")}-${count}.eml`) : null;
+    if (file) {
+      await mkdir(dir, { recursive: true });
+      await writeFile(file, raw);
+    }
+    onMessage?.({ ...envelope, raw, file });
+  }
+
+  return createServer((socket) => {
+    let buffer = "";
+    let envelope = { from: null, to: [] };
+    let data = null; // lines of the message while in DATA
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    function onLine(line) {
+      if (data) {
+        if (line !== ".") { data.push(line.startsWith("..") ? line.slice(1) : line); return; }
+        const raw = `${data.join("\r\n")}\r\n`;
+        const env = envelope;
+        data = null;
+        envelope = { from: null, to: [] };
+        deliver(env, raw).then(() => reply("250 2.0.0 Saved"), (e) => reply(`451 4.3.0 ${e.message}`));
+        return;
+      }
+      const [verb] = line.split(" ", 1);
+      const arg = line.slice(verb.length + 1);
+      switch (verb.toUpperCase()) {
+        case "EHLO": return reply("250-localhost\r\n250-8BITMIME\r\n250-AUTH PLAIN LOGIN\r\n250 SMTPUTF8");
+        case "HELO": return reply("250 localhost");
+        case "AUTH": return reply("235 2.7.0 Accepted");
+        case "MAIL": envelope = { from: /<([^>]*)>/.exec(arg)?.[1] ?? "", to: [] }; return reply("250 2.1.0 OK");
+        case "RCPT": envelope.to.push(/<([^>]*)>/.exec(arg)?.[1] ?? ""); return reply("250 2.1.5 OK");
+        case "DATA":
+          if (!envelope.to.length) return reply("554 5.5.1 No recipients");
+          data = [];
+          return reply("354 End data with <CR><LF>.<CR><LF>");
+        case "RSET": envelope = { from: null, to: [] }; return reply("250 2.0.0 OK");
+        case "NOOP": return reply("250 2.0.0 OK");
+        case "QUIT": reply("221 2.0.0 Bye"); return socket.end();
+        default: return reply("502 5.5.2 Command not implemented");
+      }
+    }
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let i;
+      while ((i = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        onLine(line);
+      }
+    });
+    socket.on("error", () => {});
+    reply("220 localhost PBC mail sink");
+  });
+}
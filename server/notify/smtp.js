@@ -0,0 +1,133 @@
+import { connect as connectTcp } from "node:net";
+import { connect as connectTls } from "node:tls";
+import { addressOf, formatEmail } from "./message.js";
+
+/* ================= SMTP mailer ================= */
+// A small SMTP client on node:net/tls, enough for a relay such as Gmail,
+// Microsoft 365 or Mailgun: implicit TLS (`secure`, port 465) or STARTTLS
+// when the server offers it, then AUTH PLAIN. Credentials are never sent
+// over an unencrypted connection except to localhost (the dev sink).
+
+const LOCAL_HOSTS = new Set(["localhost", "127.0.0.1", "::1"]);
+
+export class SmtpError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "SmtpError";
+    this.code = code;
+  }
+}
+
+// Reads multi-line replies ("250-…" … "250 …") off a socket, one at a time
+function replies(socket) {
+  let buffer = "";
+  let lines = [];
+  const ready = [];
+  const waiting = [];
+  let failure = null;
+
+  const deliver = (reply) => (waiting.length ? waiting.shift().resolve(reply) : ready.push(reply));
+  const fail = (e) => {
+    failure ??= e;
+    while (waiting.length) waiting.shift().reject(failure);
+  };
+
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("latin1");
+    let i;
+    while ((i = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      lines.push(line);
+      if (line[3] === "-") continue;
+      deliver({ code: Number(line.slice(0, 3)), lines: lines.map((l) => l.slice(4)) });
+      lines = [];
+    }
+  });
+  socket.on("error", fail);
+  socket.on("close", () => fail(new SmtpError("SMTP connection closed unexpectedly.")));
+
+  return {
+    next() {
+      if (ready.length) return Promise.resolve(ready.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    detach() {
+      socket.removeAllListeners("data");
+      socket.removeAllListeners("error");
+      socket.removeAllListeners("close");
+    },
+  };
+}
+
+function open(options, secure) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ? connectTls(options) : connectTcp(options);
+    socket.once(secure ? "secureConnect" : "connect", () => {
+      socket.off("error", reject);
+      resolve(socket);
+    });
+    socket.once("error", reject);
+  });
+}
+
+export function createSmtpMailer({ host, port, secure = false, user, pass, from, heloName = "localhost", timeout = 15_000 }) {
+  port ??= secure ? 465 : 587;
+
+  async function send(message) {
+    const { id, raw } = formatEmail({ from, ...message });
+    const recipients = [].concat(message.to).map(addressOf);
+
+    let socket = await open({ host, port, servername: host }, secure);
+    socket.setTimeout(timeout, () => socket.destroy(new SmtpError(`SMTP server ${host}:${port} timed out.`)));
+    let reader = replies(socket);
+    let encrypted = secure;
+
+    async function expect(codes, step) {
+      const reply = await reader.next();
+      if (!codes.includes(reply.code)) throw new SmtpError(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(" ")}`, reply.code);
+      return reply;
+    }
+    async function command(line, codes, step = line.split(" ")[0]) {
+      socket.write(`${line}\r\n`);
+      return expect(codes, step);
+    }
+
+    try {
+      await expect([220], "greeting");
+      let caps = (await command(`EHLO ${heloName}`, [250])).lines.map((l) => l.toUpperCase());
+
+      if (!encrypted && caps.includes("STARTTLS")) {
+        await command("STARTTLS", [220]);
+        reader.detach();
+        socket = await open({ socket, servername: host }, true);
+        reader = replies(socket);
+        encrypted = true;
+        caps = (await command(`EHLO ${heloName}`, [250])).lines.map((l) => l.toUpperCase());
+      }
+
+      if (user) {
+        if (!encrypted && !LOCAL_HOSTS.has(host)) {
+          throw new SmtpError(`${host} doesn't offer STARTTLS; not sending the password unencrypted.`);
+        }
+        const token = Buffer.from(`\0${user}\0${pass ?? ""}`, "utf8").toString("base64");
+        await command(`AUTH PLAIN ${token}`, [235], "AUTH");
+      }
+
+      const body = caps.includes("8BITMIME") ? " BODY=8BITMIME" : "";
+      await command(`MAIL FROM:<${addressOf(from)}>${body}`, [250], "MAIL FROM");
+      for (const rcpt of recipients) await command(`RCPT TO:<${rcpt}>`, [250, 251], "RCPT TO");
+      await command("DATA", [354]);
+      // Dot-stuff lines that start with "." (RFC 5321 §4.5.2)
+      socket.write(`${raw.replace(/^\./gm, "..")}.\r\n`);
+      await expect([250], "DATA");
+      await command("QUIT", [221]).catch(() => {});
+      return { id };
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  return { name: `smtp (${host}:${port})`, send };
+}
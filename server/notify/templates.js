@@ -0,0 +1,83 @@
+import swCatalog from "../../src/i18n/catalog/sw.json" with { type: "json" };
+import { createTranslator } from "../../src/i18n/translate.js";
+
+/* ================= Notification templates ================= */
+// Flat message maps in the same "{param}" format as the app's i18n. The
+// registrant gets their sign-up's language (en or sw); leaders always get
+// English. CATEGORY_TEMPLATES overrides individual keys per category.
+//
+// Params: name, title, slotLine, contact, reference and link; leaders also
+// get status, campus, summary (name, phone, email and time only) and adminLink.
+
+export const TEMPLATES = {
+  en: {
+    "email.confirmed.subject": "You're signed up: {title}",
+    "email.confirmed.text":
+      "Hi {name},\n\nThank you for signing up for {title}. We've received your details and someone from the team will be in touch soon.\n{slotLine}\nQuestions? Contact {contact}.\n\nReference: {reference}\n{link}\n\nParklands Baptist Church",
+    "email.waitlisted.subject": "You're on the waitlist: {title}",
+    "email.waitlisted.text":
+      "Hi {name},\n\nThank you for signing up for {title}. The time you picked is full, so you're on the waitlist. We'll contact you as soon as a place opens up.\n{slotLine}\nQuestions? Contact {contact}.\n\nReference: {reference}\n{link}\n\nParklands Baptist Church",
+    "sms.confirmed": "PBC: Hi {name}, you're signed up for {title}. Ref {reference}. We'll be in touch soon.",
+    "sms.waitlisted": "PBC: Hi {name}, you're on the waitlist for {title}. Ref {reference}. We'll contact you if a place opens up.",
+    "slotLine": "Time: {slot}\n",
+    "slotLine.waitlist": "Waitlisted for: {slot}\n",
+    "leader.subject": "New sign-up: {title} ({status}) — {name}",
+    "leader.text": "A new sign-up for {title} has come in.\n\nStatus: {status}\nCampus: {campus}\nReference: {reference}\n\n{summary}\n\nSee the full answers and follow up at {adminLink}",
+  },
+  sw: {
+    "email.confirmed.subject": "Umejiandikisha: {title}",
+    "email.confirmed.text":
+      "Habari {name},\n\nAsante kwa kujiandikisha kwa {title}. Tumepokea taarifa zako na mtu kutoka kwa timu atawasiliana nawe hivi karibuni.\n{slotLine}\nMaswali? Wasiliana na {contact}.\n\nKumbukumbu: {reference}\n{link}\n\nParklands Baptist Church",
+    "email.waitlisted.subject": "Uko kwenye orodha ya kusubiri: {title}",
+    "email.waitlisted.text":
+      "Habari {name},\n\nAsante kwa kujiandikisha kwa {title}. Muda uliochagua umejaa, kwa hivyo uko kwenye orodha ya kusubiri. Tutawasiliana nawe nafasi ikipatikana.\n{slotLine}\nMaswali? Wasiliana na {contact}.\n\nKumbukumbu: {reference}\n{link}\n\nParklands Baptist Church",
+    "sms.confirmed": "PBC: Habari {name}, umejiandikisha kwa {title}. Kumb. {reference}. Tutawasiliana nawe hivi karibuni.",
+    "sms.waitlisted": "PBC: Habari {name}, uko kwenye orodha ya kusubiri ya {title}. Kumb. {reference}. Tutawasiliana nawe nafasi ikipatikana.",
+    "slotLine": "Muda: {slot}\n",
+    "slotLine.waitlist": "Unasubiri: {slot}\n",
+  },
+};
+
+export const CATEGORY_TEMPLATES = {
+  "childrens-ministry": {
+    en: {
+      "email.confirmed.text":
+        "Hi {name},\n\nThank you for registering your children for Children's Ministry. On their first Sunday, please come to the children's check-in desk 15 minutes before the service with your check-in summary (printed or on your phone) so we can meet you and print name tags.\n{slotLine}\nQuestions? Contact {contact}.\n\nReference: {reference}\n{link}\n\nParklands Baptist Church",
+    },
+    sw: {
+      "email.confirmed.text":
+        "Habari {name},\n\nAsante kwa kuwasajili watoto wako kwa Huduma ya Watoto. Jumapili yao ya kwanza, tafadhali fika kwenye dawati la watoto dakika 15 kabla ya ibada na muhtasari wako wa kuingia (uliochapishwa au kwenye simu) ili tuwafahamu na kuchapisha vibandiko vya majina.\n{slotLine}\nMaswali? Wasiliana na {contact}.\n\nKumbukumbu: {reference}\n{link}\n\nParklands Baptist Church",
+    },
+  },
+  "baptism-membership": {
+    en: {
+      "email.confirmed.text":
+        "Hi {name},\n\nThank you for taking a step towards baptism or membership. Membercare will contact you with the dates of the next membership class, which runs over two Sunday afternoons.\n\nQuestions? Contact {contact}.\n\nReference: {reference}\n{link}\n\nParklands Baptist Church",
+    },
+    sw: {
+      "email.confirmed.text":
+        "Habari {name},\n\nAsante kwa kuchukua hatua kuelekea ubatizo au uanachama. Idara ya Membercare itawasiliana nawe kuhusu tarehe za darasa lijalo la uanachama, linalofanyika Jumapili mbili mchana.\n\nMaswali? Wasiliana na {contact}.\n\nKumbukumbu: {reference}\n{link}\n\nParklands Baptist Church",
+    },
+  },
+};
+
+export const TEMPLATE_LOCALES = Object.keys(TEMPLATES);
+
+// Titles and slot labels for the registrant's language
+const CATEGORY_TRANSLATIONS = { sw: swCatalog.categories };
+
+export function localizedNames(category, locale) {
+  const tr = CATEGORY_TRANSLATIONS[locale]?.[category.id] ?? {};
+  return {
+    title: tr.title ?? category.title,
+    slotLabel: (slot) => tr.slots?.[slot.id] ?? slot.label,
+  };
+}
+
+export function templatesFor(categoryId, locale = "en") {
+  const override = CATEGORY_TEMPLATES[categoryId] ?? {};
+  const catalogs = Object.fromEntries(
+    TEMPLATE_LOCALES.map((l) => [l, { ...TEMPLATES[l], ...override[l] }])
+  );
+  return createTranslator(catalogs, TEMPLATE_LOCALES.includes(locale) ? locale : "en");
+}
@@ -0,0 +1,85 @@
+import { randomUUID } from "node:crypto";
+import { PRIVACY, getCategory, retentionDays } from "./catalog.js";
+import { logAccepted, screenAnswers, screenRequest } from "./guard.js";
+import { HttpError } from "./http.js";
+import { getAttemptLog, getRequestStore, getStorage } from "./storage/index.js";
+import { validateForm } from "../src/forms/validation.js";
+
+/* ================= Data requests + retention (Kenya DPA) ================= */
+// People can ask for a copy of, a correction to, or the deletion of what we
+// hold about them (POST /api/privacy). Requests wait in /admin until a
+// leader has dealt with them; the law gives us 30 days.
+//
+// purgeExpired() deletes sign-ups once their category's retention period
+// has passed since the last change, and trims the attempt log and old,
+// closed requests. A daily cron calls it (vercel.json).
+
+export const REQUEST_KINDS = ["export", "correct", "delete"];
+export const DETAILS_MAX = 2000;
+export const ATTEMPT_DAYS = 30;
+export const CLOSED_REQUEST_DAYS = 365;
+const DAY_MS = 86_400_000;
+
+const REQUEST_FIELDS = [
+  { name: "fullName", label: "Full name", type: "text", required: true },
+  { name: "phone", label: "Phone number", type: "phone", required: true },
+  { name: "email", label: "Email", type: "email" },
+  { name: "details", label: "Details", type: "textarea", maxLength: DETAILS_MAX },
+];
+
+const text = (v) => (typeof v === "string" ? v.trim() : "");
+
+// `client` turns on the same abuse checks as sign-ups (server/guard.js)
+export async function submitDataRequest(body, { requests = getRequestStore(), client = null, attempts, now = Date.now() } = {}) {
+  if (body == null || typeof body !== "object") throw new HttpError(400, "Expected { kind, fullName, phone, email?, details? }.");
+  if (!REQUEST_KINDS.includes(body.kind)) throw new HttpError(422, "Choose what you'd like us to do.", { kind: "Choose export, correct or delete." });
+  const values = { kind: body.kind, ...Object.fromEntries(REQUEST_FIELDS.map((f) => [f.name, text(body[f.name])])) };
+
+  // Stored like a sign-up to the "privacy" category, so the guard's rate
+  // limits and duplicate check work the same way
+  let attempt = client && await screenRequest({ categoryId: "privacy", values, guard: body.guard }, client, { attempts, now });
+  const errors = validateForm(REQUEST_FIELDS, values);
+  if (Object.keys(errors).length) throw new HttpError(422, "Some answers need another look.", errors);
+  if (attempt) attempt = await screenAnswers({ id: "privacy" }, values, attempt, { attempts, storage: requests, now });
+
+  const request = { id: randomUUID(), categoryId: "privacy", values, status: "open", receivedAt: new Date(now).toISOString() };
+  await requests.insert(request);
+  if (attempt) await logAccepted(attempt, { attempts });
+  return { id: request.id, receivedAt: request.receivedAt };
+}
+
+export async function listDataRequests({ requests = getRequestStore() } = {}) {
+  return (await requests.list()).sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+}
+
+export async function closeDataRequest(id, { requests = getRequestStore(), now = Date.now() } = {}) {
+  if (!id) throw new HttpError(400, "Missing ?id=");
+  const request = await requests.update(id, { status: "done", closedAt: new Date(now).toISOString() });
+  if (!request) throw new HttpError(404, "That request no longer exists.");
+  return request;
+}
+
+// When a sign-up was last touched
+const lastChange = (r) => Math.max(...[r.submittedAt, r.updatedAt, r.cancelledAt].filter(Boolean).map(Date.parse));
+
+async function removeWhere(adapter, expired) {
+  const gone = (await adapter.list()).filter(expired);
+  for (const r of gone) await adapter.remove(r.id);
+  return gone.length;
+}
+
+export async function purgeExpired({
+  storage = getStorage(), attempts = getAttemptLog(), requests = getRequestStore(), now = Date.now(),
+} = {}) {
+  const signups = await removeWhere(storage, (r) => {
+    const category = getCategory(r.categoryId);
+    const days = category ? retentionDays(category, PRIVACY) : PRIVACY?.retentionDays;
+    return days != null && now - lastChange(r) >= days * DAY_MS;
+  });
+  // Spent form tokens and challenges (server/guard.js) carry their own expiry
+  const blocked = await removeWhere(attempts, (a) => (a.expiresAt
+    ? now >= Date.parse(a.expiresAt)
+    : now - Date.parse(a.at) >= ATTEMPT_DAYS * DAY_MS));
+  const closed = await removeWhere(requests, (q) => q.status === "done" && now - Date.parse(q.closedAt) >= CLOSED_REQUEST_DAYS * DAY_MS);
+  return { signups, attempts: blocked, requests: closed };
+}
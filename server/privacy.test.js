@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import { eraseSubmission, listSubmissions } from "./admin.js";
+import { PRIVACY } from "./catalog.js";
+import { issueFormToken } from "./guard.js";
+import { setNotifier } from "./notify/index.js";
+import { closeDataRequest, listDataRequests, purgeExpired, submitDataRequest } from "./privacy.js";
+import { eraseOwnSignup, getOwnSignup, submitSignup, updateOwnSignup } from "./signups.js";
+import { createMemoryStorage } from "./storage/index.js";
+
+setNotifier({ email: null, sms: null });
+
+const DAY = 86_400_000;
+const NOW = Date.parse("2026-10-18T09:00:00+03:00");
+
+const housegroup = (consents = { consentContact: true }) => ({
+  categoryId: "community-groups",
+  values: { fullName: "Achieng Odhiambo", phone: "0712 345 678", campus: "northgate", area: "Kileleshwa", ...consents },
+});
+
+const stored = (id, categoryId, daysAgo, extra = {}) => ({
+  id, categoryId, status: "confirmed", values: {}, submittedAt: new Date(NOW - daysAgo * DAY).toISOString(), ...extra,
+});
+
+describe("consent", () => {
+  it("needs the contact consent and stores each purpose against the notice's version", async () => {
+    const storage = createMemoryStorage();
+    await expect(submitSignup(housegroup({}), { storage, now: NOW }))
+      .rejects.toMatchObject({ status: 422, details: { consentContact: expect.any(String) } });
+
+    const { id, editToken } = await submitSignup(housegroup(), { storage, now: NOW });
+    const consent = { version: PRIVACY.version, at: new Date(NOW).toISOString(), purposes: { contact: true, updates: false } };
+    expect((await listSubmissions({ storage }))[0].consent).toEqual(consent);
+    expect((await getOwnSignup(id, editToken, { storage })).consent).toEqual(consent);
+
+    const later = NOW + DAY;
+    await updateOwnSignup(id, editToken, housegroup({ consentContact: true, consentUpdates: true }), { storage, now: later });
+    expect((await getOwnSignup(id, editToken, { storage })).consent)
+      .toEqual({ ...consent, at: new Date(later).toISOString(), purposes: { contact: true, updates: true } });
+  });
+});
+
+describe("erasure", () => {
+  it("lets the registrant erase their own sign-up, and leaders erase any", async () => {
+    const storage = createMemoryStorage();
+    const mine = await submitSignup(housegroup(), { storage, now: NOW });
+    const other = await submitSignup(housegroup({ consentContact: true, consentUpdates: true }), { storage, now: NOW });
+
+    await expect(eraseOwnSignup(mine.id, "wrong", { storage })).rejects.toMatchObject({ status: 404 });
+    expect(await eraseOwnSignup(mine.id, mine.editToken, { storage })).toEqual({ id: mine.id, erased: true });
+    expect(await eraseSubmission(other.id, { storage })).toEqual({ id: other.id, erased: true });
+    expect(await storage.list()).toEqual([]);
+    await expect(eraseSubmission(other.id, { storage })).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe("retention", () => {
+  it("purges sign-ups past their category's period, old attempts and old closed requests", async () => {
+    const storage = createMemoryStorage([
+      stored("kid-old", "childrens-ministry", 366),
+      stored("kid-edited", "childrens-ministry", 400, { updatedAt: new Date(NOW - 10 * DAY).toISOString() }),
+      stored("group-old", "community-groups", 731),
+      stored("group-recent", "community-groups", 366),
+      stored("retired", "no-longer-offered", 731),
+    ]);
+    const attempts = createMemoryStorage([
+      { id: "a1", at: new Date(NOW - 31 * DAY).toISOString(), outcome: "rejected" },
+      { id: "a2", at: new Date(NOW - 2 * DAY).toISOString(), outcome: "rejected" },
+    ]);
+    const requests = createMemoryStorage([
+      { id: "r1", status: "done", receivedAt: "2025-01-01T00:00:00Z", closedAt: new Date(NOW - 400 * DAY).toISOString() },
+      { id: "r2", status: "open", receivedAt: "2025-01-01T00:00:00Z" },
+    ]);
+
+    expect(await purgeExpired({ storage, attempts, requests, now: NOW })).toEqual({ signups: 3, attempts: 1, requests: 1 });
+    expect((await storage.list()).map((r) => r.id)).toEqual(["kid-edited", "group-recent"]);
+    expect((await attempts.list()).map((a) => a.id)).toEqual(["a2"]);
+    expect((await requests.list()).map((q) => q.id)).toEqual(["r2"]);
+  });
+});
+
+describe("data requests", () => {
+  it("validates, stores and closes a request, refusing an identical one while it's open", async () => {
+    const requests = createMemoryStorage();
+    const body = { kind: "delete", fullName: "Achieng Odhiambo", phone: "0712 345 678", details: "Everything from the 2025 conference." };
+
+    await expect(submitDataRequest({ ...body, kind: "sell" }, { requests })).rejects.toMatchObject({ status: 422 });
+    await expect(submitDataRequest({ ...body, phone: "" }, { requests })).rejects.toMatchObject({ status: 422, details: { phone: expect.any(String) } });
+
+    const { id } = await submitDataRequest(body, { requests, now: NOW });
+    const [request] = await listDataRequests({ requests });
+    expect(request).toMatchObject({ id, status: "open", values: { kind: "delete", fullName: "Achieng Odhiambo", email: "" } });
+
+    const client = { ip: "203.0.113.7" };
+    const attempts = createMemoryStorage();
+    const guarded = () => ({ ...body, guard: { token: issueFormToken({ now: NOW - 60_000 }) } });
+    await expect(submitDataRequest(guarded(), { requests, attempts, client, now: NOW })).rejects.toMatchObject({ status: 409 });
+
+    expect(await closeDataRequest(id, { requests, now: NOW })).toMatchObject({ status: "done", closedAt: new Date(NOW).toISOString() });
+    expect(await submitDataRequest(guarded(), { requests, attempts, client, now: NOW })).toMatchObject({ id: expect.any(String) });
+  });
+});
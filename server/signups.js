@@ -0,0 +1,223 @@
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+import { PRIVACY, getCategory, isOpen } from "./catalog.js";
+import { logAccepted, screenAnswers, screenRequest } from "./guard.js";
+import { HttpError } from "./http.js";
+import { getNotifier, sendSignupNotifications } from "./notify/index.js";
+import { TEMPLATE_LOCALES } from "./notify/templates.js";
+import { getStorage } from "./storage/index.js";
+import { activeFields, classFor, consentsOf, placesFor, todayISO, typeErrors, validateForm } from "../src/forms/validation.js";
+
+/* ================= Sign-up service ================= */
+// The API's business rules, independent of HTTP: re-validate against the
+// catalog (never trust the browser), decide confirmed vs waitlisted from the
+// catalog's capacity, hand the record to the storage adapter, then send the
+// confirmations (server/notify/).
+//
+// Each sign-up gets an edit token, returned once to the browser that made
+// it; only its hash is stored. With it the registrant can read, change or
+// cancel that one sign-up ("My sign-ups"); cancelled records stay for the
+// leaders but no longer hold a place. Erasing removes the record outright.
+//
+// Each record keeps the consents it was sent with, against the version of
+// the privacy notice (/privacy) at the time.
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+export function countsFor(records) {
+  const counts = {};
+  for (const r of records) {
+    if (!r.slot || r.status === "cancelled") continue;
+    const c = (counts[r.slot] ??= { taken: 0, waitlist: 0 });
+    // A household takes a place per child
+    if (r.status === "waitlisted") c.waitlist += r.places ?? 1;
+    else c.taken += r.places ?? 1;
+  }
+  return counts;
+}
+
+// Keep only the fields the form defines; trim free text. Age-routed group
+// items get the `class` their date of birth puts them in on `today`.
+function cleanValues(fields, values, today) {
+  const out = {};
+  for (const f of fields) {
+    const v = values[f.name];
+    if (v === undefined) continue;
+    if (f.type === "slot") out[f.name] = isObject(v) ? { slot: String(v.slot ?? ""), waitlist: !!v.waitlist } : v;
+    else if (f.type === "group") out[f.name] = Array.isArray(v) ? v.map((item) => cleanItem(f, item, today)) : v;
+    else out[f.name] = typeof v === "string" ? v.trim() : v;
+  }
+  return out;
+}
+
+function cleanItem(group, item, today) {
+  if (!isObject(item)) return item;
+  const out = cleanValues(group.fields, item, today);
+  const cls = group.routeBy && classFor(group.classes, out[group.routeBy], today);
+  if (cls) out.class = cls.id;
+  return out;
+}
+
+// Count-then-insert must not interleave within this process. (Concurrent
+// serverless instances can still race for the last place; the waitlist
+// absorbs the odd over-booking.)
+let lock = Promise.resolve();
+function exclusive(fn) {
+  const next = lock.then(fn);
+  lock = next.catch(() => {});
+  return next;
+}
+
+const hashToken = (token) => createHash("sha256").update(String(token)).digest("hex");
+
+// Answers of the wrong type (an object for a name, a string for a checkbox)
+// only come from hand-made requests; refuse them before anything reads them
+function checkTypes(category, raw) {
+  const errors = typeErrors(category.form.fields, raw);
+  if (Object.keys(errors).length) throw new HttpError(422, "Some answers need another look.", errors);
+}
+
+// Re-validate against the catalog; the slot field's pick becomes `slot`.
+// Answers for wizard steps that don't apply are dropped. Dates of birth and
+// "today" bounds are judged on Nairobi's date at `now`.
+function checkedAnswers(category, raw, now) {
+  const today = todayISO(now);
+  const all = cleanValues(category.form.fields, raw, today);
+  const fields = activeFields(category.form.fields, category.form.steps, all);
+  const values = cleanValues(fields, all, today);
+  const errors = validateForm(fields, values, undefined, now);
+  if (Object.keys(errors).length) throw new HttpError(422, "Some answers need another look.", errors);
+
+  const slotField = fields.find((f) => f.type === "slot" && values[f.name]?.slot);
+  const pick = slotField && values[slotField.name];
+  const slot = pick && category.slots.find((s) => s.id === pick.slot);
+  return { values, slot, pick, places: placesFor(fields, values), consents: consentsOf(fields, values) };
+}
+
+const consentRecord = (consents, now) => ({ version: PRIVACY?.version ?? null, at: new Date(now).toISOString(), purposes: consents });
+
+// Waitlisted unless every place fits. Call inside exclusive(); `except` is
+// the record being edited, which mustn't count against itself.
+async function statusFor(category, { slot, pick, places }, storage, except = null) {
+  if (!slot) return "confirmed";
+  const records = (await storage.list({ categoryId: category.id })).filter((r) => r.id !== except);
+  const taken = countsFor(records)[slot.id]?.taken ?? 0;
+  return pick.waitlist || taken + places > slot.capacity ? "waitlisted" : "confirmed";
+}
+
+export async function slotCounts(categoryId, { storage = getStorage() } = {}) {
+  if (!getCategory(categoryId)) throw new HttpError(404, `Unknown sign-up "${categoryId}".`);
+  return countsFor(await storage.list({ categoryId }));
+}
+
+// Public, aggregate-only numbers for the hero (no personal data)
+const WEEK_MS = 7 * 86_400_000;
+export async function signupStats({ storage = getStorage(), now = Date.now() } = {}) {
+  const records = (await storage.list()).filter((r) => r.status !== "cancelled");
+  const signupsThisWeek = records.filter((r) => now - Date.parse(r.submittedAt) < WEEK_MS).length;
+  return { signupsThisWeek, total: records.length };
+}
+
+// `client` ({ ip }) comes from the API and turns on the abuse checks in
+// server/guard.js; callers inside the server (tests, scripts) leave it out.
+export async function submitSignup(body, {
+  storage = getStorage(), notifier = getNotifier(), now = Date.now(), client = null, attempts,
+} = {}) {
+  if (!isObject(body) || !isObject(body.values)) throw new HttpError(400, "Expected { categoryId, values }.");
+  const category = getCategory(body.categoryId);
+  if (!category) throw new HttpError(404, `Unknown sign-up "${body.categoryId}".`);
+  checkTypes(category, body.values);
+  if (!isOpen(category, now)) throw new HttpError(409, `${category.title} isn't taking sign-ups right now.`);
+
+  let attempt = client && await screenRequest(body, client, { attempts, now });
+  const answers = checkedAnswers(category, body.values, now);
+  const { values, slot, places, consents } = answers;
+  if (attempt) attempt = await screenAnswers(category, values, attempt, { attempts, storage, now });
+  const editToken = randomBytes(24).toString("base64url");
+
+  const record = await exclusive(async () => {
+    const record = {
+      id: randomUUID(),
+      categoryId: category.id,
+      slot: slot?.id ?? null,
+      status: await statusFor(category, answers, storage),
+      places,
+      values,
+      consent: consentRecord(consents, now),
+      submittedAt: new Date(now).toISOString(),
+      editTokenHash: hashToken(editToken),
+    };
+    await storage.insert(record);
+    return record;
+  });
+  if (attempt) await logAccepted(attempt, { attempts });
+
+  // Awaited so serverless functions don't freeze mid-send; never throws
+  const locale = TEMPLATE_LOCALES.includes(body.locale) ? body.locale : "en";
+  const sent = await sendSignupNotifications(category, record, { notifier, locale });
+  // Where confirmations actually went, so the summary can say so
+  const confirmations = {
+    email: sent.email === "sent" ? sent.to.email : null,
+    sms: sent.sms === "sent" ? sent.to.sms : null,
+  };
+  return { id: record.id, status: record.status, submittedAt: record.submittedAt, editToken, confirmations };
+}
+
+/* ================= The registrant's own sign-up ================= */
+// Unknown ids and wrong tokens get the same 404 so ids can't be probed.
+async function ownRecord(id, token, storage) {
+  if (!id) throw new HttpError(400, "Missing ?id=");
+  const record = token ? (await storage.list()).find((r) => r.id === id) : null;
+  const matches = record?.editTokenHash &&
+    timingSafeEqual(Buffer.from(record.editTokenHash, "hex"), Buffer.from(hashToken(token), "hex"));
+  if (!matches) throw new HttpError(404, "We couldn't find that sign-up.");
+  return record;
+}
+
+// What the registrant may see: their answers, never the leaders' notes
+export function ownView(record) {
+  const { id, categoryId, slot, status, values, consent, submittedAt, updatedAt, cancelledAt } = record;
+  return { id, categoryId, slot, status, values, consent, submittedAt, updatedAt, cancelledAt };
+}
+
+export async function getOwnSignup(id, token, { storage = getStorage() } = {}) {
+  return ownView(await ownRecord(id, token, storage));
+}
+
+// Changing the slot, or needing more places, re-checks capacity; otherwise
+// the place (or waitlist position) is kept
+export async function updateOwnSignup(id, token, body, { storage = getStorage(), now = Date.now() } = {}) {
+  if (!isObject(body) || !isObject(body.values)) throw new HttpError(400, "Expected { values }.");
+  const record = await ownRecord(id, token, storage);
+  if (record.status === "cancelled") throw new HttpError(409, "This sign-up has been cancelled.");
+  const category = getCategory(record.categoryId);
+  if (!category) throw new HttpError(404, "That sign-up is no longer offered.");
+  checkTypes(category, body.values);
+  if (!isOpen(category, now)) throw new HttpError(409, `${category.title} isn't taking changes right now.`);
+
+  const answers = checkedAnswers(category, body.values, now);
+  const { values, slot, places, consents } = answers;
+  const updated = await exclusive(async () => {
+    const recheck = (slot?.id ?? null) !== record.slot || places > (record.places ?? 1);
+    const status = recheck ? await statusFor(category, answers, storage, id) : record.status;
+    return storage.update(id, {
+      values, slot: slot?.id ?? null, places, status, consent: consentRecord(consents, now), updatedAt: new Date(now).toISOString(),
+    });
+  });
+  if (!updated) throw new HttpError(404, "We couldn't find that sign-up.");
+  return ownView(updated);
+}
+
+export async function cancelOwnSignup(id, token, { storage = getStorage(), now = Date.now() } = {}) {
+  const record = await ownRecord(id, token, storage);
+  if (record.status === "cancelled") return ownView(record);
+  const updated = await storage.update(id, { status: "cancelled", cancelledAt: new Date(now).toISOString() });
+  if (!updated) throw new HttpError(404, "We couldn't find that sign-up.");
+  return ownView(updated);
+}
+
+// Gone for good: the leaders won't see it either
+export async function eraseOwnSignup(id, token, { storage = getStorage() } = {}) {
+  const record = await ownRecord(id, token, storage);
+  await storage.remove(record.id);
+  return { id: record.id, erased: true };
+}
@@ -0,0 +1,237 @@
+import { describe, expect, it, vi } from "vitest";
+import handler from "../api/signups.js";
+import { listSubmissions } from "./admin.js";
+import { getCategory } from "./catalog.js";
+import { issueFormToken } from "./guard.js";
+import { setNotifier } from "./notify/index.js";
+import { cancelOwnSignup, getOwnSignup, signupStats, slotCounts, submitSignup, updateOwnSignup } from "./signups.js";
+import { createMemoryStorage, setAttemptLog, setStorage } from "./storage/index.js";
+
+setNotifier({ email: null, sms: null });
+
+const volunteer = (slot, values = {}) => ({
+  categoryId: "volunteer-service-teams",
+  values: {
+    fullName: "Amani Otieno", phone: "0712 345 678", campus: "westlands", consentContact: true,
+    slot: { slot, waitlist: false }, team: "Hospitality", ...values,
+  },
+});
+
+// Born on 1 January, so 14 on the day these run (junior youth)
+const DOB = `${new Date().getFullYear() - 14}-01-01`;
+
+const youth = (slot, person = {}) => ({
+  categoryId: "youth-ministry",
+  values: {
+    fullName: "Amani Otieno", phone: "0712 345 678", campus: "northgate", consentContact: true,
+    slot: { slot, waitlist: false }, consent: true, medicalConsent: true,
+    youth: [{ name: "Amani Otieno", dob: DOB, ...person }],
+  },
+});
+
+const children = (slot, kids) => ({
+  categoryId: "childrens-ministry",
+  values: {
+    fullName: "Wanjiru Kamau", phone: "0712 345 678", campus: "northgate", consentContact: true,
+    slot: { slot, waitlist: false }, consent: true, medicalConsent: true,
+    children: kids.map(([name, age]) => ({ name, dob: `${new Date().getFullYear() - age}-01-01` })),
+    pickups: [{ name: "Peter Kamau", relationship: "Father", phone: "0722 000 111" }],
+  },
+});
+
+describe("submitSignup", () => {
+  it("re-validates answers against the catalog and stores nothing that fails", async () => {
+    const storage = createMemoryStorage();
+    await expect(submitSignup({ categoryId: "volunteer-service-teams", values: { fullName: " " } }, { storage }))
+      .rejects.toMatchObject({ status: 422, details: { fullName: expect.any(String), phone: expect.any(String), slot: expect.any(String) } });
+    await expect(submitSignup(volunteer("first-service", { phone: "12" }), { storage }))
+      .rejects.toMatchObject({ status: 422, details: { phone: expect.any(String) } });
+    await expect(submitSignup(volunteer("no-such-slot"), { storage }))
+      .rejects.toMatchObject({ status: 422, details: { slot: expect.any(String) } });
+    await expect(submitSignup({ categoryId: "nope", values: {} }, { storage })).rejects.toMatchObject({ status: 404 });
+    await expect(submitSignup(null, { storage })).rejects.toMatchObject({ status: 400 });
+    expect(await storage.list()).toEqual([]);
+  });
+
+  it("refuses answers of the wrong type before anything else reads them", async () => {
+    const storage = createMemoryStorage();
+    const sent = (values, person) => {
+      const body = youth("saturday-youth", person);
+      return { ...body, values: { ...body.values, ...values } };
+    };
+    const wrong = [
+      [sent({ fullName: { evil: "y".repeat(5000) } }), "fullName"],
+      [sent({}, { name: ["a", "b"] }), "youth"],
+      [sent({}, { dob: ["2012-01-01"] }), "youth"],
+      [sent({ mayLeaveAlone: "hello" }), "mayLeaveAlone"],
+      [sent({ slot: { slot: ["saturday-youth"] } }), "slot"],
+      [sent({ youth: ["Amani"] }), "youth"],
+    ];
+    for (const [body, field] of wrong) {
+      await expect(submitSignup(body, { storage })).rejects.toMatchObject({ status: 422, details: { [field]: expect.any(String) } });
+    }
+
+    // Even a value that can't be turned into a string, and with the guard on
+    const guard = { token: issueFormToken({ now: Date.now() - 60_000 }) };
+    await expect(submitSignup({ ...sent({ fullName: { toString: "x" } }), guard }, { storage, attempts: createMemoryStorage(), client: { ip: "203.0.113.9" } }))
+      .rejects.toMatchObject({ status: 422, details: { fullName: expect.any(String) } });
+    expect(await storage.list()).toEqual([]);
+  });
+
+  it("keeps only the catalog's fields, with free text trimmed", async () => {
+    const storage = createMemoryStorage();
+    await submitSignup(volunteer("first-service", { fullName: "  Amani Otieno ", isAdmin: true }), { storage });
+
+    const [stored] = await storage.list();
+    expect(stored).toMatchObject({ categoryId: "volunteer-service-teams", slot: "first-service", status: "confirmed" });
+    expect(stored.values).toMatchObject({ fullName: "Amani Otieno", slot: { slot: "first-service", waitlist: false } });
+    expect(stored.values).not.toHaveProperty("isAdmin");
+  });
+
+  it("waitlists once a slot is full, or when the visitor asks to", async () => {
+    const storage = createMemoryStorage();
+    for (let i = 0; i < 10; i++) await submitSignup(volunteer("saturday-prep"), { storage });
+    expect(await submitSignup(volunteer("saturday-prep"), { storage })).toMatchObject({ status: "waitlisted" });
+    expect(await submitSignup(volunteer("first-service", { slot: { slot: "first-service", waitlist: true } }), { storage }))
+      .toMatchObject({ status: "waitlisted" });
+
+    expect(await slotCounts("volunteer-service-teams", { storage })).toEqual({
+      "saturday-prep": { taken: 10, waitlist: 1 },
+      "first-service": { taken: 0, waitlist: 1 },
+    });
+    await expect(slotCounts("nope", { storage })).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe("POST /api/signups", () => {
+  const call = async (req) => {
+    const res = { headers: {}, setHeader(k, v) { this.headers[k] = v; }, end(body) { this.body = JSON.parse(body); } };
+    await handler({ headers: {}, url: "/api/signups", ...req }, res);
+    return res;
+  };
+  // Filled in a minute ago, so the form token passes the guard
+  const guarded = (body) => ({ ...body, guard: { token: issueFormToken({ now: Date.now() - 60_000 }) } });
+
+  it("answers in JSON, with the status the sign-up service decided", async () => {
+    setStorage(createMemoryStorage());
+    setAttemptLog(createMemoryStorage());
+    const created = await call({ method: "POST", body: guarded(volunteer("first-service")) });
+    expect(created).toMatchObject({ statusCode: 201, body: { id: expect.any(String), status: "confirmed" } });
+
+    expect(await call({ method: "POST", body: "{not json" })).toMatchObject({ statusCode: 400, body: { error: expect.any(String) } });
+    expect(await call({ method: "POST", body: guarded(volunteer("first-service", { phone: "" })) }))
+      .toMatchObject({ statusCode: 422, body: { details: { phone: expect.any(String) } } });
+    expect(await call({ method: "PUT" })).toMatchObject({ statusCode: 405, headers: { Allow: expect.stringContaining("POST") } });
+  });
+});
+
+describe("the registrant's own sign-up", () => {
+  it("needs the edit token handed back at sign-up, and never stores it", async () => {
+    const storage = createMemoryStorage();
+    const { id, editToken } = await submitSignup(youth("saturday-youth"), { storage });
+    expect(editToken).toMatch(/^[\w-]{32}$/);
+
+    const [stored] = await storage.list();
+    expect(JSON.stringify(stored)).not.toContain(editToken);
+    expect((await listSubmissions({ storage }))[0]).not.toHaveProperty("editTokenHash");
+
+    expect(await getOwnSignup(id, editToken, { storage })).toMatchObject({ id, status: "confirmed", slot: "saturday-youth" });
+    await expect(getOwnSignup(id, "not-the-token", { storage })).rejects.toMatchObject({ status: 404 });
+    await expect(getOwnSignup(id, "", { storage })).rejects.toMatchObject({ status: 404 });
+    await expect(getOwnSignup("nope", editToken, { storage })).rejects.toMatchObject({ status: 404 });
+  });
+
+  it("re-validates edits and re-checks capacity only when the slot changes", async () => {
+    const storage = createMemoryStorage();
+    const { id, editToken } = await submitSignup(youth("saturday-youth"), { storage });
+
+    const edited = await updateOwnSignup(id, editToken, youth("saturday-youth", { school: "Parklands Sec." }), { storage });
+    expect(edited).toMatchObject({ status: "confirmed", values: { youth: [{ school: "Parklands Sec." }] }, updatedAt: expect.any(String) });
+
+    await expect(updateOwnSignup(id, editToken, youth("saturday-youth", { dob: "" }), { storage }))
+      .rejects.toMatchObject({ status: 422, details: { youth: expect.any(String) } });
+
+    const moved = await updateOwnSignup(id, editToken, { values: { ...youth("sunday-youth").values, slot: { slot: "sunday-youth", waitlist: true } } }, { storage });
+    expect(moved).toMatchObject({ slot: "sunday-youth", status: "waitlisted" });
+  });
+
+  it("cancels: the place is freed, stats skip it and edits are refused", async () => {
+    const storage = createMemoryStorage();
+    const { id, editToken } = await submitSignup(youth("saturday-youth"), { storage });
+    expect((await slotCounts("youth-ministry", { storage }))["saturday-youth"]).toEqual({ taken: 1, waitlist: 0 });
+
+    expect(await cancelOwnSignup(id, editToken, { storage })).toMatchObject({ status: "cancelled", cancelledAt: expect.any(String) });
+    expect(await slotCounts("youth-ministry", { storage })).toEqual({});
+    expect(await signupStats({ storage })).toMatchObject({ total: 0 });
+    await expect(updateOwnSignup(id, editToken, youth("saturday-youth"), { storage })).rejects.toMatchObject({ status: 409 });
+    // Still there for the leaders
+    expect((await listSubmissions({ storage }))[0].status).toBe("cancelled");
+  });
+});
+
+describe("household sign-ups", () => {
+  it("routes each child to a class by age and takes a place per child", async () => {
+    const storage = createMemoryStorage();
+    const { id, editToken } = await submitSignup(children("first-service", [["Baraka", 7], ["Neema", 4]]), { storage });
+
+    const [stored] = await storage.list();
+    expect(stored).toMatchObject({ status: "confirmed", places: 2 });
+    expect(stored.values.children.map((c) => c.class)).toEqual(["primary", "beginners"]);
+    expect((await slotCounts("childrens-ministry", { storage }))["first-service"]).toEqual({ taken: 2, waitlist: 0 });
+
+    // Adding a child re-checks capacity, without counting the sign-up twice
+    const more = await updateOwnSignup(id, editToken, children("first-service", [["Baraka", 7], ["Neema", 4], ["Imani", 1]]), { storage });
+    expect(more).toMatchObject({ status: "confirmed" });
+    expect((await slotCounts("childrens-ministry", { storage }))["first-service"]).toEqual({ taken: 3, waitlist: 0 });
+  });
+
+  it("waitlists a household that doesn't fit, and refuses children no class takes", async () => {
+    const storage = createMemoryStorage();
+    const { slots } = getCategory("childrens-ministry");
+    const { capacity } = slots.find((s) => s.id === "first-service");
+    const many = Array.from({ length: capacity - 1 }, (_, i) => [`Child ${i}`, 6]);
+    for (let i = 0; i < many.length; i += 6) await submitSignup(children("first-service", many.slice(i, i + 6)), { storage });
+
+    const { status } = await submitSignup(children("first-service", [["Baraka", 7], ["Neema", 4]]), { storage });
+    expect(status).toBe("waitlisted");
+
+    await expect(submitSignup(children("first-service", [["Juma", 14]]), { storage }))
+      .rejects.toMatchObject({ status: 422, details: { children: expect.any(String) } });
+  });
+
+  it("goes by the date in Nairobi, not the server's", async () => {
+    const storage = createMemoryStorage();
+    // 01:30 on 15 June in Nairobi, still the 14th in UTC
+    const now = Date.parse("2026-06-14T22:30:00Z");
+    vi.useFakeTimers({ toFake: ["Date"], now });
+    const body = children("first-service", []);
+    body.values.children = [{ name: "Baraka", dob: "2020-06-15" }, { name: "Imani", dob: "2026-06-15" }];
+    try { await submitSignup(body, { storage, now }); }
+    finally { vi.useRealTimers(); }
+
+    const [stored] = await storage.list();
+    expect(stored.values.children.map((c) => c.class)).toEqual(["primary", "nursery"]);
+  });
+});
+
+describe("wizard sign-ups", () => {
+  const during = Date.parse("2026-11-10T12:00:00+03:00"); // baptism sign-ups are open
+
+  it("drops answers from steps that don't apply, and refuses sign-ups outside the window", async () => {
+    const storage = createMemoryStorage();
+    const body = {
+      categoryId: "baptism-membership",
+      values: {
+        fullName: "Neema Wambui", phone: "0712 345 678", campus: "westlands", consentContact: true,
+        step: "Baptism", testimony: "Through a friend at university.", previousChurch: "Nairobi Chapel", transferLetter: true,
+      },
+    };
+    await submitSignup(body, { storage, now: during });
+    const [stored] = await storage.list();
+    expect(stored.values).toMatchObject({ step: "Baptism", testimony: "Through a friend at university." });
+    expect(stored.values).not.toHaveProperty("previousChurch");
+    expect(stored.values).not.toHaveProperty("transferLetter");
+
+    await expect(submitSignup(body, { storage, now: Date.parse("2026-10-20T12:00:00+03:00") })).rejects.toMatchObject({ status: 409 });
+  });
+});
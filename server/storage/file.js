@@ -0,0 +1,66 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+/* ================= JSON file storage ================= */
+// Local development: submissions live in one JSON file (.data/ is
+// git-ignored). Writes are serialised and go through a temp file + rename so
+// a crash can't leave half a file behind.
+
+export function createFileStorage({ path = ".data/signups.json" } = {}) {
+  let queue = Promise.resolve();
+
+  async function read() {
+    try { return JSON.parse(await readFile(path, "utf8")).submissions || []; }
+    catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+  }
+  async function write(records) {
+    await mkdir(dirname(path), { recursive: true });
+    const tmp = `${path}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify({ submissions: records }, null, 2));
+    await rename(tmp, path);
+  }
+  // Run fn after every earlier write has finished
+  function serial(fn) {
+    const next = queue.then(fn);
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  return {
+    name: `file (${path})`,
+    async list({ categoryId } = {}) {
+      const records = await serial(read);
+      return records.filter((r) => !categoryId || r.categoryId === categoryId);
+    },
+    insert(record) {
+      return serial(async () => {
+        const records = await read();
+        records.push(record);
+        await write(records);
+        return record;
+      });
+    },
+    update(id, patch) {
+      return serial(async () => {
+        const records = await read();
+        const i = records.findIndex((r) => r.id === id);
+        if (i === -1) return null;
+        records[i] = { ...records[i], ...patch };
+        await write(records);
+        return records[i];
+      });
+    },
+    remove(id) {
+      return serial(async () => {
+        const records = await read();
+        const rest = records.filter((r) => r.id !== id);
+        if (rest.length === records.length) return false;
+        await write(rest);
+        return true;
+      });
+    },
+  };
+}
@@ -0,0 +1,63 @@
+import { createFileStorage } from "./file.js";
+import { createKvStorage } from "./kv.js";
+import { createMemoryStorage } from "./memory.js";
+
+/* ================= Storage adapter selection ================= */
+// A storage adapter is any object with:
+//   list({ categoryId? }) → Promise<SubmissionRecord[]>
+//   insert(record)        → Promise<SubmissionRecord>
+//   update(id, patch)     → Promise<SubmissionRecord | null>  (shallow merge)
+//   remove(id)            → Promise<boolean>  (erasure and retention purges)
+// SIGNUP_STORAGE picks one explicitly (memory | file | kv); otherwise the
+// hosted KV is used when its credentials are set, and a local file if not.
+//
+// The attempt log (server/guard.js) and data requests (server/privacy.js)
+// are adapters of the same kind, each in its own file or KV hash.
+
+export { createFileStorage, createKvStorage, createMemoryStorage };
+
+let storage = null;
+let attemptLog = null;
+let requestStore = null;
+
+function fromEnv(env, { path = env.SIGNUP_DATA_FILE, key } = {}) {
+  const kvUrl = env.KV_REST_API_URL || env.UPSTASH_REDIS_REST_URL;
+  const kvToken = env.KV_REST_API_TOKEN || env.UPSTASH_REDIS_REST_TOKEN;
+  const kind = env.SIGNUP_STORAGE || (kvUrl ? "kv" : "file");
+
+  if (kind === "memory") return createMemoryStorage();
+  if (kind === "file") {
+    // Serverless filesystems are read-only; fail loudly rather than 500 on every write
+    if (env.VERCEL) throw new Error("File storage isn't available on Vercel. Set KV_REST_API_URL and KV_REST_API_TOKEN.");
+    return createFileStorage({ path });
+  }
+  if (kind === "kv") {
+    if (!kvUrl || !kvToken) throw new Error("SIGNUP_STORAGE=kv needs KV_REST_API_URL and KV_REST_API_TOKEN.");
+    return createKvStorage({ url: kvUrl, token: kvToken, key });
+  }
+  throw new Error(`Unknown SIGNUP_STORAGE "${kind}" (expected memory, file or kv).`);
+}
+
+export function getStorage() {
+  return (storage ??= fromEnv(process.env));
+}
+
+export function setStorage(next) {
+  storage = next;
+}
+
+export function getAttemptLog() {
+  return (attemptLog ??= fromEnv(process.env, { path: process.env.SIGNUP_ATTEMPTS_FILE || ".data/attempts.json", key: "signup-attempts" }));
+}
+
+export function setAttemptLog(next) {
+  attemptLog = next;
+}
+
+export function getRequestStore() {
+  return (requestStore ??= fromEnv(process.env, { path: process.env.PRIVACY_REQUESTS_FILE || ".data/privacy-requests.json", key: "privacy-requests" }));
+}
+
+export function setRequestStore(next) {
+  requestStore = next;
+}
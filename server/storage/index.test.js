@@ -0,0 +1,59 @@
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { describe, expect, it } from "vitest";
+import { createFileStorage, createKvStorage, createMemoryStorage } from "./index.js";
+
+const record = (id, categoryId = "youth-ministry") => ({ id, categoryId, status: "confirmed", values: {} });
+
+// A Redis REST endpoint that understands just HSET and HVALS
+function fakeKv() {
+  const hashes = {};
+  const calls = [];
+  const fetchImpl = async (url, { headers, body }) => {
+    const [cmd, key, field, value] = JSON.parse(body);
+    calls.push({ url, auth: headers.Authorization, cmd });
+    const hash = (hashes[key] ??= {});
+    if (cmd === "HSET") hash[field] = value;
+    const result = cmd === "HVALS" ? Object.values(hash) : cmd === "HSET" ? 1 : null;
+    return { ok: result != null, status: result != null ? 200 : 400, json: async () => (result != null ? { result } : { error: "ERR unknown command" }) };
+  };
+  return { fetchImpl, calls };
+}
+
+describe("storage adapters", () => {
+  it("memory: lists what was inserted, optionally by category", async () => {
+    const storage = createMemoryStorage([record("a")]);
+    await storage.insert(record("b", "community-groups"));
+    expect((await storage.list()).map((r) => r.id)).toEqual(["a", "b"]);
+    expect((await storage.list({ categoryId: "community-groups" })).map((r) => r.id)).toEqual(["b"]);
+  });
+
+  it("file: starts empty, serialises concurrent inserts and survives a new adapter", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "pbc-signups-"));
+    try {
+      const path = join(dir, "nested", "signups.json");
+      const storage = createFileStorage({ path });
+      expect(await storage.list()).toEqual([]);
+
+      await Promise.all(["a", "b", "c"].map((id) => storage.insert(record(id))));
+      expect(JSON.parse(await readFile(path, "utf8")).submissions).toHaveLength(3);
+      expect((await createFileStorage({ path }).list({ categoryId: "youth-ministry" })).map((r) => r.id).sort()).toEqual(["a", "b", "c"]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("kv: keeps each record in one hash field and reports failures", async () => {
+    const { fetchImpl, calls } = fakeKv();
+    const storage = createKvStorage({ url: "https://kv.example", token: "secret", fetchImpl });
+    await storage.insert(record("a"));
+    await storage.insert(record("b", "community-groups"));
+
+    expect((await storage.list({ categoryId: "youth-ministry" })).map((r) => r.id)).toEqual(["a"]);
+    expect(calls[0]).toEqual({ url: "https://kv.example", auth: "Bearer secret", cmd: "HSET" });
+
+    const broken = createKvStorage({ url: "https://kv.example", token: "secret", fetchImpl: async () => ({ ok: false, status: 503, json: async () => null }) });
+    await expect(broken.list()).rejects.toThrow("KV HVALS failed: 503");
+  });
+});
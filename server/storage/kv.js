@@ -0,0 +1,38 @@
+/* ================= Hosted key-value storage ================= */
+// Production: a Redis-compatible REST endpoint (Vercel KV / Upstash). Each
+// submission is one field of the "signups" hash, keyed by id.
+
+export function createKvStorage({ url, token, key = "signups", fetchImpl = fetch } = {}) {
+  async function command(...args) {
+    const res = await fetchImpl(url, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(args),
+    });
+    const body = await res.json().catch(() => null);
+    if (!res.ok || body?.error) throw new Error(`KV ${args[0]} failed: ${body?.error || res.status}`);
+    return body.result;
+  }
+
+  return {
+    name: "kv",
+    async list({ categoryId } = {}) {
+      const values = (await command("HVALS", key)) || [];
+      return values.map((v) => JSON.parse(v)).filter((r) => !categoryId || r.categoryId === categoryId);
+    },
+    async insert(record) {
+      await command("HSET", key, record.id, JSON.stringify(record));
+      return record;
+    },
+    async update(id, patch) {
+      const raw = await command("HGET", key, id);
+      if (!raw) return null;
+      const record = { ...JSON.parse(raw), ...patch };
+      await command("HSET", key, id, JSON.stringify(record));
+      return record;
+    },
+    async remove(id) {
+      return (await command("HDEL", key, id)) > 0;
+    },
+  };
+}
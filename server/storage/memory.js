@@ -0,0 +1,28 @@
+/* ================= In-memory storage ================= */
+// For tests and throwaway dev sessions; everything is lost on restart.
+
+export function createMemoryStorage(initial = []) {
+  const records = [...initial];
+  return {
+    name: "memory",
+    async list({ categoryId } = {}) {
+      return records.filter((r) => !categoryId || r.categoryId === categoryId);
+    },
+    async insert(record) {
+      records.push(record);
+      return record;
+    },
+    async update(id, patch) {
+      const i = records.findIndex((r) => r.id === id);
+      if (i === -1) return null;
+      records[i] = { ...records[i], ...patch };
+      return records[i];
+    },
+    async remove(id) {
+      const i = records.findIndex((r) => r.id === id);
+      if (i === -1) return false;
+      records.splice(i, 1);
+      return true;
+    },
+  };
+}
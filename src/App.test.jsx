@@ -0,0 +1,144 @@
+import { act, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it, vi } from "vitest";
+import { renderApp } from "./test/renderApp.jsx";
+import { TOAST_DURATION } from "./ui/toasts.js";
+
+const cardTitles = () =>
+  [...document.querySelectorAll("#blocks h3")].map((h) => h.textContent);
+const search = () => screen.getByRole("textbox", { name: "Search sign-up categories" });
+
+describe("sign-up search", () => {
+  it("filters the cards, counts results and mirrors the query to ?q=", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    expect(cardTitles()).toHaveLength(6);
+
+    await user.type(search(), "teens");
+    expect(cardTitles()).toEqual(["Youth Ministry"]);
+    expect(screen.getByText("1 result")).toBeInTheDocument();
+    expect(new URLSearchParams(window.location.search).get("q")).toBe("teens");
+
+    await user.clear(search());
+    await user.type(search(), "bptism");
+    expect(cardTitles()).toEqual(["Baptism & Membership"]);
+  });
+
+  it("starts from ?q= and clears with Escape", async () => {
+    const user = userEvent.setup();
+    renderApp("/?q=housegroup");
+    expect(search()).toHaveValue("housegroup");
+    expect(cardTitles()).toEqual(["Community Groups"]);
+
+    await user.type(search(), "{Escape}");
+    expect(search()).toHaveValue("");
+    expect(cardTitles()).toHaveLength(6);
+    expect(window.location.search).toBe("");
+  });
+
+  it("explains when nothing matches", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await user.type(search(), "zzzz");
+    expect(cardTitles()).toEqual([]);
+    expect(screen.getByText("0 results")).toBeInTheDocument();
+    expect(screen.getByText(/No matches\. Try keywords like/)).toBeInTheDocument();
+  });
+});
+
+describe("sign-up windows", () => {
+  const card = (title) => screen.getByRole("link", { name: title }).closest(".card");
+
+  it("counts down, shows opening dates and sorts by closing soon", async () => {
+    vi.useFakeTimers({ toFake: ["Date"], now: new Date("2026-10-27T12:00:00+03:00") });
+    try {
+      const user = userEvent.setup();
+      renderApp();
+      expect(within(card("Events & Classes")).getByText("⏳ Closes in 3 days")).toBeInTheDocument();
+      expect(within(card("Baptism & Membership")).getByText(/^Opens on 2 Nov 2026/)).toBeInTheDocument();
+      expect(within(card("Baptism & Membership")).queryByRole("button", { name: "Open Form" })).toBeNull();
+
+      await user.selectOptions(screen.getByLabelText("Sort"), "Closing soon");
+      expect(cardTitles()[0]).toBe("Events & Classes");
+      expect(cardTitles().at(-1)).toBe("Baptism & Membership");
+      expect(new URLSearchParams(window.location.search).get("sort")).toBe("closing");
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("greys closed cards and reminds on this device when sign-ups open", async () => {
+    vi.useFakeTimers({ toFake: ["Date"], now: new Date("2026-11-01T09:00:00+03:00") });
+    try {
+      const user = userEvent.setup();
+      renderApp();
+      expect(within(card("Events & Classes")).getByText("Sign-ups closed").closest(".grayscale")).not.toBeNull();
+
+      await user.click(screen.getByRole("button", { name: "Notify me when Baptism & Membership opens" }));
+      expect(screen.getByRole("button", { name: "Notify me when Baptism & Membership opens" })).toHaveAttribute("aria-pressed", "true");
+      expect(JSON.parse(window.localStorage.getItem("reminders"))).toEqual(["baptism-membership"]);
+
+      // The clock also re-reads when the tab comes back into view
+      vi.setSystemTime(new Date("2026-11-02T08:01:00+03:00"));
+      act(() => { document.dispatchEvent(new Event("visibilitychange")); });
+      const toasts = within(screen.getByRole("region", { name: "Notifications" }));
+      expect(await toasts.findByText("🔔 Sign-ups are open: Baptism & Membership")).toBeInTheDocument();
+      expect(within(card("Baptism & Membership")).getByRole("button", { name: "Open Form" })).toBeInTheDocument();
+      await waitFor(() => expect(JSON.parse(window.localStorage.getItem("reminders"))).toEqual([]));
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe("command palette", () => {
+  it("toggles with Ctrl+K and ⌘+K and closes on Escape", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    expect(screen.queryByRole("dialog")).toBeNull();
+
+    await user.keyboard("{Control>}k{/Control}");
+    expect(screen.getByRole("dialog", { name: "Command palette" })).toBeInTheDocument();
+    expect(screen.getByRole("combobox", { name: "Search commands" })).toHaveFocus();
+
+    await user.keyboard("{Meta>}k{/Meta}");
+    await waitFor(() => expect(screen.queryByRole("dialog")).toBeNull());
+
+    await user.keyboard("{Meta>}K{/Meta}");
+    expect(screen.getByRole("dialog", { name: "Command palette" })).toBeInTheDocument();
+    await user.keyboard("{Escape}");
+    await waitFor(() => expect(screen.queryByRole("dialog")).toBeNull());
+  });
+
+  it("runs the highlighted command and lists it under Recent next time", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await user.keyboard("{Control>}k{/Control}");
+    await user.keyboard("northgate{Enter}");
+    await waitFor(() => expect(screen.queryByRole("dialog")).toBeNull());
+    expect(window.localStorage.getItem("campus")).toBe('"northgate"');
+
+    await user.keyboard("{Control>}k{/Control}");
+    const recent = screen.getByRole("group", { name: "Recent" });
+    expect(within(recent).getByRole("option")).toHaveTextContent("Campus → Northgate");
+  });
+});
+
+describe("toasts", () => {
+  it("announce a command's result, then go away on their own", async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    try {
+      const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+      renderApp();
+      await user.keyboard("{Control>}k{/Control}");
+      await user.keyboard("emerald{Enter}");
+      expect(screen.getByRole("status")).toHaveTextContent("🎨 Accent → Emerald");
+      expect(within(screen.getByRole("region", { name: "Notifications" })).getAllByRole("listitem")).toHaveLength(1);
+
+      act(() => vi.advanceTimersByTime(TOAST_DURATION + 10));
+      expect(screen.getByRole("status")).toBeEmptyDOMElement();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,30 @@
+import { MotionConfig } from "framer-motion";
+import CommandProvider from "./commands/CommandProvider.jsx";
+import I18nProvider from "./i18n/I18nProvider.jsx";
+import ProfileProvider from "./profile/ProfileProvider.jsx";
+import StatsProvider from "./stats/StatsProvider.jsx";
+import ThemeProvider from "./theme/ThemeProvider.jsx";
+import ToastProvider from "./ui/ToastProvider.jsx";
+
+/* ================= Provider stack ================= */
+// Shared by the app, the tests and the component gallery. Order matters:
+// toasts and commands read i18n, commands can toast.
+// reducedMotion="user": with prefers-reduced-motion, framer skips transform
+// and layout animations everywhere (opacity fades still run)
+export default function AppProviders({ children }) {
+  return (
+    <MotionConfig reducedMotion="user">
+      <I18nProvider>
+        <ThemeProvider>
+          <ToastProvider>
+            <CommandProvider>
+              <StatsProvider>
+                <ProfileProvider>{children}</ProfileProvider>
+              </StatsProvider>
+            </CommandProvider>
+          </ToastProvider>
+        </ThemeProvider>
+      </I18nProvider>
+    </MotionConfig>
+  );
+}
@@ -0,0 +1,105 @@
+import axe from "axe-core";
+import { screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it } from "vitest";
+import { mediaMatches } from "./test/setup.js";
+import { renderApp } from "./test/renderApp.jsx";
+
+/* ================= Accessibility (axe) ================= */
+// Renders the whole app per route and in each modal state and runs axe over
+// the document (portals included). Colour contrast needs real layout, so
+// that rule is off here; theme/theme.test.js checks the token sets instead.
+const AXE_OPTIONS = { rules: { "color-contrast": { enabled: false } } };
+
+async function violations() {
+  const { violations } = await axe.run(document, AXE_OPTIONS);
+  return violations.map((v) => `${v.id}: ${v.nodes.map((n) => n.target.join(" ")).join(", ")}`);
+}
+
+describe("axe", () => {
+  it.each([
+    ["/", "Parklands Baptist Church"],
+    ["/signup/youth-ministry", "Youth Ministry"],
+    ["/events", "Events calendar"],
+    ["/events?view=list", "Events calendar"],
+    ["/housegroups", "Find a housegroup"],
+    ["/admin", "Sign-up responses"],
+    ["/privacy", "Privacy & your data"],
+    ["/signup/no-such-form", "Sign-up not found"],
+  ])("has no violations on %s", async (path, heading) => {
+    renderApp(path);
+    expect(await screen.findByRole("heading", { level: 1, name: new RegExp(heading) })).toBeInTheDocument();
+    expect(await violations()).toEqual([]);
+  });
+
+  it("has no violations with the command palette open", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await user.keyboard("{Control>}k{/Control}");
+    expect(screen.getByRole("dialog", { name: "Command palette" })).toBeInTheDocument();
+    expect(await violations()).toEqual([]);
+  });
+
+  it("has no violations with a sign-up form open", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await user.click(screen.getAllByRole("button", { name: "Open Form" })[0]);
+    expect(screen.getByRole("dialog").querySelector("form")).not.toBeNull();
+    expect(await violations()).toEqual([]);
+  });
+
+  it("has no violations with the mobile menu open", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await user.click(screen.getByRole("button", { name: "Toggle Menu" }));
+    expect(screen.getByRole("dialog", { name: "Menu" })).toBeInTheDocument();
+    expect(await violations()).toEqual([]);
+  });
+
+  it("has no violations in Kiswahili or in high contrast", async () => {
+    window.localStorage.setItem("locale", JSON.stringify("sw"));
+    window.localStorage.setItem("theme-mode", JSON.stringify("contrast"));
+    renderApp();
+    expect(document.documentElement).toHaveAttribute("lang", "sw");
+    expect(document.documentElement).toHaveAttribute("data-theme", "contrast");
+    expect(await violations()).toEqual([]);
+  });
+});
+
+describe("modals in the app", () => {
+  it("returns focus to the menu button when the drawer closes", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    const toggle = screen.getByRole("button", { name: "Toggle Menu" });
+    await user.click(toggle);
+    expect(toggle).toHaveAttribute("aria-expanded", "true");
+    expect(screen.getByRole("dialog", { name: "Menu" })).toContainElement(document.activeElement);
+
+    await user.keyboard("{Escape}");
+    await waitFor(() => expect(screen.queryByRole("dialog")).toBeNull());
+    expect(toggle).toHaveFocus();
+  });
+
+  it("announces toasts through the live region", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await user.keyboard("{Control>}k{/Control}");
+    await user.keyboard("emerald{Enter}");
+    expect(screen.getByRole("status")).toHaveTextContent("Emerald");
+  });
+});
+
+describe("reduced motion", () => {
+  it("leaves tilt cards and magnetic buttons still", async () => {
+    mediaMatches.add("(prefers-reduced-motion: reduce)");
+    const user = userEvent.setup();
+    const { container } = renderApp();
+    const card = container.querySelector("#blocks .card");
+    const magnetic = screen.getByRole("link", { name: "Browse Sign-ups" }).parentElement;
+    for (const el of [card, magnetic]) {
+      await user.pointer({ target: el, coords: { clientX: 5, clientY: 5 } });
+      expect(el.style.transform).toBe("");
+    }
+    expect(card).not.toHaveClass("transition-transform");
+  });
+});
@@ -0,0 +1,54 @@
+import { ApiError } from "../storage/index.js";
+
+/* ================= Admin API client ================= */
+//   GET   {baseUrl}/admin/submissions          → { submissions }
+//   PATCH {baseUrl}/admin/submissions?id=<id>  → { submission }
+//   DELETE {baseUrl}/admin/submissions?id=<id> → { id, erased: true }
+//   GET   {baseUrl}/admin/attempts             → { attempts }
+//   GET   {baseUrl}/admin/privacy              → { requests }
+//   PATCH {baseUrl}/admin/privacy?id=<id>      → { request }
+
+const TOKEN_KEY = "pbc-admin-token";
+
+// Kept for the browser session only, so a shared computer forgets it
+export const savedToken = () => window.sessionStorage.getItem(TOKEN_KEY) || "";
+export const saveToken = (token) => window.sessionStorage.setItem(TOKEN_KEY, token);
+export const forgetToken = () => window.sessionStorage.removeItem(TOKEN_KEY);
+
+export function createAdminClient({ token, baseUrl = "/api", fetchImpl = (...a) => window.fetch(...a) }) {
+  async function request(path, init) {
+    const res = await fetchImpl(`${baseUrl}${path}`, {
+      ...init,
+      headers: {
+        Accept: "application/json",
+        Authorization: `Bearer ${token}`,
+        ...(init?.body ? { "Content-Type": "application/json" } : {}),
+      },
+    });
+    const body = await res.json().catch(() => null);
+    if (!res.ok) throw new ApiError(body?.error || `Request failed (${res.status})`, { status: res.status, details: body?.details });
+    return body;
+  }
+
+  return {
+    async list() {
+      return (await request("/admin/submissions")).submissions;
+    },
+    async attempts() {
+      return (await request("/admin/attempts")).attempts;
+    },
+    async review(id, patch) {
+      const body = await request(`/admin/submissions?id=${encodeURIComponent(id)}`, { method: "PATCH", body: JSON.stringify(patch) });
+      return body.submission;
+    },
+    async erase(id) {
+      return request(`/admin/submissions?id=${encodeURIComponent(id)}`, { method: "DELETE" });
+    },
+    async privacyRequests() {
+      return (await request("/admin/privacy")).requests;
+    },
+    async closeRequest(id) {
+      return (await request(`/admin/privacy?id=${encodeURIComponent(id)}`, { method: "PATCH" })).request;
+    },
+  };
+}
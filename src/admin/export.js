@@ -0,0 +1,191 @@
+import { campusName, getCategory } from "../catalog/index.js";
+import { displayValue } from "../forms/validation.js";
+import { FOLLOW_UP, followUpOf } from "./followUp.js";
+
+/* ================= Spreadsheet export ================= */
+// One row per submission: fixed columns first, then every form field that
+// appears in the exported categories (blank where a form doesn't ask it).
+
+const FIXED = [
+  { key: "submittedAt", label: "Submitted" },
+  { key: "category", label: "Sign-up" },
+  { key: "campus", label: "Campus" },
+  { key: "slot", label: "Time" },
+  { key: "booking", label: "Booking" },
+  { key: "followUp", label: "Follow-up" },
+  { key: "notes", label: "Notes" },
+];
+// Already covered by the fixed columns
+const SKIP_FIELDS = new Set(["campus", "slot"]);
+
+const pad = (n) => String(n).padStart(2, "0");
+export function formatTimestamp(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+export function submissionTable(submissions) {
+  const columns = [...FIXED];
+  const seen = new Set();
+  for (const s of submissions) {
+    for (const f of getCategory(s.categoryId)?.form.fields || []) {
+      if (SKIP_FIELDS.has(f.name) || f.type === "slot" || seen.has(f.name)) continue;
+      seen.add(f.name);
+      columns.push({ key: `field:${f.name}`, label: f.label });
+    }
+  }
+
+  const rows = submissions.map((s) => {
+    const category = getCategory(s.categoryId);
+    const fields = category?.form.fields || [];
+    const slot = category?.slots?.find((sl) => sl.id === s.slot);
+    const row = {
+      submittedAt: formatTimestamp(s.submittedAt),
+      category: category?.title ?? s.categoryId,
+      campus: s.values?.campus ? campusName(s.values.campus) : "",
+      slot: slot?.label ?? s.slot ?? "",
+      booking: s.status,
+      followUp: FOLLOW_UP.find((f) => f.id === followUpOf(s))?.label ?? "",
+      notes: s.notes || "",
+    };
+    for (const f of fields) {
+      if (seen.has(f.name)) row[`field:${f.name}`] = s.values?.[f.name] === undefined ? "" : displayValue(f, s.values[f.name]);
+    }
+    return row;
+  });
+
+  return { columns, rows };
+}
+
+/* CSV (RFC 4180). Cells that a spreadsheet would run as a formula get a
+   leading apostrophe. Only a cell that is nothing but a phone number or a
+   number (+254 712 345 678, -5) is left alone: +1+HYPERLINK(…) is a formula. */
+const FORMULA_RE = /^[=+\-@\t\r]/;
+const NUMBER_RE = /^[+-][\d\s]+$/;
+function csvCell(v) {
+  let s = String(v ?? "");
+  if (FORMULA_RE.test(s) && !NUMBER_RE.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV({ columns, rows }) {
+  const lines = [columns.map((c) => csvCell(c.label)).join(",")];
+  for (const r of rows) lines.push(columns.map((c) => csvCell(r[c.key])).join(","));
+  // BOM so Excel reads UTF-8 (names, em dashes) correctly
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+/* XLSX: the smallest valid workbook — one sheet of inline strings, in an
+   uncompressed zip. */
+// Control characters other than tab and newlines aren't allowed in XML
+const xmlAllowed = (c) => c >= " " || c === "\t" || c === "\n" || c === "\r";
+const escapeXml = (s) => Array.from(String(s ?? "")).filter(xmlAllowed).join("")
+  .replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+
+function columnName(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+function sheetXml({ columns, rows }) {
+  const cells = (values, r) => values.map((v, c) =>
+    `<c r="${columnName(c)}${r}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(v)}</t></is></c>`).join("");
+  const body = [columns.map((c) => c.label), ...rows.map((row) => columns.map((c) => row[c.key]))]
+    .map((values, i) => `<row r="${i + 1}">${cells(values, i + 1)}</row>`).join("");
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${body}</sheetData></worksheet>`;
+}
+
+const XLSX_PARTS = {
+  "[Content_Types].xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+  "_rels/.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+  "xl/workbook.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Sign-ups" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+  "xl/_rels/workbook.xml.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+};
+
+export function toXLSX(table) {
+  return zip({ ...XLSX_PARTS, "xl/worksheets/sheet1.xml": sheetXml(table) });
+}
+
+/* Minimal zip writer (stored entries, no compression) */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+export function zip(files) {
+  const enc = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  const DOS_DATE = (1 << 5) | 1; // 1980-01-01; timestamps don't matter here
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = enc.encode(name);
+    const data = typeof content === "string" ? enc.encode(content) : content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);       // version needed
+    local.setUint16(6, 0x0800, true);   // UTF-8 names
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);       // version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(14, DOS_DATE, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const centralSize = central.reduce((n, c) => n + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  for (const p of parts) { out.set(p, at); at += p.length; }
+  return out;
+}
+
+export function download(filename, data, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { toCSV, toXLSX } from "./export.js";
+
+const csvOf = (values) => toCSV({ columns: [{ key: "v", label: "Value" }], rows: values.map((v) => ({ v })) })
+  .replace(/^\uFEFF/, "").trim().split("\r\n").slice(1);
+
+describe("CSV export", () => {
+  it("defuses cells a spreadsheet would run as formulas, but not phone numbers", () => {
+    expect(csvOf([
+      "+254 712 345 678",
+      "-5",
+      "=SUM(A1:A2)",
+      "@cmd",
+      "+1+HYPERLINK(\"http://evil\")",
+      "-2+3+cmd|' /C calc'!A0",
+    ])).toEqual([
+      "+254 712 345 678",
+      "-5",
+      "'=SUM(A1:A2)",
+      "'@cmd",
+      "\"'+1+HYPERLINK(\"\"http://evil\"\")\"",
+      "'-2+3+cmd|' /C calc'!A0",
+    ]);
+  });
+});
+
+describe("XLSX export", () => {
+  it("drops control characters XML can't hold and escapes markup", () => {
+    const table = { columns: [{ key: "v", label: "Value" }], rows: [{ v: "Amani\u0001 <Otieno>\u001F & \"co\"\tok\nline" }] };
+    // Entries are stored uncompressed, so the sheet is readable in the zip
+    const text = new TextDecoder().decode(toXLSX(table));
+    expect(text).toContain("Amani &lt;Otieno&gt; &amp; &quot;co&quot;\tok\nline");
+    expect(text).not.toContain("Amani\u0001");
+  });
+});
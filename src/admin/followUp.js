@@ -0,0 +1,15 @@
+/* ================= Follow-up statuses ================= */
+// Where a ministry leader is with each sign-up. Shared by the admin page and
+// the admin API; records saved before a leader touched them count as "new".
+
+export const FOLLOW_UP = [
+  { id: "new", label: "New" },
+  { id: "contacted", label: "Contacted" },
+  { id: "placed", label: "Placed" },
+];
+
+export const isFollowUp = (id) => FOLLOW_UP.some((s) => s.id === id);
+
+export const followUpOf = (record) => record.followUp || "new";
+
+export const NOTES_MAX = 2000;
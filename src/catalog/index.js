@@ -0,0 +1,71 @@
+import catalog from "./catalog.json";
+import housegroups from "../housegroups/housegroups.json";
+import { resolveCategories, windowState } from "./resolve.js";
+
+export { isOpen, retentionDays, windowState } from "./resolve.js";
+
+/* ================= Sign-up catalog ================= */
+// catalog.json is the single source of truth for the categories shown in
+// #blocks, the command palette, search, the hero stats and the sign-ups API
+// (server/catalog.js). It is validated at build time by
+// scripts/vite-plugin-catalog.js.
+
+export const CAMPUSES = catalog.campuses;
+
+// { version, retentionDays, consents }; see /privacy
+export const PRIVACY = catalog.privacy;
+
+export const campusName = (id) => CAMPUSES.find((c) => c.id === id)?.name ?? id;
+
+export const CATEGORIES = resolveCategories(catalog, { housegroups });
+
+export function getCategory(id) {
+  return CATEGORIES.find((c) => c.id === id) ?? null;
+}
+
+/* ================= Campus helpers ================= */
+export const ALL_CAMPUSES = "all";
+
+export function isCampus(id) {
+  return CAMPUSES.some((c) => c.id === id);
+}
+
+export function offeredAt(category, campusId) {
+  return !isCampus(campusId) || category.campuses.includes(campusId);
+}
+
+// Category with that campus's link/contacts/schedule swapped in
+export function forCampus(category, campusId) {
+  const o = isCampus(campusId) ? category.campusOverrides?.[campusId] : null;
+  return o ? { ...category, ...o } : category;
+}
+
+/* ================= Sign-up windows ================= */
+// Cards count down to a deadline this close; further off they show the date
+export const CLOSING_SOON_MS = 14 * 24 * 60 * 60 * 1000;
+
+const UNITS = [["day", 24 * 60 * 60 * 1000], ["hour", 60 * 60 * 1000], ["minute", 60 * 1000]];
+
+// [value, unit] for Intl.RelativeTimeFormat: whole days from two days out,
+// then hours, then minutes ("in 3 days", "in 5 hours", "in 1 minute")
+export function timeUntil(date, now = Date.now()) {
+  const ms = Math.max(0, date.getTime() - now);
+  const [unit, size] = UNITS.find(([, size], i) => ms >= 2 * size || i === UNITS.length - 1);
+  return [Math.max(1, Math.floor(ms / size)), unit];
+}
+
+// "Closing soon" order: open sign-ups by deadline (no deadline last), then
+// upcoming ones by opening date, then closed ones. Stable otherwise.
+const STATE_ORDER = { open: 0, upcoming: 1, closed: 2 };
+
+export function byClosingSoon(items, now = Date.now(), get = (x) => x) {
+  const key = (item) => {
+    const w = windowState(get(item), now);
+    const at = w.state === "open" ? w.closesAt : w.state === "upcoming" ? w.opensAt : null;
+    return [STATE_ORDER[w.state], at ? at.getTime() : Infinity];
+  };
+  return items
+    .map((item) => ({ item, key: key(item) }))
+    .sort((a, b) => a.key[0] - b.key[0] || a.key[1] - b.key[1] || 0)
+    .map((r) => r.item);
+}
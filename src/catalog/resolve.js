@@ -0,0 +1,65 @@
+/* ================= Catalog resolution ================= */
+// Shared by the app (src/catalog/index.js) and the API (server/catalog.js),
+// so both see exactly the same field definitions.
+
+// `optionsFrom: "campuses"` lists the category's campuses; "housegroups"
+// lists every group in src/housegroups/housegroups.json
+function sourceOptions(source, catalog, category, housegroups) {
+  if (source === "campuses") {
+    const campusName = (id) => catalog.campuses.find((c) => c.id === id)?.name ?? id;
+    return category.campuses.map((id) => ({ value: id, label: campusName(id) }));
+  }
+  const areaName = (id) => housegroups.areas.find((a) => a.id === id)?.name ?? id;
+  return housegroups.groups.map((g) => ({ value: g.id, label: `${g.name} (${areaName(g.area)})` }));
+}
+
+// Expand shared fieldsets, `optionsFrom` and slot fields so the form engine
+// only ever sees self-contained field definitions.
+function resolveFields(catalog, category, housegroups) {
+  const shared = (category.form.fieldsets || []).flatMap((name) => catalog.fieldsets[name]);
+  return [...shared, ...category.form.fields].map((f) => {
+    if (f.type === "slot") return { ...f, slots: category.slots, categoryId: category.id };
+    if (f.type === "group" && f.routeBy) return { ...f, classes: category.classes };
+    if (!f.optionsFrom) return f;
+    const { optionsFrom, ...rest } = f;
+    return { ...rest, options: sourceOptions(optionsFrom, catalog, category, housegroups) };
+  });
+}
+
+// Every form ends with the catalog's privacy consents. In a wizard they join
+// the last step that every path goes through.
+function withConsents(form, fields, consents) {
+  if (!consents.length) return { ...form, fields };
+  const names = consents.map((f) => f.name);
+  const last = form.steps?.findLastIndex((s) => !s.when) ?? -1;
+  const steps = form.steps?.map((s, i) => (i === last ? { ...s, fields: [...s.fields, ...names] } : s));
+  return { ...form, fields: [...fields, ...consents], ...(steps && { steps }) };
+}
+
+export function resolveCategories(catalog, { housegroups = { areas: [], groups: [] } } = {}) {
+  const consents = catalog.privacy?.consents || [];
+  return catalog.categories.map((c) => ({
+    ...c,
+    form: withConsents(c.form, resolveFields(catalog, c, housegroups), consents),
+  }));
+}
+
+// How long a category's sign-ups are kept: its own retentionDays, else the
+// catalog's
+export function retentionDays(category, privacy) {
+  return category.retentionDays ?? privacy?.retentionDays ?? null;
+}
+
+// Where a category is in its sign-up window: "upcoming" before opensAt,
+// "closed" from closesAt on, otherwise "open". Timestamps carry their own
+// offset (+03:00 for Nairobi), so this is the same on any clock.
+export function windowState(category, now = Date.now()) {
+  const opensAt = category.opensAt ? new Date(category.opensAt) : null;
+  const closesAt = category.closesAt ? new Date(category.closesAt) : null;
+  const state = opensAt && now < opensAt.getTime() ? "upcoming" : closesAt && now >= closesAt.getTime() ? "closed" : "open";
+  return { state, opensAt, closesAt };
+}
+
+export function isOpen(category, now = Date.now()) {
+  return windowState(category, now).state === "open";
+}
@@ -0,0 +1,294 @@
+import { FIELD_TYPES, GROUP_ITEM_TYPES } from "../forms/validation.js";
+
+/* ================= Catalog schema ================= */
+// Plain-JS validator for catalog.json. Runs at build time (see
+// scripts/vite-plugin-catalog.js) so a typo fails the build instead of
+// shipping a broken card. Returns a list of "path: problem" strings.
+
+export const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const FIELD_NAME_RE = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+// ISO 8601 with an explicit offset, e.g. 2025-01-31T23:59:00+03:00
+export const ISO_DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2})?(?:Z|[+-]\d{2}:\d{2})$/;
+const OPTIONS_SOURCES = ["campuses", "housegroups"];
+const OVERRIDABLE = ["link", "contacts", "schedule"];
+
+export const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+export const isNonEmptyString = (v) => typeof v === "string" && v.trim() !== "";
+
+export function isHttpsUrl(v) {
+  if (typeof v !== "string") return false;
+  try { return new URL(v).protocol === "https:"; } catch (e) { void e; return false; }
+}
+
+function checkField(field, path, err, types = FIELD_TYPES) {
+  if (!isObject(field)) return err(path, "must be an object");
+  if (!FIELD_NAME_RE.test(field.name || "")) err(`${path}.name`, "must be an identifier like fullName");
+  if (!isNonEmptyString(field.label)) err(`${path}.label`, "is required");
+  if (!types.includes(field.type)) err(`${path}.type`, `must be one of ${types.join(", ")}`);
+  if (field.required != null && typeof field.required !== "boolean") err(`${path}.required`, "must be true or false");
+  if (field.type === "select") {
+    if (field.optionsFrom != null) {
+      if (!OPTIONS_SOURCES.includes(field.optionsFrom)) err(`${path}.optionsFrom`, `must be one of ${OPTIONS_SOURCES.join(", ")}`);
+    } else if (!Array.isArray(field.options) || field.options.length === 0) {
+      err(`${path}.options`, "select fields need a non-empty options list (or optionsFrom)");
+    } else {
+      field.options.forEach((o, i) => {
+        const ok = isNonEmptyString(o) || (isObject(o) && isNonEmptyString(o.value) && isNonEmptyString(o.label));
+        if (!ok) err(`${path}.options[${i}]`, "must be a string or { value, label }");
+      });
+    }
+  }
+  if (field.type === "group") return checkGroup(field, path, err);
+  for (const bound of ["min", "max"]) {
+    if (field[bound] == null) continue;
+    if (field.type !== "date") err(`${path}.${bound}`, "is only supported on date fields");
+    else if (field[bound] !== "today" && !/^\d{4}-\d{2}-\d{2}$/.test(field[bound])) err(`${path}.${bound}`, "must be YYYY-MM-DD or \"today\"");
+  }
+  if (field.maxLength != null && !(Number.isInteger(field.maxLength) && field.maxLength > 0)) {
+    err(`${path}.maxLength`, "must be a positive integer");
+  }
+  // What a consent checkbox agrees to; stored with each sign-up
+  if (field.purpose != null && (field.type !== "checkbox" || !SLUG_RE.test(field.purpose))) {
+    err(`${path}.purpose`, "must be a lowercase slug, on a checkbox");
+  }
+}
+
+// A repeated set of fields; see validation.js
+function checkGroup(field, path, err) {
+  if (!isNonEmptyString(field.itemLabel)) err(`${path}.itemLabel`, "is required (e.g. \"Child\")");
+  for (const bound of ["min", "max"]) {
+    if (field[bound] != null && !(Number.isInteger(field[bound]) && field[bound] >= 0)) err(`${path}.${bound}`, "must be a whole number");
+  }
+  if (field.min != null && field.max != null && field.min > field.max) err(`${path}.max`, "must be at least min");
+  if (!Array.isArray(field.fields) || field.fields.length === 0) return err(`${path}.fields`, "must be a non-empty array");
+  const names = new Set();
+  field.fields.forEach((f, i) => {
+    checkField(f, `${path}.fields[${i}]`, err, GROUP_ITEM_TYPES);
+    if (names.has(f?.name)) err(`${path}.fields[${i}].name`, `duplicate field name "${f.name}"`);
+    names.add(f?.name);
+  });
+  if (field.routeBy != null && field.fields.find((f) => f.name === field.routeBy)?.type !== "date") {
+    err(`${path}.routeBy`, "must name one of the group's date fields");
+  }
+  if (field.seats != null && typeof field.seats !== "boolean") err(`${path}.seats`, "must be true or false");
+}
+
+// Age bands for routeBy groups: { id, label, minAge, maxAge }
+function checkClasses(classes, path, err) {
+  if (!Array.isArray(classes) || classes.length === 0) return err(path, "must be a non-empty array when present");
+  const ids = new Set();
+  classes.forEach((c, j) => {
+    const cp = `${path}[${j}]`;
+    if (!SLUG_RE.test(c?.id || "")) err(`${cp}.id`, "must be a lowercase slug");
+    else if (ids.has(c.id)) err(`${cp}.id`, `duplicate class "${c.id}"`);
+    else ids.add(c.id);
+    if (!isNonEmptyString(c?.label)) err(`${cp}.label`, "is required");
+    const ages = [c?.minAge, c?.maxAge];
+    if (!ages.every((a) => Number.isInteger(a) && a >= 0) || c.minAge > c.maxAge) err(cp, "needs whole-number minAge ≤ maxAge");
+    else if (classes.slice(0, j).some((o) => c.minAge <= o.maxAge && o.minAge <= c.maxAge)) err(cp, "overlaps an earlier class's ages");
+  });
+}
+
+// Wizard steps: every field in exactly one step; a `when` may only look at
+// a field from an earlier step
+function checkSteps(steps, fieldNames, path, err) {
+  if (!Array.isArray(steps) || steps.length === 0) return err(path, "must be a non-empty array when present");
+  const ids = new Set();
+  const placed = new Set();
+  steps.forEach((step, j) => {
+    const sp = `${path}[${j}]`;
+    if (!isObject(step)) return err(sp, "must be an object");
+    if (!SLUG_RE.test(step.id || "")) err(`${sp}.id`, "must be a lowercase slug");
+    else if (ids.has(step.id)) err(`${sp}.id`, `duplicate step "${step.id}"`);
+    else ids.add(step.id);
+    if (!isNonEmptyString(step.title)) err(`${sp}.title`, "is required");
+    if (step.when != null) {
+      const w = step.when;
+      if (!isObject(w) || !placed.has(w.field)) err(`${sp}.when.field`, "must name a field from an earlier step");
+      else if ((w.in === undefined) === (w.equals === undefined)) err(`${sp}.when`, "needs either `in` or `equals`");
+      else if (w.in !== undefined && !(Array.isArray(w.in) && w.in.length)) err(`${sp}.when.in`, "must be a non-empty array");
+    }
+    if (!Array.isArray(step.fields) || step.fields.length === 0) return err(`${sp}.fields`, "must be a non-empty array of field names");
+    step.fields.forEach((name, k) => {
+      if (!fieldNames.includes(name)) err(`${sp}.fields[${k}]`, `unknown field "${name}"`);
+      else if (placed.has(name)) err(`${sp}.fields[${k}]`, `"${name}" is already in an earlier step`);
+      placed.add(name);
+    });
+  });
+  for (const name of fieldNames) if (!placed.has(name)) err(path, `field "${name}" isn't in any step`);
+}
+
+function checkSchedule(schedule, path, err) {
+  if (schedule == null) return;
+  if (!Array.isArray(schedule)) return err(path, "must be an array");
+  schedule.forEach((s, j) => {
+    if (!isNonEmptyString(s?.label) || !isNonEmptyString(s?.when)) err(`${path}[${j}]`, "needs a label and when");
+  });
+}
+
+function checkContacts(contacts, path, err) {
+  if (contacts == null) return;
+  if (!Array.isArray(contacts)) return err(path, "must be an array");
+  contacts.forEach((ct, j) => {
+    if (!isNonEmptyString(ct?.role)) err(`${path}[${j}].role`, "is required");
+    if (!ct?.email && !ct?.phone) err(`${path}[${j}]`, "needs an email or phone");
+  });
+}
+
+function checkRetention(value, path, err) {
+  if (value != null && !(Number.isInteger(value) && value > 0)) err(path, "must be a whole number of days");
+}
+
+// The privacy notice's version, the default retention and the consents
+// every form ends with
+function checkPrivacy(privacy, err) {
+  if (privacy == null) return [];
+  if (!isObject(privacy)) { err("privacy", "must be an object"); return []; }
+  if (!isNonEmptyString(privacy.version)) err("privacy.version", "is required (the notice's date, e.g. 2026-10-18)");
+  checkRetention(privacy.retentionDays, "privacy.retentionDays", err);
+  if (!Array.isArray(privacy.consents)) { err("privacy.consents", "must be an array of checkbox fields"); return []; }
+  privacy.consents.forEach((f, i) => {
+    checkField(f, `privacy.consents[${i}]`, err);
+    if (f?.type !== "checkbox" || !f.purpose) err(`privacy.consents[${i}]`, "must be a checkbox with a purpose");
+  });
+  return privacy.consents.map((f) => f?.name);
+}
+
+function checkDate(value, path, err) {
+  if (value == null) return null;
+  if (typeof value !== "string" || !ISO_DATETIME_RE.test(value) || Number.isNaN(Date.parse(value))) {
+    err(path, "must be null or an ISO date-time with offset, e.g. 2025-01-31T23:59:00+03:00");
+    return null;
+  }
+  return Date.parse(value);
+}
+
+export function validateCatalog(catalog) {
+  const errors = [];
+  const err = (path, msg) => errors.push(`${path}: ${msg}`);
+
+  if (!isObject(catalog)) return ["catalog: must be a JSON object"];
+
+  // campuses
+  const campusIds = new Set();
+  if (!Array.isArray(catalog.campuses) || catalog.campuses.length === 0) {
+    err("campuses", "must be a non-empty array");
+  } else {
+    catalog.campuses.forEach((c, i) => {
+      const p = `campuses[${i}]`;
+      if (!SLUG_RE.test(c?.id || "")) err(`${p}.id`, "must be a lowercase slug");
+      else if (campusIds.has(c.id)) err(`${p}.id`, `duplicate campus "${c.id}"`);
+      else campusIds.add(c.id);
+      if (!isNonEmptyString(c?.name)) err(`${p}.name`, "is required");
+    });
+  }
+
+  // shared fieldsets
+  const fieldsets = catalog.fieldsets ?? {};
+  if (!isObject(fieldsets)) err("fieldsets", "must be an object of field lists");
+  else {
+    for (const [name, list] of Object.entries(fieldsets)) {
+      if (!Array.isArray(list)) { err(`fieldsets.${name}`, "must be an array of fields"); continue; }
+      list.forEach((f, i) => checkField(f, `fieldsets.${name}[${i}]`, err));
+    }
+  }
+
+  const consentNames = checkPrivacy(catalog.privacy, err);
+
+  // categories
+  if (!Array.isArray(catalog.categories) || catalog.categories.length === 0) {
+    err("categories", "must be a non-empty array");
+    return errors;
+  }
+  const ids = new Set();
+  catalog.categories.forEach((c, i) => {
+    const p = `categories[${i}]`;
+    if (!isObject(c)) return err(p, "must be an object");
+    if (!SLUG_RE.test(c.id || "")) err(`${p}.id`, "must be a lowercase slug like youth-ministry");
+    else if (ids.has(c.id)) err(`${p}.id`, `duplicate category "${c.id}"`);
+    else ids.add(c.id);
+
+    for (const key of ["title", "description", "icon"]) {
+      if (!isNonEmptyString(c[key])) err(`${p}.${key}`, "is required");
+    }
+    if (c.hint != null && !isNonEmptyString(c.hint)) err(`${p}.hint`, "must be a non-empty string");
+    if (!isHttpsUrl(c.link)) err(`${p}.link`, "must be an absolute https:// URL");
+
+    if (!Array.isArray(c.campuses) || c.campuses.length === 0) err(`${p}.campuses`, "must list at least one campus");
+    else c.campuses.forEach((id, j) => {
+      if (!campusIds.has(id)) err(`${p}.campuses[${j}]`, `unknown campus "${id}"`);
+    });
+
+    const opens = checkDate(c.opensAt, `${p}.opensAt`, err);
+    const closes = checkDate(c.closesAt, `${p}.closesAt`, err);
+    if (opens != null && closes != null && opens >= closes) err(`${p}.closesAt`, "must be after opensAt");
+    checkRetention(c.retentionDays, `${p}.retentionDays`, err);
+
+    if (c.details != null && !(Array.isArray(c.details) && c.details.every(isNonEmptyString))) {
+      err(`${p}.details`, "must be an array of paragraphs");
+    }
+    checkSchedule(c.schedule, `${p}.schedule`, err);
+    checkContacts(c.contacts, `${p}.contacts`, err);
+
+    // Per-campus tweaks to link/contacts/schedule
+    if (c.campusOverrides != null) {
+      if (!isObject(c.campusOverrides)) err(`${p}.campusOverrides`, "must be an object keyed by campus id");
+      else for (const [campusId, o] of Object.entries(c.campusOverrides)) {
+        const op = `${p}.campusOverrides.${campusId}`;
+        if (!c.campuses?.includes(campusId)) err(op, `"${campusId}" is not one of this category's campuses`);
+        if (!isObject(o)) { err(op, "must be an object"); continue; }
+        for (const key of Object.keys(o)) {
+          if (!OVERRIDABLE.includes(key)) err(`${op}.${key}`, `can't be overridden per campus (allowed: ${OVERRIDABLE.join(", ")})`);
+        }
+        if (o.link != null && !isHttpsUrl(o.link)) err(`${op}.link`, "must be an absolute https:// URL");
+        checkSchedule(o.schedule, `${op}.schedule`, err);
+        checkContacts(o.contacts, `${op}.contacts`, err);
+      }
+    }
+
+    const slotIds = new Set();
+    if (c.slots != null) {
+      if (!Array.isArray(c.slots) || c.slots.length === 0) err(`${p}.slots`, "must be a non-empty array when present");
+      else c.slots.forEach((sl, j) => {
+        const sp = `${p}.slots[${j}]`;
+        if (!SLUG_RE.test(sl?.id || "")) err(`${sp}.id`, "must be a lowercase slug");
+        else if (slotIds.has(sl.id)) err(`${sp}.id`, `duplicate slot "${sl.id}"`);
+        else slotIds.add(sl.id);
+        if (!isNonEmptyString(sl?.label)) err(`${sp}.label`, "is required");
+        if (!(Number.isInteger(sl?.capacity) && sl.capacity > 0)) err(`${sp}.capacity`, "must be a positive integer");
+      });
+    }
+
+    if (c.classes != null) checkClasses(c.classes, `${p}.classes`, err);
+
+    if (c.tags != null) {
+      if (!Array.isArray(c.tags)) err(`${p}.tags`, "must be an array of strings");
+      else c.tags.forEach((t, j) => {
+        if (!isNonEmptyString(t) || t !== t.toLowerCase()) err(`${p}.tags[${j}]`, "must be a lowercase string");
+      });
+    }
+
+    if (!isObject(c.form)) { err(`${p}.form`, "is required"); return; }
+    const names = new Set();
+    const seen = (f, path) => {
+      if (!f?.name) return;
+      if (names.has(f.name)) err(path, `duplicate field name "${f.name}"`);
+      names.add(f.name);
+    };
+    (c.form.fieldsets || []).forEach((name, j) => {
+      if (!Array.isArray(fieldsets[name])) err(`${p}.form.fieldsets[${j}]`, `unknown fieldset "${name}"`);
+      else fieldsets[name].forEach((f) => seen(f, `${p}.form.fieldsets[${j}]`));
+    });
+    if (!Array.isArray(c.form.fields)) err(`${p}.form.fields`, "must be an array");
+    else c.form.fields.forEach((f, j) => {
+      checkField(f, `${p}.form.fields[${j}]`, err);
+      if (f?.type === "slot" && slotIds.size === 0) err(`${p}.form.fields[${j}]`, "slot fields need the category to declare slots");
+      if (f?.type === "group" && f.routeBy && c.classes == null) err(`${p}.form.fields[${j}].routeBy`, "needs the category to declare classes");
+      seen(f, `${p}.form.fields[${j}].name`);
+    });
+    if (c.form.steps != null) checkSteps(c.form.steps, [...names], `${p}.form.steps`, err);
+    for (const name of consentNames) if (names.has(name)) err(`${p}.form`, `field "${name}" clashes with privacy.consents`);
+  });
+
+  return errors;
+}
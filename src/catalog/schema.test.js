@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import catalog from "./catalog.json";
+import { validateCatalog } from "./schema.js";
+
+const withSteps = (steps) => ({
+  ...catalog,
+  categories: catalog.categories.map((c) => (c.id === "baptism-membership" ? { ...c, form: { ...c.form, steps } } : c)),
+});
+
+describe("catalog.json", () => {
+  it("is valid", () => {
+    expect(validateCatalog(catalog)).toEqual([]);
+  });
+
+  it("checks that wizard steps cover each field once and only look back", () => {
+    const p = "categories[2].form.steps";
+    expect(validateCatalog(withSteps([
+      { id: "about", title: "About you", fields: ["fullName", "phone", "email", "campus", "nope"] },
+      { id: "about", title: "", fields: ["step", "phone"], when: { field: "testimony", in: ["Baptism"] } },
+      { id: "story", title: "Story", fields: ["testimony", "guests"], when: { field: "step" } },
+    ]))).toEqual([
+      `${p}[0].fields[4]: unknown field "nope"`,
+      `${p}[1].id: duplicate step "about"`,
+      `${p}[1].title: is required`,
+      `${p}[1].when.field: must name a field from an earlier step`,
+      `${p}[1].fields[1]: "phone" is already in an earlier step`,
+      `${p}[2].when: needs either \`in\` or \`equals\``,
+      `${p}: field "baptised" isn't in any step`,
+      `${p}: field "previousChurch" isn't in any step`,
+      `${p}: field "transferLetter" isn't in any step`,
+    ]);
+  });
+
+  it("checks the privacy block and retention periods", () => {
+    const broken = {
+      ...catalog,
+      privacy: { version: "", retentionDays: 0, consents: [{ name: "phone", label: "Keep my phone", type: "text", purpose: "Contact" }] },
+      categories: catalog.categories.map((c, i) => (i === 0 ? { ...c, retentionDays: "forever" } : c)),
+    };
+    expect(validateCatalog(broken)).toEqual([
+      "privacy.version: is required (the notice's date, e.g. 2026-10-18)",
+      "privacy.retentionDays: must be a whole number of days",
+      "privacy.consents[0].purpose: must be a lowercase slug, on a checkbox",
+      "privacy.consents[0]: must be a checkbox with a purpose",
+      "categories[0].retentionDays: must be a whole number of days",
+      ...catalog.categories.map((_, i) => `categories[${i}].form: field "phone" clashes with privacy.consents`),
+    ]);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import { byClosingSoon, isOpen, timeUntil, windowState } from "./index.js";
+
+const at = (iso) => Date.parse(iso);
+const category = (id, opensAt = null, closesAt = null) => ({ id, opensAt, closesAt });
+
+describe("sign-up windows", () => {
+  const term = category("term", "2026-11-02T08:00:00+03:00", "2026-11-29T23:59:00+03:00");
+
+  it("is upcoming, open, then closed, in Nairobi time", () => {
+    // 07:59 in Nairobi is 04:59 UTC
+    expect(windowState(term, at("2026-11-02T04:59:00Z")).state).toBe("upcoming");
+    expect(windowState(term, at("2026-11-02T05:00:00Z"))).toMatchObject({ state: "open", opensAt: new Date("2026-11-02T05:00:00Z") });
+    expect(windowState(term, at("2026-11-29T20:59:00Z")).state).toBe("closed");
+    expect(isOpen(category("always"), 0)).toBe(true);
+  });
+
+  it("counts down in days, then hours, then minutes", () => {
+    const closes = new Date("2026-11-29T23:59:00+03:00");
+    expect(timeUntil(closes, at("2026-11-26T20:00:00+03:00"))).toEqual([3, "day"]);
+    expect(timeUntil(closes, at("2026-11-28T20:00:00+03:00"))).toEqual([27, "hour"]);
+    expect(timeUntil(closes, at("2026-11-29T23:00:00+03:00"))).toEqual([59, "minute"]);
+    expect(timeUntil(closes, at("2026-11-29T23:58:59+03:00"))).toEqual([1, "minute"]);
+  });
+
+  it("sorts open deadlines first, then upcoming, then closed", () => {
+    const now = at("2026-10-27T12:00:00+03:00");
+    const list = [
+      category("closed", null, "2026-10-01T00:00:00+03:00"),
+      category("no-deadline"),
+      term,
+      category("later", null, "2026-12-01T00:00:00+03:00"),
+      category("sooner", null, "2026-10-30T17:00:00+03:00"),
+    ];
+    expect(byClosingSoon(list, now).map((c) => c.id)).toEqual(["sooner", "later", "no-deadline", "term", "closed"]);
+  });
+});
@@ -0,0 +1,108 @@
+import { useCallback, useEffect, useId, useMemo, useState } from "react";
+import { useI18n } from "../i18n/index.js";
+import Dialog from "../ui/Dialog.jsx";
+import Highlight from "../ui/Highlight.jsx";
+import { useLocalStorage } from "../ui/persist.js";
+import { MAX_RECENT, buildCommandSections } from "./index.js";
+
+/* ================= Command Palette ================= */
+export default function CommandPalette({ open, setOpen, commands }) {
+  const { t, rich } = useI18n();
+  const [q, setQ] = useState("");
+  const [active, setActive] = useState(0);
+  const [recent, setRecent] = useLocalStorage("recent-commands", []);
+  const listboxId = useId();
+  const close = useCallback(() => setOpen(false), [setOpen]);
+
+  // Escape is handled by Dialog
+  useEffect(() => {
+    function onKey(e) {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") { e.preventDefault(); setOpen((v) => !v); }
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [setOpen]);
+
+  // Fresh query each time it opens
+  useEffect(() => { if (open) { setQ(""); setActive(0); } }, [open]);
+
+  const sections = useMemo(
+    () => buildCommandSections(commands, q, Array.isArray(recent) ? recent : [], (g) => t(`palette.group.${g}`)),
+    [q, commands, recent, t]
+  );
+  const flat = useMemo(() => sections.flatMap((sec) => sec.items), [sections]);
+  const activeIndex = Math.min(active, Math.max(flat.length - 1, 0));
+  const optionId = (i) => `${listboxId}-opt-${i}`;
+
+  useEffect(() => {
+    if (!open) return;
+    document.getElementById(optionId(activeIndex))?.scrollIntoView?.({ block: "nearest" });
+  });
+
+  function run(cmd) {
+    setRecent((r) => [cmd.id, ...(Array.isArray(r) ? r : []).filter((id) => id !== cmd.id)].slice(0, MAX_RECENT));
+    setOpen(false);
+    cmd.action();
+  }
+
+  function onInputKeyDown(e) {
+    if (!flat.length) return;
+    const move = { ArrowDown: 1, ArrowUp: -1 }[e.key];
+    if (move) {
+      e.preventDefault();
+      setActive((activeIndex + move + flat.length) % flat.length);
+    } else if (e.key === "Home" && e.ctrlKey) { e.preventDefault(); setActive(0); }
+    else if (e.key === "End" && e.ctrlKey) { e.preventDefault(); setActive(flat.length - 1); }
+    else if (e.key === "Enter") { e.preventDefault(); run(flat[activeIndex].cmd); }
+  }
+
+  let index = -1;
+  return (
+    <Dialog open={open} onClose={close} label={t("palette.label")} className="max-w-lg p-3">
+      <input
+        data-autofocus value={q}
+        onChange={(e) => { setQ(e.target.value); setActive(0); }}
+        onKeyDown={onInputKeyDown}
+        role="combobox"
+        aria-expanded="true"
+        aria-controls={listboxId}
+        aria-autocomplete="list"
+        aria-activedescendant={flat.length ? optionId(activeIndex) : undefined}
+        aria-label={t("palette.search")}
+        placeholder={t("palette.placeholder")}
+        className="w-full bg-transparent outline-none text-fg text-base px-3 py-2 border-b border-white/10"
+      />
+      <div id={listboxId} role="listbox" aria-label={t("palette.commands")} className="max-h-80 overflow-auto py-2">
+        {flat.length === 0 && <div className="text-muted text-sm px-3 py-2">{t("palette.noResults")}</div>}
+        {sections.map((sec) => (
+          <div key={sec.id} role="group" aria-labelledby={`${listboxId}-${sec.id}`}>
+            <div id={`${listboxId}-${sec.id}`} role="presentation"
+                 className="px-3 pt-2 pb-1 text-[11px] uppercase tracking-wider text-muted-2">
+              {sec.name}
+            </div>
+            {sec.items.map(({ cmd, ranges }) => {
+              index += 1;
+              const i = index;
+              const selected = i === activeIndex;
+              return (
+                <div key={`${sec.id}:${cmd.id}`} id={optionId(i)} role="option" aria-selected={selected}
+                     onMouseMove={() => { if (!selected) setActive(i); }}
+                     onClick={() => run(cmd)}
+                     className={`px-3 py-2 rounded-xl cursor-pointer ${selected ? "bg-white/10" : ""}`}>
+                  <div className="text-fg"><Highlight text={cmd.label} ranges={ranges} /></div>
+                  {cmd.hint && <div className="text-muted-2 text-xs">{cmd.hint}</div>}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+      <div className="px-3 pt-1 pb-2 text-xs text-muted-2">
+        {rich("palette.help", {
+          up: <kbd>↑</kbd>, down: <kbd>↓</kbd>, enter: <kbd>Enter</kbd>, esc: <kbd>Esc</kbd>,
+          ctrl: <kbd>Ctrl</kbd>, cmd: <kbd>⌘</kbd>, k: <kbd>K</kbd>,
+        })}
+      </div>
+    </Dialog>
+  );
+}
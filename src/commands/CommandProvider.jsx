@@ -0,0 +1,27 @@
+import { useCallback, useMemo, useState } from "react";
+import CommandPalette from "./CommandPalette.jsx";
+import { CommandContext } from "./index.js";
+
+/* ================= Command provider ================= */
+// Owns the palette. Registered lists are kept in mount order so commands
+// stay grouped the same way however components re-render.
+export default function CommandProvider({ children }) {
+  const [open, setOpen] = useState(false);
+  const [lists, setLists] = useState([]);
+
+  const register = useCallback((commands) => {
+    const entry = { commands };
+    setLists((l) => [...l, entry]);
+    return () => setLists((l) => l.filter((e) => e !== entry));
+  }, []);
+
+  const commands = useMemo(() => lists.flatMap((e) => e.commands), [lists]);
+  const value = useMemo(() => ({ open, setOpen, register }), [open, register]);
+
+  return (
+    <CommandContext.Provider value={value}>
+      {children}
+      <CommandPalette open={open} setOpen={setOpen} commands={commands} />
+    </CommandContext.Provider>
+  );
+}
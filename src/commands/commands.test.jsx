@@ -0,0 +1,66 @@
+import { useMemo, useState } from "react";
+import { render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it } from "vitest";
+import I18nProvider from "../i18n/I18nProvider.jsx";
+import { renderApp } from "../test/renderApp.jsx";
+import CommandProvider from "./CommandProvider.jsx";
+import { buildCommandSections, useCommandPalette, useCommands } from "./index.js";
+
+const cmd = (id, group) => ({ id, group, label: id, action: () => {} });
+
+describe("buildCommandSections", () => {
+  it("puts page commands first and unknown groups last", () => {
+    const sections = buildCommandSections(
+      [cmd("a", "navigate"), cmd("b", "custom"), cmd("c", "page")], "", [], (g) => g
+    );
+    expect(sections.map((s) => s.id)).toEqual(["page", "navigate", "custom"]);
+  });
+});
+
+let hits = [];
+function Registers({ label }) {
+  const commands = useMemo(() => [{ id: label, group: "page", label, action: () => hits.push(label) }], [label]);
+  useCommands(commands);
+  return null;
+}
+function Harness() {
+  const [shown, setShown] = useState(true);
+  const { setOpen } = useCommandPalette();
+  return (
+    <>
+      <button type="button" onClick={() => setShown((v) => !v)}>Toggle</button>
+      <button type="button" onClick={() => setOpen(true)}>Palette</button>
+      <Registers label="Always here" />
+      {shown && <Registers label="While shown" />}
+    </>
+  );
+}
+
+describe("useCommands", () => {
+  it("lists a component's commands only while it's mounted", async () => {
+    hits = [];
+    const user = userEvent.setup();
+    render(<I18nProvider><CommandProvider><Harness /></CommandProvider></I18nProvider>);
+    await user.click(screen.getByRole("button", { name: "Palette" }));
+    const page = () => within(screen.getByRole("group", { name: "On this page" }));
+    expect(page().getAllByRole("option").map((o) => o.textContent)).toEqual(["Always here", "While shown"]);
+
+    await user.keyboard("{ArrowDown}{Enter}");
+    expect(hits).toEqual(["While shown"]);
+    await waitFor(() => expect(screen.queryByRole("dialog")).toBeNull());
+
+    await user.click(screen.getByRole("button", { name: "Toggle" }));
+    await user.click(screen.getByRole("button", { name: "Palette" }));
+    expect(page().getAllByRole("option").map((o) => o.textContent)).toEqual(["Always here"]);
+  });
+
+  it("adds the calendar's own commands on /events", async () => {
+    const user = userEvent.setup();
+    renderApp("/events");
+    await user.keyboard("{Control>}k{/Control}");
+    await user.keyboard("calendar view list{Enter}");
+    await waitFor(() => expect(screen.queryByRole("dialog")).toBeNull());
+    expect(screen.getByRole("button", { name: "List" })).toHaveAttribute("aria-pressed", "true");
+  });
+});
@@ -0,0 +1,56 @@
+import { createContext, useContext, useEffect } from "react";
+import { buildIndex, searchIndex } from "../search/index.js";
+
+/* ================= Command registry ================= */
+// A command is { id, group, label, hint?, action }. Components register
+// theirs with useCommands() for as long as they're mounted (pages add
+// "page" commands), and CommandProvider shows them all in the palette.
+// Group names come from palette.group.<id> messages.
+
+export const COMMAND_GROUPS = ["page", "navigate", "signups", "links", "appearance", "language"];
+export const MAX_RECENT = 5;
+
+// Known groups in COMMAND_GROUPS order, then any others as registered
+function groupsOf(commands) {
+  const extra = [...new Set(commands.map((c) => c.group))].filter((g) => !COMMAND_GROUPS.includes(g));
+  return [...COMMAND_GROUPS, ...extra];
+}
+
+// No query: recent commands, then every group in order. With a query:
+// fuzzy-ranked hits, still grouped, groups ordered by their best hit.
+// Recents are stored by command id so they survive a language switch.
+export function buildCommandSections(commands, query, recent, groupName) {
+  if (!query.trim()) {
+    const byId = new Map(commands.map((c) => [c.id, c]));
+    const rec = recent.map((id) => byId.get(id)).filter(Boolean);
+    return [
+      { id: "recent", name: groupName("recent"), items: rec.map((cmd) => ({ cmd })) },
+      ...groupsOf(commands).map((g) => ({ id: g, name: groupName(g), items: commands.filter((c) => c.group === g).map((cmd) => ({ cmd })) })),
+    ].filter((sec) => sec.items.length);
+  }
+  const hits = searchIndex(buildIndex(commands, [
+    { key: "label", weight: 10, get: (c) => c.label },
+    { key: "hint", weight: 3, get: (c) => c.hint || "" },
+    { key: "group", weight: 1, get: (c) => groupName(c.group) },
+  ]), query);
+  const sections = new Map();
+  for (const h of hits) {
+    if (!sections.has(h.doc.group)) sections.set(h.doc.group, { id: h.doc.group, name: groupName(h.doc.group), items: [] });
+    sections.get(h.doc.group).items.push({ cmd: h.doc, ranges: h.matches.label });
+  }
+  return [...sections.values()];
+}
+
+export const CommandContext = createContext({ open: false, setOpen: () => {}, register: () => () => {} });
+
+// { open, setOpen } for the palette
+export function useCommandPalette() {
+  return useContext(CommandContext);
+}
+
+// Adds `commands` to the palette while the caller is mounted. Memoize the
+// array: a new one re-registers.
+export function useCommands(commands) {
+  const { register } = useContext(CommandContext);
+  useEffect(() => register(commands), [register, commands]);
+}
@@ -0,0 +1,39 @@
+import { useId } from "react";
+import { useI18n } from "../i18n/index.js";
+import { ACCENTS, useTheme } from "../theme/index.js";
+import { useToast } from "../ui/toasts.js";
+
+/* ================= Accent picker ================= */
+// Presets plus a free colour input (no toast for that one: it fires while
+// dragging). The theme works out a readable --btn-fg and nudges the accent
+// if it can't reach the theme's contrast.
+export default function AccentPicker() {
+  const { t } = useI18n();
+  const { accent, setAccent } = useTheme();
+  const { notify } = useToast();
+  const inputId = useId();
+  const custom = !Object.values(ACCENTS).includes(accent);
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      <span className="text-muted-2 text-sm">{t("blocks.accent")}</span>
+      <div role="group" aria-label={t("blocks.accent")} className="glass rounded-full px-3 py-2 flex items-center gap-2">
+        {Object.entries(ACCENTS).map(([name, val]) => (
+          <button key={name} type="button" aria-label={t("blocks.setAccent", { name: t(`accent.${name}`) })} aria-pressed={accent === val}
+                  onClick={() => { setAccent(val); notify(t("toast.accent", { name: t(`accent.${name}`) })); }}
+                  className="h-7 w-7 sm:h-6 sm:w-6 rounded-full border border-white/30"
+                  style={{ backgroundColor: val, boxShadow: accent === val ? "0 0 0 3px var(--ring)" : undefined }}
+                  title={t(`accent.${name}`)} />
+        ))}
+        <label htmlFor={inputId} title={t("accent.custom")}
+               className="relative h-7 w-7 sm:h-6 sm:w-6 rounded-full border border-white/30 overflow-hidden cursor-pointer"
+               style={{ background: "conic-gradient(#f43f5e, #f59e0b, #10b981, #0ea5e9, #8b5cf6, #f43f5e)", boxShadow: custom ? "0 0 0 3px var(--ring)" : undefined }}>
+          <span className="sr-only">{t("blocks.customAccent")}</span>
+          <input id={inputId} type="color" value={accent}
+                 onChange={(e) => setAccent(e.target.value)}
+                 className="absolute inset-0 h-full w-full opacity-0 cursor-pointer" />
+        </label>
+      </div>
+    </div>
+  );
+}
+
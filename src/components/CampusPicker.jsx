@@ -0,0 +1,22 @@
+import { ALL_CAMPUSES, CAMPUSES } from "../catalog/index.js";
+import { useI18n } from "../i18n/index.js";
+
+/* ================= Campus picker ================= */
+export default function CampusPicker({ value, onChange }) {
+  const { t } = useI18n();
+  const options = [{ id: ALL_CAMPUSES, name: t("campus.all") }, ...CAMPUSES];
+  return (
+    <div role="group" aria-label={t("campus.label")} className="glass rounded-full p-1 inline-flex flex-wrap items-center gap-1">
+      {options.map((c) => {
+        const active = value === c.id;
+        return (
+          <button key={c.id} type="button" onClick={() => onChange(c.id)} aria-pressed={active}
+                  className={`pill text-sm ${active ? "font-semibold" : "text-muted hover:bg-white/10"}`}
+                  style={active ? { backgroundColor: "var(--active-pill)", color: "var(--fg)" } : undefined}>
+            {c.name}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import { getCategory, isOpen } from "../catalog/index.js";
+import { localizeCategory, useI18n } from "../i18n/index.js";
+import { useProfile } from "../profile/index.js";
+import { useNow } from "../ui/clock.js";
+import { useToast } from "../ui/toasts.js";
+
+/* ================= "Continue your sign-up" ================= */
+// Half-finished wizard sign-ups saved on this device (see useProfileState),
+// for categories still taking sign-ups. Continue reopens the form where
+// they stopped.
+export default function DraftBanner({ onContinue, className = "" }) {
+  const { locale, t, formatDate } = useI18n();
+  const { notify } = useToast();
+  const { drafts, discardDraft } = useProfile();
+  const now = useNow();
+  const items = Object.entries(drafts)
+    .map(([id, draft]) => ({ base: getCategory(id), draft }))
+    .filter(({ base }) => base && isOpen(base, now))
+    .map(({ base, draft }) => {
+      const category = localizeCategory(base, locale);
+      const step = category.form.steps?.find((s) => s.id === draft.step);
+      return { category, draft, step };
+    });
+  if (items.length === 0) return null;
+
+  const discard = (category) => {
+    discardDraft(category.id);
+    notify(t("toast.draftDiscarded", { title: category.title }));
+  };
+
+  return (
+    <section aria-labelledby="drafts-title" className={`glass rounded-3xl p-5 ${className}`}>
+      <h3 id="drafts-title" className="text-lg font-semibold text-fg">{t("drafts.title")}</h3>
+      <p className="mt-1 text-sm text-muted-2">{t("drafts.intro")}</p>
+      <ul className="mt-3 space-y-2">
+        {items.map(({ category, draft, step }) => (
+          <li key={category.id} className="flex flex-wrap items-center gap-3 rounded-2xl border border-white/15 px-4 py-3">
+            <span aria-hidden className="text-xl">{category.icon}</span>
+            <div className="grow min-w-[10rem]">
+              <div className="font-medium text-fg">{category.title}</div>
+              <div className="text-xs text-muted-2">
+                {[
+                  t("drafts.saved", { when: formatDate(new Date(draft.savedAt), { dateStyle: "medium", timeStyle: "short" }) }),
+                  step?.title,
+                ].filter(Boolean).join(" · ")}
+              </div>
+            </div>
+            <button type="button" onClick={() => onContinue(category)} aria-label={t("drafts.continueLabel", { title: category.title })}
+                    className="pill btn-primary font-semibold text-sm">
+              {t("drafts.continue")}
+            </button>
+            <button type="button" onClick={() => discard(category)} aria-label={t("drafts.discardLabel", { title: category.title })}
+                    className="pill hover:bg-white/10 text-muted text-sm">
+              {t("drafts.discard")}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,77 @@
+import { CAMPUSES } from "../catalog/index.js";
+import { useI18n } from "../i18n/index.js";
+import { linkHandler, privacyPath } from "../router.js";
+
+/* ================= Footer ================= */
+export default function Footer() {
+  const { t, rich, formatList } = useI18n();
+  return (
+    <footer className="pt-14 pb-10">
+      <div className="su-container">
+        <div className="grid gap-8 sm:grid-cols-2 lg:grid-cols-4">
+          {/* About */}
+          <div className="glass rounded-2xl p-5">
+            <div className="flex items-center gap-2">
+              <span className="inline-block h-8 w-8 rounded-full" style={{ background: "color-mix(in oklab, var(--accent) 75%, white)" }} />
+              <span className="font-semibold tracking-tight text-fg">Parklands Baptist Church</span>
+            </div>
+            <p className="mt-3 text-sm text-muted-2">
+              {t("footer.about", { campuses: formatList(CAMPUSES.map((c) => c.name)) })}
+            </p>
+          </div>
+
+          {/* Quick Links */}
+          <div className="glass rounded-2xl p-5">
+            <h2 className="font-semibold text-fg">{t("footer.quickLinks")}</h2>
+            <ul className="mt-3 space-y-2 text-sm">
+              <li><a className="hover:underline text-muted" href="https://parklandsbaptist.org/">{t("footer.churchSite")}</a></li>
+              <li><a className="hover:underline text-muted" href="https://parklandsbaptist.org/about-us/" target="_blank" rel="noreferrer">{t("footer.aboutUs")}</a></li>
+              <li><a className="hover:underline text-muted" href="https://parklandsbaptist.org/contact-us/" target="_blank" rel="noreferrer">{t("footer.contactUs")}</a></li>
+              <li><a className="hover:underline text-muted" href="https://shop.revivalweek.org/" target="_blank" rel="noreferrer">{t("footer.shop")}</a></li>
+              <li><a className="hover:underline text-muted" href="https://parklandsbaptist.org/sermons-grid/" target="_blank" rel="noreferrer">{t("footer.sermons")}</a></li>
+              <li><a className="hover:underline text-muted" href={privacyPath()} onClick={linkHandler(privacyPath())}>{t("footer.privacy")}</a></li>
+            </ul>
+          </div>
+
+          {/* Campuses */}
+          <div className="glass rounded-2xl p-5">
+            <h2 className="font-semibold text-fg">{t("footer.campuses")}</h2>
+            <ul className="mt-3 space-y-2 text-sm text-muted-2">
+              {CAMPUSES.map((c) => <li key={c.id}>{c.name}</li>)}
+            </ul>
+          </div>
+
+          {/* Contact */}
+          <div className="glass rounded-2xl p-5">
+            <h2 className="font-semibold text-fg">{t("footer.contact")}</h2>
+            <ul className="mt-3 space-y-2 text-sm">
+              <li className="text-muted-2">{t("footer.address")}</li>
+              <li><a className="hover:underline text-muted" href="tel:+254111023000">(+254) 111 023 000</a></li>
+              <li><a className="hover:underline text-muted" href="mailto:reception@parklandsbaptist.org">reception@parklandsbaptist.org</a></li>
+            </ul>
+          </div>
+        </div>
+
+        <div className="h-px bg-white/10 my-6" />
+
+        <div className="flex flex-col sm:flex-row items-center justify-between gap-3 text-sm text-muted-2">
+          <div>{t("footer.rights", { year: String(new Date().getFullYear()) })}</div>
+          <div>
+            {rich("footer.builtBy", {
+              name: (
+                <a
+                  href="https://alexnjugi.com"
+                  target="_blank"
+                  rel="noreferrer"
+                  className="underline font-medium text-fg"
+                >
+                  Alex Njugi Karanja
+                </a>
+              ),
+            })}
+          </div>
+        </div>
+      </div>
+    </footer>
+  );
+}
@@ -0,0 +1,22 @@
+import { LOCALES, useI18n } from "../i18n/index.js";
+
+/* ================= Language switcher ================= */
+export default function LanguageSwitcher() {
+  const { locale, setLocale, t } = useI18n();
+  return (
+    <div role="group" aria-label={t("lang.label")} className="glass rounded-full p-1 inline-flex items-center gap-1 shadow-sm">
+      {LOCALES.map((l) => {
+        const active = locale === l.id;
+        return (
+          <button key={l.id} type="button" onClick={() => setLocale(l.id)} aria-pressed={active}
+                  lang={l.id} title={l.name} aria-label={t("lang.switchTo", { language: l.name })}
+                  className={`pill text-sm ${active ? "font-semibold" : "text-muted hover:bg-white/10"}`}
+                  style={active ? { backgroundColor: "var(--active-pill)", color: "var(--fg)" } : undefined}>
+            {l.short}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
@@ -0,0 +1,174 @@
+import { useCallback, useEffect, useId, useMemo, useState } from "react";
+import { useCommandPalette } from "../commands/index.js";
+import { useI18n } from "../i18n/index.js";
+import { eventsPath, goToSection, mePath, navigate } from "../router.js";
+import Drawer from "../ui/Drawer.jsx";
+import Tooltip from "../ui/Tooltip.jsx";
+
+/* ================= Nav ================= */
+/* NOTE: theme toggle removed from navbar (we float it bottom-left) */
+export default function Nav({ activeId, onInstall }) {
+  const { t } = useI18n();
+  const { setOpen: setPaletteOpen } = useCommandPalette();
+  const [open, setOpen] = useState(false);
+  const [solid, setSolid] = useState(false);
+  const drawerId = useId();
+  const closeDrawer = useCallback(() => setOpen(false), []);
+
+  // The drawer is mobile-only; don't leave a hidden modal open on resize
+  useEffect(() => {
+    const mq = window.matchMedia?.("(min-width: 768px)");
+    if (!mq) return;
+    const onChange = () => { if (mq.matches) setOpen(false); };
+    mq.addEventListener?.("change", onChange);
+    return () => mq.removeEventListener?.("change", onChange);
+  }, []);
+
+  useEffect(() => {
+    const onScroll = () => setSolid(window.scrollY > 16);
+    onScroll();
+    window.addEventListener("scroll", onScroll, { passive: true });
+    return () => window.removeEventListener("scroll", onScroll);
+  }, []);
+
+  const navItems = useMemo(
+    () => [
+      { id: "home", label: t("nav.home"), href: "#home" },
+      { id: "blocks", label: t("nav.signups"), href: "#blocks" },
+      { id: "events", label: t("nav.events"), href: eventsPath() },
+      { id: "get-started", label: t("nav.nextSteps"), href: "#get-started" },
+      { id: "me", label: t("nav.mine"), href: mePath() },
+    ], [t]
+  );
+
+  // Click handler for all nav links: #sections scroll, /paths route
+  const handleNavClick = (e, href) => {
+    e.preventDefault();
+    setOpen(false); // close drawer on mobile
+    // Allow the drawer collapse animation to start, then scroll
+    requestAnimationFrame(() => (href.startsWith("/") ? navigate(href) : goToSection(href)));
+  };
+
+  return (
+    <header className="fixed top-4 left-0 right-0 z-50">
+      <a href="#main" className="sr-only focus:not-sr-only focus:absolute focus:left-4 focus:top-4 focus:z-[80] focus:bg-white focus:text-black focus:rounded-md focus:px-3 focus:py-2">
+        {t("nav.skip")}
+      </a>
+
+      <div className="su-container">
+        <div className={[
+            "rounded-full flex items-center justify-between px-3 py-2 transition-all duration-300",
+            solid ? "bg-black/50 backdrop-blur-md border border-white/15 shadow-[0_10px_30px_-12px_rgba(0,0,0,.5)]" : "glass",
+          ].join(" ")}>
+          {/* brand */}
+          <a
+            href="#home"
+            onClick={(e) => handleNavClick(e, "#home")}
+            className="flex items-center gap-2 px-3 py-2 rounded-full hover:bg-white/5"
+          >
+            <span className="inline-block h-8 w-8 rounded-full" style={{ background: "color-mix(in oklab, var(--accent) 75%, white)" }} />
+            <span className="font-semibold tracking-tight text-fg">
+              Parklands Baptist Church
+            </span>
+          </a>
+
+          {/* center nav */}
+          <nav aria-label={t("nav.label")} className="hidden md:flex items-center gap-1">
+            {navItems.map((i) => {
+              const active = activeId === i.id;
+              return (
+                <a
+                  key={i.href}
+                  href={i.href}
+                  onClick={(e) => handleNavClick(e, i.href)}
+                  className="pill hover:bg-white/10 text-muted hover:text-fg transition-colors"
+                  aria-current={active ? "page" : undefined}
+                  style={active ? { backgroundColor: "var(--active-pill)", color: "var(--fg)" } : undefined}
+                >
+                  {i.label}
+                </a>
+              );
+            })}
+          </nav>
+
+          {/* right actions */}
+          <div className="hidden sm:flex items-center gap-2">
+            <Tooltip label={t("nav.paletteTip")}>
+              <button onClick={() => setPaletteOpen(true)} className="pill hover:bg-white/10 text-fg" aria-label={t("nav.palette")}>
+                ⌘K
+              </button>
+            </Tooltip>
+            {onInstall && (
+              <Tooltip label={t("nav.installTip")}>
+                <button onClick={onInstall} className="pill hover:bg-white/10 text-fg">{t("nav.install")}</button>
+              </Tooltip>
+            )}
+            <a className="pill hover:bg-white/10 text-muted" href="https://parklandsbaptist.org/new-here/" target="_blank" rel="noreferrer">
+              {t("nav.serviceTimes")}
+            </a>
+            {/* ALWAYS WHITE */}
+            <a className="pill btn-white font-semibold" href="https://parklandsbaptist.org/giving/" target="_blank" rel="noreferrer">
+              {t("nav.give")}
+            </a>
+            <a
+              className="pill btn-primary font-semibold"
+              href="#get-started"
+              onClick={(e) => handleNavClick(e, "#get-started")}
+            >
+              {t("nav.newHere")}
+            </a>
+          </div>
+
+          {/* mobile */}
+          <button onClick={() => setOpen((v) => !v)} className="md:hidden pill hover:bg-white/10 text-fg" aria-label={t("nav.menu")}
+                  aria-haspopup="dialog" aria-expanded={open} aria-controls={open ? drawerId : undefined}>
+            ☰
+          </button>
+        </div>
+      </div>
+
+      {/* mobile drawer: darker + smooth animation */}
+      <Drawer open={open} onClose={closeDrawer} id={drawerId} label={t("nav.mobileMenu")}
+              className="rounded-3xl border border-white/15 bg-black/80 backdrop-blur-md shadow-[0_20px_60px_-12px_rgba(0,0,0,.6)]">
+        <div className="p-2 flex flex-col text-white">
+          <div className="flex justify-end">
+            <button type="button" onClick={closeDrawer} className="pill hover:bg-white/10" aria-label={t("nav.closeMenu")}>×</button>
+          </div>
+          <nav aria-label={t("nav.mobileMenu")} className="flex flex-col">
+            {navItems.map((i) => {
+              const active = activeId === i.id;
+              return (
+                <a
+                  key={i.href}
+                  href={i.href}
+                  onClick={(e) => handleNavClick(e, i.href)}
+                  className="pill hover:bg-white/10"
+                  aria-current={active ? "page" : undefined}
+                  style={active ? { backgroundColor: "rgba(255,255,255,.12)" } : undefined}
+                >
+                  {i.label}
+                </a>
+              );
+            })}
+          </nav>
+          <div className="h-px bg-white/15 my-2" />
+          <button onClick={() => { setOpen(false); setPaletteOpen(true); }} className="pill hover:bg-white/10" aria-label={t("nav.palette")}>⌘K</button>
+          {onInstall && (
+            <button onClick={() => { setOpen(false); onInstall(); }} className="pill hover:bg-white/10 mt-2">{t("nav.installApp")}</button>
+          )}
+          <a className="pill hover:bg-white/10 mt-2" href="https://parklandsbaptist.org/new-here/" target="_blank" rel="noreferrer">{t("nav.serviceTimes")}</a>
+          {/* ALWAYS WHITE (mobile) */}
+          <a className="pill btn-white font-semibold my-1" href="https://parklandsbaptist.org/giving/" target="_blank" rel="noreferrer">{t("nav.give")}</a>
+          <a
+            className="pill btn-primary font-semibold"
+            href="#get-started"
+            onClick={(e) => handleNavClick(e, "#get-started")}
+          >
+            {t("nav.newHere")}
+          </a>
+        </div>
+      </Drawer>
+    </header>
+  );
+}
+
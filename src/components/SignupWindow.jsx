@@ -0,0 +1,64 @@
+import { CLOSING_SOON_MS, timeUntil, windowState } from "../catalog/index.js";
+import { TIME_ZONE } from "../events/index.js";
+import { useI18n } from "../i18n/index.js";
+import { useProfile } from "../profile/index.js";
+import { requestNotifications } from "../profile/reminders.js";
+import { useToast } from "../ui/toasts.js";
+
+/* ================= Sign-up window ================= */
+// "Closes in 3 days" / "Open until 30 Nov" / "Opens on 2 Nov" / "Sign-ups
+// closed" for a category, in Nairobi time whatever the visitor's clock says.
+// Renders nothing for categories without a window.
+const WHEN = { timeZone: TIME_ZONE, dateStyle: "medium", timeStyle: "short" };
+
+const TONES = {
+  soon: "tone-warn",
+  open: "border-white/15 text-muted",
+  upcoming: "tone-info",
+  closed: "border-white/15 text-muted-2",
+};
+
+export function WindowBadge({ category, now, className = "" }) {
+  const { t, formatDate, formatRelative } = useI18n();
+  const { state, opensAt, closesAt } = windowState(category, now);
+  let tone, text, at;
+  if (state === "upcoming") {
+    [tone, text, at] = ["upcoming", t("window.opensOn", { date: formatDate(opensAt, WHEN) }), opensAt];
+  } else if (state === "closed") {
+    [tone, text, at] = ["closed", t("blocks.closed"), closesAt];
+  } else if (closesAt && closesAt.getTime() - now <= CLOSING_SOON_MS) {
+    [tone, text, at] = ["soon", `⏳ ${t("window.closesIn", { when: formatRelative(...timeUntil(closesAt, now)) })}`, closesAt];
+  } else if (closesAt) {
+    [tone, text, at] = ["open", t("window.openUntil", { date: formatDate(closesAt, { timeZone: TIME_ZONE, dateStyle: "medium" }) }), closesAt];
+  } else {
+    return null;
+  }
+  return (
+    <span className={`pill !py-0.5 text-xs border ${TONES[tone]} ${className}`}>
+      {at ? <time dateTime={at.toISOString()} title={formatDate(at, { ...WHEN, dateStyle: "full", timeStyle: "long" })}>{text}</time> : text}
+    </span>
+  );
+}
+
+// Toggles a device-local reminder for when the category next opens
+export function NotifyButton({ category, className = "" }) {
+  const { t } = useI18n();
+  const { notify } = useToast();
+  const { reminders, setReminder } = useProfile();
+  const on = reminders.includes(category.id);
+  const toggle = () => {
+    setReminder(category.id, !on);
+    if (on) {
+      notify(t("toast.reminderOff", { title: category.title }));
+    } else {
+      notify(t("toast.reminderOn", { title: category.title }));
+      requestNotifications();
+    }
+  };
+  return (
+    <button type="button" onClick={toggle} aria-pressed={on} aria-label={t("window.notifyLabel", { title: category.title })}
+            className={`pill text-sm ${on ? "glass text-fg font-semibold" : "hover:bg-white/10 text-fg border border-white/15"} ${className}`}>
+      <span aria-hidden>{on ? "✓" : "🔔"}</span> {t("window.notify")}
+    </button>
+  );
+}
@@ -0,0 +1,24 @@
+import { useI18n } from "../i18n/index.js";
+import { THEME_MODES, useTheme } from "../theme/index.js";
+
+/* ================= Theme switcher ================= */
+const THEME_ICONS = { system: "🖥️", light: "☀️", dark: "🌙", contrast: "◐" };
+export default function ThemeSwitcher() {
+  const { t } = useI18n();
+  const { mode, setMode } = useTheme();
+  return (
+    <div role="group" aria-label={t("theme.label")} className="glass rounded-full p-1 inline-flex items-center gap-1 shadow-sm">
+      {THEME_MODES.map((m) => {
+        const active = mode === m;
+        return (
+          <button key={m} type="button" onClick={() => setMode(m)} aria-pressed={active}
+                  title={t(`theme.${m}`)} aria-label={t(`theme.${m}`)}
+                  className={`pill !px-3 text-sm ${active ? "" : "hover:bg-white/10"}`}
+                  style={active ? { backgroundColor: "var(--active-pill)", color: "var(--fg)" } : undefined}>
+            <span aria-hidden>{THEME_ICONS[m]}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
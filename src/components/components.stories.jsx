@@ -0,0 +1,68 @@
+import { useMemo, useState } from "react";
+import { ALL_CAMPUSES } from "../catalog/index.js";
+import { useCommandPalette, useCommands } from "../commands/index.js";
+import { useToast } from "../ui/toasts.js";
+import AccentPicker from "./AccentPicker.jsx";
+import CampusPicker from "./CampusPicker.jsx";
+import Footer from "./Footer.jsx";
+import LanguageSwitcher from "./LanguageSwitcher.jsx";
+import Nav from "./Nav.jsx";
+import { NotifyButton, WindowBadge } from "./SignupWindow.jsx";
+import ThemeSwitcher from "./ThemeSwitcher.jsx";
+
+/* ================= App chrome (gallery) ================= */
+function NavStory() {
+  const { notify } = useToast();
+  return (
+    <div className="h-24">
+      <Nav activeId="blocks" onInstall={() => notify("Install prompt")} />
+    </div>
+  );
+}
+
+function CampusPickerStory() {
+  const [campus, setCampus] = useState(ALL_CAMPUSES);
+  return <CampusPicker value={campus} onChange={setCampus} />;
+}
+
+// Registers a couple of "On this page" commands while it's shown
+function CommandPaletteStory() {
+  const { setOpen } = useCommandPalette();
+  const { notify } = useToast();
+  const commands = useMemo(() => [
+    { id: "story:hello", group: "page", label: "Say hello", hint: "Gallery command", action: () => notify("👋 Hello") },
+    { id: "story:error", group: "page", label: "Show an error", action: () => notify("⚠️ Example error", { tone: "error" }) },
+  ], [notify]);
+  useCommands(commands);
+  return <button type="button" onClick={() => setOpen(true)} className="pill btn-primary font-semibold">Open palette (Ctrl/⌘ + K)</button>;
+}
+
+// One card's worth of each window state, against a fixed clock
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse("2026-11-01T12:00:00+03:00");
+const WINDOWS = [
+  { id: "story-soon", title: "Closing soon", opensAt: null, closesAt: new Date(NOW + 3 * DAY).toISOString() },
+  { id: "story-open", title: "Open", opensAt: null, closesAt: new Date(NOW + 30 * DAY).toISOString() },
+  { id: "story-upcoming", title: "Upcoming", opensAt: new Date(NOW + 5 * DAY).toISOString(), closesAt: null },
+  { id: "story-closed", title: "Closed", opensAt: null, closesAt: new Date(NOW - DAY).toISOString() },
+];
+
+function SignupWindowStory() {
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      {WINDOWS.map((c) => <WindowBadge key={c.id} category={c} now={NOW} />)}
+      <NotifyButton category={WINDOWS[2]} />
+    </div>
+  );
+}
+
+export default [
+  { name: "Nav", render: NavStory },
+  { name: "Command palette", render: CommandPaletteStory },
+  { name: "Campus picker", render: CampusPickerStory },
+  { name: "Sign-up window", render: SignupWindowStory },
+  { name: "Theme switcher", render: ThemeSwitcher },
+  { name: "Accent picker", render: AccentPicker },
+  { name: "Language switcher", render: LanguageSwitcher },
+  { name: "Footer", render: Footer },
+];
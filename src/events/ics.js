@@ -0,0 +1,106 @@
+import { TIME_ZONE, parseRRule, toWall } from "./recurrence.js";
+
+/* ================= iCalendar (.ics) export ================= */
+// Builds RFC 5545 calendars in the browser for "Add to calendar". Times are
+// written as Nairobi local time with a VTIMEZONE block, so recurring events
+// keep their wall-clock time in any calendar app.
+
+const PRODID = "-//Parklands Baptist Church//Sign-ups//EN";
+const UID_DOMAIN = "parklandsbaptist.org";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Date → 20251102T080000 (Nairobi wall clock)
+function localStamp(date) {
+  const w = toWall(date);
+  return `${w.getUTCFullYear()}${pad(w.getUTCMonth() + 1)}${pad(w.getUTCDate())}T${pad(w.getUTCHours())}${pad(w.getUTCMinutes())}${pad(w.getUTCSeconds())}`;
+}
+
+// Date → 20251102T050000Z
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+const escapeText = (s) => String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let chunk = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) { out.push(chunk); chunk = ""; size = 0; }
+    chunk += ch;
+    size += n;
+  }
+  out.push(chunk);
+  return out.join("\r\n ");
+}
+
+// UNTIL must be UTC when DTSTART has a time; date-only values in the data
+// file are expanded to the end of that Nairobi day.
+function normalizeRRule(rrule) {
+  const { until } = parseRRule(rrule);
+  return rrule.replace(/^RRULE:/i, "").split(";")
+    .map((part) => (part.toUpperCase().startsWith("UNTIL=") ? `UNTIL=${utcStamp(until)}` : part))
+    .join(";");
+}
+
+function vevent(event, { now, url }) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${utcStamp(now)}`,
+    `DTSTART;TZID=${TIME_ZONE}:${localStamp(new Date(event.start))}`,
+    `DTEND;TZID=${TIME_ZONE}:${localStamp(new Date(event.end))}`,
+  ];
+  if (event.rrule) lines.push(`RRULE:${normalizeRRule(event.rrule)}`);
+  if (event.exdates?.length) {
+    lines.push(`EXDATE;TZID=${TIME_ZONE}:${event.exdates.map((d) => localStamp(new Date(d))).join(",")}`);
+  }
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (url) lines.push(`URL:${url}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// `origin` turns in-app registration paths (/signup/…) into absolute URLs
+export function toICS(events, { now = new Date(), origin = "", name } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  lines.push(
+    `X-WR-TIMEZONE:${TIME_ZONE}`,
+    "BEGIN:VTIMEZONE",
+    `TZID:${TIME_ZONE}`,
+    "BEGIN:STANDARD",
+    "DTSTART:19700101T000000",
+    "TZOFFSETFROM:+0300",
+    "TZOFFSETTO:+0300",
+    "TZNAME:EAT",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  );
+  for (const event of events) {
+    const reg = event.registration;
+    const url = reg ? (reg.startsWith("/") ? origin + reg : reg) : null;
+    lines.push(...vevent(event, { now, url }));
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+export function icsFilename(name) {
+  const slug = String(name).toLowerCase().normalize("NFKD").replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `${slug || "events"}.ics`;
+}
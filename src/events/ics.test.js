@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { icsFilename, toICS } from "./ics.js";
+
+const event = (over = {}) => ({
+  id: "midweek-prayer",
+  title: "Mid-week prayer meeting",
+  start: "2026-01-07T18:00:00+03:00",
+  end: "2026-01-07T19:30:00+03:00",
+  rrule: null,
+  ...over,
+});
+const now = new Date("2026-10-18T09:00:00Z");
+const unfold = (ics) => ics.replace(/\r\n /g, "");
+const lines = (ics) => unfold(ics).split("\r\n");
+
+describe("toICS", () => {
+  it("writes Nairobi wall-clock times under a VTIMEZONE, with CRLF line ends", () => {
+    const ics = toICS([event({ rrule: "FREQ=WEEKLY;BYDAY=WE", exdates: ["2026-04-01T18:00:00+03:00"] })], { now });
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(ics.replace(/\r\n/g, "")).not.toMatch(/\n/);
+    expect(lines(ics)).toEqual(expect.arrayContaining([
+      "TZID:Africa/Nairobi",
+      "TZOFFSETTO:+0300",
+      "UID:midweek-prayer@parklandsbaptist.org",
+      "DTSTAMP:20261018T090000Z",
+      "DTSTART;TZID=Africa/Nairobi:20260107T180000",
+      "DTEND;TZID=Africa/Nairobi:20260107T193000",
+      "RRULE:FREQ=WEEKLY;BYDAY=WE",
+      "EXDATE;TZID=Africa/Nairobi:20260401T180000",
+    ]));
+  });
+
+  it("turns a date-only UNTIL into the end of that Nairobi day in UTC", () => {
+    const ics = toICS([event({ rrule: "RRULE:FREQ=WEEKLY;BYDAY=WE;UNTIL=20261231" })], { now });
+    expect(lines(ics)).toContain("RRULE:FREQ=WEEKLY;BYDAY=WE;UNTIL=20261231T205959Z");
+  });
+
+  it("escapes commas, semicolons, backslashes and newlines in text", () => {
+    const ics = toICS([event({ title: "Men, women; all\\welcome", description: "Bring a Bible\nand a friend\r\nor two" })], { now, name: "PBC; events" });
+    expect(lines(ics)).toEqual(expect.arrayContaining([
+      "X-WR-CALNAME:PBC\\; events",
+      "SUMMARY:Men\\, women\\; all\\\\welcome",
+      "DESCRIPTION:Bring a Bible\\nand a friend\\nor two",
+    ]));
+  });
+
+  it("folds lines at 75 octets without splitting a character", () => {
+    const description = "Maombi ya jioni — karibu nyote, vijana kwa wazee 🙏🏾 ".repeat(6);
+    const ics = toICS([event({ description })], { now });
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder("utf-8", { fatal: true });
+    const physical = ics.split("\r\n");
+    for (const line of physical) {
+      expect(encoder.encode(line).length).toBeLessThanOrEqual(75);
+      expect(decoder.decode(encoder.encode(line))).toBe(line);
+    }
+    expect(physical.filter((l) => l.startsWith(" ")).length).toBeGreaterThan(3);
+    expect(lines(ics)).toContain(`DESCRIPTION:${description.replace(/,/g, "\\,")}`);
+  });
+
+  it("links in-app registrations on the given origin", () => {
+    const ics = toICS([event({ registration: "/signup/youth-ministry" }), event({ id: "conf", registration: "https://example.org/conf" })],
+      { now, origin: "https://signups.example" });
+    expect(lines(ics)).toEqual(expect.arrayContaining(["URL:https://signups.example/signup/youth-ministry", "URL:https://example.org/conf"]));
+  });
+});
+
+describe("icsFilename", () => {
+  it("slugs the calendar name", () => {
+    expect(icsFilename("Maombi ya Jioni — Eastgate")).toBe("maombi-ya-jioni-eastgate.ics");
+    expect(icsFilename("🙏")).toBe("events.ics");
+  });
+});
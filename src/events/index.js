@@ -0,0 +1,94 @@
+import data from "./events.json";
+import { ALL_CAMPUSES, isCampus } from "../catalog/index.js";
+import { fromWall, occurrenceStarts, toWall } from "./recurrence.js";
+
+export { TIME_ZONE } from "./recurrence.js";
+
+/* ================= Events ================= */
+// events.json lists one-off and recurring events (validated at build time by
+// scripts/vite-plugin-catalog.js). `ministry` is a sign-up category id and
+// `registration` either an in-app /signup/… path or an external URL.
+
+export const EVENTS = data.events;
+
+export const ALL_MINISTRIES = "all";
+
+export function filterEvents(events, { campus = ALL_CAMPUSES, ministry = ALL_MINISTRIES } = {}) {
+  return events.filter((e) =>
+    (!isCampus(campus) || e.campuses.includes(campus)) &&
+    (ministry === ALL_MINISTRIES || e.ministry === ministry)
+  );
+}
+
+// Occurrences overlapping [from, to), soonest first
+export function occurrencesBetween(events, from, to) {
+  return events.flatMap((event) => {
+    const start = new Date(event.start);
+    const duration = Date.parse(event.end) - start.getTime();
+    return occurrenceStarts(start, event.rrule, { to: new Date(to.getTime() - 1), exdates: event.exdates })
+      .filter((s) => s.getTime() + duration > from.getTime())
+      .map((s) => ({ key: `${event.id}@${s.toISOString()}`, event, start: s, end: new Date(s.getTime() + duration) }));
+  }).sort((a, b) => a.start - b.start || a.event.title.localeCompare(b.event.title));
+}
+
+export function upcoming(events, { from = new Date(), limit = 3, days = 120 } = {}) {
+  return occurrencesBetween(events, from, new Date(from.getTime() + days * 86_400_000)).slice(0, limit);
+}
+
+/* ================= Calendar helpers (Nairobi days) ================= */
+// "2026-11-14" for the Nairobi day an instant falls on
+export const dayKey = (date) => toWall(date).toISOString().slice(0, 10);
+
+export function currentMonth(now = new Date()) {
+  const w = toWall(now);
+  return { year: w.getUTCFullYear(), month: w.getUTCMonth() };
+}
+
+export function shiftMonth({ year, month }, by) {
+  const d = new Date(Date.UTC(year, month + by, 1));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() };
+}
+
+// Instants bounding a Nairobi calendar month
+export function monthRange({ year, month }) {
+  return { from: fromWall(new Date(Date.UTC(year, month, 1))), to: fromWall(new Date(Date.UTC(year, month + 1, 1))) };
+}
+
+// Monday-first weeks covering the month; each day is { key, date, inMonth }
+// where date is Nairobi midnight
+export function monthGrid({ year, month }) {
+  const first = new Date(Date.UTC(year, month, 1));
+  const start = new Date(first.getTime() - ((first.getUTCDay() + 6) % 7) * 86_400_000);
+  const weeks = [];
+  for (let d = start; weeks.length < 6; ) {
+    const week = [];
+    for (let i = 0; i < 7; i++, d = new Date(d.getTime() + 86_400_000)) {
+      week.push({ key: d.toISOString().slice(0, 10), date: fromWall(d), inMonth: d.getUTCMonth() === month });
+    }
+    weeks.push(week);
+    if (d.getUTCMonth() !== month) break;
+  }
+  return weeks;
+}
+
+// Day keys an occurrence covers (multi-day events appear on each day)
+export function occurrenceDays({ start, end }) {
+  const days = [];
+  const last = dayKey(new Date(end.getTime() - 1));
+  for (let d = toWall(start); ; d = new Date(d.getTime() + 86_400_000)) {
+    const key = d.toISOString().slice(0, 10);
+    days.push(key);
+    if (key >= last) return days;
+  }
+}
+
+export function byDay(occurrences) {
+  const map = new Map();
+  for (const o of occurrences) {
+    for (const key of occurrenceDays(o)) {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(o);
+    }
+  }
+  return map;
+}
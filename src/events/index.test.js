@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { byDay, monthGrid, monthRange, occurrencesBetween } from "./index.js";
+
+const keys = (week) => week.map((d) => d.key);
+
+describe("monthGrid", () => {
+  it("puts a month that starts on a Sunday at the end of the first Monday-first week", () => {
+    // 1 February 2026 is a Sunday; the month fits in five weeks
+    const feb = monthGrid({ year: 2026, month: 1 });
+    expect(feb).toHaveLength(5);
+    expect(keys(feb[0])).toEqual(["2026-01-26", "2026-01-27", "2026-01-28", "2026-01-29", "2026-01-30", "2026-01-31", "2026-02-01"]);
+    expect(feb[0].map((d) => d.inMonth)).toEqual([false, false, false, false, false, false, true]);
+    expect(keys(feb[4]).at(-1)).toBe("2026-03-01");
+
+    // So is 1 March, and 31 days need a sixth week
+    const mar = monthGrid({ year: 2026, month: 2 });
+    expect(mar).toHaveLength(6);
+    expect(keys(mar[5])).toEqual(["2026-03-30", "2026-03-31", "2026-04-01", "2026-04-02", "2026-04-03", "2026-04-04", "2026-04-05"]);
+  });
+
+  it("dates each day from Nairobi midnight", () => {
+    const [[monday]] = monthGrid({ year: 2026, month: 5 });
+    expect(monday).toMatchObject({ key: "2026-06-01", inMonth: true, date: new Date("2026-05-31T21:00:00Z") });
+  });
+});
+
+describe("occurrencesBetween", () => {
+  const prayer = {
+    id: "prayer", title: "Prayer", start: "2026-01-07T18:00:00+03:00", end: "2026-01-07T19:30:00+03:00",
+    rrule: "FREQ=WEEKLY;BYDAY=WE", exdates: ["2026-02-18T18:00:00+03:00"],
+  };
+  const retreat = { id: "retreat", title: "Retreat", start: "2026-01-30T17:00:00+03:00", end: "2026-02-01T14:00:00+03:00", rrule: null };
+
+  it("lists what overlaps the range, soonest first, skipping EXDATEs", () => {
+    const list = occurrencesBetween([prayer, retreat], ...Object.values(monthRange({ year: 2026, month: 1 })));
+    expect(list.map((o) => o.key)).toEqual([
+      "retreat@2026-01-30T14:00:00.000Z",
+      "prayer@2026-02-04T15:00:00.000Z",
+      "prayer@2026-02-11T15:00:00.000Z",
+      "prayer@2026-02-25T15:00:00.000Z",
+    ]);
+    expect(list[1].end).toEqual(new Date("2026-02-04T19:30:00+03:00"));
+  });
+
+  it("leaves out an occurrence that starts exactly at the end of the range", () => {
+    const from = new Date("2026-01-01T00:00:00+03:00");
+    expect(occurrencesBetween([prayer], from, new Date("2026-01-07T18:00:00+03:00"))).toEqual([]);
+  });
+
+  it("shows a multi-day event on each of its Nairobi days", () => {
+    const days = byDay(occurrencesBetween([retreat], new Date("2026-01-01T00:00:00+03:00"), new Date("2026-03-01T00:00:00+03:00")));
+    expect([...days.keys()]).toEqual(["2026-01-30", "2026-01-31", "2026-02-01"]);
+  });
+});
@@ -0,0 +1,156 @@
+/* ================= Recurrence (RFC 5545 RRULE subset) ================= */
+// Supports FREQ=DAILY|WEEKLY|MONTHLY|YEARLY with INTERVAL, COUNT, UNTIL,
+// BYDAY (optionally with an ordinal in monthly/yearly rules, e.g. 1SU or
+// -1FR), BYMONTHDAY and BYMONTH — enough for a church calendar. Yearly
+// rules expand within BYMONTH (or the start month).
+//
+// All arithmetic happens on Nairobi wall-clock time. East Africa Time is a
+// fixed UTC+3 with no daylight saving, so a wall-clock date is just the
+// UTC instant shifted by three hours.
+
+export const TIME_ZONE = "Africa/Nairobi";
+export const UTC_OFFSET_MINUTES = 180;
+const OFFSET_MS = UTC_OFFSET_MINUTES * 60_000;
+const DAY_MS = 86_400_000;
+
+export const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const FREQS = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+const MAX_PERIODS = 5000;
+
+// Instant ⇄ Nairobi wall clock (a Date whose UTC fields read as local time)
+export const toWall = (date) => new Date(date.getTime() + OFFSET_MS);
+export const fromWall = (wall) => new Date(wall.getTime() - OFFSET_MS);
+
+const wallDate = (y, m, d, from) => new Date(Date.UTC(y, m, d, from.getUTCHours(), from.getUTCMinutes(), from.getUTCSeconds()));
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+
+// "20251231" or "20251231T235900Z" → Date (date-only means end of that Nairobi day)
+function parseUntil(value) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/);
+  if (!m) return null;
+  const [y, mo, d, h, mi, s] = m.slice(1).map(Number);
+  return m[4] == null ? fromWall(new Date(Date.UTC(y, mo - 1, d, 23, 59, 59))) : new Date(Date.UTC(y, mo - 1, d, h, mi, s));
+}
+
+const intList = (v, min, max) => v.split(",").map((n) => {
+  const i = Number(n);
+  if (!Number.isInteger(i) || i === 0 || i < min || i > max) throw new Error(`"${n}" is out of range`);
+  return i;
+});
+
+// "FREQ=WEEKLY;BYDAY=SU" → { freq, interval, count, until, byDay, byMonthDay, byMonth }.
+// Throws with a readable message on anything outside the supported subset.
+export function parseRRule(rule) {
+  const out = { freq: null, interval: 1, count: null, until: null, byDay: null, byMonthDay: null, byMonth: null };
+  for (const part of String(rule).replace(/^RRULE:/i, "").split(";")) {
+    const [rawKey, value = ""] = part.split("=");
+    const key = rawKey.toUpperCase();
+    if (!value) throw new Error(`"${part}" has no value`);
+    if (key === "FREQ") {
+      if (!FREQS.includes(value)) throw new Error(`FREQ must be one of ${FREQS.join(", ")}`);
+      out.freq = value;
+    } else if (key === "INTERVAL" || key === "COUNT") {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 1) throw new Error(`${key} must be a positive integer`);
+      out[key.toLowerCase()] = n;
+    } else if (key === "UNTIL") {
+      out.until = parseUntil(value);
+      if (!out.until) throw new Error("UNTIL must look like 20251231 or 20251231T205959Z");
+    } else if (key === "BYDAY") {
+      out.byDay = value.split(",").map((d) => {
+        const m = d.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+        if (!m || (m[1] && (Number(m[1]) === 0 || Math.abs(Number(m[1])) > 5))) throw new Error(`BYDAY "${d}" is not valid`);
+        return { weekday: WEEKDAYS.indexOf(m[2]), nth: m[1] ? Number(m[1]) : null };
+      });
+    } else if (key === "BYMONTHDAY") {
+      try { out.byMonthDay = intList(value, -31, 31); } catch (e) { throw new Error(`BYMONTHDAY: ${e.message}`); }
+    } else if (key === "BYMONTH") {
+      try { out.byMonth = intList(value, 1, 12); } catch (e) { throw new Error(`BYMONTH: ${e.message}`); }
+    } else if (key !== "WKST") {
+      throw new Error(`${key} is not supported`);
+    }
+  }
+  if (!out.freq) throw new Error("FREQ is required");
+  if (out.count && out.until) throw new Error("use COUNT or UNTIL, not both");
+  return out;
+}
+
+// Days in month (y, m) matching BYDAY entries, honouring ordinals (1SU, -1FR)
+function weekdaysInMonth(y, m, byDay, from) {
+  const len = daysInMonth(y, m);
+  const days = [];
+  for (const { weekday, nth } of byDay) {
+    const matches = [];
+    for (let d = 1; d <= len; d++) {
+      if (new Date(Date.UTC(y, m, d)).getUTCDay() === weekday) matches.push(d);
+    }
+    if (nth == null) days.push(...matches);
+    else {
+      const d = nth > 0 ? matches[nth - 1] : matches[matches.length + nth];
+      if (d) days.push(d);
+    }
+  }
+  return days.map((d) => wallDate(y, m, d, from));
+}
+
+function monthDays(y, m, rule, from) {
+  if (rule.byDay) return weekdaysInMonth(y, m, rule.byDay, from);
+  const len = daysInMonth(y, m);
+  const days = rule.byMonthDay ?? [from.getUTCDate()];
+  return days.map((d) => (d < 0 ? len + d + 1 : d)).filter((d) => d >= 1 && d <= len).map((d) => wallDate(y, m, d, from));
+}
+
+// Candidate wall-clock dates for the k-th period after the start
+function period(rule, start, k) {
+  const step = k * rule.interval;
+  const y = start.getUTCFullYear();
+  const m = start.getUTCMonth();
+  switch (rule.freq) {
+    case "DAILY":
+      return [new Date(start.getTime() + step * DAY_MS)];
+    case "WEEKLY": {
+      // Weeks run Monday–Sunday (WKST=MO)
+      const monday = start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS + step * 7 * DAY_MS;
+      const days = rule.byDay ? rule.byDay.map((d) => d.weekday) : [start.getUTCDay()];
+      return days.map((wd) => new Date(monday + ((wd + 6) % 7) * DAY_MS));
+    }
+    case "MONTHLY": {
+      const first = new Date(Date.UTC(y, m + step, 1));
+      return monthDays(first.getUTCFullYear(), first.getUTCMonth(), rule, start);
+    }
+    default: {
+      const months = rule.byMonth ? rule.byMonth.map((n) => n - 1) : [m];
+      return months.flatMap((mm) => monthDays(y + step, mm, rule, start));
+    }
+  }
+}
+
+function matchesFilters(rule, wall) {
+  if (rule.byMonth && !rule.byMonth.includes(wall.getUTCMonth() + 1)) return false;
+  if (rule.freq === "DAILY" && rule.byDay && !rule.byDay.some((d) => d.weekday === wall.getUTCDay())) return false;
+  return true;
+}
+
+// Start instants of an event from `start` (Date) under `rrule`, up to `to`.
+// `exdates` are skipped but still count towards COUNT, as in RFC 5545.
+export function occurrenceStarts(start, rrule, { to, exdates = [] } = {}) {
+  if (!rrule) return start <= to ? [start] : [];
+  const rule = typeof rrule === "string" ? parseRRule(rrule) : rrule;
+  const wallStart = toWall(start);
+  const skip = new Set(exdates.map((d) => new Date(d).getTime()));
+  const out = [];
+  let seen = 0;
+  for (let k = 0; k < MAX_PERIODS; k++) {
+    const candidates = period(rule, wallStart, k)
+      .filter((w) => w >= wallStart && matchesFilters(rule, w))
+      .sort((a, b) => a - b);
+    for (const wall of candidates) {
+      const at = fromWall(wall);
+      if ((rule.until && at > rule.until) || at > to) return out;
+      if (rule.count && seen >= rule.count) return out;
+      seen++;
+      if (!skip.has(at.getTime())) out.push(at);
+    }
+  }
+  return out;
+}
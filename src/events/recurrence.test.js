@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { occurrenceStarts, parseRRule } from "./recurrence.js";
+
+// Nairobi wall-clock times of each occurrence, e.g. "2026-01-04 08:00"
+const starts = (start, rrule, to, exdates) =>
+  occurrenceStarts(new Date(start), rrule, { to: new Date(to), exdates })
+    .map((d) => new Date(d.getTime() + 3 * 3600_000).toISOString().slice(0, 16).replace("T", " "));
+
+describe("parseRRule", () => {
+  it("reads the supported subset, ordinals included", () => {
+    expect(parseRRule("RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=1SU,-1FR;WKST=MO")).toEqual({
+      freq: "MONTHLY", interval: 2, count: null, until: null,
+      byDay: [{ weekday: 0, nth: 1 }, { weekday: 5, nth: -1 }], byMonthDay: null, byMonth: null,
+    });
+    expect(parseRRule("FREQ=YEARLY;BYMONTH=12;BYMONTHDAY=-1")).toMatchObject({ byMonth: [12], byMonthDay: [-1] });
+  });
+
+  it("says what is wrong with anything else", () => {
+    expect(() => parseRRule("FREQ=HOURLY")).toThrow("FREQ must be one of");
+    expect(() => parseRRule("FREQ=MONTHLY;BYDAY=6SU")).toThrow('BYDAY "6SU" is not valid');
+    expect(() => parseRRule("FREQ=DAILY;COUNT=0")).toThrow("COUNT must be a positive integer");
+    expect(() => parseRRule("FREQ=DAILY;COUNT=2;UNTIL=20261231")).toThrow("not both");
+    expect(() => parseRRule("FREQ=MONTHLY;BYSETPOS=1")).toThrow("BYSETPOS is not supported");
+    expect(() => parseRRule("INTERVAL=2")).toThrow("FREQ is required");
+  });
+});
+
+describe("occurrenceStarts", () => {
+  it("picks the nth and the last weekday of each month", () => {
+    expect(starts("2026-01-04T08:00:00+03:00", "FREQ=MONTHLY;BYDAY=1SU", "2026-04-30T00:00:00+03:00"))
+      .toEqual(["2026-01-04 08:00", "2026-02-01 08:00", "2026-03-01 08:00", "2026-04-05 08:00"]);
+    expect(starts("2026-01-30T18:00:00+03:00", "FREQ=MONTHLY;BYDAY=-1FR", "2026-04-30T00:00:00+03:00"))
+      .toEqual(["2026-01-30 18:00", "2026-02-27 18:00", "2026-03-27 18:00", "2026-04-24 18:00"]);
+  });
+
+  it("skips periods by INTERVAL", () => {
+    expect(starts("2026-01-07T18:00:00+03:00", "FREQ=WEEKLY;INTERVAL=2;BYDAY=WE", "2026-02-28T00:00:00+03:00"))
+      .toEqual(["2026-01-07 18:00", "2026-01-21 18:00", "2026-02-04 18:00", "2026-02-18 18:00"]);
+    expect(starts("2026-01-15T10:00:00+03:00", "FREQ=MONTHLY;INTERVAL=3", "2026-12-31T00:00:00+03:00"))
+      .toEqual(["2026-01-15 10:00", "2026-04-15 10:00", "2026-07-15 10:00", "2026-10-15 10:00"]);
+  });
+
+  it("counts an EXDATE towards COUNT without returning it", () => {
+    expect(starts("2026-03-02T07:00:00+03:00", "FREQ=DAILY;COUNT=4", "2026-12-31T00:00:00+03:00", ["2026-03-03T07:00:00+03:00"]))
+      .toEqual(["2026-03-02 07:00", "2026-03-04 07:00", "2026-03-05 07:00"]);
+  });
+
+  it("ends a date-only UNTIL at the end of that day in Nairobi", () => {
+    // 01:00 on the 6th in Nairobi is still the 5th in UTC, but it's after UNTIL
+    expect(starts("2026-03-04T01:00:00+03:00", "FREQ=DAILY;UNTIL=20260305", "2026-12-31T00:00:00+03:00"))
+      .toEqual(["2026-03-04 01:00", "2026-03-05 01:00"]);
+    expect(starts("2026-03-04T23:30:00+03:00", "FREQ=DAILY;UNTIL=20260305", "2026-12-31T00:00:00+03:00"))
+      .toEqual(["2026-03-04 23:30", "2026-03-05 23:30"]);
+  });
+
+  it("returns a one-off event only if it starts in range", () => {
+    expect(starts("2026-03-04T09:00:00+03:00", null, "2026-03-05T00:00:00+03:00")).toEqual(["2026-03-04 09:00"]);
+    expect(starts("2026-03-04T09:00:00+03:00", null, "2026-03-04T08:00:00+03:00")).toEqual([]);
+  });
+});
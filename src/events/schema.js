@@ -0,0 +1,69 @@
+import { ISO_DATETIME_RE, SLUG_RE, isHttpsUrl, isNonEmptyString, isObject } from "../catalog/schema.js";
+import { parseRRule } from "./recurrence.js";
+
+/* ================= Events schema ================= */
+// Validates events.json against the sign-up catalog (campus and ministry ids,
+// in-app registration paths). Runs at build time alongside the catalog check;
+// returns "path: problem" strings like validateCatalog().
+
+const SIGNUP_PATH_RE = /^\/signup\/([a-z0-9-]+)$/;
+
+function checkTime(value, path, err) {
+  if (typeof value !== "string" || !ISO_DATETIME_RE.test(value) || Number.isNaN(Date.parse(value))) {
+    err(path, "must be an ISO date-time with offset, e.g. 2026-11-14T08:30:00+03:00");
+    return null;
+  }
+  return Date.parse(value);
+}
+
+export function validateEvents(data, catalog) {
+  const errors = [];
+  const err = (path, msg) => errors.push(`${path}: ${msg}`);
+
+  if (!isObject(data) || !Array.isArray(data.events)) return ["events: must be a JSON object with an events array"];
+  const campusIds = new Set((catalog?.campuses || []).map((c) => c.id));
+  const categoryIds = new Set((catalog?.categories || []).map((c) => c.id));
+
+  const ids = new Set();
+  data.events.forEach((e, i) => {
+    const p = `events[${i}]`;
+    if (!isObject(e)) return err(p, "must be an object");
+    if (!SLUG_RE.test(e.id || "")) err(`${p}.id`, "must be a lowercase slug like youth-camp-2026");
+    else if (ids.has(e.id)) err(`${p}.id`, `duplicate event "${e.id}"`);
+    else ids.add(e.id);
+
+    if (!isNonEmptyString(e.title)) err(`${p}.title`, "is required");
+    for (const key of ["description", "location"]) {
+      if (e[key] != null && !isNonEmptyString(e[key])) err(`${p}.${key}`, "must be a non-empty string");
+    }
+    if (e.ministry != null && !categoryIds.has(e.ministry)) err(`${p}.ministry`, `unknown sign-up category "${e.ministry}"`);
+
+    if (!Array.isArray(e.campuses) || e.campuses.length === 0) err(`${p}.campuses`, "must list at least one campus");
+    else e.campuses.forEach((id, j) => {
+      if (!campusIds.has(id)) err(`${p}.campuses[${j}]`, `unknown campus "${id}"`);
+    });
+
+    const start = checkTime(e.start, `${p}.start`, err);
+    const end = checkTime(e.end, `${p}.end`, err);
+    if (start != null && end != null && end <= start) err(`${p}.end`, "must be after start");
+
+    if (e.rrule != null) {
+      try { parseRRule(e.rrule); } catch (x) { err(`${p}.rrule`, x.message); }
+    }
+    if (e.exdates != null) {
+      if (!Array.isArray(e.exdates)) err(`${p}.exdates`, "must be an array of date-times");
+      else if (e.rrule == null) err(`${p}.exdates`, "only applies to recurring events");
+      else e.exdates.forEach((d, j) => checkTime(d, `${p}.exdates[${j}]`, err));
+    }
+
+    if (e.registration != null) {
+      const m = String(e.registration).match(SIGNUP_PATH_RE);
+      if (m) {
+        if (!categoryIds.has(m[1])) err(`${p}.registration`, `unknown sign-up "${m[1]}"`);
+      } else if (!isHttpsUrl(e.registration)) {
+        err(`${p}.registration`, "must be null, /signup/<category-id> or an https:// URL");
+      }
+    }
+  });
+  return errors;
+}
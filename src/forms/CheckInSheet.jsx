@@ -0,0 +1,72 @@
+import { createPortal } from "react-dom";
+import { ageOn, displayValue, itemClass } from "./validation.js";
+import { useI18n } from "../i18n/index.js";
+
+/* ================= Printable check-in summary ================= */
+// Hidden on screen; index.css prints only this while it's mounted. One
+// block per child with their class, allergies and medical notes up front,
+// then who may collect them and the consents given.
+export default function CheckInSheet({ category, fields, values, result }) {
+  const { t, formatDate } = useI18n();
+  const show = (f, v) => displayValue(f, v, { t, formatDate });
+  const routed = fields.filter((f) => f.type === "group" && f.routeBy);
+  const lists = fields.filter((f) => f.type === "group" && !f.routeBy);
+  const consents = fields.filter((f) => f.type === "checkbox");
+  const details = fields.filter((f) => f.type !== "group" && f.type !== "checkbox");
+  const reference = result?.id ? result.id.slice(0, 8).toUpperCase() : null;
+
+  return createPortal(
+    <div className="print-sheet p-8">
+      <h1 className="text-2xl font-bold">{t("checkin.title", { title: category.title })}</h1>
+      <p className="mt-1">
+        {[reference && t("checkin.reference", { reference }), t("checkin.printed", { date: formatDate(new Date()) })].filter(Boolean).join(" · ")}
+      </p>
+
+      <dl className="mt-4 grid grid-cols-[auto_1fr] gap-x-4 gap-y-1">
+        {details.map((f) => (
+          <div key={f.name} className="contents">
+            <dt className="font-semibold">{f.label}</dt>
+            <dd>{show(f, values[f.name])}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {routed.flatMap((f) => (values[f.name] || []).map((item, i) => {
+        const cls = itemClass(f, item);
+        const allergies = f.fields.find((sf) => sf.name === "allergies");
+        const medical = f.fields.find((sf) => sf.name === "medical");
+        return (
+          <section key={`${f.name}-${i}`} className="mt-6 border-2 border-black rounded-lg p-4">
+            <h2 className="text-xl font-bold">{item.name}</h2>
+            <p className="text-lg">{cls ? cls.label : "—"}</p>
+            <p>{t("checkin.age", { age: ageOn(item[f.routeBy]), dob: show(f.fields.find((sf) => sf.name === f.routeBy), item[f.routeBy]) })}</p>
+            {allergies && item.allergies && <p className="mt-2 font-bold">⚠ {allergies.label}: {item.allergies}</p>}
+            {medical && item.medical && <p className="mt-1">{medical.label}: {item.medical}</p>}
+            {f.fields.filter((sf) => !["name", f.routeBy, "allergies", "medical"].includes(sf.name) && item[sf.name]).map((sf) => (
+              <p key={sf.name}>{sf.label}: {show(sf, item[sf.name])}</p>
+            ))}
+          </section>
+        );
+      }))}
+
+      {lists.map((f) => (
+        <section key={f.name} className="mt-6">
+          <h2 className="text-lg font-bold">{f.label}</h2>
+          <p className="whitespace-pre-line">{show(f, values[f.name])}</p>
+        </section>
+      ))}
+
+      {consents.length > 0 && (
+        <section className="mt-6">
+          <h2 className="text-lg font-bold">{t("checkin.consents")}</h2>
+          <ul>
+            {consents.map((f) => <li key={f.name}>{values[f.name] ? "☑" : "☐"} {f.label}</li>)}
+          </ul>
+        </section>
+      )}
+
+      <p className="mt-8 italic">{t("checkin.footer")}</p>
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,228 @@
+import { useId, useRef, useState } from "react";
+import SlotPicker from "./SlotPicker.jsx";
+import { useI18n } from "../i18n/index.js";
+import {
+  groupItemErrors, initialValues, itemClass, optionLabel, optionValue, resolveDateBound, validateField, validateForm,
+} from "./validation.js";
+
+/* ================= Schema-driven form ================= */
+export function Field({ field, id, value, error, onChange, onBlur }) {
+  const { t } = useI18n();
+  const errId = `${id}-error`;
+  const helpId = `${id}-help`;
+  const describedBy = [field.help && helpId, error && errId].filter(Boolean).join(" ") || undefined;
+  const common = {
+    id,
+    name: field.name,
+    onBlur,
+    "aria-invalid": error ? "true" : undefined,
+    "aria-describedby": describedBy,
+    "aria-required": field.required || undefined,
+  };
+
+  if (field.type === "slot") {
+    return <SlotPicker field={field} id={id} value={value} error={error} onChange={onChange} />;
+  }
+  if (field.type === "group") {
+    return <GroupField field={field} id={id} value={value} error={error} onChange={onChange} />;
+  }
+
+  if (field.type === "checkbox") {
+    return (
+      <div>
+        <label htmlFor={id} className="flex items-start gap-3 text-sm text-muted cursor-pointer">
+          <input {...common} type="checkbox" checked={value === true}
+                 onChange={(e) => onChange(e.target.checked)}
+                 className="mt-0.5 h-4 w-4 accent-[var(--accent)]" />
+          <span>{field.label}{field.required && <span aria-hidden className="text-muted-2"> *</span>}</span>
+        </label>
+        {field.help && <p id={helpId} className="mt-1 ml-7 text-xs text-muted-2">{field.help}</p>}
+        {error && <p id={errId} className="mt-1 ml-7 text-xs field-error">{error}</p>}
+      </div>
+    );
+  }
+
+  let control;
+  if (field.type === "select") {
+    control = (
+      <select {...common} value={value} onChange={(e) => onChange(e.target.value)} className="field-input">
+        <option value="">{field.placeholder || t("form.select")}</option>
+        {(field.options || []).map((o) => (
+          <option key={optionValue(o)} value={optionValue(o)}>{optionLabel(o)}</option>
+        ))}
+      </select>
+    );
+  } else if (field.type === "textarea") {
+    control = (
+      <textarea {...common} rows={3} value={value} placeholder={field.placeholder}
+                onChange={(e) => onChange(e.target.value)} className="field-input resize-y" />
+    );
+  } else {
+    const inputType = { phone: "tel", email: "email", date: "date" }[field.type] || "text";
+    control = (
+      <input {...common} type={inputType} value={value} placeholder={field.placeholder}
+             autoComplete={field.autoComplete}
+             inputMode={field.type === "phone" ? "tel" : undefined}
+             min={field.type === "date" ? resolveDateBound(field.min) : undefined}
+             max={field.type === "date" ? resolveDateBound(field.max) : undefined}
+             onChange={(e) => onChange(e.target.value)} className="field-input" />
+    );
+  }
+
+  return (
+    <div>
+      <label htmlFor={id} className="block text-sm font-medium text-fg mb-1">
+        {field.label}{field.required && <span aria-hidden className="text-muted-2"> *</span>}
+      </label>
+      {control}
+      {field.help && <p id={helpId} className="mt-1 text-xs text-muted-2">{field.help}</p>}
+      {error && <p id={errId} className="mt-1 text-xs field-error">{error}</p>}
+    </div>
+  );
+}
+
+/* A repeated set of fields ("Child 1", "Child 2", …). Item errors show once
+   the group has been flagged, i.e. after a submit attempt. */
+let itemKeys = 0;
+const nextItemKey = () => ++itemKeys;
+
+function GroupField({ field, id, value, error, onChange }) {
+  const { t } = useI18n();
+  const items = Array.isArray(value) ? value : [];
+  // Stable keys so removing an item doesn't hand its inputs to the next one
+  const [keys, setKeys] = useState(() => items.map(nextItemKey));
+  const itemErrors = error ? groupItemErrors(field, items, t) : [];
+  const errId = `${id}-error`;
+  const helpId = `${id}-help`;
+  const canAdd = !field.max || items.length < field.max;
+  const canRemove = items.length > (field.min ?? 0);
+
+  const update = (i, name, v) => onChange(items.map((item, j) => (j === i ? { ...item, [name]: v } : item)));
+  const add = () => {
+    setKeys((k) => [...k, nextItemKey()]);
+    onChange([...items, initialValues(field.fields)]);
+  };
+  const remove = (i) => {
+    setKeys((k) => k.filter((_, j) => j !== i));
+    onChange(items.filter((_, j) => j !== i));
+  };
+
+  return (
+    <fieldset id={id} tabIndex={-1} aria-describedby={[field.help && helpId, error && errId].filter(Boolean).join(" ") || undefined}>
+      <legend className="block text-sm font-medium text-fg mb-1">
+        {field.label}{field.required && <span aria-hidden className="text-muted-2"> *</span>}
+      </legend>
+      {field.help && <p id={helpId} className="mb-2 text-xs text-muted-2">{field.help}</p>}
+      <ol className="space-y-3">
+        {items.map((item, i) => {
+          const heading = `${field.itemLabel} ${i + 1}`;
+          const cls = field.routeBy && itemClass(field, item);
+          return (
+            <li key={keys[i]} className="rounded-2xl border border-white/15 p-4">
+              <div role="group" aria-label={heading}>
+                <div className="flex items-center justify-between gap-3">
+                  <h3 className="text-sm font-semibold text-fg">{heading}</h3>
+                  {canRemove && (
+                    <button type="button" onClick={() => remove(i)} className="pill !py-1 text-xs hover:bg-white/10 text-muted"
+                            aria-label={t("form.removeItem", { item: heading })}>
+                      {t("form.remove")}
+                    </button>
+                  )}
+                </div>
+                {field.routeBy && (
+                  <p className="mt-1 text-xs text-muted-2" aria-live="polite">{cls ? t("form.placedIn", { class: cls.label }) : ""}</p>
+                )}
+                <div className="mt-3 space-y-3">
+                  {field.fields.map((f) => (
+                    <Field key={f.name} field={f} id={`${id}-${keys[i]}-${f.name}`}
+                           value={item[f.name] ?? (f.type === "checkbox" ? false : "")} error={itemErrors[i]?.[f.name]}
+                           onChange={(v) => update(i, f.name, v)} />
+                  ))}
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+      {canAdd && (
+        <button type="button" onClick={add} className="mt-3 pill hover:bg-white/10 text-fg">
+          {t("form.addItem", { item: field.itemLabel })}
+        </button>
+      )}
+      {error && <p id={errId} className="mt-2 text-xs field-error">{error}</p>}
+    </fieldset>
+  );
+}
+
+// A field people never see or reach; bots that fill in every input fill
+// this one too, and the API turns them away (server/guard.js)
+export function Honeypot({ ref }) {
+  const id = useId();
+  return (
+    <div aria-hidden="true" className="absolute -left-[10000px] top-auto w-px h-px overflow-hidden">
+      <label htmlFor={id}>Website</label>
+      <input ref={ref} id={id} name="website" type="text" tabIndex={-1} autoComplete="off" defaultValue="" />
+    </div>
+  );
+}
+
+export default function FormRenderer({ fields, prefill, submitLabel, onSubmit, onCancel }) {
+  const { t } = useI18n();
+  const baseId = useId();
+  const [values, setValues] = useState(() => initialValues(fields, prefill));
+  const [errors, setErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [formError, setFormError] = useState(null);
+  const trap = useRef(null);
+
+  const fieldId = (name) => `${baseId}-${name}`;
+
+  function setValue(field, v) {
+    setValues((prev) => ({ ...prev, [field.name]: v }));
+    // Re-validate as they type once a field has been flagged
+    if (errors[field.name]) setErrors((prev) => ({ ...prev, [field.name]: validateField(field, v, t) }));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (busy) return;
+    const next = validateForm(fields, values, t);
+    setErrors(next);
+    const firstBad = fields.find((f) => next[f.name]);
+    if (firstBad) {
+      document.getElementById(fieldId(firstBad.name))?.focus();
+      return;
+    }
+    // onSubmit may be async; a rejection is shown above the buttons
+    setFormError(null);
+    setBusy(true);
+    try { await onSubmit?.(values, { website: trap.current?.value ?? "" }); }
+    catch (err) {
+      setFormError(err?.message || t("form.error"));
+      // Server-side field errors (ApiError.details) land on their fields
+      if (err?.details && typeof err.details === "object") setErrors((prev) => ({ ...prev, ...err.details }));
+    }
+    finally { setBusy(false); }
+  }
+
+  return (
+    <form noValidate onSubmit={handleSubmit} className="relative space-y-4">
+      <Honeypot ref={trap} />
+      {fields.map((f) => (
+        <Field key={f.name} field={f} id={fieldId(f.name)} value={values[f.name]} error={errors[f.name]}
+               onChange={(v) => setValue(f, v)}
+               onBlur={() => setErrors((prev) => ({ ...prev, [f.name]: validateField(f, values[f.name], t) }))} />
+      ))}
+      {formError && <p role="alert" className="text-sm field-error">{formError}</p>}
+      <div className="flex items-center justify-end gap-2 pt-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="pill hover:bg-white/10 text-fg">{t("form.cancel")}</button>
+        )}
+        <button type="submit" disabled={busy} aria-disabled={busy || undefined}
+                className="pill btn-primary font-semibold disabled:opacity-70">
+          {busy ? t("form.sending") : submitLabel ?? t("form.submit")}
+        </button>
+      </div>
+    </form>
+  );
+}
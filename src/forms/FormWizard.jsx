@@ -0,0 +1,162 @@
+import { useEffect, useId, useRef, useState } from "react";
+import { Field, Honeypot } from "./FormRenderer.jsx";
+import { activeFields, activeSteps, initialValues, validateField, validateForm } from "./validation.js";
+import { useI18n } from "../i18n/index.js";
+import ProgressBar from "../ui/ProgressBar.jsx";
+
+/* ================= Multi-step form ================= */
+// A form's `steps`, one screen at a time. Next checks only the current
+// step, Back checks nothing, and steps whose `when` doesn't match the
+// answers so far are skipped (and left out of what's submitted). With
+// `onDraft`, every change after the first edit is handed up to be saved,
+// and `draft` ({ values, step, savedAt }) picks up from a saved one.
+export default function FormWizard({
+  fields, steps, prefill, draft, submitLabel, onSubmit, onCancel, onDraft, onDiscardDraft,
+}) {
+  const { t, formatDate } = useI18n();
+  const baseId = useId();
+  const [values, setValues] = useState(() => initialValues(fields, draft?.values ?? prefill));
+  const [stepId, setStepId] = useState(() => draft?.step ?? steps[0].id);
+  const [restored, setRestored] = useState(() => draft?.savedAt ?? null);
+  const [dirty, setDirty] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [formError, setFormError] = useState(null);
+  const headingRef = useRef(null);
+  const moved = useRef(false);
+  const trap = useRef(null);
+
+  // A saved step that no longer applies falls back to the first
+  const active = activeSteps(steps, values);
+  const index = Math.max(0, active.findIndex((s) => s.id === stepId));
+  const step = active[index];
+  const last = index === active.length - 1;
+  const stepFields = step.fields.map((name) => fields.find((f) => f.name === name)).filter(Boolean);
+  const fieldId = (name) => `${baseId}-${name}`;
+
+  useEffect(() => {
+    if (dirty && onDraft) onDraft({ values, step: step.id });
+  }, [dirty, values, step.id, onDraft]);
+
+  // Each new step is announced by moving focus to its heading
+  useEffect(() => {
+    if (moved.current) headingRef.current?.focus();
+  }, [step.id]);
+
+  function go(id) {
+    moved.current = true;
+    setStepId(id);
+    setFormError(null);
+  }
+
+  function setValue(field, v) {
+    setValues((prev) => ({ ...prev, [field.name]: v }));
+    setDirty(true);
+    if (errors[field.name]) setErrors((prev) => ({ ...prev, [field.name]: validateField(field, v, t) }));
+  }
+
+  // Flags the fields' errors and focuses the first; true if they're all fine
+  function check(list) {
+    const found = validateForm(list, values, t);
+    setErrors(found);
+    const firstBad = list.find((f) => found[f.name]);
+    if (!firstBad) return true;
+    const at = active.find((s) => s.fields.includes(firstBad.name));
+    if (at && at.id !== step.id) go(at.id);
+    else document.getElementById(fieldId(firstBad.name))?.focus();
+    return false;
+  }
+
+  function startOver() {
+    onDiscardDraft?.();
+    setValues(initialValues(fields, prefill));
+    setErrors({});
+    setDirty(false);
+    setRestored(null);
+    go(steps[0].id);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (busy) return;
+    if (!last) {
+      if (check(stepFields)) go(active[index + 1].id);
+      return;
+    }
+    const live = activeFields(fields, steps, values);
+    if (!check(live)) return;
+    setFormError(null);
+    setBusy(true);
+    try { await onSubmit?.(Object.fromEntries(live.map((f) => [f.name, values[f.name]])), { website: trap.current?.value ?? "" }); }
+    catch (err) {
+      setFormError(err?.message || t("form.error"));
+      if (err?.details && typeof err.details === "object") setErrors((prev) => ({ ...prev, ...err.details }));
+    }
+    finally { setBusy(false); }
+  }
+
+  return (
+    <form noValidate onSubmit={handleSubmit} className="relative space-y-4">
+      <Honeypot ref={trap} />
+      {restored && (
+        <div className="rounded-2xl border border-white/15 px-4 py-3 text-sm text-fg flex flex-wrap items-center justify-between gap-2">
+          <span>{t("wizard.restored", { when: formatDate(new Date(restored), { dateStyle: "medium", timeStyle: "short" }) })}</span>
+          <button type="button" onClick={startOver} className="pill !py-1 text-xs hover:bg-white/10 text-muted">{t("wizard.startOver")}</button>
+        </div>
+      )}
+
+      <div>
+        <p className="text-xs text-muted-2">{t("wizard.progress", { step: String(index + 1), count: String(active.length) })}</p>
+        <div className="mt-1 h-1 rounded-full bg-white/10 overflow-hidden">
+          <ProgressBar value={(index + 1) / active.length} />
+        </div>
+        <ol aria-label={t("wizard.steps")} className="mt-3 flex flex-wrap gap-1 text-xs">
+          {active.map((s, i) => (
+            <li key={s.id}>
+              {i < index ? (
+                <button type="button" onClick={() => go(s.id)} className="pill !py-1 hover:bg-white/10 text-fg"
+                        aria-label={t("wizard.backTo", { step: s.title })}>
+                  <span aria-hidden>✓</span> {s.title}
+                </button>
+              ) : (
+                <span aria-current={i === index ? "step" : undefined}
+                      className={`pill !py-1 inline-block ${i === index ? "font-semibold text-fg border border-white/15" : "text-muted-2"}`}>
+                  {i + 1}. {s.title}
+                </span>
+              )}
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      <h3 ref={headingRef} tabIndex={-1} className="text-lg font-semibold text-fg outline-none">{step.title}</h3>
+      {stepFields.map((f) => (
+        <Field key={f.name} field={f} id={fieldId(f.name)} value={values[f.name]} error={errors[f.name]}
+               onChange={(v) => setValue(f, v)}
+               onBlur={() => setErrors((prev) => ({ ...prev, [f.name]: validateField(f, values[f.name], t) }))} />
+      ))}
+      {formError && <p role="alert" className="text-sm field-error">{formError}</p>}
+
+      <div className="flex items-center justify-between gap-2 pt-2 flex-wrap">
+        <div>
+          {index > 0 && (
+            <button type="button" onClick={() => go(active[index - 1].id)} className="pill hover:bg-white/10 text-fg">
+              {t("wizard.back")}
+            </button>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          {onCancel && (
+            <button type="button" onClick={onCancel} className="pill hover:bg-white/10 text-fg">
+              {onDraft && dirty ? t("wizard.later") : t("form.cancel")}
+            </button>
+          )}
+          <button type="submit" disabled={busy} aria-disabled={busy || undefined}
+                  className="pill btn-primary font-semibold disabled:opacity-70">
+            {busy ? t("form.sending") : last ? submitLabel ?? t("form.submit") : t("wizard.next")}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,78 @@
+import { cleanup, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { renderApp } from "../test/renderApp.jsx";
+
+const progress = () => screen.getByText(/^Step \d of \d$/).textContent;
+const stepHeading = () => screen.getByRole("heading", { level: 3, name: /About you|Your next step|Baptism|Membership/ });
+
+describe("sign-up wizard", () => {
+  // Baptism & Membership is taking sign-ups
+  beforeEach(() => { vi.useFakeTimers({ toFake: ["Date"], now: new Date("2026-11-10T12:00:00+03:00") }); });
+  afterEach(() => { vi.useRealTimers(); });
+
+  it("checks each step, adds steps from earlier answers and sends only those", async () => {
+    const user = userEvent.setup();
+    renderApp("/signup/baptism-membership");
+    expect(progress()).toBe("Step 1 of 2");
+
+    await user.click(screen.getByRole("button", { name: "Next" }));
+    expect(screen.getByLabelText(/^Full name/)).toHaveFocus();
+    expect(stepHeading()).toHaveTextContent("About you");
+
+    await user.type(screen.getByLabelText(/^Full name/), "Neema Wambui");
+    await user.type(screen.getByLabelText(/^Phone number/), "0712 345 678");
+    await user.selectOptions(screen.getByLabelText(/^Campus/), "westlands");
+    await user.click(screen.getByRole("button", { name: "Next" }));
+    expect(stepHeading()).toHaveTextContent("Your next step");
+    expect(stepHeading()).toHaveFocus();
+
+    await user.selectOptions(screen.getByLabelText(/^I'm interested in/), "Both");
+    expect(progress()).toBe("Step 2 of 4");
+    await user.selectOptions(screen.getByLabelText(/^I'm interested in/), "Baptism");
+    expect(progress()).toBe("Step 2 of 3");
+    // The privacy consents close the last step every sign-up goes through
+    await user.click(screen.getByLabelText(/may keep these details/));
+    await user.click(screen.getByRole("button", { name: "Next" }));
+    expect(stepHeading()).toHaveTextContent("Baptism");
+
+    await user.click(screen.getByRole("button", { name: "Back to About you" }));
+    expect(screen.getByLabelText(/^Full name/)).toHaveValue("Neema Wambui");
+    await user.click(screen.getByRole("button", { name: "Next" }));
+    await user.click(screen.getByRole("button", { name: "Next" }));
+    await user.type(screen.getByLabelText(/how did you come to faith/), "Through a friend.");
+    await user.click(screen.getByRole("button", { name: "Sign up" }));
+
+    expect(await screen.findByText(/Here’s what you sent/)).toBeInTheDocument();
+    const [stored] = JSON.parse(window.localStorage.getItem("pbc-signups")).submissions;
+    expect(Object.keys(stored.values)).toEqual([
+      "fullName", "phone", "email", "campus", "step", "baptised", "testimony", "guests", "consentContact", "consentUpdates",
+    ]);
+    expect(JSON.parse(window.localStorage.getItem("drafts"))).toEqual({});
+  });
+
+  it("autosaves a draft and picks it up from the home page", async () => {
+    const user = userEvent.setup();
+    renderApp("/signup/baptism-membership");
+    await user.type(screen.getByLabelText(/^Full name/), "Neema Wambui");
+    await user.type(screen.getByLabelText(/^Phone number/), "0712 345 678");
+    await user.selectOptions(screen.getByLabelText(/^Campus/), "westlands");
+    await user.click(screen.getByRole("button", { name: "Next" }));
+    expect(JSON.parse(window.localStorage.getItem("drafts"))["baptism-membership"])
+      .toMatchObject({ step: "next-step", values: { fullName: "Neema Wambui" }, savedAt: "2026-11-10T09:00:00.000Z" });
+    cleanup();
+
+    renderApp("/");
+    const banner = screen.getByRole("region", { name: "Continue your sign-up" });
+    expect(within(banner).getByText(/Saved 10 Nov 2026.* · Your next step/)).toBeInTheDocument();
+    await user.click(within(banner).getByRole("button", { name: "Continue your Baptism & Membership sign-up" }));
+
+    const dialog = screen.getByRole("dialog", { name: "Baptism & Membership" });
+    expect(within(dialog).getByText(/We’ve brought back the answers you saved/)).toBeInTheDocument();
+    expect(within(dialog).getByRole("heading", { level: 3, name: "Your next step" })).toBeInTheDocument();
+
+    await user.click(within(dialog).getByRole("button", { name: "Start over" }));
+    expect(within(dialog).getByLabelText(/^Full name/)).toHaveValue("");
+    expect(JSON.parse(window.localStorage.getItem("drafts"))).toEqual({});
+  });
+});
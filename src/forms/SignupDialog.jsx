@@ -0,0 +1,25 @@
+import SignupFlow from "./SignupFlow.jsx";
+import { useI18n } from "../i18n/index.js";
+import Dialog from "../ui/Dialog.jsx";
+
+/* ================= Sign-up modal ================= */
+export default function SignupDialog({ category, prefill, editing, onClose, onSubmitted }) {
+  const { t } = useI18n();
+  const titleId = `signup-${category.id}-title`;
+  const descriptionId = `signup-${category.id}-description`;
+
+  return (
+    <Dialog open onClose={onClose} labelledBy={titleId} describedBy={descriptionId} className="max-w-xl p-6 my-8">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 id={titleId} className="text-2xl font-extrabold tracking-tight text-fg">{category.title}</h2>
+          <p id={descriptionId} className="mt-1 text-sm text-muted-2">{category.description}</p>
+        </div>
+        <button type="button" onClick={onClose} className="pill hover:bg-white/10 text-fg" aria-label={t("form.close")}>×</button>
+      </div>
+      <div className="mt-5">
+        <SignupFlow category={category} prefill={prefill} editing={editing} onClose={onClose} onSubmitted={onSubmitted} />
+      </div>
+    </Dialog>
+  );
+}
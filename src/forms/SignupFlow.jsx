@@ -0,0 +1,172 @@
+import { useCallback, useState } from "react";
+import CheckInSheet from "./CheckInSheet.jsx";
+import FormRenderer from "./FormRenderer.jsx";
+import FormWizard from "./FormWizard.jsx";
+import { activeFields, displayValue, placesFor } from "./validation.js";
+import { useI18n } from "../i18n/index.js";
+import { CONTACT_FIELDS, householdPrefill, newRef, profilePrefill, useProfile } from "../profile/index.js";
+import { privacyPath } from "../router.js";
+import { getSignupStore, notifySignupsChanged, useFormToken } from "../storage/index.js";
+
+/* ================= Sign-up flow: form → summary ================= */
+function SubmissionSummary({ category, fields, values, result, edited, onClose }) {
+  const { t, rich, formatDate } = useI18n();
+  const { profile, saveProfile } = useProfile();
+  const [remembered, setRemembered] = useState(false);
+  const firstName = values.fullName?.trim().split(/\s+/)[0];
+  const title = <strong className="text-fg">{category.title}</strong>;
+  // Offer to keep the contact details once, when there's no profile yet
+  const canRemember = !edited && !profile.fullName && values.fullName;
+  // Age-routed forms (Children's, Youth) get a sheet for the check-in desk
+  const checkIn = fields.some((f) => f.routeBy);
+  return (
+    <div>
+      <p className="text-muted">
+        {edited ? rich("summary.updated", { title })
+          : firstName ? rich("summary.thanksName", { name: firstName, title }) : rich("summary.thanks", { title })}
+      </p>
+      {result?.status === "queued" && (
+        <p className="mt-3 rounded-2xl border border-white/15 px-4 py-2 text-sm text-fg">
+          {t("summary.queued")}
+        </p>
+      )}
+      {result?.status === "waitlisted" && (
+        <p className="mt-3 rounded-2xl border border-white/15 px-4 py-2 text-sm text-fg">
+          {t("summary.waitlisted")}
+        </p>
+      )}
+      {(result?.confirmations?.email || result?.confirmations?.sms) && (
+        <p className="mt-3 text-sm text-muted">
+          {[
+            result.confirmations.email && t("summary.emailed", { email: result.confirmations.email }),
+            result.confirmations.sms && t("summary.texted", { phone: result.confirmations.sms }),
+          ].filter(Boolean).join(" ")}
+        </p>
+      )}
+      <dl className="mt-4 divide-y divide-white/10 rounded-2xl border border-white/10">
+        {fields.map((f) => (
+          <div key={f.name} className="grid grid-cols-3 gap-3 px-4 py-2 text-sm">
+            <dt className="text-muted-2">{f.label}</dt>
+            <dd className="col-span-2 text-fg break-words whitespace-pre-line">{displayValue(f, values[f.name], { t, formatDate })}</dd>
+          </div>
+        ))}
+      </dl>
+      <div className="mt-5 flex items-center justify-end gap-2 flex-wrap">
+        {(canRemember || remembered) && (
+          <button type="button" disabled={remembered} className="pill hover:bg-white/10 text-fg mr-auto"
+                  onClick={() => {
+                    saveProfile(Object.fromEntries(CONTACT_FIELDS.filter((k) => values[k]).map((k) => [k, values[k]])));
+                    setRemembered(true);
+                  }}>
+            {remembered ? t("summary.remembered") : t("summary.remember")}
+          </button>
+        )}
+        {checkIn && (
+          <button type="button" onClick={() => window.print()} className="pill hover:bg-white/10 text-fg">
+            {t("summary.print")}
+          </button>
+        )}
+        {category.link && (
+          <a href={category.link} target="_blank" rel="noreferrer" className="pill hover:bg-white/10 text-fg">
+            {t("summary.visit")}
+          </a>
+        )}
+        <button type="button" onClick={onClose} className="pill btn-primary font-semibold">{t("summary.done")}</button>
+      </div>
+      {checkIn && <CheckInSheet category={category} fields={fields} values={values} result={result} />}
+    </div>
+  );
+}
+
+// Slot fields become the submission's `slot`; capacity (and how many places
+// a household needs) travels with it so stores that don't know the catalog
+// (localStorage) can still enforce it.
+function toSubmission(category, fields, values, locale) {
+  const slotField = fields.find((f) => f.type === "slot" && values[f.name]?.slot);
+  const picked = slotField && slotField.slots.find((s) => s.id === values[slotField.name].slot);
+  return {
+    categoryId: category.id,
+    values,
+    slot: picked
+      ? { id: picked.id, capacity: picked.capacity, waitlist: !!values[slotField.name].waitlist, places: placesFor(fields, values) }
+      : undefined,
+    locale,
+  };
+}
+
+// Without `editing` this is a new sign-up, pre-filled from the profile (and
+// its household, for forms about children). With `editing` (a "my sign-ups"
+// entry) it changes that sign-up in place. Forms with `steps` run as a
+// wizard; a new sign-up's answers are kept as a draft until it's sent.
+export default function SignupFlow({ category, prefill, editing, onClose, onSubmitted }) {
+  const { t, rich, locale } = useI18n();
+  const { profile, addSignup, patchSignup, drafts, saveDraft, discardDraft } = useProfile();
+  const [submitted, setSubmitted] = useState(null);
+  const allFields = category.form?.fields || [];
+  const steps = category.form?.steps;
+  const fields = submitted ? activeFields(allFields, steps, submitted.values) : allFields;
+  const onDraft = useCallback((draft) => saveDraft(category.id, draft), [saveDraft, category.id]);
+  const onDiscardDraft = useCallback(() => discardDraft(category.id), [discardDraft, category.id]);
+  const formToken = useFormToken(!editing);
+
+  async function submit(values, { website = "" } = {}) {
+    const submission = toSubmission(category, activeFields(allFields, steps, values), values, locale);
+    const store = getSignupStore();
+    let result;
+    if (editing) {
+      result = await store.updateSignup(editing.id, editing.token, submission);
+      patchSignup(editing.ref, { status: result.status, values, updatedAt: result.updatedAt });
+    } else {
+      const ref = newRef();
+      result = await store.submit({ ...submission, ref, guard: { token: formToken, website } });
+      addSignup({
+        ref, id: result.id, token: result.editToken ?? null, categoryId: category.id,
+        status: result.status, values, submittedAt: result.submittedAt,
+      });
+      discardDraft(category.id);
+    }
+    notifySignupsChanged();
+    setSubmitted({ values, result });
+    onSubmitted?.(category, values, result);
+  }
+
+  if (submitted) {
+    return (
+      <SubmissionSummary category={category} fields={fields} values={submitted.values}
+                         result={submitted.result} edited={!!editing} onClose={onClose} />
+    );
+  }
+  const initial = editing ? editing.values : { ...profilePrefill(profile, category), ...householdPrefill(profile, fields), ...prefill };
+  const form = steps?.length ? (
+    <FormWizard
+      fields={fields}
+      steps={steps}
+      prefill={initial}
+      draft={editing ? undefined : drafts[category.id]}
+      submitLabel={editing ? t("form.saveChanges") : undefined}
+      onCancel={onClose}
+      onSubmit={submit}
+      onDraft={editing ? undefined : onDraft}
+      onDiscardDraft={onDiscardDraft}
+    />
+  ) : (
+    <FormRenderer
+      fields={fields}
+      prefill={initial}
+      submitLabel={editing ? t("form.saveChanges") : undefined}
+      onCancel={onClose}
+      onSubmit={submit}
+    />
+  );
+  // Opens in a new tab so the answers so far aren't lost
+  return (
+    <>
+      {form}
+      <p className="mt-4 text-xs text-muted-2">
+        {rich("privacy.formNote", {
+          link: <a href={privacyPath()} target="_blank" rel="noreferrer" className="underline">{t("privacy.formNoteLink")}</a>,
+        })}
+      </p>
+    </>
+  );
+}
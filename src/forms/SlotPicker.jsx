@@ -0,0 +1,58 @@
+import { useI18n } from "../i18n/index.js";
+import { remainingPlaces, useSlotCounts } from "../storage/index.js";
+
+/* ================= Time-slot picker with capacity + waitlist ================= */
+export default function SlotPicker({ field, id, value, error, onChange }) {
+  const { t } = useI18n();
+  const { counts, error: loadError } = useSlotCounts(field.categoryId);
+  const loading = counts == null && !loadError;
+  const errId = `${id}-error`;
+  const selected = value?.slot || null;
+
+  return (
+    <fieldset aria-describedby={error ? errId : undefined} aria-busy={loading || undefined}>
+      <legend className="block text-sm font-medium text-fg mb-1">
+        {field.label}{field.required && <span aria-hidden className="text-muted-2"> *</span>}
+      </legend>
+      {field.help && <p className="mb-2 text-xs text-muted-2">{field.help}</p>}
+      <div className="space-y-2">
+        {field.slots.map((slot, i) => {
+          const left = remainingPlaces(slot, counts);
+          const full = !loading && left === 0;
+          const waitlisted = counts?.[slot.id]?.waitlist ?? 0;
+          const checked = selected === slot.id;
+          return (
+            <div key={slot.id}
+                 className={`flex items-center justify-between gap-3 rounded-xl border px-3 py-2 ${checked ? "border-[var(--accent)]" : "border-white/15"} ${full && !checked ? "opacity-70" : ""}`}>
+              <label className={`flex items-center gap-3 text-sm ${full ? "cursor-not-allowed" : "cursor-pointer"}`}>
+                <input type="radio" name={field.name} id={i === 0 ? id : `${id}-${slot.id}`}
+                       checked={checked} disabled={full && !checked}
+                       onChange={() => onChange({ slot: slot.id, waitlist: false })}
+                       aria-invalid={error ? "true" : undefined}
+                       className="h-4 w-4 accent-[var(--accent)]" />
+                <span>
+                  <span className="text-fg">{slot.label}</span>
+                  <span className="block text-xs text-muted-2">
+                    {loading ? t("slots.checking")
+                      : full ? (waitlisted ? t("slots.fullWaitlist", { count: waitlisted }) : t("slots.full"))
+                      : t("slots.left", { count: left })}
+                  </span>
+                </span>
+              </label>
+              {full && (checked && value.waitlist ? (
+                <span className="text-xs text-muted">{t("slots.onWaitlist")}</span>
+              ) : (
+                <button type="button" onClick={() => onChange({ slot: slot.id, waitlist: true })}
+                        className="pill text-xs hover:bg-white/10 text-fg border border-white/15">
+                  {t("slots.join")}
+                </button>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      {loadError && <p className="mt-1 text-xs text-muted-2">{t("slots.loadError")}</p>}
+      {error && <p id={errId} className="mt-1 text-xs field-error">{error}</p>}
+    </fieldset>
+  );
+}
@@ -0,0 +1,256 @@
+import { TIME_ZONE } from "../events/recurrence.js";
+import en from "../i18n/messages/en.js";
+import { createTranslator } from "../i18n/translate.js";
+
+/* ================= Form schema + validation ================= */
+// A form is a list of field definitions:
+//   { name, label, type, required?, placeholder?, help?, options?, min?, max?, autoComplete? }
+// `type` is one of FIELD_TYPES. Validators return an error string or null.
+// "slot" fields carry `slots` ({ id, label, capacity }) and hold a
+// { slot, waitlist } value; see SlotPicker.jsx.
+// "group" fields repeat their own `fields` (one level deep) and hold an
+// array of value objects, between `min` and `max` items. With
+// `routeBy: "dob"` each item is placed in one of the category's `classes`
+// by age; `seats: true` makes every item take a place in the chosen slot.
+// A form may also list `steps` (see activeSteps) to be filled in as a wizard.
+// Messages come from the i18n catalogs; pass the UI's `t` to localise them
+// (the API leaves it out and gets English).
+
+const english = createTranslator({ en }, "en");
+
+export const FIELD_TYPES = ["text", "textarea", "phone", "email", "select", "checkbox", "date", "slot", "group"];
+// What a group's own fields may be
+export const GROUP_ITEM_TYPES = ["text", "textarea", "phone", "email", "select", "checkbox", "date"];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+// Kenyan mobile/landline (07xx, 01xx, +2547xx, 2541xx) or any E.164 number
+const KE_PHONE_RE = /^(?:\+?254|0)[17]\d{8}$/;
+const INTL_PHONE_RE = /^\+[1-9]\d{6,14}$/;
+
+export function normalizePhone(value) {
+  return String(value || "").replace(/[\s\-().]/g, "");
+}
+
+// Today's date in Nairobi, wherever this runs (the server is on UTC)
+const DAY = new Intl.DateTimeFormat("en-CA", { timeZone: TIME_ZONE, year: "numeric", month: "2-digit", day: "2-digit" });
+export function todayISO(now = Date.now()) {
+  return DAY.format(now);
+}
+// "today" is allowed as a min/max so schemas don't go stale
+export function resolveDateBound(bound, now) {
+  return bound === "today" ? todayISO(now) : bound;
+}
+
+// The type each value must have: a boolean for checkboxes, a { slot,
+// waitlist } object for slots, an array of objects for groups and a string
+// for everything else. The form never sends anything else, so other values
+// are refused before any other check.
+const isPlainObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+function hasValueType(field, value) {
+  if (value == null) return true;
+  if (field.type === "checkbox") return typeof value === "boolean";
+  if (field.type === "slot") {
+    return isPlainObject(value) && (value.slot == null || typeof value.slot === "string")
+      && (value.waitlist == null || typeof value.waitlist === "boolean");
+  }
+  if (field.type === "group") {
+    return Array.isArray(value) && value.every((item) => isPlainObject(item) && (field.fields || []).every((f) => hasValueType(f, item[f.name])));
+  }
+  return typeof value === "string";
+}
+
+// Fields whose value has the wrong type, for the API to refuse before it
+// cleans or screens the answers
+export function typeErrors(fields, values, t = english) {
+  const errors = {};
+  for (const f of fields) {
+    if (!hasValueType(f, values?.[f.name])) errors[f.name] = t("validation.type");
+  }
+  return errors;
+}
+
+function isEmpty(field, value) {
+  if (field.type === "checkbox") return value !== true;
+  if (field.type === "slot") return !value?.slot;
+  if (field.type === "group") return !Array.isArray(value) || value.length === 0;
+  return value == null || String(value).trim() === "";
+}
+
+export function validateField(field, value, t = english, now = Date.now()) {
+  if (!hasValueType(field, value)) return t("validation.type");
+  if (isEmpty(field, value)) {
+    if (!field.required) return null;
+    if (field.type === "checkbox") return t("validation.checkbox");
+    if (field.type === "slot") return t("validation.slotRequired");
+    if (field.type === "group") return t("validation.groupMin", { count: field.min ?? 1, label: field.label });
+    return t("validation.required", { label: field.label });
+  }
+  const s = typeof value === "string" ? value.trim() : value;
+  switch (field.type) {
+    case "group":
+      return validateGroup(field, value, t, now);
+    case "slot":
+      return (field.slots || []).some((sl) => sl.id === value.slot) ? null : t("validation.slot");
+    case "email":
+      return EMAIL_RE.test(s) ? null : t("validation.email");
+    case "phone": {
+      const p = normalizePhone(s);
+      return KE_PHONE_RE.test(p) || INTL_PHONE_RE.test(p) ? null : t("validation.phone");
+    }
+    case "select": {
+      const values = (field.options || []).map(optionValue);
+      return values.includes(s) ? null : t("validation.option");
+    }
+    case "date": {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(s) || Number.isNaN(Date.parse(s))) return t("validation.date");
+      const min = resolveDateBound(field.min, now);
+      const max = resolveDateBound(field.max, now);
+      if (min && s < min) return t("validation.dateEarly");
+      if (max && s > max) return t("validation.dateLate");
+      return null;
+    }
+    case "text":
+    case "textarea":
+      if (field.maxLength && s.length > field.maxLength) return t("validation.maxLength", { max: field.maxLength });
+      return null;
+    default:
+      return null;
+  }
+}
+
+// One error for the whole group: the count, or the first item that needs
+// another look ("Child 2: Date of birth is required.")
+function validateGroup(field, items, t, now) {
+  if (field.min && items.length < field.min) return t("validation.groupMin", { count: field.min, label: field.label });
+  if (field.max && items.length > field.max) return t("validation.groupMax", { count: field.max, label: field.label });
+  const all = groupItemErrors(field, items, t, now);
+  const i = all.findIndex((e) => Object.keys(e).length);
+  if (i === -1) return null;
+  return t("validation.groupItem", { item: `${field.itemLabel} ${i + 1}`, error: Object.values(all[i])[0] });
+}
+
+// Per-item error maps, so the form can flag fields inside each item. A
+// routed item's date of birth must fall in one of the classes.
+export function groupItemErrors(field, items, t = english, now = Date.now()) {
+  return (Array.isArray(items) ? items : []).map((item) => {
+    if (item == null || typeof item !== "object" || Array.isArray(item)) return { [field.name]: t("validation.option") };
+    const errors = validateForm(field.fields || [], item, t, now);
+    const route = field.routeBy;
+    if (route && field.classes && !errors[route] && !classFor(field.classes, item[route], todayISO(now))) {
+      errors[route] = t("validation.noClass", { age: ageOn(item[route], todayISO(now)) });
+    }
+    return errors;
+  });
+}
+
+/* ================= Age-based routing ================= */
+// Classes are { id, label, minAge, maxAge } in whole years, as of today
+export function ageOn(dob, on = todayISO()) {
+  const [y, m, d] = String(dob).split("-").map(Number);
+  const [ty, tm, td] = on.split("-").map(Number);
+  return ty - y - (tm < m || (tm === m && td < d) ? 1 : 0);
+}
+
+export function classFor(classes, dob, on) {
+  if (!dob || !/^\d{4}-\d{2}-\d{2}$/.test(dob)) return null;
+  const age = ageOn(dob, on);
+  return (classes || []).find((c) => age >= c.minAge && age <= c.maxAge) ?? null;
+}
+
+export function validateForm(fields, values, t = english, now = Date.now()) {
+  const errors = {};
+  for (const f of fields) {
+    const err = validateField(f, values[f.name], t, now);
+    if (err) errors[f.name] = err;
+  }
+  return errors;
+}
+
+export function initialValues(fields, prefill = {}) {
+  const out = {};
+  for (const f of fields) {
+    if (prefill[f.name] !== undefined) out[f.name] = prefill[f.name];
+    else if (f.defaultValue !== undefined) out[f.name] = f.defaultValue;
+    else if (f.type === "group") out[f.name] = Array.from({ length: f.min ?? 0 }, () => initialValues(f.fields));
+    else out[f.name] = f.type === "checkbox" ? false : "";
+  }
+  return out;
+}
+
+/* Options may be plain strings or { value, label } pairs */
+export function optionValue(o) { return typeof o === "string" ? o : o.value; }
+export function optionLabel(o) { return typeof o === "string" ? o : o.label; }
+
+/* Human-readable value for the submission summary; `formatDate` lets the
+   UI pass its locale's formatter */
+const defaultFormatDate = (d) => d.toLocaleDateString(undefined, { dateStyle: "medium" });
+export function displayValue(field, value, { t = english, formatDate = defaultFormatDate } = {}) {
+  if (field.type === "checkbox") return value ? t("form.yes") : t("form.no");
+  if (isEmpty(field, value)) return "—";
+  if (field.type === "group") {
+    // One line per item: "Child 1: Amani, 4 May 2019, … → Beginners (3–5)"
+    return value.map((item, i) => {
+      const parts = (field.fields || [])
+        .filter((f) => f.type === "checkbox" ? item[f.name] : !isEmpty(f, item[f.name]))
+        .map((f) => (f.type === "checkbox" ? f.label : displayValue(f, item[f.name], { t, formatDate })));
+      const cls = field.routeBy && itemClass(field, item);
+      return `${field.itemLabel} ${i + 1}: ${parts.join(", ")}${cls ? ` → ${cls.label}` : ""}`;
+    }).join("\n");
+  }
+  if (field.type === "slot") {
+    const slot = (field.slots || []).find((sl) => sl.id === value.slot);
+    const label = slot ? slot.label : value.slot;
+    return value.waitlist ? t("slots.waitlistSuffix", { slot: label }) : label;
+  }
+  if (field.type === "select") {
+    const opt = (field.options || []).find((o) => optionValue(o) === value);
+    return opt ? optionLabel(opt) : String(value);
+  }
+  if (field.type === "date") {
+    const d = new Date(`${value}T00:00:00`);
+    return Number.isNaN(d.getTime()) ? String(value) : formatDate(d);
+  }
+  return String(value).trim();
+}
+
+// The class a routed item was placed in: what the API recorded, or what
+// its date of birth gives today
+export function itemClass(field, item) {
+  return field.classes?.find((c) => c.id === item?.class) ?? classFor(field.classes, item?.[field.routeBy]);
+}
+
+// How many places a sign-up takes in its slot: one per item of a `seats`
+// group, otherwise one
+export function placesFor(fields, values) {
+  const seats = fields.find((f) => f.type === "group" && f.seats);
+  return seats && Array.isArray(values?.[seats.name]) ? Math.max(1, values[seats.name].length) : 1;
+}
+
+// What each consent checkbox (a field with a `purpose`) was answered:
+// { contact: true, updates: false, … }
+export function consentsOf(fields, values) {
+  return Object.fromEntries(fields.filter((f) => f.purpose).map((f) => [f.purpose, values?.[f.name] === true]));
+}
+
+/* ================= Steps ================= */
+// `steps` split a form into screens: { id, title, fields: [names], when? }.
+// `when: { field, in: [...] }` (or `{ field, equals }`) shows a step only
+// for some earlier answer. Fields of a skipped step aren't validated or kept.
+export function stepApplies(step, values) {
+  const when = step.when;
+  if (!when) return true;
+  const v = values?.[when.field];
+  return Array.isArray(when.in) ? when.in.includes(v) : v === when.equals;
+}
+
+export function activeSteps(steps, values) {
+  return (steps || []).filter((s) => stepApplies(s, values));
+}
+
+// The fields to validate and submit given the answers so far (every field,
+// for forms without steps)
+export function activeFields(fields, steps, values) {
+  if (!steps?.length) return fields;
+  const names = new Set(activeSteps(steps, values).flatMap((s) => s.fields));
+  return fields.filter((f) => names.has(f.name));
+}
@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { getCategory } from "../catalog/index.js";
+import { ageOn, classFor, displayValue, placesFor, todayISO, validateField, validateForm } from "./validation.js";
+
+const category = getCategory("childrens-ministry");
+const children = category.form.fields.find((f) => f.name === "children");
+
+describe("date fields", () => {
+  // 01:30 on 15 June in Nairobi, still the 14th in UTC
+  const now = Date.parse("2026-06-14T22:30:00Z");
+  const dob = { name: "dob", label: "Date of birth", type: "date", required: true, max: "today" };
+
+  it("takes \"today\" as the date in Nairobi", () => {
+    expect(todayISO(now)).toBe("2026-06-15");
+    expect(validateField(dob, "2026-06-15", undefined, now)).toBeNull();
+    expect(validateField(dob, "2026-06-16", undefined, now)).toMatch(/./);
+  });
+});
+
+describe("age routing", () => {
+  it("counts birthdays that haven't come yet this year", () => {
+    expect(ageOn("2019-06-15", "2026-06-14")).toBe(6);
+    expect(ageOn("2019-06-15", "2026-06-15")).toBe(7);
+    expect(ageOn("2020-02-29", "2026-02-28")).toBe(5);
+  });
+
+  it("places a child in the class their age falls in, or none", () => {
+    const on = "2026-10-18";
+    expect(classFor(category.classes, "2025-01-10", on)?.id).toBe("nursery");
+    expect(classFor(category.classes, "2019-06-15", on)?.id).toBe("primary");
+    expect(classFor(category.classes, "2012-01-01", on)).toBeNull();
+    expect(classFor(category.classes, "", on)).toBeNull();
+  });
+});
+
+describe("group fields", () => {
+  const child = (name, dob) => ({ name, dob, grade: "", allergies: "", medical: "" });
+  const dobAged = (age) => `${new Date().getFullYear() - age}-01-01`;
+
+  it("needs at least one complete item, each in a class", () => {
+    expect(validateForm([children], { children: [] })).toEqual({ children: "Children: add at least one." });
+    expect(validateForm([children], { children: [child("Baraka", "")] })).toEqual({ children: expect.any(String) });
+    expect(validateForm([children], { children: [child("Juma", dobAged(14))] })).toEqual({ children: expect.any(String) });
+    expect(validateForm([children], { children: [child("Baraka", dobAged(7))] })).toEqual({});
+  });
+
+  it("takes a place per child and lists each with their class", () => {
+    const values = { children: [child("Baraka", dobAged(7)), child("Neema", dobAged(4))] };
+    expect(placesFor(category.form.fields, values)).toBe(2);
+    expect(placesFor(category.form.fields, {})).toBe(1);
+    expect(displayValue(children, values.children).split("\n")).toEqual([
+      expect.stringMatching(/Baraka.*Primary/),
+      expect.stringMatching(/Neema.*Beginners/),
+    ]);
+  });
+});
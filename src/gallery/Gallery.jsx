@@ -0,0 +1,83 @@
+import { useLayoutEffect, useRef, useSyncExternalStore } from "react";
+import LanguageSwitcher from "../components/LanguageSwitcher.jsx";
+import ThemeSwitcher from "../components/ThemeSwitcher.jsx";
+import { applyTheme, useTheme } from "../theme/index.js";
+import { STORY_GROUPS, storyId } from "./stories.js";
+
+/* ================= Theme frame ================= */
+// Scopes the theme tokens to one preview. translateZ(0) makes the frame the
+// containing block for fixed-position children (nav, progress bar), so they
+// stay inside it. Portaled pieces (dialogs, drawers, toasts) render over the
+// page instead and follow the gallery's own theme switcher.
+function ThemeFrame({ theme, children }) {
+  const ref = useRef(null);
+  const { accent } = useTheme();
+  useLayoutEffect(() => { applyTheme(theme, accent, ref.current); }, [theme, accent]);
+  return (
+    <div ref={ref} className="theme-root relative min-h-40 overflow-hidden rounded-2xl border border-white/15 p-6"
+         style={{ transform: "translateZ(0)" }}>
+      <p className="mb-4 text-xs uppercase tracking-wider text-muted-2">{theme}</p>
+      {children}
+    </div>
+  );
+}
+
+/* ================= Gallery ================= */
+const FRAME_THEMES = ["dark", "light"];
+
+function subscribeHash(cb) {
+  window.addEventListener("hashchange", cb);
+  return () => window.removeEventListener("hashchange", cb);
+}
+const currentHash = () => decodeURIComponent(window.location.hash.slice(1));
+
+export default function Gallery() {
+  const hash = useSyncExternalStore(subscribeHash, currentHash);
+  const all = STORY_GROUPS.flatMap((group) => group.stories.map((story) => ({ id: storyId(group, story), story })));
+  const current = all.find((s) => s.id === hash) ?? all[0];
+  const Story = current?.story.render;
+
+  return (
+    <div className="theme-root min-h-screen md:flex">
+      <nav aria-label="Stories" className="md:w-60 shrink-0 p-4 md:min-h-screen border-b md:border-b-0 md:border-r border-white/10">
+        <h1 className="font-semibold text-fg">Component gallery</h1>
+        {STORY_GROUPS.map((group) => (
+          <div key={group.id} className="mt-4">
+            <h2 className="text-xs uppercase tracking-wider text-muted-2">{group.id}</h2>
+            <ul className="mt-1">
+              {group.stories.map((story) => {
+                const id = storyId(group, story);
+                return (
+                  <li key={id}>
+                    <a href={`#${id}`} aria-current={id === current?.id ? "page" : undefined}
+                       className="block rounded-lg px-2 py-1 text-sm text-muted hover:bg-white/10"
+                       style={id === current?.id ? { backgroundColor: "var(--active-pill)", color: "var(--fg)" } : undefined}>
+                      {story.name}
+                    </a>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </nav>
+
+      <main className="flex-1 p-4 md:p-8">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h2 className="text-2xl font-extrabold tracking-tight text-fg">{current?.story.name ?? "No stories"}</h2>
+          <div className="flex items-center gap-2">
+            <ThemeSwitcher />
+            <LanguageSwitcher />
+          </div>
+        </div>
+        {Story && (
+          <div className="mt-6 grid gap-6 xl:grid-cols-2">
+            {FRAME_THEMES.map((theme) => (
+              <ThemeFrame key={`${current.id}:${theme}`} theme={theme}><Story /></ThemeFrame>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
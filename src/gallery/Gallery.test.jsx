@@ -0,0 +1,23 @@
+import { render, screen } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+import AppProviders from "../AppProviders.jsx";
+import Gallery from "./Gallery.jsx";
+import { STORY_GROUPS, storyId } from "./stories.js";
+
+const stories = STORY_GROUPS.flatMap((group) => group.stories.map((story) => [storyId(group, story), story.name]));
+
+describe("component gallery", () => {
+  it("collects the ui and components stories", () => {
+    expect(STORY_GROUPS.map((g) => g.id)).toEqual(["components", "ui"]);
+    expect(stories.length).toBeGreaterThan(10);
+  });
+
+  it.each(stories)("renders %s in the dark and light themes", (id, name) => {
+    window.location.hash = id;
+    const { container } = render(<AppProviders><Gallery /></AppProviders>);
+    expect(screen.getByRole("heading", { level: 2, name })).toBeInTheDocument();
+    const frames = [...container.querySelectorAll("main .theme-root")];
+    expect(frames.map((f) => f.getAttribute("data-theme"))).toEqual(["dark", "light"]);
+    expect(frames[1].style.getPropertyValue("--bg")).not.toBe(frames[0].style.getPropertyValue("--bg"));
+  });
+});
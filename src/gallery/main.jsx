@@ -0,0 +1,13 @@
+import React from "react";
+import ReactDOM from "react-dom/client";
+import AppProviders from "../AppProviders.jsx";
+import Gallery from "./Gallery.jsx";
+import "../index.css";
+
+// Dev-only entry (gallery.html): `npm run dev`, then open /gallery.html.
+// The production build only bundles index.html.
+ReactDOM.createRoot(document.getElementById("root")).render(
+  <React.StrictMode>
+    <AppProviders><Gallery /></AppProviders>
+  </React.StrictMode>
+);
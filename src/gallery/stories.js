@@ -0,0 +1,10 @@
+/* ================= Stories ================= */
+// Every *.stories.jsx default-exports [{ name, render }], where `render` is
+// a component. Files are grouped by folder: "ui", "components", ...
+const modules = import.meta.glob("../**/*.stories.jsx", { eager: true });
+
+export const STORY_GROUPS = Object.entries(modules)
+  .map(([path, mod]) => ({ id: path.split("/").at(-2), stories: mod.default ?? [] }))
+  .sort((a, b) => a.id.localeCompare(b.id));
+
+export const storyId = (group, story) => `${group.id}/${story.name}`.toLowerCase().replace(/\s+/g, "-");
@@ -0,0 +1,68 @@
+import { useMemo } from "react";
+import { useI18n } from "../i18n/index.js";
+import { getArea, mapFrame } from "./index.js";
+
+/* ================= Housegroup map ================= */
+// A static SVG of Nairobi (no tiles, so it works offline): the county
+// outline, a labelled dot per estate with groups showing and a marker per
+// group. The list beside it is the accessible way in; clicking a marker is
+// a shortcut to the same selection.
+
+const FRAME = mapFrame();
+const FAN = 9; // px between groups that share an estate
+
+export default function HousegroupMap({ groups, selected, onSelect, origin }) {
+  const { t } = useI18n();
+
+  // Groups in the same estate fan out around its dot
+  const { areas, markers } = useMemo(() => {
+    const byArea = new Map();
+    for (const g of groups) byArea.set(g.area, [...(byArea.get(g.area) || []), g]);
+    const areas = [...byArea.keys()].map((id) => {
+      const area = getArea(id);
+      const [x, y] = FRAME.project(area);
+      return { id, name: area.name, x, y };
+    });
+    const markers = areas.flatMap(({ id, x, y }) => {
+      const list = byArea.get(id);
+      return list.map((group, i) => {
+        const angle = (2 * Math.PI * i) / list.length - Math.PI / 2;
+        const r = list.length > 1 ? FAN : 0;
+        return { group, x: x + r * Math.cos(angle), y: y + r * Math.sin(angle) };
+      });
+    });
+    return { areas, markers };
+  }, [groups]);
+  const you = origin && FRAME.contains(origin) ? FRAME.project(origin) : null;
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${FRAME.width} ${FRAME.height}`} role="img" aria-label={t("housegroups.mapLabel", { count: groups.length })}
+           className="w-full h-auto">
+        <path d={FRAME.path} fill="currentColor" fillOpacity="0.06" stroke="currentColor" strokeOpacity="0.3" strokeWidth="1.5"
+              className="text-fg" />
+        {areas.map((a) => (
+          <text key={a.id} x={a.x + 12} y={a.y + 4} fontSize="12" fill="currentColor" className="text-muted-2">{a.name}</text>
+        ))}
+        {markers.map(({ group, x, y }) => {
+          const active = group.id === selected;
+          return (
+            <circle key={group.id} cx={x} cy={y} r={active ? 8 : 5.5} onClick={() => onSelect(group.id)}
+                    fill="var(--accent)" stroke="white" strokeWidth={active ? 3 : 1.5} className="cursor-pointer">
+              <title>{group.name}</title>
+            </circle>
+          );
+        })}
+        {you && (
+          <g>
+            <circle cx={you[0]} cy={you[1]} r="6" fill="white" stroke="black" strokeWidth="2" />
+            <text x={you[0]} y={you[1] - 10} textAnchor="middle" fontSize="12" fontWeight="600" fill="currentColor" className="text-fg">
+              {t("housegroups.you")}
+            </text>
+          </g>
+        )}
+      </svg>
+      <figcaption className="mt-2 text-xs text-muted-2">{t("housegroups.mapNote")}</figcaption>
+    </figure>
+  );
+}
@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import catalog from "../catalog/catalog.json";
+import { getCategory } from "../catalog/index.js";
+import data from "./housegroups.json";
+import { HOUSEGROUPS, distanceKm, filterHousegroups, locate, mapFrame, sortHousegroups } from "./index.js";
+import { validateHousegroups } from "./schema.js";
+
+describe("housegroups.json", () => {
+  it("is valid against the catalog", () => {
+    expect(validateHousegroups(data, catalog)).toEqual([]);
+  });
+
+  it("reports unknown areas, campuses and days, and impossible numbers", () => {
+    const [first] = data.groups;
+    const broken = { ...data, groups: [{ ...first, area: "mars", campus: "moon", day: "Funday", time: "7pm", members: 99 }] };
+    expect(validateHousegroups(broken, catalog)).toEqual([
+      'groups[0].area: unknown area "mars"',
+      'groups[0].campus: unknown campus "moon"',
+      expect.stringMatching(/^groups\[0\]\.day: must be one of Monday/),
+      "groups[0].time: must be a 24-hour time like 19:00",
+      "groups[0].members: can't be more than capacity",
+    ]);
+  });
+
+  it("offers every group in Community Groups' housegroup field", () => {
+    const field = getCategory("community-groups").form.fields.find((f) => f.name === "housegroup");
+    expect(field.options).toHaveLength(HOUSEGROUPS.length);
+    expect(field.options[0]).toEqual({ value: "parklands-tuesday", label: "Parklands Tuesday Fellowship (Parklands)" });
+  });
+});
+
+describe("finding a group", () => {
+  it("locates estates by name, alias or prefix, and raw coordinates", () => {
+    expect(locate("Kileleshwa")).toMatchObject({ area: "kileleshwa", label: "Kileleshwa" });
+    expect(locate("  hurlingham ")).toMatchObject({ area: "kilimani" });
+    expect(locate("langata")).toMatchObject({ area: "langata", label: "Lang'ata" });
+    expect(locate("Kile")).toMatchObject({ area: "kileleshwa" });
+    expect(locate("-1.28, 36.78")).toEqual({ label: "-1.28, 36.78", lat: -1.28, lng: 36.78 });
+    expect(locate("Mombasa")).toBeNull();
+    expect(locate("ki")).toBeNull();
+    expect(locate("-120, 36")).toBeNull();
+  });
+
+  it("measures great-circle distances", () => {
+    // Parklands to Karen is about 13 km as the crow flies
+    expect(distanceKm({ lat: -1.262, lng: 36.815 }, { lat: -1.319, lng: 36.708 })).toBeCloseTo(13.5, 0);
+  });
+
+  it("sorts nearest first from a point, otherwise by day and time", () => {
+    const near = sortHousegroups(HOUSEGROUPS, locate("Kileleshwa"));
+    expect(near[0]).toMatchObject({ group: { id: "kileleshwa-monday" }, km: 0 });
+    expect(near.map((r) => r.km)).toEqual([...near.map((r) => r.km)].sort((a, b) => a - b));
+
+    const byDay = sortHousegroups(HOUSEGROUPS).map((r) => r.group.day);
+    expect(byDay[0]).toBe("Monday");
+    expect(byDay.at(-1)).toBe("Saturday");
+  });
+
+  it("filters by campus, day, area, language and space", () => {
+    const ids = (filters) => filterHousegroups(HOUSEGROUPS, filters).map((g) => g.id);
+    expect(ids({ day: "Tuesday", campus: "eastgate" })).toEqual(["buruburu-tuesday"]);
+    expect(ids({ day: "Tuesday", campus: "eastgate", open: true })).toEqual([]);
+    expect(ids({ language: "sw", area: "kasarani" })).toEqual(["kasarani-wednesday"]);
+  });
+
+  it("projects estates inside the map", () => {
+    const frame = mapFrame();
+    for (const area of data.areas) {
+      const [x, y] = frame.project(area);
+      expect(x).toBeGreaterThan(0);
+      expect(x).toBeLessThan(frame.width);
+      expect(y).toBeGreaterThan(0);
+      expect(y).toBeLessThan(frame.height);
+    }
+    expect(frame.contains({ lat: -4.04, lng: 39.67 })).toBe(false);
+    expect(frame.path).toMatch(/^M[\d.-]+ [\d.-]+ L.* Z$/);
+  });
+});
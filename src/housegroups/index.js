@@ -0,0 +1,93 @@
+import data from "./housegroups.json";
+import { ALL_CAMPUSES, isCampus } from "../catalog/index.js";
+import { DAYS } from "./schema.js";
+
+export { DAYS, LANGUAGES } from "./schema.js";
+
+/* ================= Housegroups ================= */
+// housegroups.json lists Nairobi areas (one point per estate, never a home
+// address), the housegroups meeting in them and a rough county outline for
+// the map (validated at build time by scripts/vite-plugin-catalog.js).
+// `ministry` is the sign-up category that takes "Request to join".
+
+export const AREAS = data.areas;
+export const HOUSEGROUPS = data.groups;
+export const HOUSEGROUP_MINISTRY = data.ministry;
+
+export const ALL = "all";
+
+export const getArea = (id) => AREAS.find((a) => a.id === id) ?? null;
+export const spacesLeft = (group) => Math.max(0, group.capacity - group.members);
+
+export function filterHousegroups(groups, { campus = ALL_CAMPUSES, day = ALL, area = ALL, language = ALL, open = false } = {}) {
+  return groups.filter((g) =>
+    (!isCampus(campus) || g.campus === campus) &&
+    (day === ALL || g.day === day) &&
+    (area === ALL || g.area === area) &&
+    (language === ALL || g.languages.includes(language)) &&
+    (!open || spacesLeft(g) > 0)
+  );
+}
+
+// The meeting as an instant in a fixed week (5 Jan 2026 was a Monday), for
+// Intl to print "Tuesday 7:00 pm" in the visitor's language
+export function meetingDate(group) {
+  return new Date(`2026-01-${String(5 + DAYS.indexOf(group.day)).padStart(2, "0")}T${group.time}:00+03:00`);
+}
+
+/* ===== Where is the visitor? ===== */
+const COORDS_RE = /^\s*(-?\d{1,2}(?:\.\d+)?)\s*[,\s]\s*(-?\d{1,3}(?:\.\d+)?)\s*$/;
+const simplify = (s) => String(s).toLowerCase().replace(/[^a-z0-9 ]/g, "").replace(/\s+/g, " ").trim();
+
+// "Kileleshwa", "hurlingham" (an alias) or "-1.28, 36.78" → { label, lat, lng, area? };
+// null when it means nothing to us. Estates match whole names first, then
+// by prefix ("kile").
+export function locate(query, areas = AREAS) {
+  const coords = String(query ?? "").match(COORDS_RE);
+  if (coords) {
+    const [lat, lng] = [Number(coords[1]), Number(coords[2])];
+    return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { label: `${lat}, ${lng}`, lat, lng } : null;
+  }
+  const q = simplify(query);
+  if (!q) return null;
+  const names = (a) => [a.name, ...(a.aliases || [])].map(simplify);
+  const area = areas.find((a) => names(a).includes(q)) ?? (q.length >= 3 ? areas.find((a) => names(a).some((n) => n.startsWith(q))) : null);
+  return area ? { label: area.name, lat: area.lat, lng: area.lng, area: area.id } : null;
+}
+
+// Great-circle distance in km
+export function distanceKm(a, b) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// [{ group, km }]: nearest first from `from`, otherwise by day, time and name
+export function sortHousegroups(groups, from = null) {
+  const rows = groups.map((group) => ({ group, km: from ? distanceKm(from, getArea(group.area)) : null }));
+  return rows.sort((a, b) =>
+    (from ? a.km - b.km : 0) ||
+    DAYS.indexOf(a.group.day) - DAYS.indexOf(b.group.day) ||
+    a.group.time.localeCompare(b.group.time) ||
+    a.group.name.localeCompare(b.group.name)
+  );
+}
+
+/* ===== Map ===== */
+// Plain lat/lng scaled into an SVG box: this close to the equator a degree
+// of longitude is within a fraction of a percent of a degree of latitude,
+// so no projection library (or map tiles) is needed. The box fits the
+// estates; the county outline runs off its edges.
+export function mapFrame({ points = AREAS, outline = data.outline, width = 600, pad = 0.02 } = {}) {
+  const lats = points.map((p) => p.lat);
+  const lngs = points.map((p) => p.lng);
+  const [south, north] = [Math.min(...lats) - pad, Math.max(...lats) + pad];
+  const [west, east] = [Math.min(...lngs) - pad, Math.max(...lngs) + pad];
+  const height = Math.round((width * (north - south)) / (east - west));
+  const project = ({ lat, lng }) => [((lng - west) / (east - west)) * width, ((north - lat) / (north - south)) * height];
+  const contains = ({ lat, lng }) => lat >= south && lat <= north && lng >= west && lng <= east;
+  const path = `${outline.map(([lat, lng], i) => `${i ? "L" : "M"}${project({ lat, lng }).map((n) => n.toFixed(1)).join(" ")}`).join(" ")} Z`;
+  return { width, height, project, contains, path };
+}
@@ -0,0 +1,74 @@
+import { SLUG_RE, isNonEmptyString, isObject } from "../catalog/schema.js";
+
+/* ================= Housegroups schema ================= */
+// Validates housegroups.json against the sign-up catalog (the ministry that
+// takes join requests, campus ids). Runs at build time alongside the
+// catalog and events checks; returns "path: problem" strings.
+
+// The evenings Community Groups' "Preferred meeting day" offers
+export const DAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+export const LANGUAGES = ["en", "sw"];
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isLat = (v) => typeof v === "number" && v >= -90 && v <= 90;
+const isLng = (v) => typeof v === "number" && v >= -180 && v <= 180;
+
+export function validateHousegroups(data, catalog) {
+  const errors = [];
+  const err = (path, msg) => errors.push(`${path}: ${msg}`);
+
+  if (!isObject(data) || !Array.isArray(data.areas) || !Array.isArray(data.groups)) {
+    return ["housegroups: must be a JSON object with areas and groups arrays"];
+  }
+  const ministry = (catalog?.categories || []).find((c) => c.id === data.ministry);
+  if (!ministry) err("ministry", `unknown sign-up category "${data.ministry}"`);
+  const campusIds = new Set((catalog?.campuses || []).map((c) => c.id));
+
+  if (!Array.isArray(data.outline) || data.outline.length < 3) err("outline", "must list at least three [lat, lng] points");
+  else data.outline.forEach((pt, i) => {
+    if (!Array.isArray(pt) || pt.length !== 2 || !isLat(pt[0]) || !isLng(pt[1])) err(`outline[${i}]`, "must be [lat, lng]");
+  });
+
+  const areaIds = new Set();
+  data.areas.forEach((a, i) => {
+    const p = `areas[${i}]`;
+    if (!isObject(a)) return err(p, "must be an object");
+    if (!SLUG_RE.test(a.id || "")) err(`${p}.id`, "must be a lowercase slug like south-b");
+    else if (areaIds.has(a.id)) err(`${p}.id`, `duplicate area "${a.id}"`);
+    else areaIds.add(a.id);
+    if (!isNonEmptyString(a.name)) err(`${p}.name`, "is required");
+    if (!isLat(a.lat) || !isLng(a.lng)) err(p, "needs numeric lat and lng");
+    if (a.aliases != null && !(Array.isArray(a.aliases) && a.aliases.every(isNonEmptyString))) {
+      err(`${p}.aliases`, "must be an array of estate names");
+    }
+  });
+
+  const ids = new Set();
+  data.groups.forEach((g, i) => {
+    const p = `groups[${i}]`;
+    if (!isObject(g)) return err(p, "must be an object");
+    if (!SLUG_RE.test(g.id || "")) err(`${p}.id`, "must be a lowercase slug like parklands-tuesday");
+    else if (ids.has(g.id)) err(`${p}.id`, `duplicate housegroup "${g.id}"`);
+    else ids.add(g.id);
+
+    for (const key of ["name", "leader"]) {
+      if (!isNonEmptyString(g[key])) err(`${p}.${key}`, "is required");
+    }
+    if (g.description != null && !isNonEmptyString(g.description)) err(`${p}.description`, "must be a non-empty string");
+    if (!areaIds.has(g.area)) err(`${p}.area`, `unknown area "${g.area}"`);
+    if (!campusIds.has(g.campus)) err(`${p}.campus`, `unknown campus "${g.campus}"`);
+    else if (ministry && !ministry.campuses.includes(g.campus)) err(`${p}.campus`, `"${g.campus}" is not one of ${ministry.id}'s campuses`);
+    if (!DAYS.includes(g.day)) err(`${p}.day`, `must be one of ${DAYS.join(", ")}`);
+    if (!TIME_RE.test(g.time || "")) err(`${p}.time`, "must be a 24-hour time like 19:00");
+
+    if (!(Number.isInteger(g.capacity) && g.capacity > 0)) err(`${p}.capacity`, "must be a positive whole number");
+    if (!(Number.isInteger(g.members) && g.members >= 0)) err(`${p}.members`, "must be a whole number");
+    else if (Number.isInteger(g.capacity) && g.members > g.capacity) err(`${p}.members`, "can't be more than capacity");
+
+    if (!Array.isArray(g.languages) || g.languages.length === 0) err(`${p}.languages`, "must list at least one language");
+    else g.languages.forEach((l, j) => {
+      if (!LANGUAGES.includes(l)) err(`${p}.languages[${j}]`, `must be one of ${LANGUAGES.join(", ")}`);
+    });
+  });
+  return errors;
+}
@@ -0,0 +1,30 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { I18nContext, createI18n, detectLocale, isLocale } from "./index.js";
+
+/* ================= Locale provider ================= */
+const STORAGE_KEY = "locale";
+
+function storedLocale() {
+  try {
+    const v = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return isLocale(v) ? v : null;
+  } catch (e) { void e; return null; }
+}
+
+export default function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(() => storedLocale() ?? detectLocale());
+
+  const setLocale = useCallback((next) => {
+    if (!isLocale(next)) return;
+    setLocaleState(next);
+    try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next)); }
+    catch (e) { void e; }
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => ({ ...createI18n(locale), setLocale }), [locale, setLocale]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
@@ -0,0 +1,120 @@
+import { Fragment, createContext, createElement, useContext } from "react";
+import { optionLabel, optionValue } from "../forms/validation.js";
+import en from "./messages/en.js";
+import sw from "./messages/sw.js";
+import swCatalog from "./catalog/sw.json";
+import { LOCALE_TAGS, createTranslator, formatNumber, messageParts } from "./translate.js";
+
+/* ================= i18n ================= */
+// useI18n() gives components the active locale plus:
+//   t(key, params)     → string
+//   rich(key, params)  → React node; params may be elements (links, <kbd>…)
+//   formatNumber / formatDate / formatDateRange / formatList / formatRelative → Intl, for the active locale
+// The provider (I18nProvider.jsx) persists the choice and sets <html lang>.
+
+export const LOCALES = [
+  { id: "en", name: "English", short: "EN" },
+  { id: "sw", name: "Kiswahili", short: "SW" },
+];
+export const DEFAULT_LOCALE = "en";
+export const isLocale = (id) => LOCALES.some((l) => l.id === id);
+
+const MESSAGES = { en, sw };
+const CATALOG_TRANSLATIONS = { sw: swCatalog };
+
+// First visit: follow the browser if it prefers Kiswahili
+export function detectLocale(languages = navigator.languages || [navigator.language]) {
+  const match = languages.map((l) => String(l).slice(0, 2).toLowerCase()).find(isLocale);
+  return match || DEFAULT_LOCALE;
+}
+
+export function createI18n(locale) {
+  const tag = LOCALE_TAGS[locale] || locale;
+  return {
+    locale,
+    t: createTranslator(MESSAGES, locale),
+    rich: (key, params) => createElement(Fragment, null, ...messageParts(MESSAGES, locale, key, params)),
+    formatNumber: (n, options) => formatNumber(locale, n, options),
+    formatDate: (date, options = { dateStyle: "medium" }) => new Intl.DateTimeFormat(tag, options).format(date),
+    formatDateRange: (from, to, options = { dateStyle: "medium" }) => new Intl.DateTimeFormat(tag, options).formatRange(from, to),
+    formatList: (list, type = "conjunction") => new Intl.ListFormat(tag, { type }).format(list),
+    listParts: (list, type = "conjunction") => new Intl.ListFormat(tag, { type }).formatToParts(list),
+    formatRelative: (value, unit) => new Intl.RelativeTimeFormat(tag, { numeric: "auto" }).format(value, unit),
+  };
+}
+
+export const I18nContext = createContext({ ...createI18n(DEFAULT_LOCALE), setLocale: () => {} });
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
+
+/* Catalog translations: titles, copy, field labels and wizard step titles per category id;
+   `events` holds event titles, descriptions and locations per event id;
+   `housegroups` holds housegroup descriptions per group id;
+   `phrases` covers short strings shared across categories (options,
+   schedule lines, contact roles). Anything missing stays English. */
+const localized = new Map();
+
+function localizeField(field, tr, shared, phrases) {
+  // A group's translation nests its own fields: { label, itemLabel, fields: { … } }
+  const { fields: inner, ...own } = { ...shared[field.name], ...tr.fields?.[field.name] };
+  const out = { ...field, ...own };
+  if (field.options) {
+    out.options = field.options.map((o) => ({ value: optionValue(o), label: phrases[optionLabel(o)] ?? optionLabel(o) }));
+  }
+  if (field.slots) out.slots = field.slots.map((s) => ({ ...s, label: tr.slots?.[s.id] ?? s.label }));
+  if (field.fields) out.fields = field.fields.map((f) => localizeField(f, { fields: inner }, {}, phrases));
+  if (field.classes) out.classes = localizeClasses(field.classes, tr);
+  return out;
+}
+
+const localizeClasses = (classes, tr) => classes.map((c) => ({ ...c, label: tr.classes?.[c.id] ?? c.label }));
+
+function localizeBlock(block, phrases) {
+  const out = { ...block };
+  if (block.schedule) out.schedule = block.schedule.map((s) => ({ label: phrases[s.label] ?? s.label, when: phrases[s.when] ?? s.when }));
+  if (block.contacts) out.contacts = block.contacts.map((c) => ({ ...c, role: phrases[c.role] ?? c.role }));
+  return out;
+}
+
+export function localizeCategory(category, locale) {
+  const catalog = CATALOG_TRANSLATIONS[locale];
+  if (!catalog) return category;
+  const key = `${locale}:${category.id}`;
+  if (localized.get(key)?.source === category) return localized.get(key).value;
+
+  const tr = catalog.categories?.[category.id] || {};
+  const phrases = catalog.phrases || {};
+  const value = {
+    ...localizeBlock(category, phrases),
+    title: tr.title ?? category.title,
+    description: tr.description ?? category.description,
+    hint: tr.hint ?? category.hint,
+    details: tr.details ?? category.details,
+    // Keep the English tags so either language finds it
+    tags: [...(category.tags || []), ...(tr.tags || [])],
+    slots: category.slots?.map((s) => ({ ...s, label: tr.slots?.[s.id] ?? s.label })),
+    classes: category.classes && localizeClasses(category.classes, tr),
+    campusOverrides: category.campusOverrides && Object.fromEntries(
+      Object.entries(category.campusOverrides).map(([id, o]) => [id, localizeBlock(o, phrases)])
+    ),
+    form: {
+      ...category.form,
+      fields: category.form.fields.map((f) => localizeField(f, tr, catalog.fields || {}, phrases)),
+      steps: category.form.steps?.map((s) => ({ ...s, title: tr.steps?.[s.id] ?? s.title })),
+    },
+  };
+  localized.set(key, { source: category, value });
+  return value;
+}
+
+export function localizeEvent(event, locale) {
+  const tr = CATALOG_TRANSLATIONS[locale]?.events?.[event.id];
+  return tr ? { ...event, ...tr } : event;
+}
+
+export function localizeHousegroup(group, locale) {
+  const tr = CATALOG_TRANSLATIONS[locale]?.housegroups?.[group.id];
+  return tr ? { ...group, ...tr } : group;
+}
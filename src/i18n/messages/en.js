@@ -0,0 +1,528 @@
+/* ================= English messages (source of truth) ================= */
+// Every key used in the app must exist here; other locales fall back to it.
+
+export default {
+  /* Language */
+  "lang.label": "Language",
+  "lang.switchTo": "Switch language to {language}",
+
+  /* Nav */
+  "nav.skip": "Skip to content",
+  "nav.home": "Home",
+  "nav.signups": "Sign-up Forms",
+  "nav.nextSteps": "Next Steps",
+  "nav.mine": "My Sign-ups",
+  "nav.events": "Events",
+  "nav.palette": "Command palette",
+  "nav.paletteTip": "Command palette (Ctrl/Cmd + K)",
+  "nav.install": "⬇ Install",
+  "nav.installTip": "Install as an app on this device",
+  "nav.installApp": "⬇ Install app",
+  "nav.serviceTimes": "Service Times",
+  "nav.give": "Give Online",
+  "nav.newHere": "New Here?",
+  "nav.menu": "Toggle Menu",
+  "nav.mobileMenu": "Menu",
+  "nav.closeMenu": "Close menu",
+  "nav.label": "Main",
+
+  /* Theme */
+  "theme.region": "Theme and language",
+  "theme.label": "Theme",
+  "theme.system": "System",
+  "theme.light": "Light",
+  "theme.dark": "Dark",
+  "theme.contrast": "High contrast",
+
+  /* Hero */
+  "hero.title": "Parklands Baptist Church",
+  "hero.titleAccent": "Sign-Ups",
+  "hero.intro": "Find your place to serve, grow, and connect. Explore open sign-ups for ministries, housegroups, classes, and upcoming events.",
+  "hero.browse": "Browse Sign-ups",
+  "stats.ministries": "Ministries & Departments",
+  "stats.ministriesNote": "Explore ways to serve and grow.",
+  "stats.events": "Events this month",
+  "stats.eventsNote": "See what’s happening at PBC.",
+  "stats.campuses": "Campuses",
+  "stats.open": "Open sign-ups",
+  "stats.openNote": "Ready for you to join today.",
+  "stats.week": "Signed up this week",
+  "stats.weekNote": "People who took a next step in the last 7 days.",
+  "stats.loading": "Loading…",
+  "stats.unavailable": "Not available right now",
+
+  /* Sign-up grid */
+  "blocks.title": "Explore Sign-up Forms",
+  "blocks.intro": "Choose a category to open its sign-up form. You can select your campus and preferred times where applicable.",
+  "blocks.searchLabel": "Search sign-up categories",
+  "blocks.searchPlaceholder": "Search ministries, groups, programs, events…",
+  "blocks.clearSearch": "Clear search",
+  "blocks.clear": "Clear",
+  "blocks.results": { one: "{count} result", other: "{count} results" },
+  "blocks.noMatches": "No matches. Try keywords like {examples}.",
+  "blocks.examples": "Volunteer, Youth, Baptism, Events",
+  "blocks.orShowAll": "Or {link}.",
+  "blocks.showAll": "show all campuses",
+  "blocks.openForm": "Open Form",
+  "blocks.closed": "Sign-ups closed",
+  "blocks.sort": "Sort",
+  "blocks.sortRelevance": "Best match",
+  "blocks.sortClosing": "Closing soon",
+  "window.closesIn": "Closes {when}",
+  "window.openUntil": "Open until {date}",
+  "window.opensOn": "Opens on {date}",
+  "window.notify": "Notify me",
+  "window.notifyLabel": "Notify me when {title} opens",
+  "reminders.notificationTitle": "Sign-ups are open",
+  "blocks.details": "Details",
+  "blocks.detailsLabel": "Details: {title}",
+  "blocks.accent": "Accent",
+  "blocks.setAccent": "Set accent {name}",
+  "blocks.customAccent": "Pick a custom accent colour",
+  "campus.label": "Campus",
+  "campus.all": "All campuses",
+
+  /* Next steps */
+  "cta.title": "Ready to Sign Up?",
+  "cta.intro": "Start with a category above, or jump to key links below.",
+  "cta.browse": "Browse Sign-up Forms",
+  "cta.bulletin": "Online Bulletin",
+  "cta.events": "Upcoming Events",
+
+  /* Footer */
+  "footer.about": "A Christ-centered community in Nairobi with campuses in {campuses} - seeking to know Christ and make Him known.",
+  "footer.quickLinks": "Quick Links",
+  "footer.churchSite": "Church Site",
+  "footer.aboutUs": "About Us",
+  "footer.contactUs": "Contact Us",
+  "footer.shop": "Shop",
+  "footer.sermons": "Sermons",
+  "footer.privacy": "Privacy & your data",
+  "footer.campuses": "Campuses",
+  "footer.contact": "Contact",
+  "footer.address": "Prof. Saitoti Ave (off Ring Road Westlands)",
+  "footer.rights": "© {year} Parklands Baptist Church. All rights reserved.",
+  "footer.builtBy": "Built by {name}",
+  "top.label": "Back to top",
+  "top.button": "↑ Top",
+
+  /* Command palette */
+  "palette.label": "Command palette",
+  "palette.search": "Search commands",
+  "palette.placeholder": "Type: Volunteer, Groups, Baptism, Membership, Events…",
+  "palette.commands": "Commands",
+  "palette.noResults": "No results",
+  "palette.help": "{up}/{down} to move · {enter} to run · {esc} to close · {ctrl}/{cmd} + {k} to toggle",
+  "palette.group.recent": "Recent",
+  "palette.group.page": "On this page",
+  "palette.group.navigate": "Navigate",
+  "palette.group.signups": "Sign-ups",
+  "palette.group.links": "Links",
+  "palette.group.appearance": "Appearance",
+  "palette.group.language": "Language",
+  "cmd.goHome": "Go to Home",
+  "cmd.goSignups": "Go to Sign-up Forms",
+  "cmd.goNextSteps": "Go to Next Steps",
+  "cmd.goMine": "Go to My sign-ups",
+  "cmd.editProfile": "Edit my profile",
+  "cmd.privacy": "Privacy & your data",
+  "cmd.goEvents": "Go to Events calendar",
+  "cmd.goHousegroups": "Find a housegroup",
+  "cmd.housegroupsOpen": "Housegroups → only groups with space",
+  "cmd.housegroupsClear": "Housegroups → clear filters",
+  "cmd.campusAll": "Campus → All campuses",
+  "cmd.campus": "Campus → {name}",
+  "cmd.serviceTimesHint": "New Here page",
+  "cmd.giveHint": "Giving page",
+  "cmd.bulletinHint": "Weekly info",
+  "cmd.theme": "Theme → {name}",
+  "cmd.accent": "Accent → {name}",
+  "cmd.language": "Language → {name}",
+  "cmd.eventsView": "Calendar view → {name}",
+  "cmd.eventsToday": "Jump to this month",
+  "accent.sky": "Sky",
+  "accent.emerald": "Emerald",
+  "accent.violet": "Violet",
+  "accent.amber": "Amber",
+  "accent.rose": "Rose",
+  "accent.custom": "Custom",
+
+  /* Events calendar */
+  "events.title": "Events calendar",
+  "events.intro": "Services, classes and church-wide events across our campuses. All times are Nairobi time (EAT).",
+  "events.docTitle": "Events calendar · Parklands Baptist",
+  "events.filters": "Filter events",
+  "events.ministry": "Ministry",
+  "events.allMinistries": "All ministries",
+  "events.view": "View",
+  "events.month": "Month",
+  "events.list": "List",
+  "events.prev": "Previous month",
+  "events.next": "Next month",
+  "events.today": "Today",
+  "events.noneThisMonth": "No events match these filters this month.",
+  "events.noneUpcoming": "No upcoming events match these filters.",
+  "events.more": "Show more",
+  "events.select": "Choose an event in the calendar to see its details.",
+  "events.recurring": "↻ Repeats",
+  "events.addToCalendar": "📅 Add to calendar",
+  "events.addToCalendarLabel": "Add {title} to your calendar",
+  "events.downloadAll": "Download all (.ics)",
+  "events.register": "Register",
+  "events.calendarName": "Parklands Baptist events",
+  "events.downloaded": "📅 Calendar file downloaded: {title}",
+  "events.upcoming": "Upcoming dates",
+  "events.seeAll": "See all in the calendar",
+
+  /* Housegroup finder */
+  "housegroups.title": "Find a housegroup",
+  "housegroups.intro": "Housegroups meet in homes across Nairobi. Enter your estate to see the nearest first, then ask to join. Times are Nairobi time (EAT).",
+  "housegroups.docTitle": "Find a housegroup · Parklands Baptist",
+  "housegroups.near": "Your estate or coordinates",
+  "housegroups.nearPlaceholder": "e.g. Kileleshwa or -1.28, 36.78",
+  "housegroups.nearHelp": "Only used on this page to sort the list; it isn't sent to us.",
+  "housegroups.sort": "Sort by distance",
+  "housegroups.clearNear": "Clear",
+  "housegroups.notFound": "We couldn’t find “{query}”. Try a nearby estate, or coordinates like -1.28, 36.78.",
+  "housegroups.sortedFrom": "Nearest first from {place}",
+  "housegroups.filters": "Filter housegroups",
+  "housegroups.day": "Day",
+  "housegroups.anyDay": "Any day",
+  "housegroups.area": "Area",
+  "housegroups.anyArea": "All areas",
+  "housegroups.language": "Language",
+  "housegroups.anyLanguage": "Any language",
+  "housegroups.openOnly": "Only groups with space",
+  "housegroups.count": { one: "{count} housegroup", other: "{count} housegroups" },
+  "housegroups.none": "No housegroups match these filters. Try another day or area, or ask us to suggest one.",
+  "housegroups.suggest": "Ask us to suggest a group",
+  "housegroups.leader": "Led by {name}",
+  "housegroups.km": "{km} km away",
+  "housegroups.spaces": { one: "{count} space left", other: "{count} spaces left" },
+  "housegroups.full": "Full",
+  "housegroups.fullNote": "This group is full, but ask anyway: we’ll find you a place nearby.",
+  "housegroups.languages": "Meets in {languages}",
+  "housegroups.showOnMap": "Show on map",
+  "housegroups.join": "Request to join",
+  "housegroups.joinLabel": "Request to join {name}",
+  "housegroups.mapLabel": { one: "Map of Nairobi with {count} housegroup", other: "Map of Nairobi with {count} housegroups" },
+  "housegroups.you": "You",
+  "housegroups.mapNote": "Markers show the estate a group meets in, not the host’s address.",
+  "housegroups.finder": "🗺 Find a housegroup near you",
+
+  /* Toasts */
+  "toast.region": "Notifications",
+  "toast.dismiss": "Dismiss notification",
+  "toast.installed": "📲 Installed — find PBC Sign-ups on your home screen",
+  "toast.sent": "✅ Sign-up sent: {title}",
+  "toast.draftDiscarded": "Draft discarded: {title}",
+  "toast.reminderOn": "🔔 We’ll let you know on this device when {title} opens.",
+  "toast.reminderOff": "Reminder removed: {title}",
+  "toast.reminderOpen": "🔔 Sign-ups are open: {title}",
+  "toast.waitlisted": "⏳ Waitlisted: {title}",
+  "toast.queued": "📴 Saved offline: {title} — we’ll send it when you reconnect",
+  "toast.campusAll": "📍 Showing all campuses",
+  "toast.campus": "📍 Campus → {name}",
+  "toast.accent": "🎨 Accent → {name}",
+  "toast.theme": "🎨 Theme → {name}",
+  "toast.language": "🌐 Language → {name}",
+  "toast.outboxSent": { one: "✅ {count} saved sign-up sent", other: "✅ {count} saved sign-ups sent" },
+  "toast.outboxFailed": {
+    one: "⚠️ {count} saved sign-up couldn’t be sent — please try again",
+    other: "⚠️ {count} saved sign-ups couldn’t be sent — please try again",
+  },
+  "toast.offline": "📴 You’re offline — new sign-ups will be sent when you reconnect",
+  "toast.profileSaved": "👤 Profile saved on this device",
+  "toast.updated": "✏️ Changes saved",
+  "toast.cancelled": "🗑 Sign-up cancelled",
+  "toast.requestSent": "📨 Request sent",
+  "toast.erased": "🗑 Your sign-ups were deleted",
+  "toast.cleared": "🧹 Cleared: {what}",
+
+  /* Forms */
+  "form.select": "Select…",
+  "form.cancel": "Cancel",
+  "form.submit": "Sign up",
+  "form.sending": "Sending…",
+  "form.error": "Something went wrong. Please try again.",
+  "form.close": "Close",
+  "form.yes": "Yes",
+  "form.no": "No",
+  "form.saveChanges": "Save changes",
+  "form.addItem": "+ Add {item}",
+  "form.remove": "Remove",
+  "form.removeItem": "Remove {item}",
+  "form.placedIn": "Class: {class}",
+  "wizard.progress": "Step {step} of {count}",
+  "wizard.steps": "Steps",
+  "wizard.next": "Next",
+  "wizard.back": "Back",
+  "wizard.backTo": "Back to {step}",
+  "wizard.later": "Finish later",
+  "wizard.restored": "We’ve brought back the answers you saved on {when}.",
+  "wizard.startOver": "Start over",
+  "drafts.title": "Continue your sign-up",
+  "drafts.intro": "You started these on this device. Your answers stay here until you send them.",
+  "drafts.saved": "Saved {when}",
+  "drafts.continue": "Continue",
+  "drafts.continueLabel": "Continue your {title} sign-up",
+  "drafts.discard": "Discard",
+  "drafts.discardLabel": "Discard your {title} draft",
+  "validation.required": "{label} is required.",
+  "validation.type": "That answer isn't in a form we can accept.",
+  "validation.checkbox": "Please tick this box to continue.",
+  "validation.slotRequired": "Choose a time, or join the waitlist for a full one.",
+  "validation.slot": "Choose one of the times.",
+  "validation.email": "Enter a valid email address.",
+  "validation.phone": "Enter a valid phone number, e.g. 0712 345 678.",
+  "validation.option": "Choose one of the options.",
+  "validation.date": "Enter a valid date.",
+  "validation.dateEarly": "That date is too early.",
+  "validation.dateLate": "That date is too late.",
+  "validation.maxLength": "Keep it under {max} characters.",
+  "validation.groupMin": { one: "{label}: add at least one.", other: "{label}: add at least {count}." },
+  "validation.groupMax": "{label}: no more than {count}, please.",
+  "validation.groupItem": "{item}: {error}",
+  "validation.noClass": "There’s no class here for a {age}-year-old.",
+
+  /* Slot picker */
+  "slots.checking": "Checking availability…",
+  "slots.full": "Full",
+  "slots.fullWaitlist": "Full · {count} on waitlist",
+  "slots.left": { one: "{count} place left", other: "{count} places left" },
+  "slots.join": "Join waitlist",
+  "slots.onWaitlist": "On waitlist ✓",
+  "slots.loadError": "Couldn’t check availability right now — you can still choose a time.",
+  "slots.waitlistSuffix": "{slot} (waitlist)",
+
+  /* Submission summary */
+  "summary.thanks": "Thank you! Here’s what you sent for {title}. The ministry team will be in touch.",
+  "summary.thanksName": "Thank you, {name}! Here’s what you sent for {title}. The ministry team will be in touch.",
+  "summary.queued": "📴 You’re offline, so this is saved on your device. We’ll send it automatically when you’re back online.",
+  "summary.waitlisted": "⏳ That time is full, so you’re on the waitlist. We’ll let you know if a place opens up.",
+  "summary.emailed": "📧 We’ve emailed a confirmation to {email}.",
+  "summary.texted": "📱 We’ve sent a confirmation SMS to {phone}.",
+  "summary.visit": "Visit ministry page",
+  "summary.print": "🖨 Print check-in summary",
+  "summary.done": "Done",
+
+  /* Check-in sheet */
+  "checkin.title": "Check-in summary: {title}",
+  "checkin.reference": "Reference {reference}",
+  "checkin.printed": "Printed {date}",
+  "checkin.age": "Age {age} (born {dob})",
+  "checkin.consents": "Consents",
+  "checkin.footer": "Bring this (or show it on your phone) at the check-in desk on your first visit.",
+  "summary.updated": "Your changes to {title} are saved.",
+  "summary.remember": "Remember my details",
+  "summary.remembered": "Saved to your profile ✓",
+
+  /* Detail page */
+  "page.back": "← All sign-ups",
+  "page.title": "{title} · Parklands Baptist Sign-ups",
+  "page.notFoundTitle": "Sign-up not found · Parklands Baptist",
+  "page.notFound": "Sign-up not found",
+  "page.notFoundBody": "That link may be out of date. Browse the current sign-ups instead.",
+  "page.schedule": "Schedule",
+  "page.campuses": "Campuses",
+  "page.showingFor": "Showing schedule and contacts for {campus}.",
+  "page.notOffered": "Not currently offered at {campus}.",
+  "page.contacts": "Contacts",
+  "page.ministryPage": "Ministry page ↗",
+  "page.signUp": "Sign up",
+  "page.closed": "Sign-ups for {title} are closed right now.",
+  "page.upcoming": "Sign-ups for {title} open on {date}.",
+  "page.notifyHelp": "Ask for a reminder and we’ll tell you here, with a notification if your browser allows it, when sign-ups open. The reminder stays on this device.",
+
+  /* My sign-ups + profile */
+  "mine.pageTitle": "My sign-ups · Parklands Baptist",
+  "mine.title": "My sign-ups",
+  "mine.intro": "Sign-ups you’ve made on this device. Change your answers or cancel if your plans change.",
+  "mine.privacy": "Want a copy of your data, or to delete it? See {link}.",
+  "mine.privacyLink": "Privacy & your data",
+  "mine.empty": "You haven’t signed up for anything on this device yet.",
+  "mine.browse": "Browse sign-ups",
+  "mine.submitted": "Sent {date}",
+  "mine.status.confirmed": "Confirmed",
+  "mine.status.waitlisted": "Waitlisted",
+  "mine.status.queued": "Waiting to send",
+  "mine.status.cancelled": "Cancelled",
+  "mine.queuedNote": "This will be sent when you’re back online; you can change it after that.",
+  "mine.edit": "Edit",
+  "mine.cancel": "Cancel sign-up",
+  "mine.forget": "Remove from list",
+  "mine.cancelledHeading": "Cancelled",
+  "mine.cancelTitle": "Cancel {title}?",
+  "mine.cancelBody": "Your place will be given up and the ministry team will see that you’ve cancelled.",
+  "mine.keep": "Keep it",
+  "mine.confirmCancel": "Yes, cancel",
+  "profile.title": "My profile",
+  "profile.intro": "Saved on this device only, and used to fill in your details on every sign-up form.",
+  "profile.fullName": "Full name",
+  "profile.phone": "Phone number",
+  "profile.email": "Email",
+  "profile.campus": "Campus",
+  "profile.household": "Household members",
+  "profile.householdHelp": "Children you register often. Children's and youth forms start with everyone whose age fits a class already added.",
+  "profile.memberName": "Name {n}",
+  "profile.memberDob": "Date of birth",
+  "profile.removeMember": "Remove {name}",
+  "profile.addMember": "+ Add household member",
+  "profile.save": "Save profile",
+
+  /* Privacy (/privacy) */
+  "privacy.pageTitle": "Privacy & your data · Parklands Baptist Church",
+  "privacy.title": "Privacy & your data",
+  "privacy.intro": "How Parklands Baptist Church looks after what you share when you sign up, in line with Kenya’s Data Protection Act, 2019 — and the tools to see, download or delete it.",
+  "privacy.updated": "Last updated {date}",
+  "privacy.whoTitle": "Who we are",
+  "privacy.who": "Parklands Baptist Church, Prof. Saitoti Ave (off Ring Road Westlands), Nairobi, decides what is collected here and why. Ministry leaders see sign-ups for their own ministry only as far as they need to run it.",
+  "privacy.collectTitle": "What we collect",
+  "privacy.collect": "Only what each form asks for: usually your name, phone number, email and campus, and for children’s and youth ministry your children’s names, dates of birth, an emergency contact and any allergies or medical notes you choose to give us.",
+  "privacy.purposesTitle": "Why we use it",
+  "privacy.purposesIntro": "Every form asks for your consent, purpose by purpose. We keep a record of what you agreed to and when, and you can change your mind at any time.",
+  "privacy.purpose.contact": "To run the sign-up you chose and contact you about it. This one is needed to take part.",
+  "privacy.purpose.updates": "To send you news and invitations by SMS or email — only if you tick the box.",
+  "privacy.purpose.participation": "For children and young people: your consent for them to take part in the activities.",
+  "privacy.purpose.medical": "For children and young people: to let leaders give basic first aid and call for help in an emergency.",
+  "privacy.purpose.photos": "For children and young people: to use photos of group activities in church communications — only if you tick the box.",
+  "privacy.sharingTitle": "Who sees it",
+  "privacy.sharing": "Church staff and the volunteer leaders of the ministry you signed up for. Confirmations go out through our SMS and email providers. We never sell your details or share them for anyone else’s marketing.",
+  "privacy.retentionTitle": "How long we keep it",
+  "privacy.retentionIntro": "Sign-ups are deleted automatically once this long has passed since you last changed them:",
+  "privacy.keptFor": "{title}: {period}",
+  "privacy.keptForRest": "Everything else: {period}",
+  "privacy.rightsTitle": "Your rights",
+  "privacy.rights": "You can ask to see what we hold about you, to have it corrected, or to have it deleted, and you can withdraw a consent at any time. We reply within 30 days. If you’re not happy with our answer you can complain to the Office of the Data Protection Commissioner.",
+  "privacy.contact": "Questions? Email {email} or use the form below.",
+  "privacy.yourDataTitle": "Your data",
+  "privacy.yourDataIntro": "Download everything this device knows about you, with what we hold for each sign-up made from it, or delete those sign-ups from our records for good.",
+  "privacy.download": "Download my data",
+  "privacy.erase": { one: "Delete my sign-up", other: "Delete my {count} sign-ups" },
+  "privacy.toMine": "Go to My sign-ups",
+  "privacy.eraseTitle": "Delete your sign-ups?",
+  "privacy.eraseBody": "Each sign-up made from this device is removed from our records and from this device. This can’t be undone — if you still plan to come, you’ll need to sign up again.",
+  "privacy.eraseConfirm": "Delete for good",
+  "privacy.eraseFailed": { one: "We couldn’t delete {count} sign-up. Please try again.", other: "We couldn’t delete {count} sign-ups. Please try again." },
+  "privacy.requestTitle": "Ask us about your data",
+  "privacy.requestIntro": "For sign-ups made on another device or on paper, or anything else we may hold about you, send us a request and we’ll reply within 30 days.",
+  "privacy.requestKind": "What would you like us to do?",
+  "privacy.kind.export": "Send me a copy of my data",
+  "privacy.kind.correct": "Correct my data",
+  "privacy.kind.delete": "Delete my data",
+  "privacy.requestDetails": "Details",
+  "privacy.requestDetailsHelp": "Which sign-ups or events, and what should change. We’ll contact you on the phone number above to confirm it’s you.",
+  "privacy.requestSend": "Send request",
+  "privacy.requestSent": "Thank you — we’ve got your request (reference {ref}). We’ll reply within 30 days.",
+  "privacy.deviceTitle": "Data on this device",
+  "privacy.deviceIntro": "This browser remembers a few things to save you typing. None of it is sent anywhere until you sign up. Clear any of it here.",
+  "privacy.device.profile": "My profile",
+  "privacy.device.profileSaved": "Your contact details and household",
+  "privacy.device.profileEmpty": "Nothing saved",
+  "privacy.device.signups": "My sign-ups",
+  "privacy.device.signupsCount": { one: "{count} sign-up (clearing only forgets it here)", other: "{count} sign-ups (clearing only forgets them here)" },
+  "privacy.device.drafts": "Unfinished sign-ups",
+  "privacy.device.draftsCount": { one: "{count} draft", other: "{count} drafts" },
+  "privacy.device.reminders": "Reminders",
+  "privacy.device.remindersCount": { one: "{count} reminder", other: "{count} reminders" },
+  "privacy.device.preferences": "Preferences",
+  "privacy.device.preferencesHelp": "Theme, language, campus and recent commands: {count} saved. The page reloads.",
+  "privacy.clear": "Clear",
+  "privacy.clearThis": "Clear {what}",
+  "privacy.clearEverything": "Clear everything on this device",
+  "privacy.clearEverythingTitle": "Clear everything?",
+  "privacy.clearEverythingBody": "Your profile, sign-up list, drafts, reminders, preferences and anything waiting to be sent offline are removed from this browser, and the page reloads. Sign-ups we already have are kept — delete those above.",
+  "privacy.formNote": "We only use your answers as described in our {link}.",
+  "privacy.formNoteLink": "privacy notice",
+
+  /* Leaders' dashboard (/admin) */
+  "admin.pageTitle": "Sign-up responses · Parklands Baptist",
+  "admin.title": "Sign-up responses",
+  "admin.intro": "For ministry leaders. Follow up, keep notes and export lists.",
+  "admin.signInIntro": "Enter the leaders’ access code to see sign-up responses.",
+  "admin.code": "Access code",
+  "admin.signIn": "Sign in",
+  "admin.signOut": "Sign out",
+  "admin.refresh": "↻ Refresh",
+  "admin.exportCsv": "Export CSV",
+  "admin.exportXlsx": "Export Excel",
+  "admin.loadFailed": "Couldn’t load sign-ups: {error}",
+  "admin.loading": "Loading sign-ups…",
+  "admin.responses": { one: "{count} response", other: "{count} responses" },
+  "admin.fresh": "{count} new",
+  "admin.search": "Search",
+  "admin.searchPlaceholder": "Name, phone, email, notes…",
+  "admin.allSignups": "All sign-ups",
+  "admin.allCampuses": "All campuses",
+  "admin.anyStatus": "Any status",
+  "admin.showing": "Showing {shown} of {total}",
+  "admin.clearFilters": "Clear filters",
+  "admin.noMatch": "No sign-ups match.",
+  "admin.col.name": "Name",
+  "admin.col.signup": "Sign-up",
+  "admin.col.campus": "Campus",
+  "admin.col.time": "Time",
+  "admin.col.submitted": "Submitted",
+  "admin.col.followUp": "Follow-up",
+  "admin.col.when": "When",
+  "admin.col.why": "Why",
+  "admin.col.nameGiven": "Name given",
+  "admin.col.phone": "Phone",
+  "admin.col.connection": "Connection",
+  "admin.col.received": "Received",
+  "admin.col.wants": "Wants",
+  "admin.col.contact": "Contact",
+  "admin.col.details": "Details",
+  "admin.col.status": "Status",
+  "admin.followUp.new": "New",
+  "admin.followUp.contacted": "Contacted",
+  "admin.followUp.placed": "Placed",
+  "admin.followUpFor": "Follow-up for {name}",
+  "admin.followUpForThis": "Follow-up for this sign-up",
+  "admin.onWaitlist": "(waitlist)",
+  "admin.wasCancelled": "(cancelled)",
+  "admin.booking": "Booking",
+  "admin.bookingStatus.confirmed": "Confirmed",
+  "admin.bookingStatus.waitlisted": "Waitlisted",
+  "admin.bookingStatus.cancelled": "Cancelled",
+  "admin.consent": "Consent",
+  "admin.consentYes": "{purpose}: yes",
+  "admin.consentNo": "{purpose}: no",
+  "admin.consentGiven": "Given {when}",
+  "admin.consentGivenVersion": "Given {when} against the notice of {version}",
+  "admin.purpose.contact": "Run this sign-up",
+  "admin.purpose.updates": "News and invitations",
+  "admin.purpose.participation": "Taking part",
+  "admin.purpose.medical": "Medical notes",
+  "admin.purpose.photos": "Photos",
+  "admin.notes": "Notes",
+  "admin.notesPlaceholder": "Called on Tuesday, placed with the Sunday team…",
+  "admin.saving": "Saving…",
+  "admin.saveNotes": "Save notes",
+  "admin.saved": "✅ Saved",
+  "admin.erase": "Erase…",
+  "admin.confirmErase": "Confirm erasing",
+  "admin.eraseQuestion": "Erase this sign-up for good?",
+  "admin.eraseYes": "Yes, erase",
+  "admin.keep": "Keep",
+  "admin.erased": "🗑 Erased",
+  "admin.requests": "Data requests",
+  "admin.requestsOpen": "({count} open)",
+  "admin.requestsNone": "No one has asked about their data.",
+  "admin.requestsIntro": "Confirm it’s them on the phone number given, then send a copy, correct or erase their sign-ups below.",
+  "admin.kind.export": "Send a copy",
+  "admin.kind.correct": "Correct",
+  "admin.kind.delete": "Delete",
+  "admin.replyBy": "Reply by {date}",
+  "admin.markDone": "Mark done",
+  "admin.markDoneFor": "Mark {name}’s request done",
+  "admin.markedDone": "✅ Marked done",
+  "admin.doneOn": "Done {date}",
+  "admin.blocked": "Blocked attempts",
+  "admin.blockedNone": "Nothing has been blocked.",
+  "admin.reason.honeypot": "Filled in the hidden field (a bot)",
+  "admin.reason.ip-rate": "Too many from one connection",
+  "admin.reason.phone-rate": "Too many with one phone number",
+  "admin.reason.duplicate": "Same answers as an earlier sign-up",
+  "admin.reason.challenge": "Sent a challenge (no usable form token)",
+};
@@ -0,0 +1,528 @@
+/* ================= Kiswahili messages ================= */
+// Missing keys fall back to English (messages/en.js).
+
+export default {
+  /* Language */
+  "lang.label": "Lugha",
+  "lang.switchTo": "Badilisha lugha kuwa {language}",
+
+  /* Nav */
+  "nav.skip": "Ruka hadi maudhui",
+  "nav.home": "Nyumbani",
+  "nav.signups": "Fomu za Kujiandikisha",
+  "nav.nextSteps": "Hatua Zinazofuata",
+  "nav.mine": "Usajili Wangu",
+  "nav.events": "Matukio",
+  "nav.palette": "Kisanduku cha amri",
+  "nav.paletteTip": "Kisanduku cha amri (Ctrl/Cmd + K)",
+  "nav.install": "⬇ Sakinisha",
+  "nav.installTip": "Sakinisha kama programu kwenye kifaa hiki",
+  "nav.installApp": "⬇ Sakinisha programu",
+  "nav.serviceTimes": "Nyakati za Ibada",
+  "nav.give": "Toa Mtandaoni",
+  "nav.newHere": "Mgeni Hapa?",
+  "nav.menu": "Fungua/funga menyu",
+  "nav.mobileMenu": "Menyu",
+  "nav.closeMenu": "Funga menyu",
+  "nav.label": "Kuu",
+
+  /* Theme */
+  "theme.region": "Mandhari na lugha",
+  "theme.label": "Mandhari",
+  "theme.system": "Ya mfumo",
+  "theme.light": "Mwanga",
+  "theme.dark": "Giza",
+  "theme.contrast": "Utofautishaji wa juu",
+
+  /* Hero */
+  "hero.title": "Parklands Baptist Church",
+  "hero.titleAccent": "Usajili",
+  "hero.intro": "Pata nafasi yako ya kuhudumu, kukua na kuungana na wengine. Gundua usajili ulio wazi wa huduma, housegroups, madarasa na matukio yajayo.",
+  "hero.browse": "Tazama Usajili",
+  "stats.ministries": "Huduma na Idara",
+  "stats.ministriesNote": "Gundua njia za kuhudumu na kukua.",
+  "stats.events": "Matukio mwezi huu",
+  "stats.eventsNote": "Ona kinachoendelea PBC.",
+  "stats.campuses": "Kampasi",
+  "stats.open": "Usajili ulio wazi",
+  "stats.openNote": "Uko tayari kujiunga leo.",
+  "stats.week": "Waliojiandikisha wiki hii",
+  "stats.weekNote": "Watu waliochukua hatua katika siku 7 zilizopita.",
+  "stats.loading": "Inapakia…",
+  "stats.unavailable": "Haipatikani kwa sasa",
+
+  /* Sign-up grid */
+  "blocks.title": "Gundua Fomu za Kujiandikisha",
+  "blocks.intro": "Chagua kundi ili kufungua fomu yake. Unaweza kuchagua kampasi yako na nyakati unazopendelea inapohitajika.",
+  "blocks.searchLabel": "Tafuta makundi ya usajili",
+  "blocks.searchPlaceholder": "Tafuta huduma, vikundi, programu, matukio…",
+  "blocks.clearSearch": "Futa utafutaji",
+  "blocks.clear": "Futa",
+  "blocks.results": { one: "Tokeo {count}", other: "Matokeo {count}" },
+  "blocks.noMatches": "Hakuna kinacholingana. Jaribu maneno kama {examples}.",
+  "blocks.examples": "Kujitolea, Vijana, Ubatizo, Matukio",
+  "blocks.orShowAll": "Au {link}.",
+  "blocks.showAll": "onyesha kampasi zote",
+  "blocks.openForm": "Fungua Fomu",
+  "blocks.closed": "Usajili umefungwa",
+  "blocks.sort": "Panga",
+  "blocks.sortRelevance": "Zinazolingana zaidi",
+  "blocks.sortClosing": "Zinazofungwa karibuni",
+  "window.closesIn": "Inafungwa {when}",
+  "window.openUntil": "Wazi hadi {date}",
+  "window.opensOn": "Inafunguliwa {date}",
+  "window.notify": "Nijulishe",
+  "window.notifyLabel": "Nijulishe {title} itakapofunguliwa",
+  "reminders.notificationTitle": "Usajili umefunguliwa",
+  "blocks.details": "Maelezo",
+  "blocks.detailsLabel": "Maelezo: {title}",
+  "blocks.accent": "Rangi",
+  "blocks.setAccent": "Weka rangi {name}",
+  "blocks.customAccent": "Chagua rangi yako mwenyewe",
+  "campus.label": "Kampasi",
+  "campus.all": "Kampasi zote",
+
+  /* Next steps */
+  "cta.title": "Uko Tayari Kujiandikisha?",
+  "cta.intro": "Anza na kundi lililo hapo juu, au ruka kwenye viungo muhimu hapa chini.",
+  "cta.browse": "Tazama Fomu za Kujiandikisha",
+  "cta.bulletin": "Taarifa ya Wiki Mtandaoni",
+  "cta.events": "Matukio Yajayo",
+
+  /* Footer */
+  "footer.about": "Jumuiya inayomweka Kristo katikati jijini Nairobi yenye kampasi {campuses} - tukitafuta kumjua Kristo na kumfanya ajulikane.",
+  "footer.quickLinks": "Viungo vya Haraka",
+  "footer.churchSite": "Tovuti ya Kanisa",
+  "footer.aboutUs": "Kuhusu Sisi",
+  "footer.contactUs": "Wasiliana Nasi",
+  "footer.shop": "Duka",
+  "footer.sermons": "Mahubiri",
+  "footer.privacy": "Faragha na data yako",
+  "footer.campuses": "Kampasi",
+  "footer.contact": "Mawasiliano",
+  "footer.address": "Prof. Saitoti Ave (karibu na Ring Road Westlands)",
+  "footer.rights": "© {year} Parklands Baptist Church. Haki zote zimehifadhiwa.",
+  "footer.builtBy": "Imetengenezwa na {name}",
+  "top.label": "Rudi juu",
+  "top.button": "↑ Juu",
+
+  /* Command palette */
+  "palette.label": "Kisanduku cha amri",
+  "palette.search": "Tafuta amri",
+  "palette.placeholder": "Andika: Kujitolea, Vikundi, Ubatizo, Uanachama, Matukio…",
+  "palette.commands": "Amri",
+  "palette.noResults": "Hakuna matokeo",
+  "palette.help": "{up}/{down} kusogea · {enter} kutekeleza · {esc} kufunga · {ctrl}/{cmd} + {k} kufungua/kufunga",
+  "palette.group.recent": "Za hivi karibuni",
+  "palette.group.page": "Kwenye ukurasa huu",
+  "palette.group.navigate": "Nenda",
+  "palette.group.signups": "Usajili",
+  "palette.group.links": "Viungo",
+  "palette.group.appearance": "Mwonekano",
+  "palette.group.language": "Lugha",
+  "cmd.goHome": "Nenda Nyumbani",
+  "cmd.goSignups": "Nenda kwenye Fomu za Kujiandikisha",
+  "cmd.goNextSteps": "Nenda kwenye Hatua Zinazofuata",
+  "cmd.goMine": "Nenda kwenye Usajili wangu",
+  "cmd.editProfile": "Hariri wasifu wangu",
+  "cmd.privacy": "Faragha na data yako",
+  "cmd.goEvents": "Nenda kwenye Kalenda ya Matukio",
+  "cmd.goHousegroups": "Tafuta housegroup",
+  "cmd.housegroupsOpen": "Housegroups → vikundi vyenye nafasi pekee",
+  "cmd.housegroupsClear": "Housegroups → futa vichujio",
+  "cmd.campusAll": "Kampasi → Kampasi zote",
+  "cmd.campus": "Kampasi → {name}",
+  "cmd.serviceTimesHint": "Ukurasa wa wageni",
+  "cmd.giveHint": "Ukurasa wa matoleo",
+  "cmd.bulletinHint": "Taarifa za wiki",
+  "cmd.theme": "Mandhari → {name}",
+  "cmd.accent": "Rangi → {name}",
+  "cmd.language": "Lugha → {name}",
+  "cmd.eventsView": "Mwonekano wa kalenda → {name}",
+  "cmd.eventsToday": "Rudi mwezi huu",
+  "accent.sky": "Samawati",
+  "accent.emerald": "Zumaridi",
+  "accent.violet": "Urujuani",
+  "accent.amber": "Kaharabu",
+  "accent.rose": "Waridi",
+  "accent.custom": "Rangi yako",
+
+  /* Events calendar */
+  "events.title": "Kalenda ya matukio",
+  "events.intro": "Ibada, madarasa na matukio ya kanisa zima katika kampasi zetu. Nyakati zote ni saa za Nairobi (EAT).",
+  "events.docTitle": "Kalenda ya matukio · Parklands Baptist",
+  "events.filters": "Chuja matukio",
+  "events.ministry": "Huduma",
+  "events.allMinistries": "Huduma zote",
+  "events.view": "Mwonekano",
+  "events.month": "Mwezi",
+  "events.list": "Orodha",
+  "events.prev": "Mwezi uliopita",
+  "events.next": "Mwezi ujao",
+  "events.today": "Leo",
+  "events.noneThisMonth": "Hakuna matukio yanayolingana na vichujio hivi mwezi huu.",
+  "events.noneUpcoming": "Hakuna matukio yajayo yanayolingana na vichujio hivi.",
+  "events.more": "Onyesha zaidi",
+  "events.select": "Chagua tukio kwenye kalenda ili kuona maelezo yake.",
+  "events.recurring": "↻ Hujirudia",
+  "events.addToCalendar": "📅 Ongeza kwenye kalenda",
+  "events.addToCalendarLabel": "Ongeza {title} kwenye kalenda yako",
+  "events.downloadAll": "Pakua yote (.ics)",
+  "events.register": "Jiandikishe",
+  "events.calendarName": "Matukio ya Parklands Baptist",
+  "events.downloaded": "📅 Faili ya kalenda imepakuliwa: {title}",
+  "events.upcoming": "Tarehe zijazo",
+  "events.seeAll": "Ona yote kwenye kalenda",
+
+  /* Housegroup finder */
+  "housegroups.title": "Tafuta housegroup",
+  "housegroups.intro": "Housegroups hukutana majumbani kote Nairobi. Andika mtaa wako uone vilivyo karibu zaidi kwanza, kisha uombe kujiunga. Saa ni za Nairobi (EAT).",
+  "housegroups.docTitle": "Tafuta housegroup · Parklands Baptist",
+  "housegroups.near": "Mtaa wako au viwianishi",
+  "housegroups.nearPlaceholder": "mf. Kileleshwa au -1.28, 36.78",
+  "housegroups.nearHelp": "Hutumika kwenye ukurasa huu tu kupanga orodha; hatutumiwi.",
+  "housegroups.sort": "Panga kwa umbali",
+  "housegroups.clearNear": "Futa",
+  "housegroups.notFound": "Hatukupata “{query}”. Jaribu mtaa ulio karibu, au viwianishi kama -1.28, 36.78.",
+  "housegroups.sortedFrom": "Vilivyo karibu zaidi na {place} kwanza",
+  "housegroups.filters": "Chuja housegroups",
+  "housegroups.day": "Siku",
+  "housegroups.anyDay": "Siku yoyote",
+  "housegroups.area": "Eneo",
+  "housegroups.anyArea": "Maeneo yote",
+  "housegroups.language": "Lugha",
+  "housegroups.anyLanguage": "Lugha yoyote",
+  "housegroups.openOnly": "Vikundi vyenye nafasi pekee",
+  "housegroups.count": { one: "Housegroup {count}", other: "Housegroups {count}" },
+  "housegroups.none": "Hakuna housegroup inayolingana na vichujio hivi. Jaribu siku au eneo lingine, au utuombe tukupendekezee.",
+  "housegroups.suggest": "Tuombe tukupendekezee kikundi",
+  "housegroups.leader": "Kiongozi: {name}",
+  "housegroups.km": "Km {km} kutoka kwako",
+  "housegroups.spaces": { one: "Nafasi {count} imebaki", other: "Nafasi {count} zimebaki" },
+  "housegroups.full": "Kimejaa",
+  "housegroups.fullNote": "Kikundi hiki kimejaa, lakini omba hata hivyo: tutakutafutia nafasi karibu.",
+  "housegroups.languages": "Hukutana kwa {languages}",
+  "housegroups.showOnMap": "Onyesha kwenye ramani",
+  "housegroups.join": "Omba kujiunga",
+  "housegroups.joinLabel": "Omba kujiunga na {name}",
+  "housegroups.mapLabel": { one: "Ramani ya Nairobi yenye housegroup {count}", other: "Ramani ya Nairobi yenye housegroups {count}" },
+  "housegroups.you": "Wewe",
+  "housegroups.mapNote": "Alama zinaonyesha mtaa kikundi kinapokutana, si anwani ya mwenyeji.",
+  "housegroups.finder": "🗺 Tafuta housegroup karibu nawe",
+
+  /* Toasts */
+  "toast.region": "Arifa",
+  "toast.dismiss": "Ondoa arifa",
+  "toast.installed": "📲 Imesakinishwa — pata PBC Sign-ups kwenye skrini yako ya mwanzo",
+  "toast.sent": "✅ Usajili umetumwa: {title}",
+  "toast.draftDiscarded": "Rasimu imefutwa: {title}",
+  "toast.reminderOn": "🔔 Tutakujulisha kwenye kifaa hiki {title} itakapofunguliwa.",
+  "toast.reminderOff": "Kikumbusho kimeondolewa: {title}",
+  "toast.reminderOpen": "🔔 Usajili umefunguliwa: {title}",
+  "toast.waitlisted": "⏳ Uko kwenye orodha ya kusubiri: {title}",
+  "toast.queued": "📴 Umehifadhiwa nje ya mtandao: {title} — tutautuma utakaporudi mtandaoni",
+  "toast.campusAll": "📍 Inaonyesha kampasi zote",
+  "toast.campus": "📍 Kampasi → {name}",
+  "toast.accent": "🎨 Rangi → {name}",
+  "toast.theme": "🎨 Mandhari → {name}",
+  "toast.language": "🌐 Lugha → {name}",
+  "toast.outboxSent": { one: "✅ Usajili {count} uliohifadhiwa umetumwa", other: "✅ Usajili {count} uliohifadhiwa umetumwa" },
+  "toast.outboxFailed": {
+    one: "⚠️ Usajili {count} uliohifadhiwa haukuweza kutumwa — tafadhali jaribu tena",
+    other: "⚠️ Usajili {count} uliohifadhiwa haukuweza kutumwa — tafadhali jaribu tena",
+  },
+  "toast.offline": "📴 Uko nje ya mtandao — usajili mpya utatumwa utakaporudi mtandaoni",
+  "toast.profileSaved": "👤 Wasifu umehifadhiwa kwenye kifaa hiki",
+  "toast.updated": "✏️ Mabadiliko yamehifadhiwa",
+  "toast.cancelled": "🗑 Usajili umeghairiwa",
+  "toast.requestSent": "📨 Ombi limetumwa",
+  "toast.erased": "🗑 Usajili wako umefutwa",
+  "toast.cleared": "🧹 Imefutwa: {what}",
+
+  /* Forms */
+  "form.select": "Chagua…",
+  "form.cancel": "Ghairi",
+  "form.submit": "Jiandikishe",
+  "form.sending": "Inatuma…",
+  "form.error": "Hitilafu imetokea. Tafadhali jaribu tena.",
+  "form.close": "Funga",
+  "form.yes": "Ndiyo",
+  "form.no": "Hapana",
+  "form.saveChanges": "Hifadhi mabadiliko",
+  "form.addItem": "+ Ongeza {item}",
+  "form.remove": "Ondoa",
+  "form.removeItem": "Ondoa {item}",
+  "form.placedIn": "Darasa: {class}",
+  "wizard.progress": "Hatua {step} kati ya {count}",
+  "wizard.steps": "Hatua",
+  "wizard.next": "Endelea",
+  "wizard.back": "Rudi",
+  "wizard.backTo": "Rudi kwenye {step}",
+  "wizard.later": "Maliza baadaye",
+  "wizard.restored": "Tumerejesha majibu uliyohifadhi {when}.",
+  "wizard.startOver": "Anza upya",
+  "drafts.title": "Endelea na usajili wako",
+  "drafts.intro": "Ulianza hizi kwenye kifaa hiki. Majibu yako yanabaki hapa hadi utakapoyatuma.",
+  "drafts.saved": "Imehifadhiwa {when}",
+  "drafts.continue": "Endelea",
+  "drafts.continueLabel": "Endelea na usajili wa {title}",
+  "drafts.discard": "Futa",
+  "drafts.discardLabel": "Futa rasimu ya {title}",
+  "validation.required": "{label} inahitajika.",
+  "validation.type": "Jibu hilo haliko katika muundo tunaoweza kukubali.",
+  "validation.checkbox": "Tafadhali weka alama kwenye kisanduku hiki ili kuendelea.",
+  "validation.slotRequired": "Chagua muda, au jiunge na orodha ya kusubiri kwa muda uliojaa.",
+  "validation.slot": "Chagua mojawapo ya nyakati.",
+  "validation.email": "Weka anwani sahihi ya barua pepe.",
+  "validation.phone": "Weka nambari sahihi ya simu, mf. 0712 345 678.",
+  "validation.option": "Chagua mojawapo ya chaguo.",
+  "validation.date": "Weka tarehe sahihi.",
+  "validation.dateEarly": "Tarehe hiyo ni ya mapema mno.",
+  "validation.dateLate": "Tarehe hiyo ni ya baadaye mno.",
+  "validation.maxLength": "Isizidi herufi {max}.",
+  "validation.groupMin": { one: "{label}: ongeza angalau mmoja.", other: "{label}: ongeza angalau {count}." },
+  "validation.groupMax": "{label}: wasizidi {count}, tafadhali.",
+  "validation.groupItem": "{item}: {error}",
+  "validation.noClass": "Hakuna darasa hapa la mwenye umri wa miaka {age}.",
+
+  /* Slot picker */
+  "slots.checking": "Inaangalia nafasi…",
+  "slots.full": "Imejaa",
+  "slots.fullWaitlist": "Imejaa · {count} kwenye orodha ya kusubiri",
+  "slots.left": { one: "Imebaki nafasi {count}", other: "Zimebaki nafasi {count}" },
+  "slots.join": "Jiunge na orodha ya kusubiri",
+  "slots.onWaitlist": "Uko kwenye orodha ya kusubiri ✓",
+  "slots.loadError": "Hatukuweza kuangalia nafasi sasa hivi — bado unaweza kuchagua muda.",
+  "slots.waitlistSuffix": "{slot} (orodha ya kusubiri)",
+
+  /* Submission summary */
+  "summary.thanks": "Asante! Haya ndiyo uliyotuma kwa {title}. Timu ya huduma itawasiliana nawe.",
+  "summary.thanksName": "Asante, {name}! Haya ndiyo uliyotuma kwa {title}. Timu ya huduma itawasiliana nawe.",
+  "summary.queued": "📴 Uko nje ya mtandao, kwa hivyo hii imehifadhiwa kwenye kifaa chako. Tutaituma yenyewe utakaporudi mtandaoni.",
+  "summary.waitlisted": "⏳ Muda huo umejaa, kwa hivyo uko kwenye orodha ya kusubiri. Tutakujulisha nafasi ikipatikana.",
+  "summary.emailed": "📧 Tumetuma uthibitisho kwa barua pepe {email}.",
+  "summary.texted": "📱 Tumetuma SMS ya uthibitisho kwa {phone}.",
+  "summary.visit": "Tembelea ukurasa wa huduma",
+  "summary.print": "🖨 Chapisha muhtasari wa kuingia",
+  "summary.done": "Nimemaliza",
+
+  /* Check-in sheet */
+  "checkin.title": "Muhtasari wa kuingia: {title}",
+  "checkin.reference": "Kumbukumbu {reference}",
+  "checkin.printed": "Imechapishwa {date}",
+  "checkin.age": "Umri {age} (alizaliwa {dob})",
+  "checkin.consents": "Idhini",
+  "checkin.footer": "Leta hii (au ionyeshe kwenye simu yako) kwenye dawati la kuingia siku yako ya kwanza.",
+  "summary.updated": "Mabadiliko yako ya {title} yamehifadhiwa.",
+  "summary.remember": "Kumbuka taarifa zangu",
+  "summary.remembered": "Imehifadhiwa kwenye wasifu wako ✓",
+
+  /* Detail page */
+  "page.back": "← Usajili wote",
+  "page.title": "{title} · Usajili wa Parklands Baptist",
+  "page.notFoundTitle": "Usajili haukupatikana · Parklands Baptist",
+  "page.notFound": "Usajili haukupatikana",
+  "page.notFoundBody": "Huenda kiungo hicho kimepitwa na wakati. Tazama usajili ulio wazi sasa badala yake.",
+  "page.schedule": "Ratiba",
+  "page.campuses": "Kampasi",
+  "page.showingFor": "Inaonyesha ratiba na mawasiliano ya {campus}.",
+  "page.notOffered": "Haipatikani kwa sasa {campus}.",
+  "page.contacts": "Mawasiliano",
+  "page.ministryPage": "Ukurasa wa huduma ↗",
+  "page.signUp": "Jiandikishe",
+  "page.closed": "Usajili wa {title} umefungwa kwa sasa.",
+  "page.upcoming": "Usajili wa {title} utafunguliwa {date}.",
+  "page.notifyHelp": "Omba kikumbusho na tutakujulisha hapa, pamoja na arifa kama kivinjari chako kinaruhusu, usajili utakapofunguliwa. Kikumbusho kinabaki kwenye kifaa hiki.",
+
+  /* My sign-ups + profile */
+  "mine.pageTitle": "Usajili wangu · Parklands Baptist",
+  "mine.title": "Usajili wangu",
+  "mine.intro": "Usajili uliofanya kwenye kifaa hiki. Badilisha majibu yako au ughairi mipango ikibadilika.",
+  "mine.privacy": "Unataka nakala ya data yako, au kuifuta? Tazama {link}.",
+  "mine.privacyLink": "Faragha na data yako",
+  "mine.empty": "Bado hujajiandikisha kwa chochote kwenye kifaa hiki.",
+  "mine.browse": "Tazama fomu za usajili",
+  "mine.submitted": "Ilitumwa {date}",
+  "mine.status.confirmed": "Imethibitishwa",
+  "mine.status.waitlisted": "Unasubiri",
+  "mine.status.queued": "Inasubiri kutumwa",
+  "mine.status.cancelled": "Imeghairiwa",
+  "mine.queuedNote": "Hii itatumwa utakaporudi mtandaoni; unaweza kuibadilisha baada ya hapo.",
+  "mine.edit": "Hariri",
+  "mine.cancel": "Ghairi usajili",
+  "mine.forget": "Ondoa kwenye orodha",
+  "mine.cancelledHeading": "Vilivyoghairiwa",
+  "mine.cancelTitle": "Ughairi {title}?",
+  "mine.cancelBody": "Nafasi yako itaachwa na timu ya huduma itaona kwamba umeghairi.",
+  "mine.keep": "Usighairi",
+  "mine.confirmCancel": "Ndiyo, ghairi",
+  "profile.title": "Wasifu wangu",
+  "profile.intro": "Unahifadhiwa kwenye kifaa hiki pekee, na hutumika kujaza taarifa zako kwenye kila fomu ya usajili.",
+  "profile.fullName": "Jina kamili",
+  "profile.phone": "Nambari ya simu",
+  "profile.email": "Barua pepe",
+  "profile.campus": "Kampasi",
+  "profile.household": "Wanafamilia",
+  "profile.householdHelp": "Watoto unaowasajili mara kwa mara. Fomu za watoto na vijana zitaanza na kila mmoja ambaye umri wake unafaa darasa tayari ameongezwa.",
+  "profile.memberName": "Jina {n}",
+  "profile.memberDob": "Tarehe ya kuzaliwa",
+  "profile.removeMember": "Ondoa {name}",
+  "profile.addMember": "+ Ongeza mwanafamilia",
+  "profile.save": "Hifadhi wasifu",
+
+  /* Faragha (/privacy) */
+  "privacy.pageTitle": "Faragha na data yako · Parklands Baptist Church",
+  "privacy.title": "Faragha na data yako",
+  "privacy.intro": "Jinsi Parklands Baptist Church inavyotunza unachoshiriki unapojiandikisha, kulingana na Sheria ya Ulinzi wa Data ya Kenya, 2019 — na zana za kuiona, kuipakua au kuifuta.",
+  "privacy.updated": "Ilisasishwa {date}",
+  "privacy.whoTitle": "Sisi ni nani",
+  "privacy.who": "Parklands Baptist Church, Prof. Saitoti Ave (karibu na Ring Road Westlands), Nairobi, huamua kinachokusanywa hapa na kwa nini. Viongozi wa huduma huona usajili wa huduma yao tu kwa kadiri wanavyohitaji kuiendesha.",
+  "privacy.collectTitle": "Tunachokusanya",
+  "privacy.collect": "Kile tu kila fomu inachouliza: kwa kawaida jina lako, nambari ya simu, barua pepe na kampasi, na kwa huduma ya watoto na vijana majina ya watoto wako, tarehe zao za kuzaliwa, mtu wa kuwasiliana naye wakati wa dharura na mizio au maelezo ya kiafya utakayochagua kutupa.",
+  "privacy.purposesTitle": "Kwa nini tunaitumia",
+  "privacy.purposesIntro": "Kila fomu inaomba idhini yako, kusudi kwa kusudi. Tunahifadhi rekodi ya ulichokubali na lini, na unaweza kubadili nia wakati wowote.",
+  "privacy.purpose.contact": "Kuendesha usajili uliouchagua na kuwasiliana nawe kuuhusu. Hii inahitajika ili kushiriki.",
+  "privacy.purpose.updates": "Kukutumia habari na mialiko kwa SMS au barua pepe — ukiweka alama tu.",
+  "privacy.purpose.participation": "Kwa watoto na vijana: idhini yako washiriki katika shughuli.",
+  "privacy.purpose.medical": "Kwa watoto na vijana: kuwawezesha viongozi kutoa huduma ya kwanza na kuita msaada wakati wa dharura.",
+  "privacy.purpose.photos": "Kwa watoto na vijana: kutumia picha za shughuli za kikundi katika mawasiliano ya kanisa — ukiweka alama tu.",
+  "privacy.sharingTitle": "Nani anaiona",
+  "privacy.sharing": "Wafanyakazi wa kanisa na viongozi wa kujitolea wa huduma uliyojiandikisha. Uthibitisho hutumwa kupitia watoa huduma wetu wa SMS na barua pepe. Hatuuzi maelezo yako wala kuyashiriki kwa matangazo ya mtu mwingine.",
+  "privacy.retentionTitle": "Tunaihifadhi kwa muda gani",
+  "privacy.retentionIntro": "Usajili hufutwa wenyewe muda huu ukipita tangu ulipoubadilisha mara ya mwisho:",
+  "privacy.keptFor": "{title}: {period}",
+  "privacy.keptForRest": "Mengine yote: {period}",
+  "privacy.rightsTitle": "Haki zako",
+  "privacy.rights": "Unaweza kuomba kuona tunachohifadhi kukuhusu, kirekebishwe au kifutwe, na unaweza kuondoa idhini wakati wowote. Tunajibu ndani ya siku 30. Usiporidhika na jibu letu unaweza kulalamika kwa Ofisi ya Kamishna wa Ulinzi wa Data.",
+  "privacy.contact": "Maswali? Tuma barua pepe kwa {email} au tumia fomu iliyo hapa chini.",
+  "privacy.yourDataTitle": "Data yako",
+  "privacy.yourDataIntro": "Pakua kila kitu kifaa hiki kinachojua kukuhusu, pamoja na tunachohifadhi kwa kila usajili uliofanywa kutoka hapa, au futa usajili huo kwenye rekodi zetu kabisa.",
+  "privacy.download": "Pakua data yangu",
+  "privacy.erase": { one: "Futa usajili wangu", other: "Futa usajili wangu {count}" },
+  "privacy.toMine": "Nenda kwa Usajili wangu",
+  "privacy.eraseTitle": "Futa usajili wako?",
+  "privacy.eraseBody": "Kila usajili uliofanywa kutoka kifaa hiki unaondolewa kwenye rekodi zetu na kwenye kifaa hiki. Hili haliwezi kutenduliwa — ukiwa bado unapanga kuja, utahitaji kujiandikisha tena.",
+  "privacy.eraseConfirm": "Futa kabisa",
+  "privacy.eraseFailed": { one: "Hatukuweza kufuta usajili {count}. Tafadhali jaribu tena.", other: "Hatukuweza kufuta usajili {count}. Tafadhali jaribu tena." },
+  "privacy.requestTitle": "Tuulize kuhusu data yako",
+  "privacy.requestIntro": "Kwa usajili uliofanywa kwenye kifaa kingine au kwenye karatasi, au chochote kingine tunachoweza kuwa nacho kukuhusu, tutumie ombi na tutajibu ndani ya siku 30.",
+  "privacy.requestKind": "Ungependa tufanye nini?",
+  "privacy.kind.export": "Nitumie nakala ya data yangu",
+  "privacy.kind.correct": "Rekebisha data yangu",
+  "privacy.kind.delete": "Futa data yangu",
+  "privacy.requestDetails": "Maelezo",
+  "privacy.requestDetailsHelp": "Usajili au matukio yapi, na nini kibadilike. Tutawasiliana nawe kupitia nambari ya simu iliyo hapo juu kuthibitisha ni wewe.",
+  "privacy.requestSend": "Tuma ombi",
+  "privacy.requestSent": "Asante — tumepokea ombi lako (kumbukumbu {ref}). Tutajibu ndani ya siku 30.",
+  "privacy.deviceTitle": "Data kwenye kifaa hiki",
+  "privacy.deviceIntro": "Kivinjari hiki kinakumbuka mambo machache ili usiandike tena. Hakuna kinachotumwa popote hadi ujiandikishe. Futa chochote hapa.",
+  "privacy.device.profile": "Wasifu wangu",
+  "privacy.device.profileSaved": "Maelezo yako ya mawasiliano na familia",
+  "privacy.device.profileEmpty": "Hakuna kilichohifadhiwa",
+  "privacy.device.signups": "Usajili wangu",
+  "privacy.device.signupsCount": { one: "Usajili {count} (kufuta kunausahau hapa tu)", other: "Usajili {count} (kufuta kunausahau hapa tu)" },
+  "privacy.device.drafts": "Usajili ambao haujakamilika",
+  "privacy.device.draftsCount": { one: "Rasimu {count}", other: "Rasimu {count}" },
+  "privacy.device.reminders": "Vikumbusho",
+  "privacy.device.remindersCount": { one: "Kikumbusho {count}", other: "Vikumbusho {count}" },
+  "privacy.device.preferences": "Mapendeleo",
+  "privacy.device.preferencesHelp": "Mandhari, lugha, kampasi na amri za hivi karibuni: {count} zimehifadhiwa. Ukurasa unapakia upya.",
+  "privacy.clear": "Futa",
+  "privacy.clearThis": "Futa {what}",
+  "privacy.clearEverything": "Futa kila kitu kwenye kifaa hiki",
+  "privacy.clearEverythingTitle": "Futa kila kitu?",
+  "privacy.clearEverythingBody": "Wasifu wako, orodha ya usajili, rasimu, vikumbusho, mapendeleo na chochote kinachosubiri kutumwa nje ya mtandao vinaondolewa kwenye kivinjari hiki, na ukurasa unapakia upya. Usajili tulio nao tayari unabaki — ufute hapo juu.",
+  "privacy.formNote": "Tunatumia majibu yako tu kama ilivyoelezwa katika {link}.",
+  "privacy.formNoteLink": "taarifa yetu ya faragha",
+
+  /* Leaders' dashboard (/admin) */
+  "admin.pageTitle": "Majibu ya usajili · Parklands Baptist",
+  "admin.title": "Majibu ya usajili",
+  "admin.intro": "Kwa viongozi wa huduma. Fuatilia, weka maelezo na pakua orodha.",
+  "admin.signInIntro": "Weka msimbo wa viongozi ili kuona majibu ya usajili.",
+  "admin.code": "Msimbo wa kuingia",
+  "admin.signIn": "Ingia",
+  "admin.signOut": "Toka",
+  "admin.refresh": "↻ Onyesha upya",
+  "admin.exportCsv": "Pakua CSV",
+  "admin.exportXlsx": "Pakua Excel",
+  "admin.loadFailed": "Imeshindwa kupakia usajili: {error}",
+  "admin.loading": "Inapakia usajili…",
+  "admin.responses": { one: "Jibu {count}", other: "Majibu {count}" },
+  "admin.fresh": "mapya {count}",
+  "admin.search": "Tafuta",
+  "admin.searchPlaceholder": "Jina, simu, barua pepe, maelezo…",
+  "admin.allSignups": "Usajili wote",
+  "admin.allCampuses": "Kampasi zote",
+  "admin.anyStatus": "Hali yoyote",
+  "admin.showing": "Inaonyesha {shown} kati ya {total}",
+  "admin.clearFilters": "Ondoa vichujio",
+  "admin.noMatch": "Hakuna usajili unaolingana.",
+  "admin.col.name": "Jina",
+  "admin.col.signup": "Usajili",
+  "admin.col.campus": "Kampasi",
+  "admin.col.time": "Muda",
+  "admin.col.submitted": "Ulitumwa",
+  "admin.col.followUp": "Ufuatiliaji",
+  "admin.col.when": "Lini",
+  "admin.col.why": "Kwa nini",
+  "admin.col.nameGiven": "Jina lililotolewa",
+  "admin.col.phone": "Simu",
+  "admin.col.connection": "Muunganisho",
+  "admin.col.received": "Lilipokelewa",
+  "admin.col.wants": "Anataka",
+  "admin.col.contact": "Mawasiliano",
+  "admin.col.details": "Maelezo",
+  "admin.col.status": "Hali",
+  "admin.followUp.new": "Mpya",
+  "admin.followUp.contacted": "Amewasiliana",
+  "admin.followUp.placed": "Amepangwa",
+  "admin.followUpFor": "Ufuatiliaji wa {name}",
+  "admin.followUpForThis": "Ufuatiliaji wa usajili huu",
+  "admin.onWaitlist": "(orodha ya kusubiri)",
+  "admin.wasCancelled": "(umeghairiwa)",
+  "admin.booking": "Nafasi",
+  "admin.bookingStatus.confirmed": "Imethibitishwa",
+  "admin.bookingStatus.waitlisted": "Kwenye orodha ya kusubiri",
+  "admin.bookingStatus.cancelled": "Imeghairiwa",
+  "admin.consent": "Idhini",
+  "admin.consentYes": "{purpose}: ndiyo",
+  "admin.consentNo": "{purpose}: hapana",
+  "admin.consentGiven": "Ilitolewa {when}",
+  "admin.consentGivenVersion": "Ilitolewa {when} kwa taarifa ya {version}",
+  "admin.purpose.contact": "Kuendesha usajili huu",
+  "admin.purpose.updates": "Habari na mialiko",
+  "admin.purpose.participation": "Kushiriki",
+  "admin.purpose.medical": "Maelezo ya kiafya",
+  "admin.purpose.photos": "Picha",
+  "admin.notes": "Maelezo",
+  "admin.notesPlaceholder": "Tulimpigia Jumanne, amepangwa na timu ya Jumapili…",
+  "admin.saving": "Inahifadhi…",
+  "admin.saveNotes": "Hifadhi maelezo",
+  "admin.saved": "✅ Imehifadhiwa",
+  "admin.erase": "Futa…",
+  "admin.confirmErase": "Thibitisha kufuta",
+  "admin.eraseQuestion": "Futa usajili huu kabisa?",
+  "admin.eraseYes": "Ndiyo, futa",
+  "admin.keep": "Acha",
+  "admin.erased": "🗑 Umefutwa",
+  "admin.requests": "Maombi kuhusu data",
+  "admin.requestsOpen": "({count} wazi)",
+  "admin.requestsNone": "Hakuna aliyeuliza kuhusu data yake.",
+  "admin.requestsIntro": "Thibitisha ni yeye kwa nambari ya simu aliyotoa, kisha mtumie nakala, rekebisha au futa usajili wake hapa chini.",
+  "admin.kind.export": "Tuma nakala",
+  "admin.kind.correct": "Rekebisha",
+  "admin.kind.delete": "Futa",
+  "admin.replyBy": "Jibu kabla ya {date}",
+  "admin.markDone": "Weka kuwa limekamilika",
+  "admin.markDoneFor": "Weka ombi la {name} kuwa limekamilika",
+  "admin.markedDone": "✅ Limekamilika",
+  "admin.doneOn": "Lilikamilika {date}",
+  "admin.blocked": "Majaribio yaliyozuiwa",
+  "admin.blockedNone": "Hakuna kilichozuiwa.",
+  "admin.reason.honeypot": "Alijaza sehemu iliyofichwa (roboti)",
+  "admin.reason.ip-rate": "Mengi mno kutoka muunganisho mmoja",
+  "admin.reason.phone-rate": "Mengi mno kwa nambari moja ya simu",
+  "admin.reason.duplicate": "Majibu sawa na usajili wa awali",
+  "admin.reason.challenge": "Alitumiwa changamoto (hakuna tokeni ya fomu inayotumika)",
+};
@@ -0,0 +1,42 @@
+/* ================= Message formatting ================= */
+// Framework-free so validation.js (and through it the API) can use it.
+// Messages are flat { "key": "Text with {param}" } maps; a message may be
+// { one, other, ... } to pick a plural form from params.count.
+
+export const LOCALE_TAGS = { en: "en-KE", sw: "sw-KE" };
+
+const pluralRules = new Map();
+function pluralOf(locale, count) {
+  if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(LOCALE_TAGS[locale] || locale));
+  return pluralRules.get(locale).select(count);
+}
+
+const numberFormats = new Map();
+export function formatNumber(locale, n, options) {
+  const key = `${locale}:${JSON.stringify(options || {})}`;
+  if (!numberFormats.has(key)) numberFormats.set(key, new Intl.NumberFormat(LOCALE_TAGS[locale] || locale, options));
+  return numberFormats.get(key).format(n);
+}
+
+function lookup(catalogs, locale, fallback, key, params) {
+  let msg = catalogs[locale]?.[key] ?? catalogs[fallback]?.[key];
+  if (msg == null) return null;
+  if (typeof msg === "object") msg = msg[pluralOf(locale, Number(params.count) || 0)] ?? msg.other;
+  return msg;
+}
+
+// "Hello {name}" → ["Hello ", value]; numbers are formatted for the locale
+export function messageParts(catalogs, locale, key, params = {}, fallback = "en") {
+  const msg = lookup(catalogs, locale, fallback, key, params);
+  if (msg == null) return [key];
+  return msg.split(/\{(\w+)\}/).map((part, i) => {
+    if (i % 2 === 0) return part;
+    const v = params[part];
+    if (v == null) return `{${part}}`;
+    return typeof v === "number" ? formatNumber(locale, v) : v;
+  }).filter((p) => p !== "");
+}
+
+export function createTranslator(catalogs, locale, fallback = "en") {
+  return (key, params) => messageParts(catalogs, locale, key, params, fallback).join("");
+}
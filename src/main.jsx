@@ -1,9 +1,23 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
+import AppProviders from "./AppProviders.jsx";
 import "./index.css";
+import { createApiStore, setSignupStore } from "./storage/index.js";
+import { withOfflineQueue } from "./offline/queuedStore.js";
+import { registerServiceWorker } from "./offline/registerServiceWorker.js";
+
+// Sign-ups go to the API in api/ (VITE_SIGNUP_API overrides the base URL;
+// "local" keeps them in localStorage instead). Submissions made offline wait
+// in IndexedDB until we reconnect.
+const signupApi = import.meta.env.VITE_SIGNUP_API || "/api";
+if (signupApi !== "local") {
+  setSignupStore(withOfflineQueue(createApiStore({ baseUrl: signupApi })));
+}
+registerServiceWorker();
 
 ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode><App /></React.StrictMode>
+  <React.StrictMode>
+    <AppProviders><App /></AppProviders>
+  </React.StrictMode>
 );
-
@@ -0,0 +1,79 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useI18n } from "../i18n/index.js";
+import { useProfile } from "../profile/index.js";
+import { getSignupStore, notifySignupsChanged } from "../storage/index.js";
+import { useToast } from "../ui/toasts.js";
+
+/* ================= PWA hooks ================= */
+
+// Captures the browser's install prompt so we can offer our own button
+export function useInstallPrompt() {
+  const [deferred, setDeferred] = useState(null);
+  useEffect(() => {
+    const onPrompt = (e) => { e.preventDefault(); setDeferred(e); };
+    const onInstalled = () => setDeferred(null);
+    window.addEventListener("beforeinstallprompt", onPrompt);
+    window.addEventListener("appinstalled", onInstalled);
+    return () => {
+      window.removeEventListener("beforeinstallprompt", onPrompt);
+      window.removeEventListener("appinstalled", onInstalled);
+    };
+  }, []);
+  const install = useCallback(async () => {
+    if (!deferred) return null;
+    deferred.prompt();
+    const { outcome } = await deferred.userChoice;
+    setDeferred(null);
+    return outcome; // "accepted" | "dismissed"
+  }, [deferred]);
+  return { canInstall: deferred != null, install };
+}
+
+// Replays queued sign-ups on load, when we come back online, and when the
+// service worker's background sync fires; toasts the outcome and fills in
+// (or drops) the matching "my sign-ups" entries.
+export function useOutboxSync() {
+  const { t } = useI18n();
+  const { notify } = useToast();
+  const { patchSignup, forgetSignup } = useProfile();
+  const notifyRef = useRef(notify);
+  const tRef = useRef(t);
+  const mineRef = useRef({ patchSignup, forgetSignup });
+  useEffect(() => { notifyRef.current = notify; tRef.current = t; mineRef.current = { patchSignup, forgetSignup }; });
+
+  useEffect(() => {
+    async function sync() {
+      const store = getSignupStore();
+      if (!store.flush || navigator.onLine === false) return;
+      const { sent, failed } = await store.flush();
+      for (const { submission, result } of sent) {
+        if (submission.ref) mineRef.current.patchSignup(submission.ref, { id: result.id, token: result.editToken ?? null, status: result.status });
+      }
+      for (const { submission } of failed) {
+        if (submission.ref) mineRef.current.forgetSignup(submission.ref);
+      }
+      if (sent.length) {
+        notifySignupsChanged();
+        notifyRef.current(tRef.current("toast.outboxSent", { count: sent.length }));
+      }
+      if (failed.length) {
+        notifyRef.current(tRef.current("toast.outboxFailed", { count: failed.length }), { tone: "error", duration: 8000 });
+      }
+    }
+    const onOffline = () => notifyRef.current(tRef.current("toast.offline"));
+    // A flush that fails (no IndexedDB, the connection drops mid-way) leaves
+    // the queue for the next try
+    const run = () => sync().catch((e) => { void e; });
+    const onMessage = (e) => { if (e.data?.type === "FLUSH_OUTBOX") run(); };
+
+    run();
+    window.addEventListener("online", run);
+    window.addEventListener("offline", onOffline);
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    return () => {
+      window.removeEventListener("online", run);
+      window.removeEventListener("offline", onOffline);
+      navigator.serviceWorker?.removeEventListener("message", onMessage);
+    };
+  }, []);
+}
@@ -0,0 +1,19 @@
+import { act, renderHook } from "@testing-library/react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { useOutboxSync } from "./hooks.js";
+import AppProviders from "../AppProviders.jsx";
+import { createLocalStore, setSignupStore } from "../storage/index.js";
+
+describe("useOutboxSync", () => {
+  afterEach(() => { setSignupStore(createLocalStore()); });
+
+  it("leaves the queue alone when a flush fails, however it was started", async () => {
+    const flush = vi.fn().mockRejectedValue(new Error("IndexedDB is unavailable"));
+    setSignupStore({ ...createLocalStore(), flush });
+    renderHook(() => useOutboxSync(), { wrapper: AppProviders });
+
+    await act(async () => { window.dispatchEvent(new Event("online")); });
+    // An unhandled rejection would fail the run
+    expect(flush).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,55 @@
+/* ================= IndexedDB outbox ================= */
+// Sign-ups made while offline wait here until they can be sent.
+
+const DB_NAME = "pbc-offline";
+const STORE = "outbox";
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+let dbPromise = null;
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "id" });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, mode);
+  const result = await fn(tx.objectStore(STORE));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return result;
+}
+
+export function enqueue(submission) {
+  const entry = { id: `q-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, queuedAt: new Date().toISOString(), submission };
+  return withStore("readwrite", (s) => promisify(s.add(entry))).then(() => entry);
+}
+
+export async function list() {
+  const items = await withStore("readonly", (s) => promisify(s.getAll()));
+  return items.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+export function remove(id) {
+  return withStore("readwrite", (s) => promisify(s.delete(id)));
+}
+
+// "Clear everything" on /privacy; a browser without IndexedDB has nothing queued
+export function clear() {
+  if (typeof indexedDB === "undefined") return Promise.resolve();
+  return withStore("readwrite", (s) => promisify(s.clear()));
+}
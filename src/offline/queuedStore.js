@@ -0,0 +1,62 @@
+import { enqueue, list, remove } from "./outbox.js";
+
+/* ================= Offline-tolerant SignupStore ================= */
+// Wraps a remote store: when the network is down a submission is parked in
+// the IndexedDB outbox and reported as { status: "queued" }. flush() replays
+// the outbox in order and is called when connectivity returns. Submissions
+// are stored as given, so a caller's own fields (e.g. `ref`) come back in
+// flush()'s results.
+
+// fetch() rejects with a TypeError when the request never got a response
+const isNetworkError = (e) => e instanceof TypeError;
+
+export function withOfflineQueue(store) {
+  let flushing = null;
+
+  async function park(submission) {
+    const entry = await enqueue(submission);
+    // Let the service worker wake us up even if the tab was backgrounded
+    navigator.serviceWorker?.ready
+      .then((reg) => reg.sync?.register("signup-outbox"))
+      .catch((e) => { void e; });
+    return { id: entry.id, status: "queued", submittedAt: entry.queuedAt };
+  }
+
+  async function replay() {
+    const sent = [];
+    const failed = [];
+    for (const entry of await list()) {
+      try {
+        sent.push({ submission: entry.submission, result: await store.submit(entry.submission) });
+        await remove(entry.id);
+      } catch (e) {
+        if (isNetworkError(e)) break; // still offline; try again later
+        // Rejected by the server (e.g. validation): drop it and report
+        failed.push({ submission: entry.submission, error: e });
+        await remove(entry.id);
+      }
+    }
+    return { sent, failed };
+  }
+
+  return {
+    ...store,
+    async submit(submission) {
+      if (navigator.onLine === false) return park(submission);
+      try {
+        return await store.submit(submission);
+      } catch (e) {
+        if (isNetworkError(e)) return park(submission);
+        throw e;
+      }
+    },
+    async pending() {
+      return (await list()).length;
+    },
+    // Concurrent calls share one replay
+    flush() {
+      flushing ??= replay().finally(() => { flushing = null; });
+      return flushing;
+    },
+  };
+}
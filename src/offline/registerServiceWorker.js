@@ -0,0 +1,10 @@
+/* ================= Service worker registration ================= */
+// Production only: in dev the Vite server's modules would end up cached.
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((e) => {
+      console.warn("Service worker registration failed", e);
+    });
+  });
+}
@@ -0,0 +1,496 @@
+import { Fragment, useCallback, useEffect, useId, useMemo, useState } from "react";
+import { CAMPUSES, CATEGORIES, campusName, getCategory } from "../catalog/index.js";
+import { activeFields, displayValue } from "../forms/validation.js";
+import { normalize } from "../search/index.js";
+import { createAdminClient, forgetToken, saveToken, savedToken } from "../admin/api.js";
+import { download, formatTimestamp, submissionTable, toCSV, toXLSX } from "../admin/export.js";
+import { FOLLOW_UP, NOTES_MAX } from "../admin/followUp.js";
+import { localizeCategory, useI18n } from "../i18n/index.js";
+import { useToast } from "../ui/toasts.js";
+
+/* ================= Leaders' dashboard (/admin) ================= */
+const API_BASE = import.meta.env.VITE_SIGNUP_API && import.meta.env.VITE_SIGNUP_API !== "local"
+  ? import.meta.env.VITE_SIGNUP_API
+  : "/api";
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+const NO_FILTERS = { q: "", category: "all", campus: "all", followUp: "all" };
+// Why server/guard.js turned a sign-up away (admin.reason.*)
+const REJECTED_BECAUSE = ["honeypot", "ip-rate", "phone-rate", "duplicate", "challenge"];
+// What each consent checkbox agreed to (`purpose` in catalog.json; admin.purpose.*)
+const PURPOSES = ["contact", "updates", "participation", "medical", "photos"];
+const REQUEST_KINDS = ["export", "correct", "delete"];
+const BOOKINGS = ["confirmed", "waitlisted", "cancelled"];
+// Known ids get their message; anything newer shows as stored
+const known = (t, prefix, ids, id) => (ids.includes(id) ? t(`${prefix}.${id}`) : id);
+const REPLY_DAYS = 30;
+
+function AdminSignIn({ error, onSignIn }) {
+  const { t } = useI18n();
+  const id = useId();
+  const [code, setCode] = useState("");
+  return (
+    <form className="mt-6 glass rounded-3xl p-6 md:p-8 max-w-md space-y-4"
+          onSubmit={(e) => { e.preventDefault(); if (code.trim()) onSignIn(code.trim()); }}>
+      <p className="text-muted">{t("admin.signInIntro")}</p>
+      <div>
+        <label htmlFor={id} className="block text-sm font-medium text-fg">{t("admin.code")}</label>
+        <input id={id} type="password" autoComplete="current-password" value={code}
+               onChange={(e) => setCode(e.target.value)} className="field-input mt-1"
+               aria-invalid={error ? true : undefined} aria-describedby={error ? `${id}-error` : undefined} />
+        {error && <p id={`${id}-error`} role="alert" className="mt-1 text-sm field-error">{error}</p>}
+      </div>
+      <button type="submit" className="pill btn-primary font-semibold">{t("admin.signIn")}</button>
+    </form>
+  );
+}
+
+function searchText(s) {
+  const fields = getCategory(s.categoryId)?.form.fields || [];
+  return normalize([...fields.map((f) => s.values?.[f.name] === undefined ? "" : displayValue(f, s.values[f.name])), s.notes].join(" "));
+}
+
+function Select({ label, value, onChange, children }) {
+  const id = useId();
+  return (
+    <div>
+      <label htmlFor={id} className="block text-xs text-muted-2">{label}</label>
+      <select id={id} value={value} onChange={(e) => onChange(e.target.value)} className="field-input mt-1">{children}</select>
+    </div>
+  );
+}
+
+function BlockedAttempts({ attempts }) {
+  const { t, locale } = useI18n();
+  return (
+    <details className="mt-8 glass rounded-3xl">
+      <summary className="cursor-pointer px-6 py-4 text-fg font-semibold">
+        {t("admin.blocked")} <span className="text-sm font-normal text-muted-2">({attempts.length})</span>
+      </summary>
+      {attempts.length === 0 ? (
+        <p className="px-6 pb-6 text-muted">{t("admin.blockedNone")}</p>
+      ) : (
+        <div className="overflow-x-auto pb-2">
+          <table className="w-full text-sm">
+            <thead className="text-left text-muted-2">
+              <tr>
+                <th scope="col" className="px-4 py-2 font-medium">{t("admin.col.when")}</th>
+                <th scope="col" className="px-4 py-2 font-medium">{t("admin.col.why")}</th>
+                <th scope="col" className="px-4 py-2 font-medium">{t("admin.col.signup")}</th>
+                <th scope="col" className="px-4 py-2 font-medium">{t("admin.col.nameGiven")}</th>
+                <th scope="col" className="px-4 py-2 font-medium">{t("admin.col.phone")}</th>
+                <th scope="col" className="px-4 py-2 font-medium">{t("admin.col.connection")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {attempts.map((a) => (
+                <tr key={a.id} className="border-t border-white/10">
+                  <td className="px-4 py-2 text-muted whitespace-nowrap">{formatTimestamp(a.at)}</td>
+                  <td className="px-4 py-2 text-fg">{known(t, "admin.reason", REJECTED_BECAUSE, a.reason)}</td>
+                  <td className="px-4 py-2 text-muted">{categoryTitle(a.categoryId, locale) ?? "—"}</td>
+                  <td className="px-4 py-2 text-muted">{a.name || "—"}</td>
+                  <td className="px-4 py-2 text-muted">{a.phoneHint ? `…${a.phoneHint}` : "—"}</td>
+                  {/* A keyed hash: repeats from one address share it, the address itself isn't kept */}
+                  <td className="px-4 py-2 text-muted-2 font-mono text-xs">{a.ip?.slice(0, 8) ?? "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </details>
+  );
+}
+
+// Open requests first; each is due REPLY_DAYS after it arrived
+function DataRequests({ requests, onClose }) {
+  const { t } = useI18n();
+  const open = requests.filter((r) => r.status === "open");
+  const sorted = [...open, ...requests.filter((r) => r.status !== "open")];
+  const due = (r) => formatTimestamp(new Date(Date.parse(r.receivedAt) + REPLY_DAYS * 86_400_000).toISOString()).slice(0, 10);
+  return (
+    <details className="mt-8 glass rounded-3xl" open={open.length > 0}>
+      <summary className="cursor-pointer px-6 py-4 text-fg font-semibold">
+        {t("admin.requests")} <span className="text-sm font-normal text-muted-2">{t("admin.requestsOpen", { count: open.length })}</span>
+      </summary>
+      {requests.length === 0 ? (
+        <p className="px-6 pb-6 text-muted">{t("admin.requestsNone")}</p>
+      ) : (
+        <div className="overflow-x-auto pb-2">
+          <p className="px-6 pb-2 text-sm text-muted-2">
+            {t("admin.requestsIntro")}
+          </p>
+          <table className="w-full text-sm">
+            <thead className="text-left text-muted-2">
+              <tr>
+                <th scope="col" className="px-4 py-2 font-medium">{t("admin.col.received")}</th>
+                <th scope="col" className="px-4 py-2 font-medium">{t("admin.col.wants")}</th>
+                <th scope="col" className="px-4 py-2 font-medium">{t("admin.col.name")}</th>
+                <th scope="col" className="px-4 py-2 font-medium">{t("admin.col.contact")}</th>
+                <th scope="col" className="px-4 py-2 font-medium">{t("admin.col.details")}</th>
+                <th scope="col" className="px-4 py-2 font-medium">{t("admin.col.status")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((r) => (
+                <tr key={r.id} className="border-t border-white/10 align-top">
+                  <td className="px-4 py-2 text-muted whitespace-nowrap">{formatTimestamp(r.receivedAt)}</td>
+                  <td className="px-4 py-2 text-fg">{known(t, "admin.kind", REQUEST_KINDS, r.values.kind)}</td>
+                  <td className="px-4 py-2 text-fg">{r.values.fullName}</td>
+                  <td className="px-4 py-2 text-muted">{[r.values.phone, r.values.email].filter(Boolean).join(" • ")}</td>
+                  <td className="px-4 py-2 text-muted whitespace-pre-line">{r.values.details || "—"}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {r.status === "open" ? (
+                      <>
+                        <div className="text-xs text-muted-2">{t("admin.replyBy", { date: due(r) })}</div>
+                        <button type="button" onClick={() => onClose(r.id)} className="mt-1 pill !py-1 hover:bg-white/10 text-fg"
+                                aria-label={t("admin.markDoneFor", { name: r.values.fullName })}>
+                          {t("admin.markDone")}
+                        </button>
+                      </>
+                    ) : (
+                      <span className="text-muted-2">{t("admin.doneOn", { date: formatTimestamp(r.closedAt).slice(0, 10) })}</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </details>
+  );
+}
+
+// "Run this sign-up: yes • News and invitations: no"
+function consentSummary(consent, t) {
+  return Object.entries(consent.purposes || {})
+    .map(([purpose, given]) => t(given ? "admin.consentYes" : "admin.consentNo", { purpose: known(t, "admin.purpose", PURPOSES, purpose) }))
+    .join(" • ");
+}
+
+const categoryTitle = (id, locale) => {
+  const category = getCategory(id);
+  return category ? localizeCategory(category, locale).title : id;
+};
+
+function SubmissionDetails({ submission, onSave, onErase }) {
+  const { t, locale } = useI18n();
+  const id = useId();
+  const base = getCategory(submission.categoryId);
+  const category = base && localizeCategory(base, locale);
+  const [notes, setNotes] = useState(submission.notes);
+  const [busy, setBusy] = useState(false);
+  const [erasing, setErasing] = useState(false);
+
+  async function saveNotes() {
+    setBusy(true);
+    try { await onSave({ notes }); }
+    finally { setBusy(false); }
+  }
+
+  return (
+    <div className="grid gap-4 md:grid-cols-2 p-4">
+      <dl className="divide-y divide-white/10 rounded-2xl border border-white/10 text-sm">
+        {(category ? activeFields(category.form.fields, category.form.steps, submission.values || {}) : []).map((f) => (
+          <div key={f.name} className="grid grid-cols-3 gap-3 px-3 py-1.5">
+            <dt className="text-muted-2">{f.label}</dt>
+            <dd className="col-span-2 text-fg break-words whitespace-pre-line">{displayValue(f, submission.values?.[f.name])}</dd>
+          </div>
+        ))}
+        <div className="grid grid-cols-3 gap-3 px-3 py-1.5">
+          <dt className="text-muted-2">{t("admin.booking")}</dt>
+          <dd className="col-span-2 text-fg">{known(t, "admin.bookingStatus", BOOKINGS, submission.status)}</dd>
+        </div>
+        {submission.consent && (
+          <div className="grid grid-cols-3 gap-3 px-3 py-1.5">
+            <dt className="text-muted-2">{t("admin.consent")}</dt>
+            <dd className="col-span-2 text-fg">
+              {consentSummary(submission.consent, t)}
+              <div className="text-xs text-muted-2">
+                {submission.consent.version
+                  ? t("admin.consentGivenVersion", { when: formatTimestamp(submission.consent.at), version: submission.consent.version })
+                  : t("admin.consentGiven", { when: formatTimestamp(submission.consent.at) })}
+              </div>
+            </dd>
+          </div>
+        )}
+      </dl>
+      <div>
+        <label htmlFor={id} className="block text-sm font-medium text-fg">{t("admin.notes")}</label>
+        <textarea id={id} rows={5} maxLength={NOTES_MAX} value={notes} onChange={(e) => setNotes(e.target.value)}
+                  className="field-input mt-1 resize-y" placeholder={t("admin.notesPlaceholder")} />
+        <div className="mt-2 flex justify-end">
+          <button type="button" onClick={saveNotes} disabled={busy || notes === submission.notes}
+                  className="pill btn-primary font-semibold disabled:opacity-60">
+            {busy ? t("admin.saving") : t("admin.saveNotes")}
+          </button>
+        </div>
+        {/* For a "delete my data" request; there's no undo */}
+        <div className="mt-6 border-t border-white/10 pt-4 text-sm">
+          {erasing ? (
+            <div role="group" aria-label={t("admin.confirmErase")} className="flex flex-wrap items-center gap-2">
+              <span className="text-fg">{t("admin.eraseQuestion")}</span>
+              <button type="button" onClick={() => onErase()} className="pill btn-primary font-semibold">{t("admin.eraseYes")}</button>
+              <button type="button" onClick={() => setErasing(false)} className="pill hover:bg-white/10 text-fg">{t("admin.keep")}</button>
+            </div>
+          ) : (
+            <button type="button" onClick={() => setErasing(true)} className="pill hover:bg-white/10 text-muted">{t("admin.erase")}</button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function AdminPage() {
+  const { t, locale } = useI18n();
+  const { notify } = useToast();
+  const [token, setToken] = useState(savedToken);
+  const [authError, setAuthError] = useState(null);
+  const [submissions, setSubmissions] = useState(null);
+  const [attempts, setAttempts] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [version, setVersion] = useState(0);
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [openId, setOpenId] = useState(null);
+
+  const client = useMemo(() => (token ? createAdminClient({ token, baseUrl: API_BASE }) : null), [token]);
+
+  useEffect(() => {
+    const prev = document.title;
+    document.title = t("admin.pageTitle");
+    return () => { document.title = prev; };
+  }, [t]);
+
+  const signOut = useCallback((message = null) => {
+    forgetToken();
+    setToken("");
+    setSubmissions(null);
+    setAuthError(message);
+  }, []);
+
+  useEffect(() => {
+    if (!client) return;
+    let cancelled = false;
+    Promise.all([client.list(), client.attempts(), client.privacyRequests()])
+      .then(([list, blocked, asked]) => {
+        if (cancelled) return;
+        setSubmissions(list);
+        setAttempts(blocked);
+        setRequests(asked);
+        setLoadError(null);
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        if (e.status === 401) signOut(e.message);
+        else setLoadError(e.message);
+      });
+    return () => { cancelled = true; };
+  }, [client, version, signOut]);
+
+  function signIn(code) {
+    saveToken(code);
+    setAuthError(null);
+    setToken(code);
+  }
+
+  function failed(e) {
+    if (e.status === 401) signOut(e.message);
+    else notify(`⚠️ ${e.message}`, { tone: "error" });
+  }
+
+  async function save(id, patch) {
+    try {
+      const updated = await client.review(id, patch);
+      setSubmissions((list) => list.map((s) => (s.id === id ? updated : s)));
+      notify(t("admin.saved"));
+    } catch (e) { failed(e); }
+  }
+
+  async function erase(id) {
+    try {
+      await client.erase(id);
+      setSubmissions((list) => list.filter((s) => s.id !== id));
+      setOpenId(null);
+      notify(t("admin.erased"));
+    } catch (e) { failed(e); }
+  }
+
+  async function closeRequest(id) {
+    try {
+      const closed = await client.closeRequest(id);
+      setRequests((list) => list.map((r) => (r.id === id ? closed : r)));
+      notify(t("admin.markedDone"));
+    } catch (e) { failed(e); }
+  }
+
+  const setFilter = (key) => (value) => setFilters((f) => ({ ...f, [key]: value }));
+
+  const inCampus = useMemo(
+    () => (submissions || []).filter((s) => filters.campus === "all" || s.values?.campus === filters.campus),
+    [submissions, filters.campus]
+  );
+  const visible = useMemo(() => {
+    const q = normalize(filters.q.trim());
+    return inCampus.filter((s) =>
+      (filters.category === "all" || s.categoryId === filters.category) &&
+      (filters.followUp === "all" || s.followUp === filters.followUp) &&
+      (!q || searchText(s).includes(q)));
+  }, [inCampus, filters]);
+
+  function exportAs(kind) {
+    const table = submissionTable(visible);
+    const stamp = formatTimestamp(new Date().toISOString()).slice(0, 10);
+    if (kind === "csv") download(`pbc-signups-${stamp}.csv`, toCSV(table), "text/csv;charset=utf-8");
+    else download(`pbc-signups-${stamp}.xlsx`, toXLSX(table), XLSX_TYPE);
+  }
+
+  return (
+    <section className="pt-28 md:pt-32 pb-20" aria-labelledby="admin-title">
+      <div className="su-container">
+        <div className="flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <h1 id="admin-title" className="text-3xl md:text-4xl font-extrabold tracking-tight text-fg">{t("admin.title")}</h1>
+            <p className="mt-2 text-muted">{t("admin.intro")}</p>
+          </div>
+          {token && (
+            <div className="flex flex-wrap gap-2">
+              <button type="button" onClick={() => setVersion((v) => v + 1)} className="pill hover:bg-white/10 text-fg">{t("admin.refresh")}</button>
+              <button type="button" onClick={() => exportAs("csv")} disabled={!visible.length} className="pill glass text-fg disabled:opacity-60">{t("admin.exportCsv")}</button>
+              <button type="button" onClick={() => exportAs("xlsx")} disabled={!visible.length} className="pill glass text-fg disabled:opacity-60">{t("admin.exportXlsx")}</button>
+              <button type="button" onClick={() => signOut()} className="pill hover:bg-white/10 text-muted">{t("admin.signOut")}</button>
+            </div>
+          )}
+        </div>
+
+        {!token ? (
+          <AdminSignIn error={authError} onSignIn={signIn} />
+        ) : loadError ? (
+          <p role="alert" className="mt-6 glass rounded-3xl p-6 field-error">{t("admin.loadFailed", { error: loadError })}</p>
+        ) : !submissions ? (
+          <p className="mt-6 text-muted" role="status">{t("admin.loading")}</p>
+        ) : (
+          <>
+            {/* Per-category totals for the chosen campus; click to filter */}
+            <div className="mt-6 grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+              {CATEGORIES.map((base) => {
+                const c = localizeCategory(base, locale);
+                const mine = inCampus.filter((s) => s.categoryId === c.id);
+                const fresh = mine.filter((s) => s.followUp === "new").length;
+                const active = filters.category === c.id;
+                return (
+                  <button key={c.id} type="button" aria-pressed={active}
+                          onClick={() => setFilter("category")(active ? "all" : c.id)}
+                          className={`glass rounded-2xl p-4 text-left transition ${active ? "ring-2 ring-[var(--ring)]" : "hover:bg-white/10"}`}>
+                    <div className="flex items-center gap-2 text-fg font-semibold"><span aria-hidden>{c.icon}</span>{c.title}</div>
+                    <div className="mt-1 text-sm text-muted-2">
+                      {t("admin.responses", { count: mine.length })}{fresh > 0 && ` • ${t("admin.fresh", { count: fresh })}`}
+                    </div>
+                    {filters.campus === "all" && mine.length > 0 && (
+                      <div className="mt-1 text-xs text-muted-2">
+                        {CAMPUSES.map((cp) => [cp, mine.filter((s) => s.values?.campus === cp.id).length])
+                          .filter(([, n]) => n > 0).map(([cp, n]) => `${cp.name} ${n}`).join(" • ")}
+                      </div>
+                    )}
+                  </button>
+                );
+              })}
+            </div>
+
+            <div className="mt-6 grid gap-3 sm:grid-cols-2 lg:grid-cols-4">
+              <div>
+                <label htmlFor="admin-search" className="block text-xs text-muted-2">{t("admin.search")}</label>
+                <input id="admin-search" type="search" value={filters.q} onChange={(e) => setFilter("q")(e.target.value)}
+                       placeholder={t("admin.searchPlaceholder")} className="field-input mt-1" />
+              </div>
+              <Select label={t("admin.col.signup")} value={filters.category} onChange={setFilter("category")}>
+                <option value="all">{t("admin.allSignups")}</option>
+                {CATEGORIES.map((c) => <option key={c.id} value={c.id}>{categoryTitle(c.id, locale)}</option>)}
+              </Select>
+              <Select label={t("admin.col.campus")} value={filters.campus} onChange={setFilter("campus")}>
+                <option value="all">{t("admin.allCampuses")}</option>
+                {CAMPUSES.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </Select>
+              <Select label={t("admin.col.followUp")} value={filters.followUp} onChange={setFilter("followUp")}>
+                <option value="all">{t("admin.anyStatus")}</option>
+                {FOLLOW_UP.map((s) => <option key={s.id} value={s.id}>{t(`admin.followUp.${s.id}`)}</option>)}
+              </Select>
+            </div>
+
+            <p className="mt-4 text-sm text-muted-2" role="status">
+              {t("admin.showing", { shown: visible.length, total: submissions.length })}
+              {JSON.stringify(filters) !== JSON.stringify(NO_FILTERS) && (
+                <> • <button type="button" onClick={() => setFilters(NO_FILTERS)} className="underline">{t("admin.clearFilters")}</button></>
+              )}
+            </p>
+
+            {visible.length === 0 ? (
+              <p className="mt-4 glass rounded-3xl p-6 text-center text-muted">{t("admin.noMatch")}</p>
+            ) : (
+              <div className="mt-3 glass rounded-3xl overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="text-left text-muted-2">
+                    <tr>
+                      <th scope="col" className="px-4 py-3 font-medium">{t("admin.col.name")}</th>
+                      <th scope="col" className="px-4 py-3 font-medium">{t("admin.col.signup")}</th>
+                      <th scope="col" className="px-4 py-3 font-medium">{t("admin.col.campus")}</th>
+                      <th scope="col" className="px-4 py-3 font-medium">{t("admin.col.time")}</th>
+                      <th scope="col" className="px-4 py-3 font-medium">{t("admin.col.submitted")}</th>
+                      <th scope="col" className="px-4 py-3 font-medium">{t("admin.col.followUp")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visible.map((s) => {
+                      const base = getCategory(s.categoryId);
+                      const category = base && localizeCategory(base, locale);
+                      const slot = category?.slots?.find((sl) => sl.id === s.slot);
+                      const open = openId === s.id;
+                      return (
+                        <Fragment key={s.id}>
+                          <tr className="border-t border-white/10 align-top">
+                            <td className="px-4 py-3">
+                              <button type="button" aria-expanded={open} aria-controls={`admin-row-${s.id}`}
+                                      onClick={() => setOpenId(open ? null : s.id)} className="text-fg font-medium hover:underline text-left">
+                                <span aria-hidden>{open ? "▾" : "▸"} </span>{s.values?.fullName || "—"}
+                              </button>
+                              <div className="text-xs text-muted-2">{[s.values?.phone, s.values?.email].filter(Boolean).join(" • ")}</div>
+                            </td>
+                            <td className="px-4 py-3 text-fg">{category?.title ?? s.categoryId}</td>
+                            <td className="px-4 py-3 text-muted">{s.values?.campus ? campusName(s.values.campus) : "—"}</td>
+                            <td className="px-4 py-3 text-muted">
+                              {slot?.label ?? "—"}
+                              {s.status === "waitlisted" && <span className="ml-1 text-xs text-muted-2">{t("admin.onWaitlist")}</span>}
+                              {s.status === "cancelled" && <span className="ml-1 text-xs text-muted-2">{t("admin.wasCancelled")}</span>}
+                            </td>
+                            <td className="px-4 py-3 text-muted whitespace-nowrap">{formatTimestamp(s.submittedAt)}</td>
+                            <td className="px-4 py-3">
+                              <select aria-label={s.values?.fullName ? t("admin.followUpFor", { name: s.values.fullName }) : t("admin.followUpForThis")} value={s.followUp}
+                                      onChange={(e) => save(s.id, { followUp: e.target.value })} className="field-input !py-1">
+                                {FOLLOW_UP.map((f) => <option key={f.id} value={f.id}>{t(`admin.followUp.${f.id}`)}</option>)}
+                              </select>
+                            </td>
+                          </tr>
+                          {open && (
+                            <tr id={`admin-row-${s.id}`}>
+                              <td colSpan={6}>
+                                <SubmissionDetails submission={s} onSave={(patch) => save(s.id, patch)} onErase={() => erase(s.id)} />
+                              </td>
+                            </tr>
+                          )}
+                        </Fragment>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <DataRequests requests={requests} onClose={closeRequest} />
+            <BlockedAttempts attempts={attempts} />
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,62 @@
+import { screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { renderApp } from "../test/renderApp.jsx";
+
+const SUBMISSION = {
+  id: "s1",
+  categoryId: "community-groups",
+  values: { fullName: "Wanjiru Kamau", phone: "0712 345 678", campus: "westlands" },
+  status: "confirmed",
+  followUp: "new",
+  notes: "",
+  submittedAt: "2026-10-11T07:30:00.000Z",
+  consent: { at: "2026-10-11T07:30:00.000Z", purposes: { contact: true, updates: false } },
+};
+
+// Answers the admin API from canned bodies; PATCH echoes the notes back
+function stubApi() {
+  return vi.spyOn(window, "fetch").mockImplementation(async (url, init) => {
+    const path = String(url).replace(/\?.*$/, "");
+    const body = init?.method === "PATCH"
+      ? { submission: { ...SUBMISSION, ...JSON.parse(init.body) } }
+      : { "/api/admin/submissions": { submissions: [SUBMISSION] }, "/api/admin/attempts": { attempts: [] }, "/api/admin/privacy": { requests: [] } }[path];
+    return new Response(JSON.stringify(body), { status: 200, headers: { "Content-Type": "application/json" } });
+  });
+}
+
+const inSwahili = () => window.localStorage.setItem("locale", JSON.stringify("sw"));
+
+afterEach(() => window.sessionStorage.clear());
+
+describe("admin page", () => {
+  it("asks for the access code in the chosen language", () => {
+    inSwahili();
+    renderApp("/admin");
+    expect(screen.getByRole("heading", { level: 1, name: "Majibu ya usajili" })).toBeInTheDocument();
+    expect(screen.getByLabelText("Msimbo wa kuingia")).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Ingia" })).toBeInTheDocument();
+    expect(document.title).toBe("Majibu ya usajili · Parklands Baptist");
+  });
+
+  it("shows sign-ups, filters and toasts in Kiswahili", async () => {
+    inSwahili();
+    window.sessionStorage.setItem("pbc-admin-token", "letmein");
+    stubApi();
+    const user = userEvent.setup();
+    renderApp("/admin");
+
+    expect(await screen.findByText("Inaonyesha 1 kati ya 1")).toBeInTheDocument();
+    expect(screen.getByLabelText("Ufuatiliaji")).toHaveDisplayValue("Hali yoyote");
+    expect(screen.getByRole("columnheader", { name: "Kampasi" })).toBeInTheDocument();
+    expect(screen.getByRole("cell", { name: "Vikundi vya Jamii" })).toBeInTheDocument();
+    expect(screen.getByText("Majaribio yaliyozuiwa")).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: /Wanjiru Kamau/ }));
+    expect(screen.getByText("Kuendesha usajili huu: ndiyo • Habari na mialiko: hapana")).toBeInTheDocument();
+    await user.type(screen.getByLabelText("Maelezo"), "Tulimpigia");
+    await user.click(screen.getByRole("button", { name: "Hifadhi maelezo" }));
+    const toasts = screen.getByRole("region", { name: "Arifa" });
+    expect(await within(toasts).findByText("✅ Imehifadhiwa")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,296 @@
+import { useEffect, useId, useMemo, useRef, useState } from "react";
+import { download } from "../admin/export.js";
+import { ALL_CAMPUSES, CAMPUSES, CATEGORIES, campusName, getCategory } from "../catalog/index.js";
+import { useCommands } from "../commands/index.js";
+import {
+  ALL_MINISTRIES, EVENTS, TIME_ZONE, byDay, currentMonth, dayKey, filterEvents, monthGrid, monthRange,
+  occurrencesBetween, shiftMonth,
+} from "../events/index.js";
+import { icsFilename, toICS } from "../events/ics.js";
+import { localizeCategory, localizeEvent, useI18n } from "../i18n/index.js";
+import { linkHandler, signupPath } from "../router.js";
+import { useToast } from "../ui/toasts.js";
+
+/* ================= Events calendar (/events) ================= */
+const VIEWS = ["month", "list"];
+const LIST_STEP_DAYS = 60;
+const DAY_MS = 86_400_000;
+
+// Only ministries that actually have events are offered as filters
+const MINISTRIES = CATEGORIES.filter((c) => EVENTS.some((e) => e.ministry === c.id));
+
+function initialParam(name, valid, fallback) {
+  const v = new URLSearchParams(window.location.search).get(name);
+  return valid(v) ? v : fallback;
+}
+
+function Select({ label, value, onChange, children }) {
+  const id = useId();
+  return (
+    <div>
+      <label htmlFor={id} className="block text-xs text-muted-2">{label}</label>
+      <select id={id} value={value} onChange={(e) => onChange(e.target.value)} className="field-input mt-1">{children}</select>
+    </div>
+  );
+}
+
+function RegisterLink({ href, children }) {
+  const internal = href.startsWith("/");
+  return (
+    <a href={href} onClick={internal ? linkHandler(href) : undefined}
+       target={internal ? undefined : "_blank"} rel={internal ? undefined : "noreferrer"}
+       className="pill btn-primary font-semibold text-sm">
+      {children}
+    </a>
+  );
+}
+
+function EventDetails({ occurrence, onAddToCalendar, headingLevel = 3 }) {
+  const { locale, t, formatDateRange, formatList } = useI18n();
+  const { event, start, end } = occurrence;
+  const ministry = event.ministry && getCategory(event.ministry);
+  const Heading = `h${headingLevel}`;
+  return (
+    <div>
+      <Heading className="text-lg font-semibold text-fg">{event.title}</Heading>
+      <p className="mt-1 text-sm text-fg">
+        {formatDateRange(start, end, { timeZone: TIME_ZONE, weekday: "short", day: "numeric", month: "short", hour: "numeric", minute: "2-digit" })}
+      </p>
+      <p className="mt-1 text-xs text-muted-2">
+        {[event.location, formatList(event.campuses.map(campusName))].filter(Boolean).join(" · ")}
+        {event.rrule && <span className="ml-2">{t("events.recurring")}</span>}
+      </p>
+      {event.description && <p className="mt-2 text-sm text-muted">{event.description}</p>}
+      {ministry && (
+        <a href={signupPath(ministry.id)} onClick={linkHandler(signupPath(ministry.id))} className="mt-2 inline-block text-xs underline text-muted-2">
+          {ministry.icon} {localizeCategory(ministry, locale).title}
+        </a>
+      )}
+      <div className="mt-3 flex flex-wrap gap-2">
+        <button type="button" onClick={() => onAddToCalendar(event)}
+                aria-label={t("events.addToCalendarLabel", { title: event.title })}
+                className="pill glass text-fg text-sm hover:bg-white/15">
+          {t("events.addToCalendar")}
+        </button>
+        {event.registration && <RegisterLink href={event.registration}>{t("events.register")}</RegisterLink>}
+      </div>
+    </div>
+  );
+}
+
+function MonthView({ month, occurrences, selected, onSelect }) {
+  const { formatDate } = useI18n();
+  const weeks = useMemo(() => monthGrid(month), [month]);
+  const days = useMemo(() => byDay(occurrences), [occurrences]);
+  const today = dayKey(new Date());
+  const time = (d) => formatDate(d, { timeZone: TIME_ZONE, hour: "numeric", minute: "2-digit" });
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full table-fixed text-sm min-w-[42rem]">
+        <caption className="sr-only">{formatDate(monthRange(month).from, { timeZone: TIME_ZONE, month: "long", year: "numeric" })}</caption>
+        <thead>
+          <tr>
+            {weeks[0].map((d) => (
+              <th key={d.key} scope="col" className="px-2 py-2 text-left text-xs font-medium text-muted-2">
+                {formatDate(d.date, { timeZone: TIME_ZONE, weekday: "short" })}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {weeks.map((week) => (
+            <tr key={week[0].key}>
+              {week.map((d) => (
+                <td key={d.key} aria-current={d.key === today ? "date" : undefined}
+                    className={`align-top h-24 border border-white/10 p-1 ${d.inMonth ? "" : "opacity-50"}`}>
+                  <div className={`text-xs px-1 ${d.key === today ? "text-fg font-bold" : "text-muted-2"}`}>
+                    {formatDate(d.date, { timeZone: TIME_ZONE, day: "numeric" })}
+                  </div>
+                  <ul className="mt-1 space-y-1">
+                    {(days.get(d.key) || []).map((o) => (
+                      <li key={o.key}>
+                        <button type="button" aria-pressed={selected === o.key} onClick={() => onSelect(o.key)}
+                                className={`w-full truncate rounded-lg px-1.5 py-0.5 text-left text-xs ${selected === o.key ? "btn-primary" : "bg-white/10 hover:bg-white/15 text-fg"}`}>
+                          {dayKey(o.start) === d.key && <span className="text-muted-2">{time(o.start)} </span>}
+                          {o.event.title}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function EventsPage({ campus, onCampusChange }) {
+  const { locale, t, formatDate } = useI18n();
+  const { notify } = useToast();
+  const [ministry, setMinistry] = useState(() => initialParam("ministry", (v) => MINISTRIES.some((c) => c.id === v), ALL_MINISTRIES));
+  const [view, setView] = useState(() => initialParam("view", (v) => VIEWS.includes(v), "month"));
+  const [month, setMonth] = useState(() => currentMonth());
+  const [selected, setSelected] = useState(null);
+  const [listDays, setListDays] = useState(LIST_STEP_DAYS);
+
+  useEffect(() => {
+    const prev = document.title;
+    document.title = t("events.docTitle");
+    return () => { document.title = prev; };
+  }, [t]);
+
+  // Mirror the filters to the query string so the view can be shared
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    const set = (key, value, fallback) => (value === fallback ? url.searchParams.delete(key) : url.searchParams.set(key, value));
+    set("ministry", ministry, ALL_MINISTRIES);
+    set("view", view, "month");
+    if (url.href !== window.location.href) window.history.replaceState(window.history.state, "", url);
+  }, [ministry, view]);
+
+  const events = useMemo(
+    () => filterEvents(EVENTS, { campus, ministry }).map((e) => localizeEvent(e, locale)),
+    [campus, ministry, locale]
+  );
+  const occurrences = useMemo(() => {
+    if (view === "month") {
+      const { from, to } = monthRange(month);
+      return occurrencesBetween(events, from, to);
+    }
+    const now = new Date();
+    return occurrencesBetween(events, now, new Date(now.getTime() + listDays * DAY_MS));
+  }, [events, view, month, listDays]);
+  const selectedOccurrence = occurrences.find((o) => o.key === selected) ?? null;
+
+  const calendarName = t("events.calendarName");
+  const addToCalendar = (event) => {
+    download(icsFilename(event.title), toICS([event], { origin: window.location.origin, name: calendarName }), "text/calendar;charset=utf-8");
+    notify(t("events.downloaded", { title: event.title }));
+  };
+  const downloadAll = () => {
+    download(icsFilename(calendarName), toICS(events, { origin: window.location.origin, name: calendarName }), "text/calendar;charset=utf-8");
+    notify(t("events.downloaded", { title: calendarName }));
+  };
+  const downloadRef = useRef(downloadAll);
+  useEffect(() => { downloadRef.current = downloadAll; });
+
+  // "On this page" palette commands while the calendar is open
+  const commands = useMemo(() => [
+    ...VIEWS.map((v) => ({ id: `events:view:${v}`, group: "page", label: t("cmd.eventsView", { name: t(`events.${v}`) }), action: () => setView(v) })),
+    { id: "events:prev", group: "page", label: t("events.prev"), action: () => { setView("month"); setMonth((m) => shiftMonth(m, -1)); setSelected(null); } },
+    { id: "events:next", group: "page", label: t("events.next"), action: () => { setView("month"); setMonth((m) => shiftMonth(m, 1)); setSelected(null); } },
+    { id: "events:today", group: "page", label: t("cmd.eventsToday"), action: () => { setView("month"); setMonth(currentMonth()); setSelected(null); } },
+    { id: "events:download", group: "page", label: t("events.downloadAll"), action: () => downloadRef.current() },
+  ], [t]);
+  useCommands(commands);
+
+  const monthTitle = formatDate(monthRange(month).from, { timeZone: TIME_ZONE, month: "long", year: "numeric" });
+  const listGroups = useMemo(() => {
+    const groups = new Map();
+    for (const o of occurrences) {
+      const key = dayKey(o.start);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(o);
+    }
+    return [...groups];
+  }, [occurrences]);
+
+  return (
+    <section className="pt-28 md:pt-32 pb-20" aria-labelledby="events-title">
+      <div className="su-container">
+        <div className="flex flex-wrap items-end justify-between gap-4">
+          <div className="max-w-2xl">
+            <h1 id="events-title" className="text-3xl md:text-4xl font-extrabold tracking-tight text-fg">{t("events.title")}</h1>
+            <p className="mt-3 text-muted">{t("events.intro")}</p>
+          </div>
+          <button type="button" onClick={downloadAll} disabled={!events.length} className="pill glass text-fg hover:bg-white/15 disabled:opacity-60">
+            {t("events.downloadAll")}
+          </button>
+        </div>
+
+        <div role="group" aria-label={t("events.filters")} className="mt-6 grid gap-3 sm:grid-cols-3">
+          <Select label={t("campus.label")} value={campus} onChange={onCampusChange}>
+            <option value={ALL_CAMPUSES}>{t("campus.all")}</option>
+            {CAMPUSES.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </Select>
+          <Select label={t("events.ministry")} value={ministry} onChange={(v) => { setMinistry(v); setSelected(null); }}>
+            <option value={ALL_MINISTRIES}>{t("events.allMinistries")}</option>
+            {MINISTRIES.map((c) => <option key={c.id} value={c.id}>{localizeCategory(c, locale).title}</option>)}
+          </Select>
+          <div>
+            <span className="block text-xs text-muted-2" id="events-view-label">{t("events.view")}</span>
+            <div role="group" aria-labelledby="events-view-label" className="mt-1 glass rounded-full p-1 inline-flex gap-1">
+              {VIEWS.map((v) => (
+                <button key={v} type="button" aria-pressed={view === v} onClick={() => setView(v)}
+                        className={`pill !py-1 text-sm ${view === v ? "btn-primary" : "text-muted hover:bg-white/10"}`}>
+                  {t(`events.${v}`)}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {view === "month" ? (
+          <div className="mt-6 grid gap-6 lg:grid-cols-3">
+            <div className="lg:col-span-2 glass rounded-3xl p-4">
+              <div className="flex items-center justify-between gap-2">
+                <button type="button" onClick={() => { setMonth((m) => shiftMonth(m, -1)); setSelected(null); }}
+                        className="pill hover:bg-white/10 text-fg" aria-label={t("events.prev")}>←</button>
+                <h2 className="text-lg font-semibold text-fg" aria-live="polite">{monthTitle}</h2>
+                <div className="flex gap-1">
+                  <button type="button" onClick={() => { setMonth(currentMonth()); setSelected(null); }}
+                          className="pill hover:bg-white/10 text-muted text-sm">{t("events.today")}</button>
+                  <button type="button" onClick={() => { setMonth((m) => shiftMonth(m, 1)); setSelected(null); }}
+                          className="pill hover:bg-white/10 text-fg" aria-label={t("events.next")}>→</button>
+                </div>
+              </div>
+              <div className="mt-3">
+                <MonthView month={month} occurrences={occurrences} selected={selected} onSelect={setSelected} />
+              </div>
+              {occurrences.length === 0 && <p className="mt-3 text-sm text-muted-2" role="status">{t("events.noneThisMonth")}</p>}
+            </div>
+            <aside className="glass rounded-3xl p-6 self-start" aria-live="polite">
+              {selectedOccurrence ? (
+                <EventDetails occurrence={selectedOccurrence} onAddToCalendar={addToCalendar} headingLevel={2} />
+              ) : (
+                <p className="text-sm text-muted-2">{t("events.select")}</p>
+              )}
+            </aside>
+          </div>
+        ) : (
+          <div className="mt-6">
+            {listGroups.length === 0 ? (
+              <p className="glass rounded-3xl p-6 text-center text-muted" role="status">{t("events.noneUpcoming")}</p>
+            ) : (
+              <ol className="space-y-6">
+                {listGroups.map(([key, list]) => (
+                  <li key={key}>
+                    <h2 className="text-sm font-semibold uppercase tracking-wide text-muted-2">
+                      {formatDate(list[0].start, { timeZone: TIME_ZONE, weekday: "long", day: "numeric", month: "long" })}
+                    </h2>
+                    <ul className="mt-2 grid gap-3 md:grid-cols-2">
+                      {list.map((o) => (
+                        <li key={o.key} className="glass rounded-2xl p-5">
+                          <EventDetails occurrence={o} onAddToCalendar={addToCalendar} />
+                        </li>
+                      ))}
+                    </ul>
+                  </li>
+                ))}
+              </ol>
+            )}
+            <div className="mt-6 text-center">
+              <button type="button" onClick={() => setListDays((d) => d + LIST_STEP_DAYS)} className="pill glass text-fg hover:bg-white/15">
+                {t("events.more")}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,342 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { motion, useScroll, useTransform } from "framer-motion";
+import {
+  ALL_CAMPUSES, CAMPUSES, CATEGORIES, byClosingSoon, campusName, forCampus, isCampus, offeredAt, windowState,
+} from "../catalog/index.js";
+import AccentPicker from "../components/AccentPicker.jsx";
+import CampusPicker from "../components/CampusPicker.jsx";
+import DraftBanner from "../components/DraftBanner.jsx";
+import { NotifyButton, WindowBadge } from "../components/SignupWindow.jsx";
+import SignupDialog from "../forms/SignupDialog.jsx";
+import { localizeCategory, useI18n } from "../i18n/index.js";
+import { eventsPath, linkHandler, signupPath, smoothScrollTo } from "../router.js";
+import { buildIndex, searchIndex } from "../search/index.js";
+import { useStats } from "../stats/index.js";
+import AnimatedCounter from "../ui/AnimatedCounter.jsx";
+import Highlight from "../ui/Highlight.jsx";
+import Magnetic from "../ui/Magnetic.jsx";
+import TiltCard from "../ui/TiltCard.jsx";
+import { useNow } from "../ui/clock.js";
+import { usePrefersReducedMotion } from "../ui/motion.js";
+
+/* ================= Search ================= */
+// Indexed per locale so Kiswahili titles and tags match too
+const SEARCH_FIELDS = [
+  { key: "title", weight: 10, get: (c) => c.title },
+  { key: "tags", weight: 7, get: (c) => c.tags || [] },
+  { key: "description", weight: 3, get: (c) => c.description },
+  { key: "details", weight: 1, get: (c) => c.details || [] },
+];
+
+// Grid order: search relevance (catalog order when not searching), or
+// deadlines first
+const SORTS = ["relevance", "closing"];
+
+function campusBadge(category, campus, t) {
+  if (isCampus(campus)) return campusName(campus);
+  if (category.campuses.length === CAMPUSES.length) return t("campus.all");
+  return category.campuses.map(campusName).join(" • ");
+}
+
+/* ================= Home Page ================= */
+// Hero, searchable sign-up cards and next steps. Campus lives in App (the
+// events page and the palette share it).
+export default function HomePage({ campus, onCampusChange, onSubmitted }) {
+  const { locale, t, rich, formatList, listParts } = useI18n();
+  const reduced = usePrefersReducedMotion();
+  const campusPrefill = isCampus(campus) ? { campus } : undefined;
+
+  // Parallax
+  const { scrollY } = useScroll();
+  const y = useTransform(scrollY, [0, 500], [0, reduced ? 0 : -80]);
+
+  // Sign-up form currently open (category object) or null
+  const [formCategory, setFormCategory] = useState(null);
+  const closeForm = useCallback(() => setFormCategory(null), []);
+
+  /* Search and sort (mirrored to ?q= and ?sort= so filtered views can be shared) + ranking */
+  const [search, setSearch] = useState(() => new URLSearchParams(window.location.search).get("q") ?? "");
+  const [sort, setSort] = useState(() => {
+    const v = new URLSearchParams(window.location.search).get("sort");
+    return SORTS.includes(v) ? v : SORTS[0];
+  });
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    const q = search.trim();
+    if (q) url.searchParams.set("q", q);
+    else url.searchParams.delete("q");
+    if (sort !== SORTS[0]) url.searchParams.set("sort", sort);
+    else url.searchParams.delete("sort");
+    if (url.href !== window.location.href) window.history.replaceState(window.history.state, "", url);
+  }, [search, sort]);
+  const now = useNow();
+  const stats = useStats();
+  const heroStats = [
+    { id: "categories", value: stats.categories, label: t("stats.ministries"), note: t("stats.ministriesNote") },
+    { id: "open", value: stats.openSignups, label: t("stats.open"), note: t("stats.openNote") },
+    { id: "events", value: stats.eventsThisMonth, label: t("stats.events"), note: t("stats.eventsNote") },
+    { id: "campuses", value: stats.campuses, label: t("stats.campuses"), note: `${formatList(CAMPUSES.map((c) => c.name))}.` },
+    { id: "week", value: stats.signupsThisWeek, loading: stats.loading, label: t("stats.week"), note: t("stats.weekNote"), wide: true },
+  ];
+
+  const categories = useMemo(() => CATEGORIES.map((c) => localizeCategory(c, locale)), [locale]);
+  const searchIndexForLocale = useMemo(() => buildIndex(categories, SEARCH_FIELDS), [categories]);
+  const filteredItems = useMemo(() => {
+    const items = searchIndex(searchIndexForLocale, search)
+      .filter((r) => offeredAt(r.doc, campus))
+      .map((r) => ({ category: forCampus(r.doc, campus), matches: r.matches }));
+    return sort === "closing" ? byClosingSoon(items, now, (r) => r.category) : items;
+  }, [searchIndexForLocale, search, campus, sort, now]);
+
+  return (
+    <>
+    {/* HERO */}
+    <section
+      id="home"
+      data-fixed-bg
+      className="relative pt-28 md:pt-32 pb-16 md:pb-24 overflow-hidden hero-gradient"
+      style={{
+        backgroundImage:
+          "url(https://images.unsplash.com/photo-1533105079780-92b9be482077?q=80&w=1880&auto=format&fit=crop)",
+        backgroundSize: "cover",
+        backgroundPosition: "center",
+        filter: "none",
+        backgroundBlendMode: "normal",
+        scrollMarginTop: "96px",      // <-- anchor offset
+      }}
+    >
+      <div className="absolute inset-0 hero-overlay" />
+      <motion.div aria-hidden style={{ y }} className="absolute inset-0 pointer-events-none" />
+
+      <div className="relative su-container">
+        <motion.div
+          initial={reduced ? false : { opacity: 0, y: 20 }}
+          whileInView={reduced ? {} : { opacity: 1, y: 0 }}
+          viewport={{ once: true, margin: "-10% 0px" }}
+          transition={{ duration: 0.6, ease: "easeOut" }}
+          className="max-w-3xl"
+        >
+          <h1 className="text-4xl md:text-6xl font-extrabold tracking-tight drop-shadow text-fg">
+            {t("hero.title")} <span className="text-muted">{t("hero.titleAccent")}</span>
+          </h1>
+          <p className="mt-4 text-lg md:text-xl text-muted leading-relaxed">
+            {t("hero.intro")}
+          </p>
+
+          <div className="mt-6 flex items-center gap-3 flex-wrap">
+            <Magnetic>
+              <motion.a whileHover={{ scale: 1.03 }} whileTap={{ scale: 0.98 }}
+                href="#blocks" onClick={(e) => { e.preventDefault(); smoothScrollTo("#blocks"); }}
+                className="pill btn-white font-semibold"
+                onMouseDown={() => {}} // keep React from focusing when needed
+              >
+                {t("hero.browse")}
+              </motion.a>
+            </Magnetic>
+            <Magnetic>
+              <motion.a whileHover={{ scale: 1.03 }} whileTap={{ scale: 0.98 }}
+                href="https://parklandsbaptist.org/new-here/" target="_blank" rel="noreferrer"
+                className="pill glass text-fg hover:bg-white/15">
+                {t("nav.serviceTimes")}
+              </motion.a>
+            </Magnetic>
+            <span className="text-muted-2 text-sm">{CAMPUSES.map((c) => c.name).join(" • ")}</span>
+          </div>
+        </motion.div>
+
+        {/* quick stats */}
+        <motion.div
+          initial={reduced ? false : { opacity: 0, y: 20 }}
+          whileInView={reduced ? {} : { opacity: 1, y: 0 }}
+          viewport={{ once: true, margin: "-10% 0px" }}
+          transition={{ duration: 0.6, ease: "easeOut", delay: 0.1 }}
+          className="mt-14 grid grid-cols-2 lg:grid-cols-5 gap-4"
+        >
+          {heroStats.map((s) => (
+            <div key={s.id} className={`card text-center ${s.wide ? "col-span-2 lg:col-span-1" : ""}`}>
+              <AnimatedCounter value={s.value} loading={s.loading} className="text-4xl md:text-5xl font-extrabold tracking-tight text-fg" />
+              <div className="mt-2 text-muted font-semibold">{s.label}</div>
+              <p className="mt-2 text-sm text-muted-2">{s.note}</p>
+            </div>
+          ))}
+        </motion.div>
+      </div>
+    </section>
+
+    {/* SIGN-UP CATEGORIES */}
+    <section id="blocks" className="py-20" style={{ scrollMarginTop: "96px" }}>
+      <div className="su-container">
+        <motion.div
+          initial={reduced ? false : { opacity: 0, y: 18 }}
+          whileInView={reduced ? {} : { opacity: 1, y: 0 }}
+          viewport={{ once: true }}
+          transition={{ duration: 0.5 }}
+          className="max-w-3xl"
+        >
+          <h2 className="text-3xl md:text-4xl font-extrabold tracking-tight text-fg">{t("blocks.title")}</h2>
+          <p className="mt-3 text-muted">
+            {t("blocks.intro")}
+          </p>
+
+          {/* Campus */}
+          <div className="mt-6">
+            <CampusPicker value={campus} onChange={onCampusChange} />
+          </div>
+
+          {/* Search Bar */}
+          <form role="search" aria-label={t("blocks.searchLabel")} className="mt-4" onSubmit={(e) => e.preventDefault()}>
+            <div className="glass rounded-full px-3 py-2 flex items-center gap-2">
+              <span aria-hidden>🔎</span>
+              <input
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                onKeyDown={(e) => { if (e.key === "Escape") setSearch(""); }}
+                className="w-full bg-transparent outline-none text-fg text-base px-1 py-1"
+                aria-label={t("blocks.searchLabel")}
+                placeholder={t("blocks.searchPlaceholder")}
+              />
+              {search && (
+                <button
+                  type="button"
+                  onClick={() => setSearch("")}
+                  className="pill hover:bg-white/10 text-fg"
+                  aria-label={t("blocks.clearSearch")}
+                  title={t("blocks.clear")}
+                >
+                  ×
+                </button>
+              )}
+            </div>
+            <div className="mt-2 flex flex-wrap items-center justify-between gap-2 text-sm text-muted-2">
+              <span>{t("blocks.results", { count: filteredItems.length })}</span>
+              <label className="flex items-center gap-2">
+                {t("blocks.sort")}
+                <select value={sort} onChange={(e) => setSort(e.target.value)} className="field-input !w-auto !py-1 text-sm">
+                  <option value="relevance">{t("blocks.sortRelevance")}</option>
+                  <option value="closing">{t("blocks.sortClosing")}</option>
+                </select>
+              </label>
+            </div>
+          </form>
+        </motion.div>
+
+        <DraftBanner onContinue={(c) => setFormCategory(forCampus(c, campus))} className="mt-8 max-w-3xl" />
+
+        <div className="mt-10 grid gap-5 sm:grid-cols-2 lg:grid-cols-3">
+          {filteredItems.length === 0 && (
+            <div className="text-muted-2">
+              {rich("blocks.noMatches", {
+                examples: listParts(t("blocks.examples").split(", "), "disjunction")
+                  .map((p, i) => (p.type === "element" ? <em key={i}>{p.value}</em> : p.value)),
+              })}
+              {isCampus(campus) && (
+                <> {rich("blocks.orShowAll", {
+                  link: <button type="button" className="underline text-fg" onClick={() => onCampusChange(ALL_CAMPUSES)}>{t("blocks.showAll")}</button>,
+                })}</>
+              )}
+            </div>
+          )}
+          {filteredItems.map(({ category, matches }) => {
+            const state = windowState(category, now).state;
+            return (
+              <motion.div key={category.id} layout={!reduced && sort === "closing" ? "position" : false}
+                initial={reduced ? false : { opacity: 0, y: 16 }}
+                whileInView={reduced ? {} : { opacity: 1, y: 0 }}
+                viewport={{ once: true, margin: "-10% 0px" }}
+                transition={{ duration: 0.45 }}
+              >
+                <TiltCard>
+                  {/* Closed cards are greyed; their actions stay at full strength */}
+                  <div className={state === "closed" ? "opacity-60 grayscale" : undefined}>
+                    <div className="flex items-start justify-between gap-3">
+                      <div aria-hidden className="h-10 w-10 rounded-2xl bg-white/15 flex items-center justify-center text-xl">{category.icon}</div>
+                      <span className="pill text-xs text-muted border border-white/15">📍 {campusBadge(category, campus, t)}</span>
+                    </div>
+                    <h3 className="mt-4 text-xl font-semibold text-fg">
+                      <a href={signupPath(category.id)} onClick={linkHandler(signupPath(category.id))} className="hover:underline">
+                        <Highlight text={category.title} ranges={matches.title} />
+                      </a>
+                    </h3>
+                    <p className="mt-2 text-muted-2 text-sm">
+                      <Highlight text={category.description} ranges={matches.description} />
+                    </p>
+                    <WindowBadge category={category} now={now} className="mt-3 inline-block" />
+                  </div>
+                  <div className="mt-4 flex items-center gap-2 flex-wrap">
+                    {state === "open" ? (
+                      <button type="button" onClick={() => setFormCategory(category)}
+                              className="pill btn-primary font-semibold">
+                        {t("blocks.openForm")}
+                      </button>
+                    ) : (
+                      <NotifyButton category={category} />
+                    )}
+                    <a href={signupPath(category.id)} onClick={linkHandler(signupPath(category.id))}
+                       className="pill hover:bg-white/10 text-fg" aria-label={t("blocks.detailsLabel", { title: category.title })}>
+                      {t("blocks.details")}
+                    </a>
+                  </div>
+                </TiltCard>
+              </motion.div>
+            );
+          })}
+        </div>
+
+        {/* Accent color picker */}
+        <div className="mt-10">
+          <AccentPicker />
+        </div>
+      </div>
+    </section>
+
+    {/* CTA / NEXT STEPS */}
+    <section id="get-started" className="py-20" style={{ scrollMarginTop: "96px" }}>
+      <div className="su-container">
+        <motion.div
+          initial={reduced ? false : { opacity: 0, scale: 0.98 }}
+          whileInView={reduced ? {} : { opacity: 1, scale: 1 }}
+          viewport={{ once: true }}
+          transition={{ duration: 0.5 }}
+          className="glass rounded-3xl px-6 py-10 md:py-14 md:px-10 text-center"
+        >
+          <h3 className="text-3xl md:text-4xl font-extrabold tracking-tight text-fg">{t("cta.title")}</h3>
+          <p className="mt-3 text-muted">{t("cta.intro")}</p>
+          <div className="mt-6 flex items-center justify-center gap-3 flex-wrap">
+            <Magnetic>
+              <motion.a whileHover={{ scale: 1.03 }} whileTap={{ scale: 0.98 }}
+                className="pill btn-white font-semibold" href="#blocks"
+                onClick={(e) => { e.preventDefault(); smoothScrollTo("#blocks"); }}>
+                {t("cta.browse")}
+              </motion.a>
+            </Magnetic>
+            <Magnetic>
+              <motion.a whileHover={{ scale: 1.03 }} whileTap={{ scale: 0.98 }}
+                className="pill hover:bg-white/10 text-fg" href="https://parklandsbaptist.org/online-bulletin/"
+                target="_blank" rel="noreferrer">
+                {t("cta.bulletin")}
+              </motion.a>
+            </Magnetic>
+            <Magnetic>
+              <motion.a whileHover={{ scale: 1.03 }} whileTap={{ scale: 0.98 }}
+                className="pill btn-primary font-semibold" href={eventsPath()} onClick={linkHandler(eventsPath())}>
+                {t("cta.events")}
+              </motion.a>
+            </Magnetic>
+          </div>
+        </motion.div>
+      </div>
+    </section>
+
+      {/* Sign-up form */}
+      {formCategory && (
+        <SignupDialog
+          key={formCategory.id}
+          category={formCategory}
+          prefill={campusPrefill}
+          onClose={closeForm}
+          onSubmitted={onSubmitted}
+        />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,233 @@
+import { useCallback, useEffect, useId, useMemo, useState } from "react";
+import { ALL_CAMPUSES, CAMPUSES, getCategory, isOpen } from "../catalog/index.js";
+import { useCommands } from "../commands/index.js";
+import { TIME_ZONE } from "../events/index.js";
+import SignupDialog from "../forms/SignupDialog.jsx";
+import HousegroupMap from "../housegroups/HousegroupMap.jsx";
+import {
+  ALL, AREAS, DAYS, HOUSEGROUPS, HOUSEGROUP_MINISTRY, LANGUAGES, filterHousegroups, getArea, locate, meetingDate,
+  sortHousegroups, spacesLeft,
+} from "../housegroups/index.js";
+import { LOCALES, localizeCategory, localizeHousegroup, useI18n } from "../i18n/index.js";
+import { linkHandler, signupPath } from "../router.js";
+import { scrollBehavior } from "../ui/motion.js";
+
+/* ================= Housegroup finder (/housegroups) ================= */
+// Filters and the "near" estate live in the query string, like the events
+// calendar, so a coordinator can send someone a ready-made list.
+
+// Only estates that actually have a group are offered as filters
+const GROUP_AREAS = AREAS.filter((a) => HOUSEGROUPS.some((g) => g.area === a.id));
+const languageName = (id) => LOCALES.find((l) => l.id === id)?.name ?? id;
+
+function initialParam(name, valid, fallback) {
+  const v = new URLSearchParams(window.location.search).get(name);
+  return valid(v) ? v : fallback;
+}
+
+function Select({ label, value, onChange, children }) {
+  const id = useId();
+  return (
+    <div>
+      <label htmlFor={id} className="block text-xs text-muted-2">{label}</label>
+      <select id={id} value={value} onChange={(e) => onChange(e.target.value)} className="field-input mt-1">{children}</select>
+    </div>
+  );
+}
+
+function HousegroupCard({ group, km, selected, onShow, onJoin }) {
+  const { t, formatDate, formatList, formatNumber } = useI18n();
+  const left = spacesLeft(group);
+  return (
+    <li id={`housegroup-${group.id}`} className={`glass rounded-2xl p-5 ${selected ? "ring-2 ring-[var(--accent)]" : ""}`}>
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <h2 className="text-lg font-semibold text-fg">{group.name}</h2>
+        <span className={`pill !py-0.5 text-xs border ${left ? "tone-ok" : "tone-warn"}`}>
+          {left ? t("housegroups.spaces", { count: left }) : t("housegroups.full")}
+        </span>
+      </div>
+      <p className="mt-1 text-sm text-fg">
+        {formatDate(meetingDate(group), { timeZone: TIME_ZONE, weekday: "long", hour: "numeric", minute: "2-digit" })}
+      </p>
+      <p className="mt-1 text-xs text-muted-2">
+        {[
+          getArea(group.area).name,
+          km != null && t("housegroups.km", { km: formatNumber(km, { maximumFractionDigits: 1 }) }),
+          t("housegroups.leader", { name: group.leader }),
+          t("housegroups.languages", { languages: formatList(group.languages.map(languageName)) }),
+        ].filter(Boolean).join(" · ")}
+      </p>
+      {group.description && <p className="mt-2 text-sm text-muted">{group.description}</p>}
+      {!left && <p className="mt-2 text-xs text-muted-2">{t("housegroups.fullNote")}</p>}
+      <div className="mt-3 flex flex-wrap gap-2">
+        <button type="button" aria-pressed={selected} onClick={() => onShow(group.id)} className="pill glass text-fg text-sm hover:bg-white/15">
+          {t("housegroups.showOnMap")}
+        </button>
+        {onJoin && (
+          <button type="button" onClick={() => onJoin(group)} aria-label={t("housegroups.joinLabel", { name: group.name })}
+                  className="pill btn-primary font-semibold text-sm">
+            {t("housegroups.join")}
+          </button>
+        )}
+      </div>
+    </li>
+  );
+}
+
+export default function HousegroupsPage({ campus, onCampusChange, onSubmitted }) {
+  const { locale, t, formatDate } = useI18n();
+  const [day, setDay] = useState(() => initialParam("day", (v) => DAYS.includes(v), ALL));
+  const [area, setArea] = useState(() => initialParam("area", (v) => GROUP_AREAS.some((a) => a.id === v), ALL));
+  const [language, setLanguage] = useState(() => initialParam("lang", (v) => LANGUAGES.includes(v), ALL));
+  const [open, setOpen] = useState(() => initialParam("open", (v) => v === "1", "") === "1");
+  const [near, setNear] = useState(() => initialParam("near", Boolean, ""));
+  const [draft, setDraft] = useState(near);
+  const [selected, setSelected] = useState(null);
+  const [joining, setJoining] = useState(null);
+  const nearId = useId();
+
+  useEffect(() => {
+    const prev = document.title;
+    document.title = t("housegroups.docTitle");
+    return () => { document.title = prev; };
+  }, [t]);
+
+  // Mirror the filters to the query string so the list can be shared
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    const set = (key, value, fallback) => (value === fallback ? url.searchParams.delete(key) : url.searchParams.set(key, value));
+    set("day", day, ALL);
+    set("area", area, ALL);
+    set("lang", language, ALL);
+    set("open", open ? "1" : "", "");
+    set("near", near, "");
+    if (url.href !== window.location.href) window.history.replaceState(window.history.state, "", url);
+  }, [day, area, language, open, near]);
+
+  const origin = useMemo(() => (near ? locate(near) : null), [near]);
+  const rows = useMemo(
+    () => sortHousegroups(filterHousegroups(HOUSEGROUPS, { campus, day, area, language, open }), origin)
+      .map((r) => ({ ...r, group: localizeHousegroup(r.group, locale) })),
+    [campus, day, area, language, open, origin, locale]
+  );
+  const groups = useMemo(() => rows.map((r) => r.group), [rows]);
+
+  const base = getCategory(HOUSEGROUP_MINISTRY);
+  const category = base && localizeCategory(base, locale);
+  const join = category && isOpen(category) ? setJoining : null;
+
+  const show = (id) => {
+    setSelected(id);
+    document.getElementById(`housegroup-${id}`)?.scrollIntoView?.({ block: "nearest", behavior: scrollBehavior() });
+  };
+  const clearFilters = useCallback(() => {
+    setDay(ALL);
+    setArea(ALL);
+    setLanguage(ALL);
+    setOpen(false);
+    onCampusChange(ALL_CAMPUSES);
+  }, [onCampusChange]);
+
+  // "On this page" palette commands while the finder is open
+  const commands = useMemo(() => [
+    { id: "housegroups:open", group: "page", label: t("cmd.housegroupsOpen"), action: () => setOpen(true) },
+    { id: "housegroups:clear", group: "page", label: t("cmd.housegroupsClear"), action: clearFilters },
+  ], [t, clearFilters]);
+  useCommands(commands);
+
+  return (
+    <section className="pt-28 md:pt-32 pb-20" aria-labelledby="housegroups-title">
+      <div className="su-container">
+        <div className="max-w-2xl">
+          <h1 id="housegroups-title" className="text-3xl md:text-4xl font-extrabold tracking-tight text-fg">{t("housegroups.title")}</h1>
+          <p className="mt-3 text-muted">{t("housegroups.intro")}</p>
+        </div>
+
+        <form className="mt-6 glass rounded-3xl p-4 flex flex-wrap items-end gap-3"
+              onSubmit={(e) => { e.preventDefault(); setNear(draft.trim()); setSelected(null); }}>
+          <div className="grow min-w-[14rem]">
+            <label htmlFor={nearId} className="block text-xs text-muted-2">{t("housegroups.near")}</label>
+            <input id={nearId} value={draft} onChange={(e) => setDraft(e.target.value)} list={`${nearId}-areas`}
+                   placeholder={t("housegroups.nearPlaceholder")} aria-describedby={`${nearId}-help`} className="field-input mt-1" />
+            <datalist id={`${nearId}-areas`}>
+              {AREAS.map((a) => <option key={a.id} value={a.name} />)}
+            </datalist>
+          </div>
+          <button type="submit" className="pill btn-primary font-semibold">{t("housegroups.sort")}</button>
+          {near && (
+            <button type="button" onClick={() => { setNear(""); setDraft(""); }} className="pill hover:bg-white/10 text-muted">
+              {t("housegroups.clearNear")}
+            </button>
+          )}
+          <p id={`${nearId}-help`} className="basis-full text-xs text-muted-2">
+            {near && !origin ? (
+              <span role="alert" className="field-error">{t("housegroups.notFound", { query: near })}</span>
+            ) : origin ? (
+              t("housegroups.sortedFrom", { place: origin.label })
+            ) : (
+              t("housegroups.nearHelp")
+            )}
+          </p>
+        </form>
+
+        <div role="group" aria-label={t("housegroups.filters")} className="mt-4 grid gap-3 sm:grid-cols-2 lg:grid-cols-5 items-end">
+          <Select label={t("campus.label")} value={campus} onChange={onCampusChange}>
+            <option value={ALL_CAMPUSES}>{t("campus.all")}</option>
+            {CAMPUSES.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </Select>
+          <Select label={t("housegroups.day")} value={day} onChange={setDay}>
+            <option value={ALL}>{t("housegroups.anyDay")}</option>
+            {DAYS.map((d) => (
+              <option key={d} value={d}>{formatDate(meetingDate({ day: d, time: "12:00" }), { timeZone: TIME_ZONE, weekday: "long" })}</option>
+            ))}
+          </Select>
+          <Select label={t("housegroups.area")} value={area} onChange={setArea}>
+            <option value={ALL}>{t("housegroups.anyArea")}</option>
+            {GROUP_AREAS.map((a) => <option key={a.id} value={a.id}>{a.name}</option>)}
+          </Select>
+          <Select label={t("housegroups.language")} value={language} onChange={setLanguage}>
+            <option value={ALL}>{t("housegroups.anyLanguage")}</option>
+            {LANGUAGES.map((l) => <option key={l} value={l}>{languageName(l)}</option>)}
+          </Select>
+          <label className="flex items-center gap-2 text-sm text-fg pb-2">
+            <input type="checkbox" checked={open} onChange={(e) => setOpen(e.target.checked)} className="h-4 w-4" />
+            {t("housegroups.openOnly")}
+          </label>
+        </div>
+
+        <p className="mt-6 text-sm text-muted-2" role="status">{t("housegroups.count", { count: rows.length })}</p>
+        <div className="mt-3 grid gap-6 lg:grid-cols-5">
+          <div className="lg:col-span-3">
+            {rows.length === 0 ? (
+              <div className="glass rounded-3xl p-6 text-center">
+                <p className="text-muted">{t("housegroups.none")}</p>
+                <a href={signupPath(HOUSEGROUP_MINISTRY)} onClick={linkHandler(signupPath(HOUSEGROUP_MINISTRY))}
+                   className="mt-4 inline-block pill btn-primary font-semibold">
+                  {t("housegroups.suggest")}
+                </a>
+              </div>
+            ) : (
+              <ul className="space-y-3">
+                {rows.map(({ group, km }) => (
+                  <HousegroupCard key={group.id} group={group} km={km} selected={selected === group.id} onShow={show} onJoin={join} />
+                ))}
+              </ul>
+            )}
+          </div>
+          <aside className="lg:col-span-2 glass rounded-3xl p-4 self-start lg:sticky lg:top-28">
+            <HousegroupMap groups={groups} selected={selected} onSelect={show} origin={origin} />
+          </aside>
+        </div>
+      </div>
+
+      {joining && (
+        <SignupDialog
+          category={category}
+          prefill={{ housegroup: joining.id, area: getArea(joining.area).name, meetingDay: joining.day, campus: joining.campus }}
+          onClose={() => setJoining(null)}
+          onSubmitted={onSubmitted}
+        />
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,57 @@
+import { screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it } from "vitest";
+import { renderApp } from "../test/renderApp.jsx";
+
+const cardNames = () => [...document.querySelectorAll("li[id^=housegroup-] h2")].map((h) => h.textContent);
+
+describe("housegroup finder", () => {
+  it("sorts by distance from an estate and mirrors filters to the URL", async () => {
+    const user = userEvent.setup();
+    renderApp("/housegroups");
+    expect(screen.getByRole("heading", { level: 1, name: "Find a housegroup" })).toBeInTheDocument();
+    expect(screen.getByText("14 housegroups")).toHaveAttribute("role", "status");
+
+    await user.type(screen.getByLabelText("Your estate or coordinates"), "Kileleshwa");
+    await user.click(screen.getByRole("button", { name: "Sort by distance" }));
+    expect(screen.getByText("Nearest first from Kileleshwa")).toBeInTheDocument();
+    expect(cardNames()[0]).toBe("Kileleshwa Monday Group");
+    expect(screen.getAllByText(/0 km away/)).toHaveLength(1);
+
+    await user.selectOptions(screen.getByLabelText("Day"), "Friday");
+    await user.click(screen.getByLabelText("Only groups with space"));
+    expect(cardNames()).toEqual(["Kilimani Friday Fellowship", "Donholm & Umoja Fellowship"]);
+    expect(screen.getByRole("img", { name: "Map of Nairobi with 2 housegroups" })).toBeInTheDocument();
+    const params = new URLSearchParams(window.location.search);
+    expect(Object.fromEntries(params)).toEqual({ day: "Friday", open: "1", near: "Kileleshwa" });
+  });
+
+  it("explains an estate it doesn't know, and an empty result", async () => {
+    const user = userEvent.setup();
+    renderApp("/housegroups?day=Monday&lang=sw&area=karen");
+    expect(screen.getByText(/No housegroups match these filters/)).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText("Your estate or coordinates"), "Mombasa");
+    await user.click(screen.getByRole("button", { name: "Sort by distance" }));
+    expect(screen.getByText(/We couldn’t find “Mombasa”/)).toHaveAttribute("role", "alert");
+  });
+
+  it("requests to join with the group, estate and day filled in", async () => {
+    const user = userEvent.setup();
+    renderApp("/housegroups?area=langata");
+    await user.click(screen.getByRole("button", { name: "Request to join Lang'ata Wednesday Group" }));
+
+    const dialog = screen.getByRole("dialog", { name: "Community Groups" });
+    expect(within(dialog).getByLabelText(/Housegroup you'd like to join/)).toHaveValue("langata-wednesday");
+    expect(within(dialog).getByLabelText(/Area \/ estate/)).toHaveValue("Lang'ata");
+    expect(within(dialog).getByLabelText(/Preferred meeting day/)).toHaveValue("Wednesday");
+
+    await user.type(within(dialog).getByLabelText(/^Full name/), "Achieng Odhiambo");
+    await user.type(within(dialog).getByLabelText(/^Phone number/), "0712 345 678");
+    await user.click(within(dialog).getByLabelText(/may keep these details/));
+    await user.click(within(dialog).getByRole("button", { name: "Sign up" }));
+    expect(await within(dialog).findByText(/Here’s what you sent/)).toBeInTheDocument();
+    const [stored] = JSON.parse(window.localStorage.getItem("pbc-signups")).submissions;
+    expect(stored.values).toMatchObject({ housegroup: "langata-wednesday", meetingDay: "Wednesday" });
+  });
+});
@@ -0,0 +1,278 @@
+import { useEffect, useId, useState } from "react";
+import { CAMPUSES, getCategory } from "../catalog/index.js";
+import SignupDialog from "../forms/SignupDialog.jsx";
+import { localizeCategory, useI18n } from "../i18n/index.js";
+import { newRef, useProfile } from "../profile/index.js";
+import { linkHandler, privacyPath, smoothScrollTo, useRoute } from "../router.js";
+import { getSignupStore, notifySignupsChanged } from "../storage/index.js";
+import Dialog from "../ui/Dialog.jsx";
+import { useToast } from "../ui/toasts.js";
+
+/* ================= My sign-ups + my profile (/me) ================= */
+// Everything here is kept on this device (src/profile/). Edits and
+// cancellations go through the sign-up store with each entry's edit token.
+
+const STATUS_TONE = {
+  confirmed: "tone-ok",
+  waitlisted: "tone-warn",
+  queued: "border-white/20 text-muted",
+  cancelled: "border-white/15 text-muted-2",
+};
+
+function SignupCard({ entry, onEdit, onCancel, onForget }) {
+  const { t, locale, formatDate } = useI18n();
+  const base = getCategory(entry.categoryId);
+  const category = base && localizeCategory(base, locale);
+  const slotId = Object.values(entry.values || {}).find((v) => v?.slot)?.slot;
+  const slot = slotId && category?.slots?.find((s) => s.id === slotId);
+  // The children (or young people) a household sign-up was for
+  const names = (category?.form?.fields || [])
+    .filter((f) => f.type === "group" && f.routeBy)
+    .flatMap((f) => (Array.isArray(entry.values?.[f.name]) ? entry.values[f.name] : []).map((item) => item.name))
+    .filter(Boolean)
+    .join(", ");
+  const cancelled = entry.status === "cancelled";
+  const canChange = !!(category && entry.id && entry.token && !cancelled);
+
+  return (
+    <li className={`glass rounded-3xl p-5 ${cancelled ? "opacity-75" : ""}`}>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h3 className="text-lg font-semibold text-fg">
+            {category && <span aria-hidden className="mr-2">{category.icon}</span>}
+            {category?.title ?? entry.categoryId}
+          </h3>
+          <p className="mt-1 text-sm text-muted-2">
+            {[
+              names,
+              slot?.label,
+              t("mine.submitted", { date: formatDate(new Date(entry.submittedAt)) }),
+            ].filter(Boolean).join(" · ")}
+          </p>
+        </div>
+        <span className={`pill !py-0.5 text-xs border ${STATUS_TONE[entry.status] ?? STATUS_TONE.queued}`}>
+          {t(`mine.status.${entry.status}`)}
+        </span>
+      </div>
+      {entry.status === "queued" && <p className="mt-3 text-sm text-muted">{t("mine.queuedNote")}</p>}
+      <div className="mt-4 flex flex-wrap gap-2">
+        {canChange && (
+          <>
+            <button type="button" onClick={() => onEdit(entry)} className="pill hover:bg-white/10 text-fg">{t("mine.edit")}</button>
+            <button type="button" onClick={() => onCancel(entry)} className="pill hover:bg-white/10 text-fg">{t("mine.cancel")}</button>
+          </>
+        )}
+        {(cancelled || !category) && (
+          <button type="button" onClick={() => onForget(entry)} className="pill hover:bg-white/10 text-muted">{t("mine.forget")}</button>
+        )}
+      </div>
+    </li>
+  );
+}
+
+function ConfirmCancel({ entry, onClose, onConfirm }) {
+  const { t, locale } = useI18n();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const base = entry && getCategory(entry.categoryId);
+  const title = base ? localizeCategory(base, locale).title : entry?.categoryId;
+
+  async function confirm() {
+    setBusy(true);
+    setError(null);
+    try { await onConfirm(entry); }
+    catch (e) { setError(e.message || t("form.error")); setBusy(false); }
+  }
+
+  return (
+    <Dialog open={!!entry} onClose={onClose} labelledBy="cancel-signup-title" className="max-w-md p-6 my-24">
+      <h2 id="cancel-signup-title" className="text-xl font-bold text-fg">{t("mine.cancelTitle", { title })}</h2>
+      <p className="mt-2 text-sm text-muted">{t("mine.cancelBody")}</p>
+      {error && <p role="alert" className="mt-3 text-sm field-error">{error}</p>}
+      <div className="mt-5 flex justify-end gap-2">
+        <button type="button" onClick={onClose} className="pill hover:bg-white/10 text-fg" data-autofocus>{t("mine.keep")}</button>
+        <button type="button" onClick={confirm} disabled={busy} className="pill btn-primary font-semibold">
+          {busy ? t("form.sending") : t("mine.confirmCancel")}
+        </button>
+      </div>
+    </Dialog>
+  );
+}
+
+function ProfileField({ label, children }) {
+  return (
+    <label className="block">
+      <span className="block text-sm font-medium text-fg mb-1">{label}</span>
+      {children}
+    </label>
+  );
+}
+
+function ProfileForm() {
+  const { t } = useI18n();
+  const { notify } = useToast();
+  const { profile, saveProfile } = useProfile();
+  const [draft, setDraft] = useState(profile);
+  const householdId = useId();
+  const set = (key) => (e) => setDraft((d) => ({ ...d, [key]: e.target.value }));
+  const setMember = (id, key, value) => setDraft((d) => ({
+    ...d, household: d.household.map((m) => (m.id === id ? { ...m, [key]: value } : m)),
+  }));
+
+  function save(e) {
+    e.preventDefault();
+    const household = draft.household
+      .map((m) => ({ ...m, name: m.name.trim() }))
+      .filter((m) => m.name);
+    const next = { ...draft, fullName: draft.fullName.trim(), phone: draft.phone.trim(), email: draft.email.trim(), household };
+    saveProfile(next);
+    setDraft(next);
+    notify(t("toast.profileSaved"));
+  }
+
+  return (
+    <form onSubmit={save} className="glass rounded-3xl p-6 space-y-4">
+      <div className="grid gap-4 sm:grid-cols-2">
+        <ProfileField label={t("profile.fullName")}>
+          <input value={draft.fullName} onChange={set("fullName")} autoComplete="name" className="field-input" />
+        </ProfileField>
+        <ProfileField label={t("profile.phone")}>
+          <input type="tel" inputMode="tel" value={draft.phone} onChange={set("phone")} autoComplete="tel"
+                 placeholder="0712 345 678" className="field-input" />
+        </ProfileField>
+        <ProfileField label={t("profile.email")}>
+          <input type="email" value={draft.email} onChange={set("email")} autoComplete="email" className="field-input" />
+        </ProfileField>
+        <ProfileField label={t("profile.campus")}>
+          <select value={draft.campus} onChange={set("campus")} className="field-input">
+            <option value="">{t("form.select")}</option>
+            {CAMPUSES.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+        </ProfileField>
+      </div>
+
+      <fieldset aria-describedby={householdId}>
+        <legend className="text-sm font-medium text-fg">{t("profile.household")}</legend>
+        <p id={householdId} className="mt-1 text-xs text-muted-2">{t("profile.householdHelp")}</p>
+        <ul className="mt-3 space-y-2">
+          {draft.household.map((m, i) => (
+            <li key={m.id} className="grid gap-2 sm:grid-cols-[1fr_auto_auto] items-end">
+              <ProfileField label={t("profile.memberName", { n: i + 1 })}>
+                <input value={m.name} onChange={(e) => setMember(m.id, "name", e.target.value)} className="field-input" />
+              </ProfileField>
+              <ProfileField label={t("profile.memberDob")}>
+                <input type="date" value={m.dob} onChange={(e) => setMember(m.id, "dob", e.target.value)} className="field-input" />
+              </ProfileField>
+              <button type="button" className="pill hover:bg-white/10 text-muted"
+                      aria-label={t("profile.removeMember", { name: m.name || i + 1 })}
+                      onClick={() => setDraft((d) => ({ ...d, household: d.household.filter((x) => x.id !== m.id) }))}>
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+        <button type="button" className="mt-3 pill hover:bg-white/10 text-fg"
+                onClick={() => setDraft((d) => ({ ...d, household: [...d.household, { id: newRef(), name: "", dob: "" }] }))}>
+          {t("profile.addMember")}
+        </button>
+      </fieldset>
+
+      <div className="flex justify-end">
+        <button type="submit" className="pill btn-primary font-semibold">{t("profile.save")}</button>
+      </div>
+    </form>
+  );
+}
+
+export default function MyPage() {
+  const { t, rich, locale } = useI18n();
+  const { notify } = useToast();
+  const route = useRoute();
+  const { signups, patchSignup, forgetSignup } = useProfile();
+  const [editing, setEditing] = useState(null);
+  const [cancelling, setCancelling] = useState(null);
+  const active = signups.filter((s) => s.status !== "cancelled");
+  const cancelled = signups.filter((s) => s.status === "cancelled");
+
+  useEffect(() => {
+    const prev = document.title;
+    document.title = t("mine.pageTitle");
+    return () => { document.title = prev; };
+  }, [t]);
+
+  // /me#profile (the palette's "Edit my profile") scrolls to the form once
+  // App has reset the scroll position for the new route
+  useEffect(() => {
+    if (window.location.hash !== "#profile") return;
+    const id = setTimeout(() => smoothScrollTo("#profile"), 0);
+    return () => clearTimeout(id);
+  }, [route]);
+
+  async function cancelSignup(entry) {
+    const result = await getSignupStore().cancelSignup(entry.id, entry.token);
+    patchSignup(entry.ref, { status: result.status });
+    notifySignupsChanged();
+    setCancelling(null);
+    notify(t("toast.cancelled"));
+  }
+
+  const editCategory = editing && getCategory(editing.categoryId);
+  const cards = (list) => (
+    <ul className="mt-4 space-y-3">
+      {list.map((s) => (
+        <SignupCard key={s.ref} entry={s} onEdit={setEditing} onCancel={setCancelling} onForget={(e) => forgetSignup(e.ref)} />
+      ))}
+    </ul>
+  );
+
+  return (
+    <section className="pt-28 md:pt-32 pb-20" aria-labelledby="me-title">
+      <div className="su-container max-w-3xl">
+        <h1 id="me-title" className="text-3xl md:text-4xl font-extrabold tracking-tight text-fg">{t("mine.title")}</h1>
+        <p className="mt-3 text-muted">{t("mine.intro")}</p>
+        <p className="mt-2 text-sm text-muted-2">
+          {rich("mine.privacy", {
+            link: (
+              <a href={privacyPath("your-data")} onClick={linkHandler(privacyPath("your-data"))} className="underline text-fg">
+                {t("mine.privacyLink")}
+              </a>
+            ),
+          })}
+        </p>
+
+        {signups.length === 0 ? (
+          <div className="mt-6 glass rounded-3xl p-8 text-center">
+            <p className="text-muted">{t("mine.empty")}</p>
+            <a href="/#blocks" onClick={linkHandler("/#blocks")} className="mt-4 inline-block pill btn-primary font-semibold">
+              {t("mine.browse")}
+            </a>
+          </div>
+        ) : (
+          <>
+            {cards(active)}
+            {cancelled.length > 0 && (
+              <>
+                <h2 className="mt-8 text-lg font-semibold text-fg">{t("mine.cancelledHeading")}</h2>
+                {cards(cancelled)}
+              </>
+            )}
+          </>
+        )}
+
+        <h2 id="profile" className="mt-12 text-2xl font-bold tracking-tight text-fg">{t("profile.title")}</h2>
+        <p className="mt-2 mb-4 text-muted">{t("profile.intro")}</p>
+        <ProfileForm />
+      </div>
+
+      {editCategory && (
+        <SignupDialog
+          category={localizeCategory(editCategory, locale)}
+          editing={editing}
+          onClose={() => setEditing(null)}
+          onSubmitted={() => notify(t("toast.updated"))}
+        />
+      )}
+      <ConfirmCancel entry={cancelling} onClose={() => setCancelling(null)} onConfirm={cancelSignup} />
+    </section>
+  );
+}
@@ -0,0 +1,104 @@
+import { act, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it } from "vitest";
+import { navigate } from "../router.js";
+import { renderApp } from "../test/renderApp.jsx";
+
+const PROFILE = {
+  fullName: "Wanjiru Kamau", phone: "0712 345 678", email: "wanjiru@example.com", campus: "northgate",
+  household: [{ id: "m1", name: "Baraka Kamau", dob: "2018-03-04" }],
+};
+
+function saveProfile(profile = PROFILE) {
+  window.localStorage.setItem("profile", JSON.stringify(profile));
+}
+
+const toast = (text) => within(screen.getByRole("region", { name: "Notifications" })).findByText(text);
+
+async function signUpForCommunityGroup(user) {
+  await user.type(screen.getByLabelText(/Area \/ estate/), "Parklands");
+  await user.selectOptions(screen.getByLabelText(/Preferred meeting day/), "Wednesday");
+  await user.click(screen.getByLabelText(/may keep these details/));
+  await user.click(screen.getByRole("button", { name: "Sign up" }));
+  await screen.findByText(/Here’s what you sent/);
+}
+
+describe("my profile", () => {
+  it("pre-fills sign-up forms, starting with the household's children", () => {
+    saveProfile();
+    renderApp("/signup/childrens-ministry");
+
+    expect(screen.getAllByLabelText(/^Full name/)[0]).toHaveValue("Wanjiru Kamau");
+    expect(screen.getAllByLabelText(/^Phone number/)[0]).toHaveValue("0712 345 678");
+    expect(screen.getByLabelText(/^Campus/)).toHaveValue("northgate");
+    const children = screen.getByRole("group", { name: /Children/ });
+    expect(within(children).getByLabelText(/Child.s full name/)).toHaveValue("Baraka Kamau");
+    expect(within(children).getByLabelText(/Date of birth/)).toHaveValue("2018-03-04");
+  });
+
+  it("is edited on /me, and offered after a first sign-up", async () => {
+    const user = userEvent.setup();
+    renderApp("/signup/community-groups");
+    await user.type(screen.getByLabelText(/^Full name/), "Otieno Achieng");
+    await user.type(screen.getByLabelText(/^Phone number/), "0722 000 111");
+    await user.selectOptions(screen.getByLabelText(/^Campus/), "eastgate");
+    await signUpForCommunityGroup(user);
+
+    await user.click(screen.getByRole("button", { name: "Remember my details" }));
+    expect(screen.getByRole("button", { name: "Saved to your profile ✓" })).toBeDisabled();
+    expect(JSON.parse(window.localStorage.getItem("profile"))).toMatchObject({ fullName: "Otieno Achieng", campus: "eastgate" });
+
+    await user.click(screen.getByRole("button", { name: "Done" }));
+    act(() => navigate("/me"));
+    const name = screen.getByLabelText("Full name");
+    expect(name).toHaveValue("Otieno Achieng");
+    await user.clear(name);
+    await user.type(name, "Otieno A.");
+    await user.click(screen.getByRole("button", { name: "+ Add household member" }));
+    await user.type(screen.getByLabelText("Name 1"), "Zawadi");
+    await user.click(screen.getByRole("button", { name: "Save profile" }));
+    expect(JSON.parse(window.localStorage.getItem("profile"))).toMatchObject({
+      fullName: "Otieno A.", household: [{ name: "Zawadi", dob: "" }],
+    });
+    expect(await toast("👤 Profile saved on this device")).toBeInTheDocument();
+  });
+});
+
+describe("my sign-ups", () => {
+  it("lists sign-ups made here and lets them be edited or cancelled", async () => {
+    const user = userEvent.setup();
+    saveProfile();
+    renderApp("/signup/community-groups");
+    await signUpForCommunityGroup(user);
+    await user.click(screen.getByRole("button", { name: "Done" }));
+
+    await user.click(screen.getAllByRole("link", { name: "My Sign-ups" })[0]);
+    await act(() => new Promise(requestAnimationFrame));
+    expect(screen.getByRole("heading", { level: 1, name: "My sign-ups" })).toBeInTheDocument();
+    const card = screen.getByRole("heading", { name: /Community Groups/ }).closest("li");
+    expect(within(card).getByText("Confirmed")).toBeInTheDocument();
+
+    await user.click(within(card).getByRole("button", { name: "Edit" }));
+    const dialog = screen.getByRole("dialog", { name: "Community Groups" });
+    const area = within(dialog).getByLabelText(/Area \/ estate/);
+    expect(area).toHaveValue("Parklands");
+    await user.clear(area);
+    await user.type(area, "Westlands");
+    await user.click(within(dialog).getByRole("button", { name: "Save changes" }));
+    expect(await within(dialog).findByText(/Your changes to/)).toBeInTheDocument();
+    const stored = JSON.parse(window.localStorage.getItem("pbc-signups")).submissions;
+    expect(stored).toHaveLength(1);
+    expect(stored[0].values.area).toBe("Westlands");
+    await user.click(within(dialog).getByRole("button", { name: "Done" }));
+
+    await user.click(within(card).getByRole("button", { name: "Cancel sign-up" }));
+    const confirm = screen.getByRole("dialog", { name: "Cancel Community Groups?" });
+    await user.click(within(confirm).getByRole("button", { name: "Yes, cancel" }));
+    expect(await toast("🗑 Sign-up cancelled")).toBeInTheDocument();
+    expect(screen.getByRole("heading", { level: 2, name: "Cancelled" })).toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem("pbc-signups")).submissions[0].status).toBe("cancelled");
+
+    await user.click(screen.getByRole("button", { name: "Remove from list" }));
+    expect(screen.getByText("You haven’t signed up for anything on this device yet.")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,323 @@
+import { useEffect, useMemo, useState } from "react";
+import { CATEGORIES, PRIVACY, retentionDays } from "../catalog/index.js";
+import { download } from "../admin/export.js";
+import FormRenderer from "../forms/FormRenderer.jsx";
+import { localizeCategory, useI18n } from "../i18n/index.js";
+import { clear as clearOutbox } from "../offline/outbox.js";
+import { clearEverything, clearPreferences, collectMyData, savedPreferences } from "../privacy/index.js";
+import { useProfile } from "../profile/index.js";
+import { linkHandler, mePath, smoothScrollTo, useRoute } from "../router.js";
+import { getSignupStore, notifySignupsChanged, useFormToken } from "../storage/index.js";
+import Dialog from "../ui/Dialog.jsx";
+import { useToast } from "../ui/toasts.js";
+
+/* ================= Privacy notice + your data (/privacy) ================= */
+// What we collect and why (Kenya's Data Protection Act, 2019), how long we
+// keep it (catalog.json's `privacy` and each category's retentionDays), and
+// the tools: download or erase this device's sign-ups, ask the church for a
+// copy, correction or deletion, and clear what this browser remembers.
+
+const CONTACT_EMAIL = "reception@parklandsbaptist.org";
+const PURPOSES = ["contact", "updates", "participation", "medical", "photos"];
+const DEVICE_KINDS = ["profile", "signups", "drafts", "reminders"];
+
+// Categories that keep sign-ups for less (or more) than the default
+const OWN_RETENTION = CATEGORIES.filter((c) => c.retentionDays != null);
+
+function Section({ id, title, children }) {
+  return (
+    <section id={id} aria-labelledby={`${id}-title`} className="mt-10">
+      <h2 id={`${id}-title`} className="text-2xl font-bold tracking-tight text-fg">{title}</h2>
+      <div className="mt-3 space-y-3 text-muted">{children}</div>
+    </section>
+  );
+}
+
+function Confirm({ open, title, body, confirmLabel, onClose, onConfirm }) {
+  const { t } = useI18n();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function confirm() {
+    setBusy(true);
+    setError(null);
+    try { await onConfirm(); setBusy(false); }
+    catch (e) { setError(e.message || t("form.error")); setBusy(false); }
+  }
+
+  function close() {
+    setError(null);
+    onClose();
+  }
+
+  return (
+    <Dialog open={open} onClose={close} labelledBy="privacy-confirm-title" className="max-w-md p-6 my-24">
+      <h2 id="privacy-confirm-title" className="text-xl font-bold text-fg">{title}</h2>
+      <p className="mt-2 text-sm text-muted">{body}</p>
+      {error && <p role="alert" className="mt-3 text-sm field-error">{error}</p>}
+      <div className="mt-5 flex justify-end gap-2">
+        <button type="button" onClick={close} className="pill hover:bg-white/10 text-fg" data-autofocus>{t("form.cancel")}</button>
+        <button type="button" onClick={confirm} disabled={busy} className="pill btn-primary font-semibold">
+          {busy ? t("form.sending") : confirmLabel}
+        </button>
+      </div>
+    </Dialog>
+  );
+}
+
+function Notice() {
+  const { t, rich, locale, formatDate, formatNumber } = useI18n();
+  // 730 → "2 years", 45 → "45 days"
+  const period = (days) => (days % 365 === 0
+    ? formatNumber(days / 365, { style: "unit", unit: "year", unitDisplay: "long" })
+    : formatNumber(days, { style: "unit", unit: "day", unitDisplay: "long" }));
+  const email = <a href={`mailto:${CONTACT_EMAIL}`} className="underline text-fg">{CONTACT_EMAIL}</a>;
+
+  return (
+    <>
+      {PRIVACY?.version && (
+        <p className="mt-2 text-sm text-muted-2">{t("privacy.updated", { date: formatDate(new Date(PRIVACY.version)) })}</p>
+      )}
+      <Section id="who" title={t("privacy.whoTitle")}>
+        <p>{t("privacy.who")}</p>
+      </Section>
+      <Section id="collect" title={t("privacy.collectTitle")}>
+        <p>{t("privacy.collect")}</p>
+      </Section>
+      <Section id="purposes" title={t("privacy.purposesTitle")}>
+        <p>{t("privacy.purposesIntro")}</p>
+        <ul className="list-disc pl-5 space-y-1">
+          {PURPOSES.map((p) => <li key={p}>{t(`privacy.purpose.${p}`)}</li>)}
+        </ul>
+      </Section>
+      <Section id="sharing" title={t("privacy.sharingTitle")}>
+        <p>{t("privacy.sharing")}</p>
+      </Section>
+      <Section id="retention" title={t("privacy.retentionTitle")}>
+        <p>{t("privacy.retentionIntro")}</p>
+        <ul className="list-disc pl-5 space-y-1">
+          {OWN_RETENTION.map((c) => (
+            <li key={c.id}>
+              {t("privacy.keptFor", { title: localizeCategory(c, locale).title, period: period(retentionDays(c, PRIVACY)) })}
+            </li>
+          ))}
+          {PRIVACY?.retentionDays && <li>{t("privacy.keptForRest", { period: period(PRIVACY.retentionDays) })}</li>}
+        </ul>
+      </Section>
+      <Section id="rights" title={t("privacy.rightsTitle")}>
+        <p>{t("privacy.rights")}</p>
+        <p>{rich("privacy.contact", { email })}</p>
+      </Section>
+    </>
+  );
+}
+
+// Ask the church for a copy, a correction or a deletion; only stores with
+// someone at the other end can take one (see src/storage/index.js)
+function DataRequestForm() {
+  const { t, locale } = useI18n();
+  const { notify } = useToast();
+  const { profile } = useProfile();
+  const [sent, setSent] = useState(null);
+  const formToken = useFormToken();
+  const fields = useMemo(() => [
+    {
+      name: "kind", label: t("privacy.requestKind"), type: "select", required: true,
+      options: ["export", "correct", "delete"].map((k) => ({ value: k, label: t(`privacy.kind.${k}`) })),
+    },
+    { name: "fullName", label: t("profile.fullName"), type: "text", required: true },
+    { name: "phone", label: t("profile.phone"), type: "phone", required: true },
+    { name: "email", label: t("profile.email"), type: "email" },
+    { name: "details", label: t("privacy.requestDetails"), type: "textarea", maxLength: 2000, help: t("privacy.requestDetailsHelp") },
+  ], [t]);
+
+  async function send(values, { website = "" } = {}) {
+    const result = await getSignupStore().sendDataRequest({ ...values, locale, guard: { token: formToken, website } });
+    setSent(result);
+    notify(t("toast.requestSent"));
+  }
+
+  if (sent) {
+    return (
+      <p role="status" className="glass rounded-3xl p-6 text-fg">
+        {t("privacy.requestSent", { ref: sent.id.slice(0, 8).toUpperCase() })}
+      </p>
+    );
+  }
+  return (
+    <div className="glass rounded-3xl p-6">
+      <FormRenderer
+        fields={fields}
+        prefill={{ fullName: profile.fullName, phone: profile.phone, email: profile.email }}
+        submitLabel={t("privacy.requestSend")}
+        onSubmit={send}
+      />
+    </div>
+  );
+}
+
+function YourData() {
+  const { t } = useI18n();
+  const { notify } = useToast();
+  const mine = useProfile();
+  const { signups, forgetSignup } = mine;
+  const [erasing, setErasing] = useState(false);
+  const store = getSignupStore();
+
+  async function exportData() {
+    const data = await collectMyData(mine, store);
+    download("my-pbc-data.json", JSON.stringify(data, null, 2), "application/json");
+  }
+
+  // Erases each sign-up the store can still find, and forgets it here;
+  // queued ones are dropped from the outbox before they're ever sent
+  async function eraseAll() {
+    let failed = 0;
+    for (const s of signups) {
+      if (s.id && s.token) {
+        try { await store.eraseSignup(s.id, s.token); }
+        catch (e) { if (e.status !== 404) { failed++; continue; } }
+      }
+      forgetSignup(s.ref);
+    }
+    if (signups.some((s) => !s.id)) await clearOutbox().catch((e) => void e);
+    notifySignupsChanged();
+    if (failed) throw new Error(t("privacy.eraseFailed", { count: failed }));
+    setErasing(false);
+    notify(t("toast.erased"));
+  }
+
+  return (
+    <>
+      <p>{t("privacy.yourDataIntro")}</p>
+      <div className="flex flex-wrap gap-2">
+        <button type="button" onClick={exportData} className="pill btn-primary font-semibold">{t("privacy.download")}</button>
+        {signups.length > 0 && (
+          <button type="button" onClick={() => setErasing(true)} className="pill hover:bg-white/10 text-fg">
+            {t("privacy.erase", { count: signups.length })}
+          </button>
+        )}
+        <a href={mePath()} onClick={linkHandler(mePath())} className="pill hover:bg-white/10 text-fg">{t("privacy.toMine")}</a>
+      </div>
+
+      {store.sendDataRequest && (
+        <>
+          <h3 className="pt-4 text-lg font-semibold text-fg">{t("privacy.requestTitle")}</h3>
+          <p>{t("privacy.requestIntro")}</p>
+          <DataRequestForm />
+        </>
+      )}
+
+      <Confirm
+        open={erasing}
+        title={t("privacy.eraseTitle")}
+        body={t("privacy.eraseBody")}
+        confirmLabel={t("privacy.eraseConfirm")}
+        onClose={() => setErasing(false)}
+        onConfirm={eraseAll}
+      />
+    </>
+  );
+}
+
+function DeviceData() {
+  const { t } = useI18n();
+  const { notify } = useToast();
+  const { profile, signups, drafts, reminders, clearLocal } = useProfile();
+  const [wiping, setWiping] = useState(false);
+  const preferences = Object.keys(savedPreferences()).length;
+  const counts = {
+    profile: profile.fullName || profile.phone || profile.email || profile.household.length ? 1 : 0,
+    signups: signups.length,
+    drafts: Object.keys(drafts).length,
+    reminders: reminders.length,
+  };
+
+  function clear(kind) {
+    clearLocal(kind);
+    notify(t("toast.cleared", { what: t(`privacy.device.${kind}`) }));
+  }
+
+  return (
+    <>
+      <p>{t("privacy.deviceIntro")}</p>
+      <ul className="glass rounded-3xl divide-y divide-white/10">
+        {DEVICE_KINDS.map((kind) => (
+          <li key={kind} className="flex flex-wrap items-center justify-between gap-3 p-4">
+            <div>
+              <p className="font-medium text-fg">{t(`privacy.device.${kind}`)}</p>
+              <p className="text-sm text-muted-2">
+                {kind === "profile"
+                  ? t(counts.profile ? "privacy.device.profileSaved" : "privacy.device.profileEmpty")
+                  : t(`privacy.device.${kind}Count`, { count: counts[kind] })}
+              </p>
+            </div>
+            <button type="button" onClick={() => clear(kind)} disabled={!counts[kind]}
+                    aria-label={t("privacy.clearThis", { what: t(`privacy.device.${kind}`) })}
+                    className="pill hover:bg-white/10 text-fg disabled:opacity-50">
+              {t("privacy.clear")}
+            </button>
+          </li>
+        ))}
+        <li className="flex flex-wrap items-center justify-between gap-3 p-4">
+          <div>
+            <p className="font-medium text-fg">{t("privacy.device.preferences")}</p>
+            <p className="text-sm text-muted-2">{t("privacy.device.preferencesHelp", { count: preferences })}</p>
+          </div>
+          <button type="button" onClick={() => clearPreferences()} disabled={!preferences}
+                  aria-label={t("privacy.clearThis", { what: t("privacy.device.preferences") })}
+                  className="pill hover:bg-white/10 text-fg disabled:opacity-50">
+            {t("privacy.clear")}
+          </button>
+        </li>
+      </ul>
+      <button type="button" onClick={() => setWiping(true)} className="pill btn-primary font-semibold">
+        {t("privacy.clearEverything")}
+      </button>
+      <Confirm
+        open={wiping}
+        title={t("privacy.clearEverythingTitle")}
+        body={t("privacy.clearEverythingBody")}
+        confirmLabel={t("privacy.clearEverything")}
+        onClose={() => setWiping(false)}
+        onConfirm={() => clearEverything()}
+      />
+    </>
+  );
+}
+
+export default function PrivacyPage() {
+  const { t } = useI18n();
+  const route = useRoute();
+
+  useEffect(() => {
+    const prev = document.title;
+    document.title = t("privacy.pageTitle");
+    return () => { document.title = prev; };
+  }, [t]);
+
+  // /privacy#your-data and #device (from My sign-ups) scroll once App has
+  // reset the scroll position for the new route
+  useEffect(() => {
+    const hash = window.location.hash;
+    if (hash !== "#your-data" && hash !== "#device") return;
+    const id = setTimeout(() => smoothScrollTo(hash), 0);
+    return () => clearTimeout(id);
+  }, [route]);
+
+  return (
+    <section className="pt-28 md:pt-32 pb-20" aria-labelledby="privacy-title">
+      <div className="su-container max-w-3xl">
+        <h1 id="privacy-title" className="text-3xl md:text-4xl font-extrabold tracking-tight text-fg">{t("privacy.title")}</h1>
+        <p className="mt-3 text-muted">{t("privacy.intro")}</p>
+        <Notice />
+        <Section id="your-data" title={t("privacy.yourDataTitle")}>
+          <YourData />
+        </Section>
+        <Section id="device" title={t("privacy.deviceTitle")}>
+          <DeviceData />
+        </Section>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,59 @@
+import { screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it } from "vitest";
+import { getSignupStore } from "../storage/index.js";
+import { renderApp } from "../test/renderApp.jsx";
+
+const stored = (key) => JSON.parse(window.localStorage.getItem(key));
+const toast = (text) => within(screen.getByRole("region", { name: "Notifications" })).findByText(text);
+
+describe("privacy page", () => {
+  it("lists each purpose and how long sign-ups are kept", () => {
+    renderApp("/privacy");
+    expect(screen.getByRole("heading", { level: 1, name: "Privacy & your data" })).toBeInTheDocument();
+    expect(screen.getByText(/To send you news and invitations/)).toBeInTheDocument();
+    expect(screen.getByText("Children’s Ministry: 1 year")).toBeInTheDocument();
+    expect(screen.getByText("Everything else: 2 years")).toBeInTheDocument();
+    // The browser-only store has no one to send a request to
+    expect(screen.queryByRole("heading", { name: "Ask us about your data" })).not.toBeInTheDocument();
+  });
+
+  it("erases this device's sign-ups from the store and forgets them", async () => {
+    const { id, editToken } = await getSignupStore().submit({ categoryId: "community-groups", values: { fullName: "Achieng" } });
+    window.localStorage.setItem("my-signups", JSON.stringify([
+      { ref: "r1", id, token: editToken, categoryId: "community-groups", status: "confirmed", values: {}, submittedAt: new Date().toISOString() },
+    ]));
+    const user = userEvent.setup();
+    renderApp("/privacy");
+
+    await user.click(screen.getByRole("button", { name: "Delete my sign-up" }));
+    const dialog = screen.getByRole("dialog", { name: "Delete your sign-ups?" });
+    await user.click(within(dialog).getByRole("button", { name: "Delete for good" }));
+
+    expect(await toast("🗑 Your sign-ups were deleted")).toBeInTheDocument();
+    expect(stored("pbc-signups").submissions).toEqual([]);
+    expect(stored("my-signups")).toEqual([]);
+    expect(screen.queryByRole("button", { name: "Delete my sign-up" })).not.toBeInTheDocument();
+  });
+
+  it("clears what this device remembers, one kind at a time", async () => {
+    window.localStorage.setItem("profile", JSON.stringify({ fullName: "Wanjiru Kamau", phone: "0712 345 678" }));
+    window.localStorage.setItem("drafts", JSON.stringify({
+      "baptism-membership": { values: { fullName: "Wanjiru" }, step: "about", savedAt: new Date().toISOString() },
+    }));
+    const user = userEvent.setup();
+    renderApp("/privacy");
+
+    const device = screen.getByRole("region", { name: "Data on this device" });
+    expect(within(device).getByText("1 draft")).toBeInTheDocument();
+    await user.click(within(device).getByRole("button", { name: "Clear Unfinished sign-ups" }));
+    expect(await toast("🧹 Cleared: Unfinished sign-ups")).toBeInTheDocument();
+    expect(stored("drafts")).toEqual({});
+    expect(within(device).getByRole("button", { name: "Clear Unfinished sign-ups" })).toBeDisabled();
+    expect(stored("profile")).toMatchObject({ fullName: "Wanjiru Kamau" });
+
+    await user.click(within(device).getByRole("button", { name: "Clear My profile" }));
+    expect(stored("profile")).toMatchObject({ fullName: "", phone: "" });
+    expect(within(device).getByText("Nothing saved")).toBeInTheDocument();
+  });
+});
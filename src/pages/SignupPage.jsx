@@ -0,0 +1,162 @@
+import { useEffect, useMemo } from "react";
+import { ALL_CAMPUSES, CAMPUSES, campusName, forCampus, getCategory, isCampus, offeredAt, windowState } from "../catalog/index.js";
+import { NotifyButton, WindowBadge } from "../components/SignupWindow.jsx";
+import { EVENTS, TIME_ZONE, filterEvents, upcoming } from "../events/index.js";
+import SignupFlow from "../forms/SignupFlow.jsx";
+import { HOUSEGROUP_MINISTRY } from "../housegroups/index.js";
+import { localizeCategory, localizeEvent, useI18n } from "../i18n/index.js";
+import { eventsPath, housegroupsPath, linkHandler, navigate } from "../router.js";
+import { useNow } from "../ui/clock.js";
+
+/* ================= Sign-up detail page (/signup/:id) ================= */
+export default function SignupPage({ id, campus, onSubmitted }) {
+  const { locale, t, formatList, formatDate, formatDateRange } = useI18n();
+  const base = getCategory(id);
+  const category = base && forCampus(localizeCategory(base, locale), campus);
+  const dates = useMemo(
+    () => upcoming(filterEvents(EVENTS, { campus: base && offeredAt(base, campus) ? campus : ALL_CAMPUSES, ministry: id }))
+      .map((o) => ({ ...o, event: localizeEvent(o.event, locale) })),
+    [base, campus, id, locale]
+  );
+  const now = useNow();
+
+  useEffect(() => {
+    const prev = document.title;
+    document.title = category ? t("page.title", { title: category.title }) : t("page.notFoundTitle");
+    return () => { document.title = prev; };
+  }, [category, t]);
+
+  const back = (
+    <a href="/#blocks" onClick={linkHandler("/#blocks")} className="pill hover:bg-white/10 text-muted">
+      {t("page.back")}
+    </a>
+  );
+
+  if (!category) {
+    return (
+      <section className="pt-28 md:pt-32 pb-20">
+        <div className="su-container">
+          {back}
+          <div className="mt-6 glass rounded-3xl p-8 text-center">
+            <h1 className="text-3xl font-extrabold tracking-tight text-fg">{t("page.notFound")}</h1>
+            <p className="mt-3 text-muted">{t("page.notFoundBody")}</p>
+          </div>
+        </div>
+      </section>
+    );
+  }
+
+  const campuses = CAMPUSES.filter((c) => category.campuses.includes(c.id)).map((c) => c.name);
+  const available = offeredAt(category, campus);
+  const prefill = isCampus(campus) && available ? { campus } : undefined;
+  const { state, opensAt } = windowState(category, now);
+
+  return (
+    <section className="pt-28 md:pt-32 pb-20" aria-labelledby="signup-page-title">
+      <div className="su-container">
+        {back}
+        <div className="mt-6 grid gap-6 lg:grid-cols-5">
+          <article className="lg:col-span-3 glass rounded-3xl p-6 md:p-8">
+            <div aria-hidden className="h-12 w-12 rounded-2xl bg-white/15 flex items-center justify-center text-2xl">{category.icon}</div>
+            <h1 id="signup-page-title" className="mt-4 text-3xl md:text-4xl font-extrabold tracking-tight text-fg">{category.title}</h1>
+            <p className="mt-3 text-lg text-muted">{category.description}</p>
+            {(category.details || []).map((para, i) => (
+              <p key={i} className="mt-3 text-muted-2 leading-relaxed">{para}</p>
+            ))}
+            {id === HOUSEGROUP_MINISTRY && (
+              <a href={housegroupsPath()} onClick={linkHandler(housegroupsPath())} className="mt-4 inline-block pill btn-primary font-semibold">
+                {t("housegroups.finder")}
+              </a>
+            )}
+
+            {category.schedule?.length > 0 && (
+              <>
+                <h2 className="mt-8 text-lg font-semibold text-fg">{t("page.schedule")}</h2>
+                <ul className="mt-2 space-y-2 text-sm">
+                  {category.schedule.map((s) => (
+                    <li key={s.label} className="flex flex-col sm:flex-row sm:gap-3">
+                      <span className="text-fg font-medium sm:w-48 shrink-0">{s.label}</span>
+                      <span className="text-muted-2">{s.when}</span>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            {dates.length > 0 && (
+              <>
+                <h2 className="mt-8 text-lg font-semibold text-fg">{t("events.upcoming")}</h2>
+                <ul className="mt-2 space-y-2 text-sm">
+                  {dates.map((o) => (
+                    <li key={o.key} className="flex flex-col sm:flex-row sm:gap-3">
+                      <span className="text-fg font-medium sm:w-48 shrink-0">{o.event.title}</span>
+                      <span className="text-muted-2">
+                        {formatDateRange(o.start, o.end, { timeZone: TIME_ZONE, weekday: "short", day: "numeric", month: "short", hour: "numeric", minute: "2-digit" })}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                <a href={eventsPath({ ministry: id })} onClick={linkHandler(eventsPath({ ministry: id }))} className="mt-2 inline-block text-sm underline text-muted">
+                  {t("events.seeAll")}
+                </a>
+              </>
+            )}
+
+            <h2 className="mt-8 text-lg font-semibold text-fg">{t("page.campuses")}</h2>
+            <p className="mt-2 text-sm text-muted-2">{formatList(campuses)}</p>
+            {isCampus(campus) && (
+              <p className="mt-1 text-xs text-muted-2">
+                {available
+                  ? t("page.showingFor", { campus: campusName(campus) })
+                  : t("page.notOffered", { campus: campusName(campus) })}
+              </p>
+            )}
+
+            {category.contacts?.length > 0 && (
+              <>
+                <h2 className="mt-8 text-lg font-semibold text-fg">{t("page.contacts")}</h2>
+                <ul className="mt-2 space-y-3 text-sm">
+                  {category.contacts.map((c) => (
+                    <li key={c.role}>
+                      <div className="text-fg font-medium">{c.role}</div>
+                      <div className="flex flex-wrap gap-x-4 text-muted">
+                        {c.phone && <a className="hover:underline" href={`tel:${c.phone}`}>{c.phone}</a>}
+                        {c.email && <a className="hover:underline" href={`mailto:${c.email}`}>{c.email}</a>}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            <a href={category.link} target="_blank" rel="noreferrer" className="mt-8 inline-block pill glass text-fg hover:bg-white/15">
+              {t("page.ministryPage")}
+            </a>
+          </article>
+
+          <div className="lg:col-span-2 glass rounded-3xl p-6 self-start">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <h2 className="text-xl font-semibold text-fg">{t("page.signUp")}</h2>
+              <WindowBadge category={category} now={now} />
+            </div>
+            <div className="mt-4">
+              {state === "open" ? (
+                <SignupFlow category={category} prefill={prefill} onClose={() => navigate("/#blocks")} onSubmitted={onSubmitted} />
+              ) : (
+                <>
+                  <p className="text-muted-2">
+                    {state === "upcoming"
+                      ? t("page.upcoming", { title: category.title, date: formatDate(opensAt, { timeZone: TIME_ZONE, dateStyle: "full", timeStyle: "short" }) })
+                      : t("page.closed", { title: category.title })}
+                  </p>
+                  <p className="mt-2 text-sm text-muted-2">{t("page.notifyHelp")}</p>
+                  <NotifyButton category={category} className="mt-4" />
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,51 @@
+import { clear as clearOutbox } from "../offline/outbox.js";
+import { safeJSONParse } from "../ui/persist.js";
+
+/* ================= Data kept on this device ================= */
+// For "Data on this device" on /privacy. The profile, my sign-ups, drafts
+// and reminders belong to ProfileProvider (useProfile().clearLocal). The
+// rest are small preferences each provider reads once at start-up, so
+// clearing them reloads the page.
+
+// theme-mode + accent (theme/), "theme" from before there were modes,
+// locale (i18n/), campus (App), recent-commands (the palette)
+export const PREFERENCE_KEYS = ["theme-mode", "accent", "theme", "locale", "campus", "recent-commands"];
+
+const reloadPage = () => window.location.reload();
+
+export function savedPreferences() {
+  const out = {};
+  for (const key of PREFERENCE_KEYS) {
+    const raw = window.localStorage.getItem(key);
+    if (raw != null) out[key] = safeJSONParse(raw, raw);
+  }
+  return out;
+}
+
+export function clearPreferences({ reload = reloadPage } = {}) {
+  for (const key of PREFERENCE_KEYS) window.localStorage.removeItem(key);
+  reload();
+}
+
+// Also the sign-ups a browser-only store keeps ("pbc-signups"), a leader's
+// admin token and anything waiting in the offline outbox
+export async function clearEverything({ reload = reloadPage } = {}) {
+  window.localStorage.clear();
+  window.sessionStorage.clear();
+  try { await clearOutbox(); } catch (e) { void e; }
+  reload();
+}
+
+// "Download my data": everything this device holds about the person, plus
+// what the store holds for each sign-up that can still be looked up. Edit
+// tokens stay out of the file; they'd let anyone holding it change the
+// sign-ups.
+export async function collectMyData({ profile, signups, drafts, reminders }, store, now = new Date()) {
+  const held = await Promise.all(signups.map(async (s) => {
+    const { token, ref: _ref, ...entry } = s;
+    if (!entry.id || !token) return entry;
+    try { return { ...entry, stored: await store.getSignup(entry.id, token) }; }
+    catch (e) { return { ...entry, stored: null, error: e.message }; }
+  }));
+  return { exportedAt: now.toISOString(), profile, signups: held, drafts, reminders, preferences: savedPreferences() };
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { collectMyData } from "./index.js";
+
+describe("download my data", () => {
+  it("includes what the store holds for each sign-up, but never the edit tokens", async () => {
+    window.localStorage.setItem("locale", JSON.stringify("sw"));
+    const store = {
+      async getSignup(id, token) {
+        if (token !== "secret") throw new Error("Sign-up not found.");
+        return { id, status: "confirmed", values: { fullName: "Achieng" } };
+      },
+    };
+    const signups = [
+      { ref: "r1", id: "s1", token: "secret", categoryId: "community-groups", status: "confirmed" },
+      { ref: "r2", id: "s2", token: "stale", categoryId: "events-classes", status: "confirmed" },
+      { ref: "r3", categoryId: "youth-ministry", status: "queued" },
+    ];
+    const data = await collectMyData({ profile: { fullName: "Achieng" }, signups, drafts: {}, reminders: [] }, store,
+      new Date("2026-10-18T06:00:00Z"));
+
+    expect(data).toMatchObject({ exportedAt: "2026-10-18T06:00:00.000Z", profile: { fullName: "Achieng" }, preferences: { locale: "sw" } });
+    expect(data.signups).toEqual([
+      { id: "s1", categoryId: "community-groups", status: "confirmed", stored: { id: "s1", status: "confirmed", values: { fullName: "Achieng" } } },
+      { id: "s2", categoryId: "events-classes", status: "confirmed", stored: null, error: "Sign-up not found." },
+      { categoryId: "youth-ministry", status: "queued" },
+    ]);
+    expect(JSON.stringify(data)).not.toContain("secret");
+  });
+});
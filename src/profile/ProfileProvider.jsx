@@ -0,0 +1,9 @@
+import { ProfileContext, useProfileState } from "./index.js";
+
+/* ================= Profile provider ================= */
+// One copy of the profile and "my sign-ups" for the page, so the forms, the
+// My sign-ups page and the outbox sync all see the same list
+export default function ProfileProvider({ children }) {
+  const value = useProfileState();
+  return <ProfileContext.Provider value={value}>{children}</ProfileContext.Provider>;
+}
@@ -0,0 +1,134 @@
+import { createContext, useCallback, useContext, useMemo } from "react";
+import { classFor, initialValues } from "../forms/validation.js";
+import { useLocalStorage } from "../ui/persist.js";
+
+/* ================= My profile + my sign-ups ================= */
+// Both live on this device only. The profile pre-fills every sign-up form;
+// "my sign-ups" remembers what was submitted from here, with the edit token
+// the store handed back so the sign-up can be changed or cancelled later.
+//
+// A my-sign-ups entry: { ref, id, token, categoryId, status, values,
+// submittedAt, updatedAt? }. `ref` is ours and never changes; `id` and
+// `token` arrive once the store has the submission (queued ones get them
+// when the outbox is flushed).
+//
+// Reminders are the ids of categories someone asked to hear about ("Notify
+// me" on a closed or not-yet-open card); see useReminderAlerts().
+//
+// Drafts are half-finished wizard sign-ups by category id, { values, step,
+// savedAt }, so someone interrupted can pick up where they stopped. They're
+// forgotten once sent, or after DRAFT_DAYS.
+
+export const EMPTY_PROFILE = { fullName: "", phone: "", email: "", campus: "", household: [] };
+export const CONTACT_FIELDS = ["fullName", "phone", "email", "campus"];
+
+export const DRAFT_DAYS = 30;
+const DRAFT_MS = DRAFT_DAYS * 24 * 60 * 60 * 1000;
+
+export const newRef = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export function normalizeProfile(p) {
+  return { ...EMPTY_PROFILE, ...p, household: Array.isArray(p?.household) ? p.household : [] };
+}
+
+// Contact details for a form; the campus only if this category runs there
+export function profilePrefill(profile, category) {
+  const fields = category.form?.fields || [];
+  const out = {};
+  for (const f of fields) {
+    if (!CONTACT_FIELDS.includes(f.name) || !profile[f.name]) continue;
+    if (f.name === "campus" && !category.campuses?.includes(profile.campus)) continue;
+    out[f.name] = profile[f.name];
+  }
+  return out;
+}
+
+// Household members ({ id, name, dob }) whose age fits one of the
+// category's classes start out in its age-routed groups (Children, Young
+// people), as items with `name` and `dob` filled in
+export function householdPrefill(profile, fields) {
+  const out = {};
+  for (const f of fields) {
+    if (f.type !== "group" || !f.routeBy) continue;
+    const members = profile.household.filter((m) => classFor(f.classes, m.dob));
+    if (members.length) out[f.name] = members.map((m) => ({ ...initialValues(f.fields), name: m.name, [f.routeBy]: m.dob }));
+  }
+  return out;
+}
+
+// Stored lists can be corrupt or from an older shape; treat those as empty
+const asList = (l) => (Array.isArray(l) ? l : []);
+
+// Drafts that are well-formed and not yet stale
+function liveDrafts(stored, now = Date.now()) {
+  if (stored == null || typeof stored !== "object" || Array.isArray(stored)) return {};
+  return Object.fromEntries(Object.entries(stored).filter(([, d]) => (
+    d?.values && typeof d.values === "object" && now - Date.parse(d.savedAt) < DRAFT_MS
+  )));
+}
+
+// State behind ProfileProvider; components read it with useProfile()
+export function useProfileState() {
+  const [storedProfile, setStored] = useLocalStorage("profile", EMPTY_PROFILE);
+  const [storedSignups, setSignups] = useLocalStorage("my-signups", []);
+  const [storedReminders, setReminders] = useLocalStorage("reminders", []);
+  const [storedDrafts, setDrafts] = useLocalStorage("drafts", {});
+  const profile = useMemo(() => normalizeProfile(storedProfile), [storedProfile]);
+  const signups = useMemo(() => asList(storedSignups), [storedSignups]);
+  const reminders = useMemo(() => asList(storedReminders), [storedReminders]);
+  const drafts = useMemo(() => liveDrafts(storedDrafts), [storedDrafts]);
+
+  const saveProfile = useCallback((patch) => setStored((p) => normalizeProfile({ ...normalizeProfile(p), ...patch })), [setStored]);
+  const addSignup = useCallback((entry) => setSignups((l) => [entry, ...asList(l)]), [setSignups]);
+  const patchSignup = useCallback(
+    (ref, patch) => setSignups((l) => asList(l).map((s) => (s.ref === ref ? { ...s, ...patch } : s))),
+    [setSignups]
+  );
+  const forgetSignup = useCallback((ref) => setSignups((l) => asList(l).filter((s) => s.ref !== ref)), [setSignups]);
+  const setReminder = useCallback((categoryId, on) => setReminders((l) => {
+    const rest = asList(l).filter((id) => id !== categoryId);
+    return on ? [...rest, categoryId] : rest;
+  }), [setReminders]);
+  const saveDraft = useCallback(
+    (categoryId, draft) => setDrafts((d) => ({ ...liveDrafts(d), [categoryId]: { ...draft, savedAt: new Date().toISOString() } })),
+    [setDrafts]
+  );
+  const discardDraft = useCallback((categoryId) => setDrafts((d) => {
+    const { [categoryId]: _gone, ...rest } = liveDrafts(d);
+    return rest;
+  }), [setDrafts]);
+  // "Data on this device" (/privacy): one of profile, signups, drafts, reminders
+  const clearLocal = useCallback((kind) => {
+    if (kind === "profile") setStored(EMPTY_PROFILE);
+    if (kind === "signups") setSignups([]);
+    if (kind === "drafts") setDrafts({});
+    if (kind === "reminders") setReminders([]);
+  }, [setStored, setSignups, setDrafts, setReminders]);
+
+  return useMemo(
+    () => ({
+      profile, saveProfile, signups, addSignup, patchSignup, forgetSignup, reminders, setReminder, drafts, saveDraft, discardDraft,
+      clearLocal,
+    }),
+    [profile, saveProfile, signups, addSignup, patchSignup, forgetSignup, reminders, setReminder, drafts, saveDraft, discardDraft, clearLocal]
+  );
+}
+
+export const ProfileContext = createContext({
+  profile: EMPTY_PROFILE,
+  saveProfile: () => {},
+  signups: [],
+  addSignup: () => {},
+  patchSignup: () => {},
+  forgetSignup: () => {},
+  reminders: [],
+  setReminder: () => {},
+  drafts: {},
+  saveDraft: () => {},
+  discardDraft: () => {},
+  clearLocal: () => {},
+});
+
+export function useProfile() {
+  return useContext(ProfileContext);
+}
@@ -0,0 +1,15 @@
+import { act, renderHook } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+import { useProfileState } from "./index.js";
+
+describe("my sign-ups on this device", () => {
+  it("treats a corrupt or old-shape list as empty instead of throwing", () => {
+    window.localStorage.setItem("my-signups", JSON.stringify({ r1: { status: "confirmed" } }));
+    const { result } = renderHook(() => useProfileState());
+    expect(result.current.signups).toEqual([]);
+
+    act(() => result.current.patchSignup("r1", { status: "cancelled" }));
+    act(() => result.current.forgetSignup("r1"));
+    expect(result.current.signups).toEqual([]);
+  });
+});
@@ -0,0 +1,49 @@
+import { useEffect, useRef } from "react";
+import { getCategory, isOpen } from "../catalog/index.js";
+import { localizeCategory, useI18n } from "../i18n/index.js";
+import { useNow } from "../ui/clock.js";
+import { useToast } from "../ui/toasts.js";
+import { useProfile } from "./index.js";
+
+/* ================= "Notify me" reminders ================= */
+// Reminders live on this device (see useProfileState). While the site is
+// open we check them every minute: once a category is taking sign-ups we
+// toast, show a system notification if the browser allows it, and drop the
+// reminder. Nothing is sent to the church.
+
+export const canNotify = () => typeof window !== "undefined" && "Notification" in window;
+
+// Ask for system notifications the first time someone sets a reminder; a
+// refusal still leaves the in-page toast
+export async function requestNotifications() {
+  if (!canNotify() || Notification.permission !== "default") return;
+  try { await Notification.requestPermission(); } catch (e) { void e; }
+}
+
+export function useReminderAlerts() {
+  const { locale, t } = useI18n();
+  const { notify } = useToast();
+  const { reminders, setReminder } = useProfile();
+  const now = useNow();
+  const i18nRef = useRef({ locale, t });
+  const fired = useRef(new Set()); // so a re-run before the list updates doesn't toast twice
+  useEffect(() => { i18nRef.current = { locale, t }; });
+
+  useEffect(() => {
+    for (const id of fired.current) if (!reminders.includes(id)) fired.current.delete(id);
+    for (const id of reminders) {
+      const base = getCategory(id);
+      if (!base) { setReminder(id, false); continue; }
+      if (!isOpen(base, now) || fired.current.has(id)) continue;
+      fired.current.add(id);
+      const { locale, t } = i18nRef.current;
+      const { title } = localizeCategory(base, locale);
+      notify(t("toast.reminderOpen", { title }), { duration: 10000 });
+      if (canNotify() && Notification.permission === "granted") {
+        try { new Notification(t("reminders.notificationTitle"), { body: t("toast.reminderOpen", { title }), tag: `reminder-${id}` }); }
+        catch (e) { void e; }
+      }
+      setReminder(id, false);
+    }
+  }, [reminders, now, notify, setReminder]);
+}
@@ -0,0 +1,127 @@
+import { useSyncExternalStore } from "react";
+import { scrollBehavior } from "./ui/motion.js";
+
+/* ================= Tiny History API router ================= */
+// Routes can be addressed as real paths (/signup/youth-ministry, used in the
+// sitemap and needing the rewrite in vercel.json) or as hash paths
+// (/#/signup/youth-ministry, which work on any static host). Plain hashes
+// like #blocks stay in-page anchors for smoothScrollTo.
+
+const ROUTES = [
+  { name: "signup", pattern: /^\/signup\/([a-z0-9-]+)\/?$/, keys: ["id"] },
+  { name: "events", pattern: /^\/events\/?$/, keys: [] },
+  { name: "housegroups", pattern: /^\/housegroups\/?$/, keys: [] },
+  { name: "admin", pattern: /^\/admin\/?$/, keys: [] },
+  { name: "me", pattern: /^\/me\/?$/, keys: [] },
+  { name: "privacy", pattern: /^\/privacy\/?$/, keys: [] },
+];
+
+export function signupPath(id) {
+  return `/signup/${id}`;
+}
+
+// My sign-ups; "#profile" jumps to the profile form
+export function mePath(section) {
+  return section ? `/me#${section}` : "/me";
+}
+
+// The privacy notice; "#device" jumps to "Data on this device"
+export function privacyPath(section) {
+  return section ? `/privacy#${section}` : "/privacy";
+}
+
+const withQuery = (path, params) => {
+  const qs = new URLSearchParams(Object.entries(params).filter(([, v]) => v != null)).toString();
+  return qs ? `${path}?${qs}` : path;
+};
+
+// Filters live in the query string (?ministry=…&view=list) so views can be shared
+export function eventsPath(params = {}) {
+  return withQuery("/events", params);
+}
+
+// Same for the finder: ?day=Tuesday&near=Kileleshwa
+export function housegroupsPath(params = {}) {
+  return withQuery("/housegroups", params);
+}
+
+export function parseLocation(loc = window.location) {
+  const hashPath = loc.hash.startsWith("#/") ? loc.hash.slice(1) : null;
+  const path = hashPath ?? loc.pathname;
+  for (const r of ROUTES) {
+    const m = path.match(r.pattern);
+    if (m) return { name: r.name, params: Object.fromEntries(r.keys.map((k, i) => [k, m[i + 1]])) };
+  }
+  return { name: "home", params: {}, section: !hashPath && loc.hash ? loc.hash.slice(1) : null };
+}
+
+export function navigate(to, { replace = false } = {}) {
+  if (to === window.location.pathname + window.location.search + window.location.hash) return;
+  window.history[replace ? "replaceState" : "pushState"](null, "", to);
+  // pushState doesn't notify listeners; do it ourselves so useRoute re-renders
+  window.dispatchEvent(new PopStateEvent("popstate"));
+}
+
+// Left-clicks on in-app links go through navigate(); modified clicks
+// (new tab, etc.) fall through to the browser.
+export function linkHandler(to) {
+  return (e) => {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+}
+
+/* ===== Smooth in-page navigation with header offset ===== */
+export function smoothScrollTo(hash) {
+  const id = (hash || "").replace("#", "");
+  const el = document.getElementById(id);
+  if (!el) return;
+  const header = document.querySelector("header");
+  const headerH = header ? header.getBoundingClientRect().height : 72;
+  const extra = 16; // top gap
+  const top = el.getBoundingClientRect().top + window.scrollY - (headerH + extra);
+  // Update URL hash without jumping (and without stacking duplicate entries)
+  if (window.location.hash !== `#${id}`) window.history.pushState(null, "", `#${id}`);
+  window.scrollTo({ top, behavior: scrollBehavior() });
+}
+
+// Sections only exist on the home route; from a detail page, navigate home
+// first and let the route effect in App do the scrolling.
+export function goToSection(hash) {
+  if (parseLocation().name === "home") smoothScrollTo(hash);
+  else navigate(`/${hash}`);
+}
+
+/* Route store: the snapshot only changes on real navigations (popstate,
+   hashchange or navigate()), not when smoothScrollTo quietly pushes #section,
+   so effects keyed on the route don't fight the user's scrolling. */
+const listeners = new Set();
+let snapshot = null;
+function onLocationChange() {
+  snapshot = parseLocation();
+  listeners.forEach((l) => l());
+}
+function subscribe(cb) {
+  if (!listeners.size) {
+    // The location may have moved on while nobody was listening
+    snapshot = parseLocation();
+    window.addEventListener("popstate", onLocationChange);
+    window.addEventListener("hashchange", onLocationChange);
+  }
+  listeners.add(cb);
+  return () => {
+    listeners.delete(cb);
+    if (!listeners.size) {
+      window.removeEventListener("popstate", onLocationChange);
+      window.removeEventListener("hashchange", onLocationChange);
+    }
+  };
+}
+function getSnapshot() {
+  return (snapshot ??= parseLocation());
+}
+
+export function useRoute() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
@@ -0,0 +1,91 @@
+import { act, renderHook } from "@testing-library/react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { eventsPath, goToSection, navigate, parseLocation, smoothScrollTo, useRoute } from "./router.js";
+import { mediaMatches } from "./test/setup.js";
+
+describe("parseLocation", () => {
+  it.each([
+    ["/", { name: "home", params: {}, section: null }],
+    ["/#blocks", { name: "home", params: {}, section: "blocks" }],
+    ["/signup/youth-ministry", { name: "signup", params: { id: "youth-ministry" } }],
+    ["/#/signup/youth-ministry", { name: "signup", params: { id: "youth-ministry" } }],
+    ["/events?view=list", { name: "events", params: {} }],
+    ["/nowhere", { name: "home", params: {}, section: null }],
+  ])("reads %s", (url, route) => {
+    window.history.replaceState(null, "", url);
+    expect(parseLocation()).toEqual(route);
+  });
+
+  it("builds events paths with only the filters that are set", () => {
+    expect(eventsPath()).toBe("/events");
+    expect(eventsPath({ ministry: "youth-ministry", view: null })).toBe("/events?ministry=youth-ministry");
+  });
+});
+
+/* ===== smoothScrollTo ===== */
+function layout({ headerHeight, sectionTop }) {
+  document.body.innerHTML = `<header></header><section id="blocks"></section>`;
+  document.querySelector("header").getBoundingClientRect = () => ({ height: headerHeight });
+  document.getElementById("blocks").getBoundingClientRect = () => ({ top: sectionTop });
+}
+
+describe("smoothScrollTo", () => {
+  afterEach(() => { document.body.innerHTML = ""; });
+
+  it("scrolls the section just below the fixed header and pushes its hash", () => {
+    layout({ headerHeight: 64, sectionTop: 500 });
+    window.scrollY = 200;
+    const scrollTo = vi.spyOn(window, "scrollTo");
+    const pushState = vi.spyOn(window.history, "pushState");
+
+    smoothScrollTo("#blocks");
+    // 500 from the viewport top + 200 already scrolled − (64 header + 16 gap)
+    expect(scrollTo).toHaveBeenCalledWith({ top: 620, behavior: "smooth" });
+    expect(pushState).toHaveBeenCalledWith(null, "", "#blocks");
+    expect(window.location.hash).toBe("#blocks");
+
+    // Already there: scroll again, but don't stack another history entry
+    smoothScrollTo("blocks");
+    expect(scrollTo).toHaveBeenCalledTimes(2);
+    expect(pushState).toHaveBeenCalledTimes(1);
+    window.scrollY = 0;
+  });
+
+  it("assumes a 72px header when there isn't one, and jumps with reduced motion", () => {
+    document.body.innerHTML = `<section id="blocks"></section>`;
+    document.getElementById("blocks").getBoundingClientRect = () => ({ top: 300 });
+    mediaMatches.add("(prefers-reduced-motion: reduce)");
+    const scrollTo = vi.spyOn(window, "scrollTo");
+    smoothScrollTo("#blocks");
+    expect(scrollTo).toHaveBeenCalledWith({ top: 212, behavior: "auto" });
+  });
+
+  it("ignores unknown sections", () => {
+    const scrollTo = vi.spyOn(window, "scrollTo");
+    smoothScrollTo("#missing");
+    expect(scrollTo).not.toHaveBeenCalled();
+    expect(window.location.hash).toBe("");
+  });
+});
+
+describe("goToSection", () => {
+  it("navigates home first from a detail page", () => {
+    window.history.replaceState(null, "", "/signup/youth-ministry");
+    goToSection("#blocks");
+    expect(window.location.pathname + window.location.hash).toBe("/#blocks");
+  });
+});
+
+describe("useRoute", () => {
+  it("re-renders on navigate() and picks up moves made while unmounted", () => {
+    const first = renderHook(() => useRoute());
+    expect(first.result.current.name).toBe("home");
+    act(() => navigate("/events"));
+    expect(first.result.current.name).toBe("events");
+    first.unmount();
+
+    window.history.replaceState(null, "", "/admin");
+    const second = renderHook(() => useRoute());
+    expect(second.result.current.name).toBe("admin");
+  });
+});
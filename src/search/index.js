@@ -0,0 +1,127 @@
+/* ================= Fuzzy, ranked search ================= */
+// Small in-memory search used by the #blocks grid (and the command palette).
+// Words are normalised (case, accents, apostrophes, simple plurals) and then
+// matched exactly, by prefix, or within a couple of typos (optimal string
+// alignment distance, so "yuoth" → "youth"). Every query word has to match
+// somewhere; fields carry weights so title hits outrank description hits.
+
+const WORD_RE = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+
+export function normalize(s) {
+  return String(s ?? "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/['’]/g, "");
+}
+
+function stem(w) {
+  if (w.length > 4 && w.endsWith("ies")) return `${w.slice(0, -3)}y`;
+  if (w.length > 3 && w.endsWith("s") && !w.endsWith("ss")) return w.slice(0, -1);
+  return w;
+}
+
+// Words with their offsets in the original string (for highlighting)
+export function tokenize(text) {
+  const out = [];
+  for (const m of String(text ?? "").matchAll(WORD_RE)) {
+    out.push({ word: stem(normalize(m[0])), start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+// Optimal string alignment distance, bailing out once it exceeds `max`
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+      cur[j] = v;
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+const allowedEdits = (len) => (len >= 7 ? 2 : len >= 4 ? 1 : 0);
+
+// 1 = exact, 0.8 = prefix, ~0.6 = typo, 0 = no match
+function matchQuality(q, word) {
+  if (q === word) return 1;
+  if (q.length >= 2 && word.startsWith(q)) return 0.8;
+  const max = allowedEdits(q.length);
+  if (!max) return 0;
+  // Compare against the word's prefix too, so "volunter" finds "volunteer"
+  const d = Math.min(editDistance(q, word, max), editDistance(q, word.slice(0, q.length), max) + 0.5);
+  return d <= max ? 0.65 - 0.15 * d : 0;
+}
+
+// fields: [{ key, weight, get: (doc) => string | string[] }]
+// Only string fields get highlight ranges back.
+export function buildIndex(docs, fields) {
+  return docs.map((doc) => ({
+    doc,
+    fields: fields.map((f) => {
+      const value = f.get(doc);
+      const parts = Array.isArray(value) ? value : [value];
+      return { key: f.key, weight: f.weight, ranged: !Array.isArray(value), tokens: parts.flatMap((p) => tokenize(p)) };
+    }),
+  }));
+}
+
+export function searchIndex(index, query) {
+  const terms = [...new Set(tokenize(query).map((t) => t.word))];
+  if (!terms.length) return index.map((e) => ({ doc: e.doc, score: 0, matches: {} }));
+  const results = [];
+  index.forEach((entry, order) => {
+    let score = 0;
+    const matches = {};
+    for (const term of terms) {
+      let best = 0;
+      for (const f of entry.fields) {
+        for (const t of f.tokens) {
+          const q = matchQuality(term, t.word);
+          if (!q) continue;
+          best = Math.max(best, q * f.weight);
+          if (f.ranged) (matches[f.key] ??= []).push([t.start, t.end]);
+        }
+      }
+      if (!best) return; // every word must match somewhere
+      score += best;
+    }
+    results.push({ doc: entry.doc, score, matches, order });
+  });
+  return results
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map((r) => ({ doc: r.doc, score: r.score, matches: mapValues(r.matches, mergeRanges) }));
+}
+
+// Single-string convenience for short labels (command palette)
+export function fuzzyMatch(query, text) {
+  const [hit] = searchIndex(buildIndex([text], [{ key: "text", weight: 1, get: (t) => t }]), query);
+  return hit ? { score: hit.score, ranges: hit.matches.text || [] } : null;
+}
+
+function mapValues(obj, fn) {
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, fn(v)]));
+}
+
+export function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const out = [];
+  for (const r of sorted) {
+    const last = out[out.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else out.push([...r]);
+  }
+  return out;
+}
@@ -0,0 +1,7 @@
+/* ================= Public site URL ================= */
+// Where the forms are deployed. Links in sign-up messages (server/notify)
+// and the sitemap (scripts/vite-plugin-catalog.js) both come from here, so
+// PUBLIC_SITE_URL moves them together, e.g. to a preview deployment.
+export const SITE_URL = "https://parklandsbaptistsign-upforms.vercel.app";
+
+export const siteUrlFrom = (env = {}) => (env.PUBLIC_SITE_URL || SITE_URL).replace(/\/+$/, "");
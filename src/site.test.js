@@ -0,0 +1,13 @@
+import { describe, expect, it } from "vitest";
+import { SITE_URL, siteUrlFrom } from "./site.js";
+
+describe("siteUrlFrom", () => {
+  it("falls back to the deployed site", () => {
+    expect(siteUrlFrom({})).toBe(SITE_URL);
+    expect(siteUrlFrom()).toBe(SITE_URL);
+  });
+
+  it("takes PUBLIC_SITE_URL without a trailing slash", () => {
+    expect(siteUrlFrom({ PUBLIC_SITE_URL: "https://preview.example.org/" })).toBe("https://preview.example.org");
+  });
+});
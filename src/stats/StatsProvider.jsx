@@ -0,0 +1,28 @@
+import { useEffect, useState } from "react";
+import { getSignupStore, onSignupsChanged } from "../storage/index.js";
+import { StatsContext, catalogStats } from "./index.js";
+
+/* ================= Stats provider ================= */
+// Refetches whenever sign-ups change (new submission, outbox flushed, store
+// swapped) so "signed up this week" stays current without a reload.
+export default function StatsProvider({ children }) {
+  const [stats, setStats] = useState(() => ({ ...catalogStats(), signupsThisWeek: null, loading: true, error: null }));
+
+  useEffect(() => {
+    let cancelled = false;
+    async function load() {
+      const store = getSignupStore();
+      try {
+        const live = store.getStats ? await store.getStats() : null;
+        if (!cancelled) setStats({ ...catalogStats(), signupsThisWeek: live?.signupsThisWeek ?? null, loading: false, error: null });
+      } catch (error) {
+        if (!cancelled) setStats((s) => ({ ...s, ...catalogStats(), loading: false, error }));
+      }
+    }
+    load();
+    const off = onSignupsChanged(load);
+    return () => { cancelled = true; off(); };
+  }, []);
+
+  return <StatsContext.Provider value={stats}>{children}</StatsContext.Provider>;
+}
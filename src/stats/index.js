@@ -0,0 +1,24 @@
+import { createContext, useContext } from "react";
+import { CAMPUSES, CATEGORIES, isOpen } from "../catalog/index.js";
+import { EVENTS, currentMonth, monthRange, occurrencesBetween } from "../events/index.js";
+
+/* ================= Site stats ================= */
+// Numbers for the hero cards. Catalog and calendar figures are computed
+// locally; sign-up counts come from the SignupStore and arrive later, so
+// they're null while loading (or if the store can't provide them).
+
+export function catalogStats(now = new Date()) {
+  const { from, to } = monthRange(currentMonth(now));
+  return {
+    categories: CATEGORIES.length,
+    openSignups: CATEGORIES.filter((c) => isOpen(c, now.getTime())).length,
+    eventsThisMonth: occurrencesBetween(EVENTS, from, to).length,
+    campuses: CAMPUSES.length,
+  };
+}
+
+export const StatsContext = createContext({ ...catalogStats(), signupsThisWeek: null, loading: false, error: null });
+
+export function useStats() {
+  return useContext(StatsContext);
+}
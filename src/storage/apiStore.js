@@ -0,0 +1,82 @@
+import { solveChallenge } from "./challenge.js";
+
+/* ================= HTTP sign-up store ================= */
+// Same interface as createLocalStore, backed by the sign-ups API:
+//   GET  {baseUrl}/slots?category=<id>  → { counts: { [slotId]: { taken, waitlist } } }
+//   GET  {baseUrl}/guard                → { token }  (form token for abuse checks)
+//   POST {baseUrl}/signups              → { id, status, submittedAt, editToken }
+//     (a 428 carries a proof-of-work challenge; we solve it and resend once)
+//   GET|PATCH|DELETE {baseUrl}/signups?id=<id> (Bearer editToken) → { signup }
+//   DELETE {baseUrl}/signups?id=<id>&erase=1 (Bearer editToken) → { id, erased }
+//   POST {baseUrl}/privacy              → { id, receivedAt }  (guarded like sign-ups)
+//   GET  {baseUrl}/stats                → { signupsThisWeek, total }
+
+export class ApiError extends Error {
+  constructor(message, { status, details } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export function createApiStore({ baseUrl = "/api", fetchImpl = (...a) => window.fetch(...a) } = {}) {
+  async function request(path, init) {
+    const res = await fetchImpl(`${baseUrl}${path}`, {
+      ...init,
+      headers: { Accept: "application/json", ...(init?.body ? { "Content-Type": "application/json" } : {}), ...init?.headers },
+    });
+    const body = await res.json().catch(() => null);
+    if (!res.ok) throw new ApiError(body?.error || `Request failed (${res.status})`, { status: res.status, details: body?.details });
+    return body;
+  }
+
+  const own = (id, token, init, extra = "") => request(`/signups?id=${encodeURIComponent(id)}${extra}`, {
+    ...init,
+    headers: { Authorization: `Bearer ${token}` },
+  });
+
+  // POST with the abuse-check fields; a 428's challenge is solved and the
+  // request sent once more
+  async function guarded(path, payload, guard = {}) {
+    const send = (g) => request(path, { method: "POST", body: JSON.stringify({ ...payload, guard: g }) });
+    try {
+      return await send(guard);
+    } catch (e) {
+      if (e.status !== 428 || !e.details?.challenge) throw e;
+      return send({ ...guard, challenge: await solveChallenge(e.details.challenge) });
+    }
+  }
+
+  return {
+    async getSlotCounts(categoryId) {
+      const body = await request(`/slots?category=${encodeURIComponent(categoryId)}`);
+      return body.counts || {};
+    },
+    async getStats() {
+      return request("/stats");
+    },
+    async getFormToken() {
+      return (await request("/guard")).token;
+    },
+    async submit({ categoryId, values, slot, locale, guard }) {
+      const pick = slot ? { id: slot.id, waitlist: !!slot.waitlist } : null;
+      return guarded("/signups", { categoryId, values, slot: pick, locale }, guard);
+    },
+    async getSignup(id, token) {
+      return (await own(id, token, { method: "GET" })).signup;
+    },
+    async updateSignup(id, token, { values }) {
+      return (await own(id, token, { method: "PATCH", body: JSON.stringify({ values }) })).signup;
+    },
+    async cancelSignup(id, token) {
+      return (await own(id, token, { method: "DELETE" })).signup;
+    },
+    async eraseSignup(id, token) {
+      return own(id, token, { method: "DELETE" }, "&erase=1");
+    },
+    async sendDataRequest({ guard, ...request }) {
+      return guarded("/privacy", request, guard);
+    },
+  };
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { createApiStore } from "./apiStore.js";
+
+const reply = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+describe("API store", () => {
+  it("solves the API's challenge and resends once", async () => {
+    const sent = [];
+    const fetchImpl = async (url, init) => {
+      sent.push(JSON.parse(init.body));
+      return sent.length === 1
+        ? reply(428, { error: "Please confirm you're not a robot.", details: { challenge: { token: "abc.def", difficulty: 4 } } })
+        : reply(201, { id: "s1", status: "confirmed" });
+    };
+    const store = createApiStore({ fetchImpl });
+    const result = await store.submit({ categoryId: "community-groups", values: { area: "Kileleshwa" }, guard: { token: null, website: "" } });
+
+    expect(result).toEqual({ id: "s1", status: "confirmed" });
+    expect(sent[0].guard).toEqual({ token: null, website: "" });
+    const { challenge } = sent[1].guard;
+    expect(challenge.token).toBe("abc.def");
+    const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`abc.def:${challenge.answer}`)));
+    expect(digest[0] >> 4).toBe(0);
+  });
+
+  it("passes other refusals straight through", async () => {
+    const store = createApiStore({ fetchImpl: async () => reply(429, { error: "Too many sign-ups from this connection." }) });
+    await expect(store.submit({ categoryId: "community-groups", values: {} })).rejects.toMatchObject({ status: 429 });
+  });
+});
@@ -0,0 +1,21 @@
+/* ================= Proof-of-work challenge ================= */
+// The browser's half of server/guard.js: find an answer such that
+// sha256("<token>:<answer>") starts with `difficulty` zero bits. Takes a
+// second or two at the API's difficulty, and only runs when the server asks.
+
+function zeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) { bits += 8; continue; }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+export async function solveChallenge({ token, difficulty }) {
+  const encoder = new TextEncoder();
+  for (let answer = 0; ; answer++) {
+    const digest = await crypto.subtle.digest("SHA-256", encoder.encode(`${token}:${answer}`));
+    if (zeroBits(new Uint8Array(digest)) >= difficulty) return { token, answer: String(answer) };
+  }
+}
@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useState } from "react";
+import { createLocalStore } from "./localStore.js";
+
+/* ================= Pluggable sign-up store ================= */
+// A SignupStore is any object with:
+//   getSlotCounts(categoryId) → Promise<{ [slotId]: { taken, waitlist } }>
+//   submit({ categoryId, values, slot?, locale?, guard? }) → Promise<{ id, status, submittedAt, editToken? }>
+//     (locale picks the language of the confirmation email/SMS; guard is
+//     { token, website } for the API's abuse checks)
+//   getSignup(id, editToken) → Promise<{ id, categoryId, slot, status, values, … }>
+//   updateSignup(id, editToken, { values, slot? }) → Promise<same>
+//   cancelSignup(id, editToken) → Promise<same, with status "cancelled">
+//   eraseSignup(id, editToken) → Promise<{ id, erased: true }>
+//   getStats() → Promise<{ signupsThisWeek, total }>   (optional)
+//   getFormToken() → Promise<string>   (optional; see server/guard.js)
+//   sendDataRequest({ kind, fullName, phone, email?, details?, guard? }) → Promise<{ id, receivedAt }>
+//     (optional: only a store with someone at the other end can take one)
+// localStorage is the fallback; main.jsx swaps in createApiStore() (or
+// anything else) with setSignupStore() before the app renders.
+
+export { createLocalStore } from "./localStore.js";
+export { createApiStore, ApiError } from "./apiStore.js";
+
+let store = null;
+const listeners = new Set();
+
+export function getSignupStore() {
+  return (store ??= createLocalStore());
+}
+
+export function setSignupStore(next) {
+  store = next;
+  listeners.forEach((l) => l());
+}
+
+// Tell slot pickers (and the hero stats) to refetch, e.g. after a submission
+export function notifySignupsChanged() {
+  listeners.forEach((l) => l());
+}
+
+export function onSignupsChanged(cb) {
+  listeners.add(cb);
+  return () => listeners.delete(cb);
+}
+
+export function useSlotCounts(categoryId) {
+  const [state, setState] = useState({ counts: null, error: null });
+  const [version, setVersion] = useState(0);
+  const reload = useCallback(() => setVersion((v) => v + 1), []);
+
+  useEffect(() => onSignupsChanged(reload), [reload]);
+
+  useEffect(() => {
+    let cancelled = false;
+    getSignupStore().getSlotCounts(categoryId)
+      .then((counts) => { if (!cancelled) setState({ counts, error: null }); })
+      .catch((error) => { if (!cancelled) setState((s) => ({ counts: s.counts, error })); });
+    return () => { cancelled = true; };
+  }, [categoryId, version]);
+
+  return { ...state, reload };
+}
+
+// A form token, fetched when a form opens. null until it arrives, or when
+// the store doesn't use them (or we're offline: the API then sets a
+// challenge instead).
+export function useFormToken(enabled = true) {
+  const [token, setToken] = useState(null);
+  useEffect(() => {
+    const store = getSignupStore();
+    if (!enabled || !store.getFormToken) return;
+    let cancelled = false;
+    store.getFormToken()
+      .then((next) => { if (!cancelled) setToken(next); })
+      .catch((e) => { void e; });
+    return () => { cancelled = true; };
+  }, [enabled]);
+  return token;
+}
+
+export function remainingPlaces(slot, counts) {
+  return Math.max(0, slot.capacity - (counts?.[slot.id]?.taken ?? 0));
+}
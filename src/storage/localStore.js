@@ -0,0 +1,94 @@
+/* ================= localStorage sign-up store ================= */
+// Default SignupStore: keeps submissions on this device so the slot picker
+// works without a backend. Counts are derived from the stored submissions;
+// cancelled ones don't count.
+
+const WEEK_MS = 7 * 86_400_000;
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export function createLocalStore({ storage = window.localStorage, key = "pbc-signups" } = {}) {
+  function read() {
+    try { return JSON.parse(storage.getItem(key)) || { submissions: [] }; }
+    catch (e) { void e; return { submissions: [] }; }
+  }
+  function write(data) {
+    storage.setItem(key, JSON.stringify(data));
+  }
+  function view(stored) {
+    const { editToken: _omit, ...s } = stored;
+    return s;
+  }
+  // Same rules as the API: unknown id or wrong token → not found
+  function own(data, id, token) {
+    const s = data.submissions.find((x) => x.id === id);
+    if (!s || !token || s.editToken !== token) throw new Error("We couldn't find that sign-up.");
+    return s;
+  }
+  function statusFor(data, categoryId, slot, except) {
+    if (!slot) return "confirmed";
+    const others = { submissions: data.submissions.filter((s) => s.id !== except) };
+    const taken = countsFor(others, categoryId)[slot.id]?.taken ?? 0;
+    // Someone may have taken the last place since the picker loaded
+    return slot.waitlist || taken + (slot.places ?? 1) > slot.capacity ? "waitlisted" : "confirmed";
+  }
+  function countsFor(data, categoryId) {
+    const counts = {};
+    for (const s of data.submissions) {
+      if (s.categoryId !== categoryId || !s.slot || s.status === "cancelled") continue;
+      const c = (counts[s.slot] ??= { taken: 0, waitlist: 0 });
+      if (s.status === "waitlisted") c.waitlist += s.places ?? 1;
+      else c.taken += s.places ?? 1;
+    }
+    return counts;
+  }
+
+  return {
+    async getSlotCounts(categoryId) {
+      return countsFor(read(), categoryId);
+    },
+    async getStats({ now = Date.now() } = {}) {
+      const submissions = read().submissions.filter((s) => s.status !== "cancelled");
+      const signupsThisWeek = submissions.filter((s) => now - Date.parse(s.submittedAt) < WEEK_MS).length;
+      return { signupsThisWeek, total: submissions.length };
+    },
+    // submission: { categoryId, values, slot?: { id, capacity, waitlist, places? } }
+    async submit({ categoryId, values, slot }) {
+      const data = read();
+      const status = statusFor(data, categoryId, slot);
+      const editToken = newId();
+      const record = {
+        id: newId(), categoryId, slot: slot?.id ?? null, places: slot?.places ?? 1, status, values,
+        submittedAt: new Date().toISOString(), editToken,
+      };
+      data.submissions.push(record);
+      write(data);
+      return { id: record.id, status, submittedAt: record.submittedAt, editToken };
+    },
+    async getSignup(id, token) {
+      return view(own(read(), id, token));
+    },
+    async updateSignup(id, token, { values, slot }) {
+      const data = read();
+      const s = own(data, id, token);
+      if (s.status === "cancelled") throw new Error("This sign-up has been cancelled.");
+      const places = slot?.places ?? 1;
+      if ((slot?.id ?? null) !== s.slot || places > (s.places ?? 1)) s.status = statusFor(data, s.categoryId, slot, id);
+      Object.assign(s, { values, slot: slot?.id ?? null, places, updatedAt: new Date().toISOString() });
+      write(data);
+      return view(s);
+    },
+    async cancelSignup(id, token) {
+      const data = read();
+      const s = own(data, id, token);
+      if (s.status !== "cancelled") Object.assign(s, { status: "cancelled", cancelledAt: new Date().toISOString() });
+      write(data);
+      return view(s);
+    },
+    async eraseSignup(id, token) {
+      const data = read();
+      own(data, id, token);
+      write({ ...data, submissions: data.submissions.filter((s) => s.id !== id) });
+      return { id, erased: true };
+    },
+  };
+}
@@ -0,0 +1,77 @@
+/* ================= Service worker ================= */
+// Built by scripts/vite-plugin-pwa.js, which replaces the two placeholders
+// below with the build id and the list of emitted files to precache.
+
+const VERSION = "__SW_VERSION__";
+const PRECACHE = __SW_PRECACHE__;
+const SHELL_CACHE = `pbc-shell-${VERSION}`;
+const RUNTIME_CACHE = `pbc-runtime-${VERSION}`;
+const RUNTIME_MAX = 60; // entries; the oldest go first
+const OFFLINE_URL = "/offline.html";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    // Earlier builds' shell and runtime caches (and the unversioned "pbc-runtime")
+    const current = [SHELL_CACHE, RUNTIME_CACHE];
+    await Promise.all(keys.filter((k) => k.startsWith("pbc-") && !current.includes(k)).map((k) => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+async function putRuntime(request, response) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  await cache.put(request, response);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - RUNTIME_MAX)).map((k) => cache.delete(k)));
+}
+
+// Background Sync: ask open pages to replay their queued sign-ups
+self.addEventListener("sync", (event) => {
+  if (event.tag !== "signup-outbox") return;
+  event.waitUntil(self.clients.matchAll({ type: "window" }).then((clients) => {
+    clients.forEach((c) => c.postMessage({ type: "FLUSH_OUTBOX" }));
+  }));
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Cross-origin requests (images, fonts) and the API are left to the browser
+  if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+
+  if (request.mode === "navigate") {
+    // Network first so deploys show up; fall back to the cached app shell
+    // (the router takes it from there), then the offline page.
+    event.respondWith((async () => {
+      try {
+        return await fetch(request);
+      } catch (e) {
+        void e;
+        const cache = await caches.open(SHELL_CACHE);
+        return (await cache.match("/index.html")) || (await cache.match(OFFLINE_URL)) || Response.error();
+      }
+    })());
+    return;
+  }
+
+  // Static files: cache first, filling the runtime cache as we go
+  event.respondWith((async () => {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    try {
+      const res = await fetch(request);
+      if (res.ok && res.type === "basic") {
+        event.waitUntil(putRuntime(request, res.clone()).catch((e) => { void e; }));
+      }
+      return res;
+    } catch (e) {
+      void e;
+      return Response.error();
+    }
+  })());
+});
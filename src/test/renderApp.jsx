@@ -0,0 +1,12 @@
+import { render } from "@testing-library/react";
+import App from "../App.jsx";
+import AppProviders from "../AppProviders.jsx";
+
+/* ================= Whole-app render ================= */
+// The provider stack from main.jsx (minus the API store and service worker:
+// sign-ups go to localStorage) at `path`.
+export function renderApp(path = "/") {
+  window.history.replaceState(null, "", path);
+  document.title = "PBC Sign-ups";
+  return render(<AppProviders><App /></AppProviders>);
+}
@@ -0,0 +1,35 @@
+import "@testing-library/jest-dom/vitest";
+import { cleanup } from "@testing-library/react";
+import { afterEach } from "vitest";
+
+/* ================= jsdom gaps ================= */
+// Browser APIs the app touches that jsdom doesn't ship. matchMedia answers
+// from `mediaMatches`, so a test can flip e.g. reduced motion on.
+export const mediaMatches = new Set();
+
+window.matchMedia = (query) => ({
+  matches: mediaMatches.has(query),
+  media: query,
+  addEventListener() {},
+  removeEventListener() {},
+});
+window.IntersectionObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+  takeRecords() { return []; }
+};
+window.ResizeObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+window.scrollTo = () => {};
+window.HTMLElement.prototype.scrollIntoView = function () {};
+
+afterEach(() => {
+  cleanup();
+  mediaMatches.clear();
+  window.localStorage.clear();
+  window.history.replaceState(null, "", "/");
+});
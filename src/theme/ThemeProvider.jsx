@@ -0,0 +1,9 @@
+import { ThemeContext, useThemeState } from "./index.js";
+
+/* ================= Theme provider ================= */
+// One theme state for the page: mode, resolved theme and accent, applied to
+// <html> as custom properties
+export default function ThemeProvider({ children }) {
+  const value = useThemeState();
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
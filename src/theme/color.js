@@ -0,0 +1,49 @@
+/* ================= Colour maths (WCAG 2.x) ================= */
+// Hex colours only (#rgb or #rrggbb) — that's what <input type="color">
+// produces and what we store.
+
+export const isHexColor = (v) => typeof v === "string" && /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(v);
+
+export function parseHex(hex) {
+  const h = hex.slice(1);
+  const full = h.length === 3 ? [...h].map((c) => c + c).join("") : h;
+  return [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16));
+}
+
+export const toHex = (rgb) => `#${rgb.map((v) => Math.round(v).toString(16).padStart(2, "0")).join("")}`;
+
+export function luminance(hex) {
+  const [r, g, b] = parseHex(hex).map((v) => {
+    const c = v / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+export function contrastRatio(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+export const mix = (a, b, amount) => {
+  const [ca, cb] = [parseHex(a), parseHex(b)];
+  return toHex(ca.map((v, i) => v + (cb[i] - v) * amount));
+};
+
+// Whichever of the two text colours reads better on `bg`
+export function readableText(bg, dark = "#0b1220", light = "#ffffff") {
+  return contrastRatio(bg, dark) >= contrastRatio(bg, light) ? dark : light;
+}
+
+// Nudge `color` towards white or black (whichever helps) until it reaches
+// `min` contrast against `against`; returns the colour unchanged if it
+// already does.
+export function ensureContrast(color, against, min) {
+  if (contrastRatio(color, against) >= min) return color;
+  const target = luminance(against) < 0.5 ? "#ffffff" : "#000000";
+  for (let step = 1; step <= 20; step++) {
+    const next = mix(color, target, step / 20);
+    if (contrastRatio(next, against) >= min) return next;
+  }
+  return target;
+}
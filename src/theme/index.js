@@ -0,0 +1,100 @@
+import { createContext, useCallback, useContext, useEffect, useLayoutEffect, useMemo, useState } from "react";
+import { ensureContrast, isHexColor, readableText } from "./color.js";
+import { ACCENT_CONTRAST, THEMES } from "./tokens.js";
+
+export { contrastRatio, isHexColor } from "./color.js";
+export { THEMES } from "./tokens.js";
+
+/* ================= Theming ================= */
+// A theme *mode* is what the visitor picked; "system" follows the OS
+// (prefers-color-scheme, and prefers-contrast: more → high contrast).
+// The resolved theme picks a token set from tokens.js; the accent is
+// layered on top with a --btn-fg that always meets the theme's contrast.
+
+export const THEME_MODES = ["system", "light", "dark", "contrast"];
+export const ACCENTS = {
+  sky: "#0ea5e9", emerald: "#10b981", violet: "#8b5cf6", amber: "#f59e0b", rose: "#fb7185",
+};
+export const DEFAULT_ACCENT = ACCENTS.sky;
+
+const MODE_KEY = "theme-mode";
+const ACCENT_KEY = "accent";
+
+const media = (q) => (typeof window !== "undefined" && window.matchMedia ? window.matchMedia(q) : null);
+const QUERIES = ["(prefers-contrast: more)", "(prefers-color-scheme: light)"];
+
+export function systemTheme() {
+  if (media(QUERIES[0])?.matches) return "contrast";
+  return media(QUERIES[1])?.matches ? "light" : "dark";
+}
+
+// Accent as shown in `theme`, plus the text colour to put on it. High
+// contrast always lightens the accent under black text, so accent surfaces
+// also stand out 7:1 against the black page.
+export function accentTokens(accent, theme) {
+  const btnFg = theme === "contrast" ? "#000000" : readableText(accent);
+  return { accent: ensureContrast(accent, btnFg, ACCENT_CONTRAST[theme]), "btn-fg": btnFg };
+}
+
+export function applyTheme(theme, accent, root = document.documentElement) {
+  const tokens = { ...THEMES[theme], ...accentTokens(accent, theme) };
+  for (const [name, value] of Object.entries(tokens)) root.style.setProperty(`--${name}`, value);
+  root.style.colorScheme = tokens["color-scheme"];
+  root.setAttribute("data-theme", theme);
+}
+
+function stored(key, valid) {
+  try {
+    const v = JSON.parse(window.localStorage.getItem(key));
+    return valid(v) ? v : null;
+  } catch (e) { void e; return null; }
+}
+function store(key, value) {
+  try { window.localStorage.setItem(key, JSON.stringify(value)); }
+  catch (e) { void e; }
+}
+
+// The old light/dark toggle saved "dark" for everyone by default, so only an
+// explicit "light" is carried over; everyone else starts on "system".
+function initialMode() {
+  return stored(MODE_KEY, (v) => THEME_MODES.includes(v)) ?? (stored("theme", (v) => v === "light") ? "light" : "system");
+}
+
+// State behind ThemeProvider; components read it with useTheme()
+export function useThemeState() {
+  const [mode, setModeState] = useState(initialMode);
+  const [accent, setAccentState] = useState(() => stored(ACCENT_KEY, isHexColor) ?? DEFAULT_ACCENT);
+  const [system, setSystem] = useState(systemTheme);
+  const theme = mode === "system" ? system : mode;
+
+  useEffect(() => {
+    const lists = QUERIES.map(media).filter(Boolean);
+    const onChange = () => setSystem(systemTheme());
+    lists.forEach((m) => m.addEventListener?.("change", onChange));
+    return () => lists.forEach((m) => m.removeEventListener?.("change", onChange));
+  }, []);
+
+  // Before paint, so the first frame already has the right colours
+  useLayoutEffect(() => { applyTheme(theme, accent); }, [theme, accent]);
+
+  const setMode = useCallback((next) => {
+    if (!THEME_MODES.includes(next)) return;
+    setModeState(next);
+    store(MODE_KEY, next);
+  }, []);
+  const setAccent = useCallback((next) => {
+    if (!isHexColor(next)) return;
+    setAccentState(next.toLowerCase());
+    store(ACCENT_KEY, next.toLowerCase());
+  }, []);
+
+  return useMemo(() => ({ mode, theme, setMode, accent, setAccent }), [mode, theme, setMode, accent, setAccent]);
+}
+
+export const ThemeContext = createContext({
+  mode: "system", theme: "dark", setMode: () => {}, accent: DEFAULT_ACCENT, setAccent: () => {},
+});
+
+export function useTheme() {
+  return useContext(ThemeContext);
+}
@@ -0,0 +1,65 @@
+import { act, renderHook } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+import { ACCENTS, THEMES, accentTokens, contrastRatio, useTheme } from "./index.js";
+import ThemeProvider from "./ThemeProvider.jsx";
+import { ACCENT_CONTRAST } from "./tokens.js";
+import { mediaMatches } from "../test/setup.js";
+
+/* ================= Theme contrast ================= */
+// axe can't measure contrast in jsdom, so the token sets are checked here
+describe.each(Object.keys(THEMES))("%s theme", (theme) => {
+  const { bg, fg } = THEMES[theme];
+  const min = ACCENT_CONTRAST[theme];
+
+  it("has body text that meets its contrast target", () => {
+    expect(contrastRatio(fg, bg)).toBeGreaterThanOrEqual(min);
+  });
+
+  it.each(["ok", "warn", "info", "error"])("has %s text that meets its contrast target", (tone) => {
+    expect(contrastRatio(THEMES[theme][tone], bg)).toBeGreaterThanOrEqual(min);
+  });
+
+  it.each([...Object.values(ACCENTS), "#777777", "#ffff00", "#1e3a8a"])("keeps button text on %s readable", (accent) => {
+    const tokens = accentTokens(accent, theme);
+    expect(contrastRatio(tokens.accent, tokens["btn-fg"])).toBeGreaterThanOrEqual(min);
+  });
+});
+
+describe("useTheme", () => {
+  const root = document.documentElement;
+
+  it("follows the system until a mode is picked, then remembers it", () => {
+    mediaMatches.add("(prefers-color-scheme: light)");
+    const { result } = renderHook(() => useTheme(), { wrapper: ThemeProvider });
+    expect(result.current.mode).toBe("system");
+    expect(root).toHaveAttribute("data-theme", "light");
+
+    act(() => result.current.setMode("contrast"));
+    expect(root).toHaveAttribute("data-theme", "contrast");
+    expect(root.style.getPropertyValue("--bg")).toBe(THEMES.contrast.bg);
+    expect(window.localStorage.getItem("theme-mode")).toBe('"contrast"');
+  });
+
+  it("maps prefers-contrast: more to the high-contrast theme", () => {
+    mediaMatches.add("(prefers-contrast: more)");
+    renderHook(() => useTheme(), { wrapper: ThemeProvider });
+    expect(root).toHaveAttribute("data-theme", "contrast");
+  });
+
+  it("carries over an explicit light choice from the old toggle", () => {
+    window.localStorage.setItem("theme", JSON.stringify("light"));
+    const { result } = renderHook(() => useTheme(), { wrapper: ThemeProvider });
+    expect(result.current.mode).toBe("light");
+    expect(root).toHaveAttribute("data-theme", "light");
+  });
+
+  it("writes the accent and a readable --btn-fg, ignoring non-hex input", () => {
+    const { result } = renderHook(() => useTheme(), { wrapper: ThemeProvider });
+    act(() => result.current.setAccent("#FFFF00"));
+    expect(root.style.getPropertyValue("--accent")).toBe("#ffff00");
+    expect(root.style.getPropertyValue("--btn-fg")).toBe("#0b1220");
+
+    act(() => result.current.setAccent("tomato"));
+    expect(result.current.accent).toBe("#ffff00");
+  });
+});
@@ -0,0 +1,96 @@
+/* ================= Theme token sets ================= */
+// Every colour the stylesheet uses comes from one of these sets; index.css
+// only refers to the custom properties. applyTheme() (theme/index.js)
+// writes the active set onto <html>.
+
+export const THEMES = {
+  dark: {
+    "color-scheme": "dark",
+    bg: "#0b1220",
+    fg: "#ffffff",
+    muted: "rgba(255,255,255,.80)",
+    "muted-2": "rgba(255,255,255,.65)",
+    "card-bg": "rgba(255,255,255,0.08)",
+    "glass-bg": "rgba(255,255,255,0.10)",
+    border: "rgba(255,255,255,0.18)",
+    edge: "rgba(255,255,255,.25)",
+    "edge-strong": "rgba(255,255,255,.45)",
+    shadow: "rgba(0,0,0,.35)",
+    ring: "rgba(167,139,250,.8)",
+    "ring-halo": "rgba(167,139,250,.25)",
+    "active-pill": "rgba(255,255,255,.15)",
+    "ghost-border": "rgba(255,255,255,0.18)",
+    "ghost-hover": "rgba(255,255,255,0.06)",
+    error: "#fca5a5",
+    "error-border": "#f87171",
+    selection: "rgba(167,139,250,.35)",
+    "selection-fg": "#ffffff",
+    ok: "#a7f3d0",
+    "ok-border": "rgba(52,211,153,.4)",
+    warn: "#fde68a",
+    "warn-border": "rgba(251,191,36,.4)",
+    info: "#bae6fd",
+    "info-border": "rgba(56,189,248,.4)",
+  },
+  light: {
+    "color-scheme": "light",
+    bg: "#f7f7fb",
+    fg: "#0b1220",
+    muted: "rgba(11,18,32,.78)",
+    "muted-2": "rgba(11,18,32,.62)",
+    "card-bg": "rgba(255,255,255,0.75)",
+    "glass-bg": "rgba(255,255,255,0.8)",
+    border: "rgba(11,18,32,0.12)",
+    edge: "rgba(255,255,255,.25)",
+    "edge-strong": "rgba(255,255,255,.45)",
+    shadow: "rgba(0,0,0,.35)",
+    ring: "rgba(139,92,246,.85)",
+    "ring-halo": "rgba(139,92,246,.25)",
+    "active-pill": "rgba(11,18,32,.08)",
+    "ghost-border": "rgba(11,18,32,.20)",
+    "ghost-hover": "rgba(11,18,32,0.05)",
+    error: "#b91c1c",
+    "error-border": "#dc2626",
+    selection: "rgba(139,92,246,.25)",
+    "selection-fg": "#0b1220",
+    ok: "#047857",
+    "ok-border": "rgba(5,150,105,.45)",
+    warn: "#92400e",
+    "warn-border": "rgba(217,119,6,.5)",
+    info: "#0369a1",
+    "info-border": "rgba(2,132,199,.45)",
+  },
+  // WCAG AAA: opaque surfaces, pure black/white text, 7:1 or better
+  // everywhere, a yellow focus ring and no decorative shadows
+  contrast: {
+    "color-scheme": "dark",
+    bg: "#000000",
+    fg: "#ffffff",
+    muted: "#f2f2f2",
+    "muted-2": "#d9d9d9",
+    "card-bg": "#000000",
+    "glass-bg": "#000000",
+    border: "#ffffff",
+    edge: "#ffffff",
+    "edge-strong": "#ffffff",
+    shadow: "transparent",
+    ring: "#ffff00",
+    "ring-halo": "rgba(255,255,0,.35)",
+    "active-pill": "#333333",
+    "ghost-border": "#ffffff",
+    "ghost-hover": "#1a1a1a",
+    error: "#ffb3b3",
+    "error-border": "#ff6b6b",
+    selection: "#ffff00",
+    "selection-fg": "#000000",
+    ok: "#7dffb0",
+    "ok-border": "#7dffb0",
+    warn: "#ffd84d",
+    "warn-border": "#ffd84d",
+    info: "#8fd8ff",
+    "info-border": "#8fd8ff",
+  },
+};
+
+// Minimum contrast between --btn-fg and the accent, per theme
+export const ACCENT_CONTRAST = { dark: 4.5, light: 4.5, contrast: 7 };
@@ -0,0 +1,57 @@
+import { useEffect, useRef, useState } from "react";
+import { animate, useInView, useMotionValue } from "framer-motion";
+import { useI18n } from "../i18n/index.js";
+import { usePrefersReducedMotion } from "./motion.js";
+
+/* ================= Animated counter ================= */
+// Counts up to `value` once scrolled into view. `loading` shows a skeleton;
+// a null value (stat unavailable) shows a dash.
+export default function AnimatedCounter({ value, loading = false, suffix = "", compact = false, grouping = true, className }) {
+  const { t, formatNumber } = useI18n();
+  const reduced = usePrefersReducedMotion();
+  const ref = useRef(null);
+  const inView = useInView(ref, { margin: "-20% 0px -20% 0px", once: true });
+  const mv = useMotionValue(0);
+  useEffect(() => {
+    if (!inView || value == null) return;
+    if (reduced) { mv.set(value); return; }
+    const controls = animate(mv, value, { duration: 1.1, ease: "easeOut" });
+    return () => controls.stop();
+  }, [inView, value, mv, reduced]);
+  const [display, setDisplay] = useState(0);
+  useEffect(() => mv.on("change", (v) => setDisplay(Math.round(v))), [mv]);
+
+  const format = (n) => formatNumber(n, {
+    notation: compact ? "compact" : "standard",
+    maximumFractionDigits: compact ? 1 : 0,
+    useGrouping: grouping,
+  }) + suffix;
+
+  // One wrapper stays mounted through loading, so useInView keeps watching
+  // the element it started with
+  let content;
+  if (loading) {
+    content = (
+      <>
+        <span aria-hidden className="inline-block h-[0.8em] w-[2.5ch] rounded-xl bg-white/15 motion-safe:animate-pulse" />
+        <span className="sr-only">{t("stats.loading")}</span>
+      </>
+    );
+  } else if (value == null) {
+    content = (
+      <>
+        <span aria-hidden>–</span>
+        <span className="sr-only">{t("stats.unavailable")}</span>
+      </>
+    );
+  } else {
+    // Screen readers get the final number, not every animation frame
+    content = (
+      <>
+        <span aria-hidden>{format(display)}</span>
+        <span className="sr-only">{format(value)}</span>
+      </>
+    );
+  }
+  return <div ref={ref} className={className} aria-busy={loading || undefined}>{content}</div>;
+}
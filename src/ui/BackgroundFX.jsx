@@ -0,0 +1,20 @@
+import { motion } from "framer-motion";
+import { usePrefersReducedMotion } from "./motion.js";
+
+/* ================= Background FX ================= */
+// The glow drifts forever, so with reduced motion it isn't animated at all
+// (not even handed to framer) rather than just cut short
+export default function BackgroundFX() {
+  const reduced = usePrefersReducedMotion();
+  return (
+    <div aria-hidden className="pointer-events-none fixed inset-0 -z-10 overflow-hidden">
+      <motion.div
+        animate={reduced ? undefined : { scale: [1, 1.15], rotate: [0, 360] }}
+        transition={reduced ? undefined : { repeat: Infinity, repeatType: "reverse", duration: 48, ease: "linear" }}
+        className="absolute -top-40 left-1/2 -translate-x-1/2 h-[70vmax] w-[70vmax] rounded-full blur-3xl opacity-25"
+        style={{ background: "radial-gradient(closest-side, var(--accent, #0ea5e9), transparent 70%)" }}
+      />
+      <div className="absolute inset-0 opacity-[0.06] mix-blend-overlay bg-[url('data:image/svg+xml;utf8,<svg xmlns=%22http://www.w3.org/2000/svg%22 width=%2240%22 height=%2240%22 viewBox=%220 0 40 40%22><filter id=%22n%22 x=%220%22 y=%220%22><feTurbulence type=%22fractalNoise%22 baseFrequency=%220.6%22 numOctaves=%222%22 stitchTiles=%22stitch%22/></filter><rect width=%2240%22 height=%2240%22 filter=%22url(%23n)%22 opacity=%220.7%22/></svg>')]" />
+    </div>
+  );
+}
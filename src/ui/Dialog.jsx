@@ -0,0 +1,47 @@
+import { useRef } from "react";
+import { createPortal } from "react-dom";
+import { AnimatePresence, motion, useIsPresent } from "framer-motion";
+import { useModal } from "./a11y.js";
+
+/* ================= Dialog ================= */
+// Modal dialog in a portal. Name it with `label` or `labelledBy`; put
+// data-autofocus on whatever should get focus first. Focus, Escape, inert
+// background and scroll locking come from useModal.
+export default function Dialog({ open, onClose, label, labelledBy, describedBy, className = "", children }) {
+  return createPortal(
+    <AnimatePresence>
+      {open && (
+        <DialogPanel key="dialog" onClose={onClose} label={label} labelledBy={labelledBy}
+                     describedBy={describedBy} className={className}>
+          {children}
+        </DialogPanel>
+      )}
+    </AnimatePresence>,
+    document.body
+  );
+}
+
+function DialogPanel({ onClose, label, labelledBy, describedBy, className, children }) {
+  const ref = useRef(null);
+  // Hand focus back as soon as the exit animation starts
+  const present = useIsPresent();
+  useModal(ref, present, onClose);
+  return (
+    <motion.div className="fixed inset-0 z-[70] flex items-start justify-center p-4 overflow-y-auto"
+                initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+                transition={{ duration: 0.15 }}>
+      <div aria-hidden className="fixed inset-0 bg-black/60" onClick={onClose} />
+      <motion.div
+        ref={ref}
+        role="dialog" aria-modal="true" aria-label={label} aria-labelledby={labelledBy} aria-describedby={describedBy}
+        tabIndex={-1}
+        initial={{ opacity: 0, y: 10, scale: 0.98 }}
+        animate={{ opacity: 1, y: 0, scale: 1 }}
+        exit={{ opacity: 0, y: 10, scale: 0.98 }}
+        transition={{ duration: 0.18, ease: "easeOut" }}
+        className={`relative w-full glass rounded-3xl outline-none ${className}`}>
+        {children}
+      </motion.div>
+    </motion.div>
+  );
+}
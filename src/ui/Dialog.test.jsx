@@ -0,0 +1,70 @@
+import { useState } from "react";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it } from "vitest";
+import Dialog from "./Dialog.jsx";
+import Drawer from "./Drawer.jsx";
+
+function Harness({ panel = Dialog, nested = false }) {
+  const Panel = panel;
+  const [open, setOpen] = useState(false);
+  const [inner, setInner] = useState(false);
+  return (
+    <>
+      <button type="button" onClick={() => setOpen(true)}>Open</button>
+      <Panel open={open} onClose={() => setOpen(false)} label="Outer">
+        <button type="button">First</button>
+        <input data-autofocus aria-label="Name" />
+        {nested && <button type="button" onClick={() => setInner(true)}>Nested</button>}
+        <button type="button">Last</button>
+      </Panel>
+      <Dialog open={inner} onClose={() => setInner(false)} label="Inner">
+        <button type="button">Inner button</button>
+      </Dialog>
+    </>
+  );
+}
+
+describe.each([["Dialog", Dialog], ["Drawer", Drawer]])("%s", (_name, Panel) => {
+  it("moves focus in, traps Tab and hands focus back on Escape", async () => {
+    const user = userEvent.setup();
+    const { container } = render(<Harness panel={Panel} />);
+    const opener = screen.getByRole("button", { name: "Open" });
+    await user.click(opener);
+
+    expect(screen.getByRole("dialog", { name: "Outer" })).toHaveAttribute("aria-modal", "true");
+    expect(screen.getByLabelText("Name")).toHaveFocus();
+
+    screen.getByRole("button", { name: "Last" }).focus();
+    await user.tab();
+    expect(screen.getByRole("button", { name: "First" })).toHaveFocus();
+    await user.tab({ shift: true });
+    expect(screen.getByRole("button", { name: "Last" })).toHaveFocus();
+
+    // The page behind is inert and doesn't scroll
+    expect(container).toHaveAttribute("inert");
+    expect(document.body.style.overflow).toBe("hidden");
+
+    await user.keyboard("{Escape}");
+    await waitFor(() => expect(screen.queryByRole("dialog")).toBeNull());
+    expect(container).not.toHaveAttribute("inert");
+    expect(document.body.style.overflow).toBe("");
+    expect(opener).toHaveFocus();
+  });
+});
+
+describe("stacked dialogs", () => {
+  it("only closes the top one on Escape", async () => {
+    const user = userEvent.setup();
+    render(<Harness nested />);
+    await user.click(screen.getByRole("button", { name: "Open" }));
+    await user.click(screen.getByRole("button", { name: "Nested" }));
+    expect(screen.getByRole("button", { name: "Inner button" })).toHaveFocus();
+    expect(screen.getByRole("dialog", { name: "Outer", hidden: true }).closest("[inert]")).not.toBeNull();
+
+    await user.keyboard("{Escape}");
+    await waitFor(() => expect(screen.queryByRole("dialog", { name: "Inner" })).toBeNull());
+    expect(screen.getByRole("dialog", { name: "Outer" }).closest("[inert]")).toBeNull();
+    expect(screen.getByRole("button", { name: "Nested" })).toHaveFocus();
+  });
+});
@@ -0,0 +1,47 @@
+import { useRef } from "react";
+import { createPortal } from "react-dom";
+import { AnimatePresence, motion, useIsPresent } from "framer-motion";
+import { useModal } from "./a11y.js";
+
+/* ================= Drawer ================= */
+// Modal panel that drops down under the fixed header (the mobile menu).
+// Same focus/Escape/inert handling as Dialog; `id` lets the toggle button
+// point at it with aria-controls.
+export default function Drawer({ open, onClose, id, label, className = "", children }) {
+  return createPortal(
+    <AnimatePresence>
+      {open && (
+        <DrawerPanel key="drawer" id={id} onClose={onClose} label={label} className={className}>
+          {children}
+        </DrawerPanel>
+      )}
+    </AnimatePresence>,
+    document.body
+  );
+}
+
+function DrawerPanel({ id, onClose, label, className, children }) {
+  const ref = useRef(null);
+  const present = useIsPresent();
+  useModal(ref, present, onClose);
+  return (
+    <div className="fixed inset-0 z-[60]">
+      <motion.div aria-hidden className="absolute inset-0 bg-black/40" onClick={onClose}
+                  initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+                  transition={{ duration: 0.22 }} />
+      <div className="su-container relative pt-[5.25rem]">
+        <motion.div
+          ref={ref} id={id}
+          role="dialog" aria-modal="true" aria-label={label}
+          tabIndex={-1}
+          initial={{ opacity: 0, y: -12, height: 0 }}
+          animate={{ opacity: 1, y: 0, height: "auto" }}
+          exit={{ opacity: 0, y: -10, height: 0 }}
+          transition={{ duration: 0.22, ease: "easeOut" }}
+          className={`overflow-hidden outline-none ${className}`}>
+          {children}
+        </motion.div>
+      </div>
+    </div>
+  );
+}
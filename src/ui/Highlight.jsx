@@ -0,0 +1,14 @@
+/* ================= Search hit highlighting ================= */
+// Wraps matched [start, end) ranges in <mark>
+export default function Highlight({ text, ranges }) {
+  if (!ranges?.length) return text;
+  const out = [];
+  let at = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > at) out.push(text.slice(at, start));
+    out.push(<mark key={start} className="search-hit">{text.slice(start, end)}</mark>);
+    at = end;
+  });
+  if (at < text.length) out.push(text.slice(at));
+  return out;
+}
@@ -0,0 +1,23 @@
+import { useEffect, useRef } from "react";
+import { usePrefersReducedMotion } from "./motion.js";
+
+/* ================= Magnetic wrapper ================= */
+// Nudges its child towards the pointer; off with reduced motion, like TiltCard
+export default function Magnetic({ strength = 16, children }) {
+  const ref = useRef(null);
+  const reduced = usePrefersReducedMotion();
+  useEffect(() => { if (reduced && ref.current) ref.current.style.transform = ""; }, [reduced]);
+  function onMove(e) {
+    const el = ref.current; if (!el) return;
+    const r = el.getBoundingClientRect();
+    const dx = (e.clientX - (r.left + r.width / 2)) / (r.width / 2);
+    const dy = (e.clientY - (r.top + r.height / 2)) / (r.height / 2);
+    el.style.transform = `translate(${dx * strength}px, ${dy * strength}px)`;
+  }
+  function reset() { const el = ref.current; if (el) el.style.transform = "translate(0,0)"; }
+  return (
+    <span ref={ref} className="inline-block" onMouseMove={reduced ? undefined : onMove} onMouseLeave={reduced ? undefined : reset}>
+      {children}
+    </span>
+  );
+}
@@ -0,0 +1,13 @@
+import { motion } from "framer-motion";
+
+/* ================= Progress bar ================= */
+// The thin bar from the top of the page, for anything with progress.
+// `value` is 0–1, or a motion value (ScrollProgress). It's decorative:
+// pair it with text that says how far along things are.
+export default function ProgressBar({ value, className = "" }) {
+  const animated = typeof value === "number";
+  return (
+    <motion.div style={animated ? undefined : { scaleX: value }} initial={false} animate={animated ? { scaleX: value } : undefined}
+      className={`h-1 origin-left bg-white/70 ${className}`} aria-hidden />
+  );
+}
@@ -0,0 +1,8 @@
+import { useScroll } from "framer-motion";
+import ProgressBar from "./ProgressBar.jsx";
+
+/* ================= Scroll progress bar ================= */
+export default function ScrollProgress() {
+  const { scrollYProgress } = useScroll();
+  return <ProgressBar value={scrollYProgress} className="fixed top-0 left-0 right-0 z-[60]" />;
+}
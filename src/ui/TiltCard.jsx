@@ -0,0 +1,30 @@
+import { useEffect, useRef } from "react";
+import { usePrefersReducedMotion } from "./motion.js";
+
+/* ================= Tilt card ================= */
+// Follows the pointer in 3D. Detaches entirely with reduced motion, and
+// drops any leftover transform if the preference flips mid-hover.
+export default function TiltCard({ children, className = "" }) {
+  const innerRef = useRef(null);
+  const reduced = usePrefersReducedMotion();
+  useEffect(() => { if (reduced && innerRef.current) innerRef.current.style.transform = ""; }, [reduced]);
+  function onMove(e) {
+    const el = innerRef.current;
+    if (!el) return;
+    const r = el.getBoundingClientRect();
+    const px = (e.clientX - r.left) / r.width;
+    const py = (e.clientY - r.top) / r.height;
+    const rx = (py - 0.5) * 8;
+    const ry = (0.5 - px) * 10;
+    el.style.transform = `rotateX(${rx}deg) rotateY(${ry}deg) translateZ(0)`;
+  }
+  function reset() { const el = innerRef.current; if (el) el.style.transform = "rotateX(0) rotateY(0) translateZ(0)"; }
+  return (
+    <div className={`perspective-[1000px] ${className}`}>
+      <div ref={innerRef} onMouseMove={reduced ? undefined : onMove} onMouseLeave={reduced ? undefined : reset}
+           className={`card ${reduced ? "" : "will-change-transform transition-transform duration-150"}`}>
+        {children}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,15 @@
+import { useMemo } from "react";
+import ToastViewport from "./ToastViewport.jsx";
+import { ToastContext, useToasts } from "./toasts.js";
+
+/* ================= Toast provider ================= */
+export default function ToastProvider({ children }) {
+  const { items, notify, dismiss } = useToasts();
+  const value = useMemo(() => ({ notify, dismiss }), [notify, dismiss]);
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      <ToastViewport items={items} onDismiss={dismiss} />
+    </ToastContext.Provider>
+  );
+}
@@ -0,0 +1,60 @@
+import { useEffect, useState } from "react";
+import { createPortal } from "react-dom";
+import { AnimatePresence, motion } from "framer-motion";
+import { useI18n } from "../i18n/index.js";
+
+/* ================= Toast viewport ================= */
+// Two parts: always-mounted, visually hidden live regions that screen
+// readers announce from (a region has to exist before text lands in it),
+// and the visible stack with dismiss buttons. Both sit outside the modal
+// `inert` sweep (data-live-region), so toasts still show over a dialog.
+export default function ToastViewport({ items, onDismiss }) {
+  const { t } = useI18n();
+  const polite = items.filter((i) => i.tone !== "error");
+  const assertive = items.filter((i) => i.tone === "error");
+  return createPortal(
+    <div data-live-region>
+      <div className="sr-only" role="status" aria-live="polite">
+        {polite.map((i) => <p key={i.id}>{i.content}</p>)}
+      </div>
+      <div className="sr-only" role="alert" aria-live="assertive">
+        {assertive.map((i) => <p key={i.id}>{i.content}</p>)}
+      </div>
+      <section aria-label={t("toast.region")}
+               className="fixed bottom-6 left-1/2 -translate-x-1/2 z-[80] w-max max-w-[92vw] pointer-events-none">
+        <ol className="space-y-2">
+          <AnimatePresence initial={false}>
+            {items.map((item) => <Toast key={item.id} item={item} onDismiss={onDismiss} />)}
+          </AnimatePresence>
+        </ol>
+      </section>
+    </div>,
+    document.body
+  );
+}
+
+function Toast({ item, onDismiss }) {
+  const { t } = useI18n();
+  const [paused, setPaused] = useState(false);
+  useEffect(() => {
+    if (paused || !item.duration) return;
+    const timer = window.setTimeout(() => onDismiss(item.id), item.duration);
+    return () => window.clearTimeout(timer);
+  }, [paused, item.id, item.duration, onDismiss]);
+
+  return (
+    <motion.li layout
+      initial={{ opacity: 0, y: 8, scale: 0.98 }}
+      animate={{ opacity: 1, y: 0, scale: 1 }}
+      exit={{ opacity: 0, y: 8, scale: 0.98 }}
+      transition={{ duration: 0.2 }}
+      onMouseEnter={() => setPaused(true)} onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)} onBlur={() => setPaused(false)}
+      className="glass rounded-xl pl-4 pr-1 py-1 text-sm shadow flex items-center gap-2 pointer-events-auto"
+      style={item.tone === "error" ? { borderColor: "var(--error-border)" } : undefined}>
+      <span className="py-1">{item.content}</span>
+      <button type="button" onClick={() => onDismiss(item.id)} aria-label={t("toast.dismiss")}
+              className="pill !px-2 !py-1 hover:bg-white/10 text-muted">×</button>
+    </motion.li>
+  );
+}
@@ -0,0 +1,56 @@
+import { act, render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it } from "vitest";
+import ToastViewport from "./ToastViewport.jsx";
+import { useToasts } from "./toasts.js";
+
+let api;
+function Harness() {
+  const toasts = useToasts();
+  api = toasts;
+  return <ToastViewport items={toasts.items} onDismiss={toasts.dismiss} />;
+}
+
+const visible = () => within(screen.getByRole("region", { name: "Notifications" })).queryAllByRole("listitem");
+
+describe("ToastViewport", () => {
+  it("keeps empty live regions mounted so the first toast is announced", () => {
+    render(<Harness />);
+    expect(screen.getByRole("status")).toHaveAttribute("aria-live", "polite");
+    expect(screen.getByRole("status")).toBeEmptyDOMElement();
+    expect(screen.getByRole("alert")).toHaveAttribute("aria-live", "assertive");
+
+    act(() => { api.notify("Saved"); api.notify("Failed", { tone: "error" }); });
+    expect(screen.getByRole("status")).toHaveTextContent("Saved");
+    expect(screen.getByRole("alert")).toHaveTextContent("Failed");
+    expect(visible().map((li) => li.textContent)).toEqual(["Saved×", "Failed×"]);
+  });
+
+  it("goes away after its duration", async () => {
+    render(<Harness />);
+    act(() => { api.notify("Quick", { duration: 50 }); api.notify("Sticky", { duration: 0 }); });
+    await waitFor(() => expect(screen.getByRole("status")).toHaveTextContent(/^Sticky$/));
+    await waitFor(() => expect(visible()).toHaveLength(1));
+  });
+
+  it("goes away from its dismiss button", async () => {
+    const user = userEvent.setup();
+    render(<Harness />);
+    act(() => { api.notify("Sticky", { duration: 0 }); });
+    await user.click(screen.getByRole("button", { name: "Dismiss notification" }));
+    expect(screen.getByRole("status")).toBeEmptyDOMElement();
+    await waitFor(() => expect(visible()).toHaveLength(0));
+  });
+
+  it("holds a toast while it's hovered", async () => {
+    const user = userEvent.setup();
+    render(<Harness />);
+    act(() => { api.notify("Hover me", { duration: 100 }); });
+    await user.hover(visible()[0]);
+    await new Promise((r) => setTimeout(r, 200));
+    expect(screen.getByRole("status")).toHaveTextContent("Hover me");
+
+    await user.unhover(visible()[0]);
+    await waitFor(() => expect(screen.getByRole("status")).toBeEmptyDOMElement());
+  });
+});
@@ -0,0 +1,40 @@
+import { cloneElement, useEffect, useId, useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+
+/* ================= Tooltip ================= */
+// Shows on hover or focus, stays up while the pointer is over the tooltip
+// itself, and Escape dismisses it without moving focus (WCAG 1.4.13). The
+// label is always in the DOM so it doubles as the trigger's description.
+export default function Tooltip({ label, children }) {
+  const id = useId();
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    function onKey(e) { if (e.key === "Escape") setOpen(false); }
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, [open]);
+
+  return (
+    <span className="relative inline-flex"
+          onMouseEnter={() => setOpen(true)} onMouseLeave={() => setOpen(false)}
+          onFocus={() => setOpen(true)} onBlur={() => setOpen(false)}>
+      {cloneElement(children, { "aria-describedby": id })}
+      <span id={id} role="tooltip" hidden>{label}</span>
+      <AnimatePresence>
+        {open && (
+          <motion.span aria-hidden
+            initial={{ opacity: 0, y: 4 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: 4 }}
+            transition={{ duration: 0.15 }}
+            className="absolute left-1/2 -translate-x-1/2 top-full pt-2 z-10">
+            {/* pt-2 rather than a margin: no gap for the pointer to fall through */}
+            <span className="block whitespace-nowrap text-sm px-2.5 py-1 rounded-lg bg-black/80 text-white border border-white/10 shadow">
+              {label}
+            </span>
+          </motion.span>
+        )}
+      </AnimatePresence>
+    </span>
+  );
+}
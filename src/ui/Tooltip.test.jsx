@@ -0,0 +1,30 @@
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it } from "vitest";
+import Tooltip from "./Tooltip.jsx";
+
+describe("Tooltip", () => {
+  it("describes its trigger and closes on Escape", async () => {
+    const user = userEvent.setup();
+    render(<Tooltip label="Command palette (Ctrl/Cmd + K)"><button type="button">⌘K</button></Tooltip>);
+    const button = screen.getByRole("button", { name: "⌘K" });
+    expect(button).toHaveAccessibleDescription("Command palette (Ctrl/Cmd + K)");
+
+    await user.tab();
+    expect(button).toHaveFocus();
+    expect(screen.getByText("Command palette (Ctrl/Cmd + K)", { selector: "span[aria-hidden] span" })).toBeInTheDocument();
+
+    await user.keyboard("{Escape}");
+    await waitFor(() => expect(document.querySelector("span[aria-hidden]")).toBeNull());
+    expect(button).toHaveFocus();
+  });
+
+  it("opens on hover", async () => {
+    const user = userEvent.setup();
+    render(<Tooltip label="Install as an app"><button type="button">Install</button></Tooltip>);
+    await user.hover(screen.getByRole("button"));
+    expect(document.querySelector("span[aria-hidden]")).toHaveTextContent("Install as an app");
+    await user.unhover(screen.getByRole("button"));
+    await waitFor(() => expect(document.querySelector("span[aria-hidden]")).toBeNull());
+  });
+});
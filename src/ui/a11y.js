@@ -0,0 +1,77 @@
+import { useEffect, useRef } from "react";
+
+/* ================= Modal behaviour ================= */
+// Shared by Dialog and Drawer. While a modal is open: focus moves in (to
+// [data-autofocus], the first focusable element, or the panel itself), Tab
+// wraps inside it, Escape closes it, everything else on the page is `inert`
+// and the page doesn't scroll. On close, focus returns where it was.
+// Stacked modals only react to keys when they are on top.
+
+export const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+const stack = [];
+let scrollLocks = 0;
+let savedOverflow = "";
+
+export function focusableIn(el) {
+  return el ? [...el.querySelectorAll(FOCUSABLE)] : [];
+}
+
+// Body children other than the modal's own portal (and the toast announcer)
+function background(panel) {
+  return [...document.body.children].filter((el) =>
+    !el.contains(panel) && !el.hasAttribute("data-live-region") && !el.hasAttribute("inert")
+  );
+}
+
+function lockScroll() {
+  if (scrollLocks++ === 0) {
+    savedOverflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+  }
+}
+function unlockScroll() {
+  if (--scrollLocks === 0) document.body.style.overflow = savedOverflow;
+}
+
+export function useModal(ref, active, onClose) {
+  const closeRef = useRef(onClose);
+  useEffect(() => { closeRef.current = onClose; });
+
+  useEffect(() => {
+    const panel = ref.current;
+    if (!active || !panel) return;
+    const token = {};
+    stack.push(token);
+    const previous = document.activeElement;
+    const hidden = background(panel);
+    hidden.forEach((el) => el.setAttribute("inert", ""));
+    lockScroll();
+    (panel.querySelector("[data-autofocus]") || focusableIn(panel)[0] || panel).focus();
+
+    function onKey(e) {
+      if (stack[stack.length - 1] !== token) return;
+      if (e.key === "Escape") {
+        e.preventDefault();
+        closeRef.current?.();
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const els = focusableIn(panel);
+      if (!els.length) { e.preventDefault(); return; }
+      const first = els[0];
+      const last = els[els.length - 1];
+      if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+      else if (!panel.contains(document.activeElement)) { e.preventDefault(); first.focus(); }
+    }
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("keydown", onKey);
+      stack.splice(stack.indexOf(token), 1);
+      hidden.forEach((el) => el.removeAttribute("inert"));
+      unlockScroll();
+      if (previous instanceof HTMLElement && document.contains(previous)) previous.focus();
+    };
+  }, [ref, active]);
+}
@@ -0,0 +1,19 @@
+import { useEffect, useState } from "react";
+
+/* ================= Clock ================= */
+// The current time (ms), re-read every `interval` ms and when the tab comes
+// back into view, so countdowns and open/closed states roll over on their own
+export function useNow(interval = 60 * 1000) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const tick = () => setNow(Date.now());
+    const id = setInterval(tick, interval);
+    const onVisible = () => { if (document.visibilityState === "visible") tick(); };
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      clearInterval(id);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [interval]);
+  return now;
+}
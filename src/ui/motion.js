@@ -0,0 +1,28 @@
+import { useEffect, useState } from "react";
+
+/* ================= Reduced motion ================= */
+// Framer animations are covered by <MotionConfig reducedMotion="user"> in
+// main.jsx; this is for everything else (JS-driven effects, scrolling).
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+export function prefersReducedMotion() {
+  return typeof window !== "undefined" && !!window.matchMedia?.(QUERY).matches;
+}
+
+// "smooth" unless the visitor asked for less motion
+export const scrollBehavior = () => (prefersReducedMotion() ? "auto" : "smooth");
+
+// Read synchronously on first render so nothing starts animating before the
+// preference is known
+export function usePrefersReducedMotion() {
+  const [reduced, setReduced] = useState(prefersReducedMotion);
+  useEffect(() => {
+    const mq = window.matchMedia?.(QUERY);
+    if (!mq) return;
+    const onChange = () => setReduced(mq.matches);
+    onChange();
+    mq.addEventListener?.("change", onChange);
+    return () => mq.removeEventListener?.("change", onChange);
+  }, []);
+  return reduced;
+}
@@ -0,0 +1,22 @@
+import { useEffect, useState } from "react";
+
+/* ================= Persisted UI state ================= */
+// Small preferences (campus, recent commands) kept as JSON in localStorage.
+// Unreadable values fall back to `initial` rather than breaking the page.
+export function safeJSONParse(s, fallback) {
+  try { return JSON.parse(s); } catch (e) { void e; return fallback; }
+}
+
+export function useLocalStorage(key, initial) {
+  const [state, setState] = useState(() => {
+    if (typeof window === "undefined") return initial;
+    const raw = window.localStorage?.getItem(key);
+    return raw != null ? safeJSONParse(raw, initial) : initial;
+  });
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    try { window.localStorage.setItem(key, JSON.stringify(state)); }
+    catch (e) { void e; }
+  }, [key, state]);
+  return [state, setState];
+}
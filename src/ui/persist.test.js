@@ -0,0 +1,37 @@
+import { act, renderHook } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+import { safeJSONParse, useLocalStorage } from "./persist.js";
+
+describe("safeJSONParse", () => {
+  it("parses JSON and falls back on anything else", () => {
+    expect(safeJSONParse('{"a":1}', null)).toEqual({ a: 1 });
+    expect(safeJSONParse("{nope", "fallback")).toBe("fallback");
+    expect(safeJSONParse(undefined, [])).toEqual([]);
+  });
+});
+
+describe("useLocalStorage", () => {
+  it("starts from `initial` and writes every change back as JSON", () => {
+    const { result } = renderHook(() => useLocalStorage("campus", "all"));
+    expect(result.current[0]).toBe("all");
+    expect(window.localStorage.getItem("campus")).toBe('"all"');
+
+    act(() => result.current[1]("northgate"));
+    expect(result.current[0]).toBe("northgate");
+    expect(window.localStorage.getItem("campus")).toBe('"northgate"');
+  });
+
+  it("picks up a stored value on the next mount", () => {
+    window.localStorage.setItem("recent-commands", JSON.stringify(["go:home"]));
+    const { result } = renderHook(() => useLocalStorage("recent-commands", []));
+    expect(result.current[0]).toEqual(["go:home"]);
+  });
+
+  it("falls back to `initial` when the stored value is corrupt", () => {
+    window.localStorage.setItem("recent-commands", "[not json");
+    const { result } = renderHook(() => useLocalStorage("recent-commands", []));
+    expect(result.current[0]).toEqual([]);
+    // …and overwrites it with something readable
+    expect(window.localStorage.getItem("recent-commands")).toBe("[]");
+  });
+});
@@ -0,0 +1,25 @@
+import { createContext, useCallback, useContext, useState } from "react";
+
+/* ================= Toasts ================= */
+// notify(content, { tone, duration }). "error" toasts are announced
+// assertively; everything else politely. Timers live in ToastViewport so a
+// toast stays up while it's hovered or focused. ToastProvider holds the
+// queue; any component can call useToast().notify().
+export const TOAST_DURATION = 4000;
+
+export function useToasts() {
+  const [items, setItems] = useState([]);
+  const dismiss = useCallback((id) => setItems((l) => l.filter((t) => t.id !== id)), []);
+  const notify = useCallback((content, { tone = "info", duration = TOAST_DURATION } = {}) => {
+    const id = Math.random().toString(36).slice(2);
+    setItems((l) => [...l, { id, content, tone, duration }]);
+    return id;
+  }, []);
+  return { items, notify, dismiss };
+}
+
+export const ToastContext = createContext({ notify: () => null, dismiss: () => {} });
+
+export function useToast() {
+  return useContext(ToastContext);
+}
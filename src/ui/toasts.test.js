@@ -0,0 +1,29 @@
+import { act, renderHook } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+import { TOAST_DURATION, useToasts } from "./toasts.js";
+
+describe("useToasts", () => {
+  it("queues toasts with defaults and removes them by id", () => {
+    const { result } = renderHook(() => useToasts());
+    let first;
+    act(() => {
+      first = result.current.notify("One");
+      result.current.notify("Two", { tone: "error", duration: 0 });
+    });
+    expect(result.current.items).toEqual([
+      { id: first, content: "One", tone: "info", duration: TOAST_DURATION },
+      expect.objectContaining({ content: "Two", tone: "error", duration: 0 }),
+    ]);
+
+    act(() => result.current.dismiss(first));
+    expect(result.current.items.map((i) => i.content)).toEqual(["Two"]);
+  });
+
+  it("keeps notify stable across renders", () => {
+    const { result, rerender } = renderHook(() => useToasts());
+    const { notify } = result.current;
+    act(() => notify("Hi"));
+    rerender();
+    expect(result.current.notify).toBe(notify);
+  });
+});
@@ -0,0 +1,121 @@
+import { useState } from "react";
+import AnimatedCounter from "./AnimatedCounter.jsx";
+import BackgroundFX from "./BackgroundFX.jsx";
+import Dialog from "./Dialog.jsx";
+import Drawer from "./Drawer.jsx";
+import Highlight from "./Highlight.jsx";
+import Magnetic from "./Magnetic.jsx";
+import ScrollProgress from "./ScrollProgress.jsx";
+import TiltCard from "./TiltCard.jsx";
+import Tooltip from "./Tooltip.jsx";
+import { useToast } from "./toasts.js";
+
+/* ================= UI primitives (gallery) ================= */
+function DialogStory() {
+  const [open, setOpen] = useState(false);
+  return (
+    <>
+      <button type="button" onClick={() => setOpen(true)} className="pill btn-primary font-semibold">Open dialog</button>
+      <Dialog open={open} onClose={() => setOpen(false)} label="Example dialog" className="max-w-md p-6">
+        <h2 className="text-xl font-semibold text-fg">Example dialog</h2>
+        <p className="mt-2 text-muted">Focus is trapped here; Escape or the button closes it.</p>
+        <input data-autofocus aria-label="Name" placeholder="Name" className="mt-4 w-full rounded-xl bg-white/5 border border-white/15 px-3 py-2 text-fg" />
+        <button type="button" onClick={() => setOpen(false)} className="mt-4 pill btn-primary font-semibold">Done</button>
+      </Dialog>
+    </>
+  );
+}
+
+function DrawerStory() {
+  const [open, setOpen] = useState(false);
+  return (
+    <>
+      <button type="button" onClick={() => setOpen(true)} className="pill glass text-fg">Open drawer</button>
+      <Drawer open={open} onClose={() => setOpen(false)} label="Example drawer" className="rounded-3xl glass p-4">
+        <p className="text-fg">Drawers slide down under the header.</p>
+        <button type="button" onClick={() => setOpen(false)} className="mt-3 pill hover:bg-white/10 text-fg">Close</button>
+      </Drawer>
+    </>
+  );
+}
+
+function ToastStory() {
+  const { notify } = useToast();
+  return (
+    <div className="flex flex-wrap gap-2">
+      <button type="button" onClick={() => notify("✅ Saved")} className="pill btn-primary font-semibold">Info toast</button>
+      <button type="button" onClick={() => notify("⚠️ Something went wrong", { tone: "error" })} className="pill glass text-fg">Error toast</button>
+      <button type="button" onClick={() => notify("Stays until dismissed", { duration: 0 })} className="pill glass text-fg">Sticky toast</button>
+    </div>
+  );
+}
+
+function TooltipStory() {
+  return (
+    <Tooltip label="Command palette (Ctrl/Cmd + K)">
+      <button type="button" className="pill glass text-fg">⌘K</button>
+    </Tooltip>
+  );
+}
+
+function TiltCardStory() {
+  return (
+    <TiltCard className="max-w-xs">
+      <h3 className="text-xl font-semibold text-fg">Tilt card</h3>
+      <p className="mt-2 text-sm text-muted-2">Follows the pointer; still with reduced motion.</p>
+    </TiltCard>
+  );
+}
+
+function MagneticStory() {
+  return (
+    <Magnetic>
+      <a href="#magnetic" onClick={(e) => e.preventDefault()} className="inline-block pill btn-white font-semibold">Magnetic link</a>
+    </Magnetic>
+  );
+}
+
+function AnimatedCounterStory() {
+  return (
+    <div className="grid grid-cols-3 gap-4 text-center">
+      <AnimatedCounter value={1250} className="text-4xl font-extrabold text-fg" />
+      <AnimatedCounter value={null} className="text-4xl font-extrabold text-fg" />
+      <AnimatedCounter value={0} loading className="text-4xl font-extrabold text-fg" />
+    </div>
+  );
+}
+
+function HighlightStory() {
+  return <p className="text-fg"><Highlight text="Youth Ministry" ranges={[[0, 5]]} /></p>;
+}
+
+function BackgroundStory() {
+  return (
+    <div className="h-40">
+      <BackgroundFX />
+      <p className="text-muted">The accent glow behind every page.</p>
+    </div>
+  );
+}
+
+function ScrollProgressStory() {
+  return (
+    <>
+      <ScrollProgress />
+      <p className="text-muted">Fills along the top as the page scrolls.</p>
+    </>
+  );
+}
+
+export default [
+  { name: "Dialog", render: DialogStory },
+  { name: "Drawer", render: DrawerStory },
+  { name: "Toasts", render: ToastStory },
+  { name: "Tooltip", render: TooltipStory },
+  { name: "Tilt card", render: TiltCardStory },
+  { name: "Magnetic", render: MagneticStory },
+  { name: "Animated counter", render: AnimatedCounterStory },
+  { name: "Search highlight", render: HighlightStory },
+  { name: "Background glow", render: BackgroundStory },
+  { name: "Scroll progress", render: ScrollProgressStory },
+];
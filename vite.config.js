@@ -1,8 +1,21 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import catalog from './scripts/vite-plugin-catalog.js'
+import pwa from './scripts/vite-plugin-pwa.js'
 
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [catalog(), react(), tailwindcss(), pwa()],
+  // `npm run dev:api` serves api/ locally
+  server: {
+    proxy: { '/api': 'http://localhost:8787' },
+  },
+  // `npm test`: component, accessibility and API tests, co-located as *.test.js(x)
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+    include: ['src/**/*.test.{js,jsx}', 'server/**/*.test.js'],
+    restoreMocks: true,
+  },
 })
 